@@ -0,0 +1,30 @@
+// /api/admin/coupons - promo codes (admins only; lib/coupons.js)
+// GET lists every code with its redemption count. POST { code, type, value,
+// … } creates a code or replaces the one with that code. DELETE ?code=
+// removes a code; its past redemptions stay on record.
+
+const { HttpError, readJson, readQuery, sendJson, sendError, allowMethods } = require('../../lib/http');
+const access = require('../../lib/access');
+const coupons = require('../../lib/coupons');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST', 'DELETE'])) return;
+
+    try {
+        await access.requireFeature(req, 'admin.coupons');
+
+        if (req.method === 'POST') {
+            await coupons.save(await readJson(req));
+        } else if (req.method === 'DELETE') {
+            const { code } = readQuery(req);
+            if (!code) {
+                throw new HttpError(400, 'code is required', 'code');
+            }
+            await coupons.remove(code);
+        }
+
+        sendJson(res, 200, { success: true, coupons: await coupons.list() });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
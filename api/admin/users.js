@@ -0,0 +1,32 @@
+// /api/admin/users - signed-in users and their roles (admins only)
+// GET lists every user with their resolved access. POST { email, role }
+// grants 'admin' or 'creator', or removes a granted role with role: null.
+// Admins cannot change their own role, so the last admin cannot lock
+// everyone out; ADMIN_EMAILS always keeps its admins.
+
+const { HttpError, readJson, sendJson, sendError, allowMethods } = require('../../lib/http');
+const access = require('../../lib/access');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+
+    try {
+        const { user } = await access.requireFeature(req, 'admin.users');
+
+        if (req.method === 'POST') {
+            const body = await readJson(req);
+            const email = String(body.email || '').trim().toLowerCase();
+            if (!email) {
+                throw new HttpError(400, 'email is required', 'email');
+            }
+            if (email === user.email) {
+                throw new HttpError(400, 'You cannot change your own role', 'email');
+            }
+            await access.setRole(email, body.role === undefined ? null : body.role);
+        }
+
+        sendJson(res, 200, { success: true, users: await access.listUsers() });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
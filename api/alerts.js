@@ -0,0 +1,46 @@
+// /api/alerts - the signed-in user's bot alerts (lib/alerts.js)
+// GET ?view=inbox|unread|snoozed|archived|all[&bot=][&severity=][&limit=]
+// [&cursor=] returns { success, alerts, total, unread, nextCursor }, newest
+// first; pass nextCursor back for the next page. GET ?id= returns
+// { success, alert } with the alert's evidence in `data`.
+// POST { action, id | ids, until } changes alerts: read, unread, archive,
+// unarchive, snooze (until an ISO time, at most 30 days out) or unsnooze,
+// responding with { success, alerts }; { action: 'read-all', bot } marks
+// the whole inbox read and responds with { success, updated }.
+
+const { readQuery, readJson, sendJson, sendError, allowMethods } = require('../lib/http');
+const auth = require('../lib/auth');
+const alerts = require('../lib/alerts');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+
+    try {
+        const user = await auth.requireUser(req);
+
+        if (req.method === 'POST') {
+            const body = await readJson(req);
+            if (body.action === 'read-all') {
+                const updated = await alerts.markAllRead(user.id, { bot: body.bot });
+                return sendJson(res, 200, { success: true, updated });
+            }
+            const changed = await alerts.update(user.id, body.ids || body.id, body.action, { until: body.until });
+            return sendJson(res, 200, { success: true, alerts: changed });
+        }
+
+        const query = readQuery(req);
+        if (query.id) {
+            return sendJson(res, 200, { success: true, alert: await alerts.get(user.id, query.id) });
+        }
+        const page = await alerts.listForUser(user.id, {
+            view: query.view || 'inbox',
+            bot: query.bot,
+            severity: query.severity,
+            limit: query.limit,
+            cursor: query.cursor
+        });
+        sendJson(res, 200, { success: true, ...page });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
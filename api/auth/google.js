@@ -0,0 +1,28 @@
+// POST /api/auth/google - sign in with a Google ID token
+// Body: { credential } as passed to the Google Identity Services callback.
+// The token is verified server-side (lib/google.js) and exchanged for an
+// HttpOnly session cookie. Responds with { success, user } where
+// user.access is the role and features from lib/access.js; an invalid,
+// expired or foreign token is a 401.
+
+const { HttpError, readJson, sendJson, sendError, allowMethods } = require('../../lib/http');
+const google = require('../../lib/google');
+const auth = require('../../lib/auth');
+const access = require('../../lib/access');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    try {
+        const body = await readJson(req);
+        if (!body.credential) {
+            throw new HttpError(400, 'credential is required', 'credential');
+        }
+
+        const claims = await google.verifyIdToken(body.credential);
+        const user = await auth.signIn(req, res, claims);
+        sendJson(res, 200, { success: true, user: await access.toPublic(user) });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
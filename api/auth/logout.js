@@ -0,0 +1,15 @@
+// POST /api/auth/logout - end the current session and clear its cookie
+
+const { sendJson, sendError, allowMethods } = require('../../lib/http');
+const auth = require('../../lib/auth');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    try {
+        await auth.signOut(req, res);
+        sendJson(res, 200, { success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
@@ -0,0 +1,18 @@
+// GET /api/auth/me - the signed-in user
+// Responds with { success, user } for a valid session cookie, else a 401.
+// user.access: { role, tier, label, features } (lib/access.js)
+
+const { sendJson, sendError, allowMethods } = require('../../lib/http');
+const auth = require('../../lib/auth');
+const access = require('../../lib/access');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    try {
+        const user = await auth.requireUser(req);
+        sendJson(res, 200, { success: true, user: await access.toPublic(user) });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
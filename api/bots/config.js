@@ -0,0 +1,45 @@
+// /api/bots/config - the signed-in user's bot settings (bot-config.html)
+// GET ?bot=news|gaps|tenders returns { success, config } for one bot; with
+// no bot, { success, configs } for every bot the user's plan includes.
+// PUT { bot, config } validates config against the bot's schema
+// (lib/bots.js) and saves it; failures are a 400 with `field` and an
+// `errors` list of { field, message }. DELETE ?bot= resets to defaults.
+// Each bot needs its feature (lib/access.js).
+
+const { readQuery, readJson, sendJson, sendError, allowMethods } = require('../../lib/http');
+const access = require('../../lib/access');
+const auth = require('../../lib/auth');
+const bots = require('../../lib/bots');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'PUT', 'DELETE'])) return;
+
+    try {
+        const query = readQuery(req);
+
+        if (req.method === 'GET' && !query.bot) {
+            const user = await auth.requireUser(req);
+            const { features } = await access.resolve(user);
+            const configs = await Promise.all(bots.TYPES
+                .filter(type => features.includes(bots.BOTS[type].feature))
+                .map(type => bots.get(user.id, type)));
+            return sendJson(res, 200, { success: true, configs });
+        }
+
+        const body = req.method === 'PUT' ? await readJson(req) : {};
+        const type = req.method === 'PUT' ? body.bot : query.bot;
+        const { user } = await access.requireFeature(req, bots.getBot(type).feature);
+
+        let config;
+        if (req.method === 'PUT') {
+            config = await bots.save(user.id, type, body.config);
+        } else if (req.method === 'DELETE') {
+            config = await bots.remove(user.id, type);
+        } else {
+            config = await bots.get(user.id, type);
+        }
+        sendJson(res, 200, { success: true, config });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
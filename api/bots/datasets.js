@@ -0,0 +1,30 @@
+// /api/bots/datasets - demand datasets the Gap Finder Bot scores (lib/gaps.js)
+// GET returns { success, datasets: [{ id, name, rowCount, skipped, signals,
+// importedAt }] }, newest first. POST { name, data } imports one, where data
+// is CSV text or a list of row objects with a niche column and signal
+// columns such as search volume, complaints or funding rounds; it answers
+// 201 with { success, dataset }. DELETE ?id= removes one.
+
+const { readQuery, readJson, sendJson, sendError, allowMethods } = require('../../lib/http');
+const access = require('../../lib/access');
+const gaps = require('../../lib/gaps');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST', 'DELETE'])) return;
+
+    try {
+        const { user } = await access.requireFeature(req, 'bots.gaps');
+
+        if (req.method === 'POST') {
+            const dataset = await gaps.importDataset(user.id, await readJson(req));
+            return sendJson(res, 201, { success: true, dataset });
+        }
+        if (req.method === 'DELETE') {
+            await gaps.removeDataset(user.id, readQuery(req).id);
+            return sendJson(res, 200, { success: true });
+        }
+        sendJson(res, 200, { success: true, datasets: await gaps.listDatasets(user.id) });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
@@ -0,0 +1,38 @@
+// GET /api/bots/gaps - the signed-in user's scored market gaps (lib/gaps.js)
+// Scores every gap in their imported datasets under their Gap Finder
+// settings and responds with { success, filters: { marketSize, region },
+// gaps: [{ id, niche, region, score, grade, summary, factors, missing,
+// marketSize, revenuePotential, signals, datasets }], excluded:
+// { marketSize, region } }, best first. ?id= returns { success, gap } for
+// one gap that passes the filters.
+
+const { HttpError, readQuery, sendJson, sendError, allowMethods } = require('../../lib/http');
+const access = require('../../lib/access');
+const bots = require('../../lib/bots');
+const gaps = require('../../lib/gaps');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    try {
+        const { user } = await access.requireFeature(req, 'bots.gaps');
+        const { config } = await bots.get(user.id, 'gaps');
+        const report = await gaps.score(user.id, config);
+        const query = readQuery(req);
+
+        if (query.id) {
+            const gap = report.gaps.find(candidate => candidate.id === query.id);
+            if (!gap) {
+                throw new HttpError(404, 'Gap not found');
+            }
+            return sendJson(res, 200, { success: true, gap });
+        }
+        sendJson(res, 200, {
+            success: true,
+            filters: { marketSize: config.marketSize, region: config.region },
+            ...report
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
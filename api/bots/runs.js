@@ -0,0 +1,24 @@
+// GET /api/bots/runs?bot=news|gaps|tenders[&limit=] - run history of one of
+// the signed-in user's bots, newest first (at most 50 are kept)
+// Responds with { success, runs: [{ id, bot, trigger, status, startedAt,
+// finishedAt, durationMs, findings, sources, error }] }
+
+const { readQuery, sendJson, sendError, allowMethods } = require('../../lib/http');
+const access = require('../../lib/access');
+const bots = require('../../lib/bots');
+const scheduler = require('../../lib/scheduler');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    try {
+        const query = readQuery(req);
+        const { user } = await access.requireFeature(req, bots.getBot(query.bot).feature);
+        const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || 20, 1), 50);
+
+        const runs = await scheduler.history(user.id, query.bot, { limit });
+        sendJson(res, 200, { success: true, runs: runs.map(scheduler.toPublicRun) });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
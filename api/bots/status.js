@@ -0,0 +1,51 @@
+// /api/bots/status - scheduler state of the signed-in user's bots
+// GET returns { success, bots } with one entry per bot the user's plan
+// includes: { bot, title, state, frequency, sources, nextRunAt, lastRun,
+// recentRuns, findings } (lib/scheduler.js).
+// POST { bot, action } controls one bot: 'start' resumes scheduling,
+// 'pause' stops it and 'retry' runs it now, responding once the run ends
+// with { success, status, run }.
+
+const { HttpError, readJson, sendJson, sendError, allowMethods } = require('../../lib/http');
+const access = require('../../lib/access');
+const auth = require('../../lib/auth');
+const bots = require('../../lib/bots');
+const scheduler = require('../../lib/scheduler');
+
+const ACTIONS = ['start', 'pause', 'retry'];
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+
+    try {
+        if (req.method === 'GET') {
+            const user = await auth.requireUser(req);
+            const { features } = await access.resolve(user);
+            const statuses = await Promise.all(bots.TYPES
+                .filter(type => features.includes(bots.BOTS[type].feature))
+                .map(type => scheduler.status(user.id, type)));
+            return sendJson(res, 200, { success: true, bots: statuses });
+        }
+
+        const body = await readJson(req);
+        const { user } = await access.requireFeature(req, bots.getBot(body.bot).feature);
+        if (!ACTIONS.includes(body.action)) {
+            throw new HttpError(400, `action must be one of ${ACTIONS.join(', ')}`, 'action');
+        }
+
+        let run = null;
+        if (body.action === 'retry') {
+            const saved = await bots.get(user.id, body.bot);
+            if (!saved.saved) {
+                throw new HttpError(409, `Save the ${saved.title} settings first`, 'bot');
+            }
+            run = scheduler.toPublicRun(await scheduler.runNow(user.id, body.bot, 'retry'));
+        } else {
+            await bots.setActive(user.id, body.bot, body.action === 'start');
+        }
+
+        sendJson(res, 200, { success: true, status: await scheduler.status(user.id, body.bot), run });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
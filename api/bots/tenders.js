@@ -0,0 +1,21 @@
+// GET /api/bots/tenders - tenders the signed-in user's Tender Alert Bot is
+// tracking, soonest submission deadline first (lib/tenders.js)
+// Responds with { success, tenders: [{ id, title, issuer, value, currency,
+// category, deadline, daysLeft, url, documents, matched, foundAt, ... }] }
+
+const { sendJson, sendError, allowMethods } = require('../../lib/http');
+const access = require('../../lib/access');
+const scheduler = require('../../lib/scheduler');
+const tenders = require('../../lib/tenders');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    try {
+        const { user } = await access.requireFeature(req, 'bots.tenders');
+        const state = await scheduler.sourceStateFor(user.id, 'tenders', tenders.adapter.id);
+        sendJson(res, 200, { success: true, tenders: tenders.upcoming(state) });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
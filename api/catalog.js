@@ -0,0 +1,27 @@
+// GET /api/catalog - the price list for the storefront
+// Responds with every product and its price in each currency it is sold in
+// (major units, before GST), so the cart and checkout can show prices in the
+// shopper's currency. Monthly plans are only listed in INR. The order
+// endpoint reprices against the same list when charging.
+
+const { sendJson, sendError, allowMethods } = require('../lib/http');
+const catalog = require('../lib/catalog');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    try {
+        sendJson(res, 200, {
+            success: true,
+            currencies: catalog.CURRENCIES,
+            products: catalog.listProducts().map(product => ({
+                id: product.id,
+                title: product.title,
+                type: product.type,
+                prices: catalog.priceList(product)
+            }))
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
@@ -0,0 +1,40 @@
+// POST /api/coupon/validate - check a coupon against a cart
+// Body: { code, items: [{ id, quantity }], currency? }. Responds with the
+// discount per line in that currency (rupees by default) so the cart and
+// checkout can preview totals; the order and subscription endpoints validate
+// the code again when charging. Per-customer rules are checked against the
+// signed-in account; when nobody is signed in they are left for checkout and
+// `sign_in_required` says whether they apply. Rejections are 400s with field
+// 'coupon'.
+
+const { readJson, sendJson, sendError, allowMethods } = require('../../lib/http');
+const auth = require('../../lib/auth');
+const catalog = require('../../lib/catalog');
+const coupons = require('../../lib/coupons');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    try {
+        const body = await readJson(req);
+        const currency = String(body.currency || 'INR').toUpperCase();
+        const lines = catalog.buildLines(body.items, currency);
+        const user = await auth.currentUser(req);
+        const coupon = await coupons.validate(body.code, lines, { user, partial: true, currency });
+        const discounted = coupons.discountLines(coupon, lines, currency);
+
+        sendJson(res, 200, {
+            success: true,
+            coupon: {
+                code: coupon.code,
+                description: coupon.description
+            },
+            sign_in_required: !user && coupons.hasCustomerRules(coupon),
+            currency,
+            discount: catalog.toMajor(discounted.reduce((sum, line) => sum + (line.discount || 0), 0)),
+            lines: discounted.map(line => ({ id: line.id, discount: catalog.toMajor(line.discount || 0) }))
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
@@ -0,0 +1,33 @@
+// GET /api/cron/bots - runs every bot that is due (lib/scheduler.js)
+// For running the bots from an outside scheduler (BOT_SCHEDULER=off) on a
+// host with DATA_DIR: call it every few minutes with
+// Authorization: Bearer CRON_SECRET.
+
+const crypto = require('crypto');
+const { HttpError, sendJson, sendError, allowMethods } = require('../../lib/http');
+const scheduler = require('../../lib/scheduler');
+
+function authorized(req) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) return false;
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const actual = Buffer.from(String(req.headers.authorization || ''));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+
+    try {
+        if (!authorized(req)) {
+            throw new HttpError(401, 'Invalid cron secret');
+        }
+        const runs = await scheduler.tick();
+        sendJson(res, 200, {
+            success: true,
+            runs: runs.map(run => ({ id: run.id, bot: run.bot, status: run.status, findings: run.findings }))
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
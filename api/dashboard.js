@@ -0,0 +1,20 @@
+// GET /api/dashboard?tz= - stat cards and bot cards for the signed-in user
+// Responds with { success, stats, bots, generatedAt } (lib/dashboard.js);
+// tz is the browser's getTimezoneOffset() so "Alerts Today" starts at the
+// user's midnight. /api/dashboard/stream pushes the same summary live.
+
+const { readQuery, sendJson, sendError, allowMethods } = require('../lib/http');
+const auth = require('../lib/auth');
+const dashboard = require('../lib/dashboard');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    try {
+        const user = await auth.requireUser(req);
+        const timezoneOffset = Number(readQuery(req).tz) || 0;
+        sendJson(res, 200, { success: true, ...(await dashboard.summary(user, { timezoneOffset })) });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
@@ -0,0 +1,86 @@
+// GET /api/dashboard/stream?tz= - live dashboard updates as Server-Sent Events
+//   summary  { stats, bots, generatedAt } as from /api/dashboard: on
+//            connect, whenever one of the user's bot runs starts or ends,
+//            and every SUMMARY_INTERVAL_MS
+//   alerts   { alerts, unread }: alerts the bots just stored for the user
+//   ping     { time } every PING_INTERVAL_MS, so the browser can tell a
+//            quiet stream from a dead one
+// Pushes come from the scheduler running in this process (server.js).
+// Where it runs elsewhere, as with an outside scheduler calling
+// /api/cron/bots, the periodic summary still catches the dashboard up.
+// Streams end after MAX_STREAM_MS to stay inside serverless time limits;
+// the dashboard reconnects.
+
+const { readQuery, sendError, allowMethods, openEventStream } = require('../../lib/http');
+const auth = require('../../lib/auth');
+const alerts = require('../../lib/alerts');
+const dashboard = require('../../lib/dashboard');
+const scheduler = require('../../lib/scheduler');
+
+const PING_INTERVAL_MS = 15 * 1000;
+const SUMMARY_INTERVAL_MS = 60 * 1000;
+const MAX_STREAM_MS = 5 * 60 * 1000;
+// Coalesces the start and end of a quick run into one summary
+const SUMMARY_DEBOUNCE_MS = 250;
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    let user;
+    try {
+        user = await auth.requireUser(req);
+    } catch (error) {
+        return sendError(res, error);
+    }
+
+    const timezoneOffset = Number(readQuery(req).tz) || 0;
+    const stream = openEventStream(res);
+    let pendingSummary = null;
+
+    const sendSummary = async () => {
+        try {
+            stream.send('summary', await dashboard.summary(user, { timezoneOffset }));
+        } catch (error) {
+            console.error('Dashboard summary failed:', error);
+        }
+    };
+    const scheduleSummary = () => {
+        if (pendingSummary) return;
+        pendingSummary = setTimeout(() => {
+            pendingSummary = null;
+            sendSummary();
+        }, SUMMARY_DEBOUNCE_MS);
+    };
+
+    const onRun = run => {
+        if (run.userId === user.id) scheduleSummary();
+    };
+    const onFindings = async payload => {
+        if (payload.userId !== user.id) return;
+        try {
+            const { unread } = await alerts.listForUser(user.id, { view: 'unread', limit: 1 });
+            stream.send('alerts', { alerts: payload.alerts.map(record => alerts.toPublic(record)), unread });
+        } catch (error) {
+            console.error('Dashboard alert push failed:', error);
+        }
+        scheduleSummary();
+    };
+
+    const timers = [
+        setInterval(() => stream.send('ping', { time: new Date().toISOString() }), PING_INTERVAL_MS),
+        setInterval(sendSummary, SUMMARY_INTERVAL_MS)
+    ];
+    const lifetime = setTimeout(() => stream.close(), MAX_STREAM_MS);
+
+    scheduler.events.on('run', onRun);
+    scheduler.events.on('findings', onFindings);
+    res.on('close', () => {
+        scheduler.events.off('run', onRun);
+        scheduler.events.off('findings', onFindings);
+        timers.forEach(clearInterval);
+        clearTimeout(lifetime);
+        clearTimeout(pendingSummary);
+    });
+
+    await sendSummary();
+};
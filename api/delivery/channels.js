@@ -0,0 +1,37 @@
+// /api/delivery/channels - where the signed-in user's alerts can go
+// (lib/channels.js)
+// GET returns { success, channels: { email, slack, mobile } }, each with
+// `ready` and, when it cannot send yet, `missing`; mobile includes the
+// VAPID `publicKey` browsers subscribe with. PUT { channel, settings } saves
+// a channel's credentials: email { address }, slack { webhookUrl } or
+// mobile { subscription, label }, which adds a push device. An email
+// address other than the account's is mailed a confirmation link and only
+// used once it is followed (/api/delivery/confirm). DELETE
+// ?channel=[&device=] forgets them (one push device with `device`). Both
+// respond like GET.
+
+const { readQuery, readJson, sendJson, sendError, allowMethods } = require('../../lib/http');
+const auth = require('../../lib/auth');
+const channels = require('../../lib/channels');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'PUT', 'DELETE'])) return;
+
+    try {
+        const user = await auth.requireUser(req);
+
+        let result;
+        if (req.method === 'PUT') {
+            const body = await readJson(req);
+            result = await channels.save(user, body.channel, body.settings);
+        } else if (req.method === 'DELETE') {
+            const query = readQuery(req);
+            result = await channels.remove(user, query.channel, { device: query.device });
+        } else {
+            result = await channels.listForUser(user);
+        }
+        sendJson(res, 200, { success: true, channels: result });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
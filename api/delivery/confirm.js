@@ -0,0 +1,22 @@
+// GET /api/delivery/confirm?user=&token= - the link mailed to a new alert
+// address (lib/channels.js). Following it confirms the address and sends
+// the browser to the Delivery Channels card; a wrong or expired link is a
+// 400. No sign-in is needed: the token proves the mailbox is the reader's.
+
+const { readQuery, sendError, allowMethods } = require('../../lib/http');
+const channels = require('../../lib/channels');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    try {
+        const query = readQuery(req);
+        await channels.confirmEmail(query.user, query.token);
+        res.statusCode = 303;
+        res.setHeader('Location', '/bot-config.html#delivery-channels');
+        res.setHeader('Cache-Control', 'no-store');
+        res.end();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
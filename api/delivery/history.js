@@ -0,0 +1,32 @@
+// /api/delivery/history - alert messages sent to the signed-in user
+// (lib/delivery.js)
+// GET [?status=pending|sent|dead|skipped][&limit=] returns
+// { success, deliveries }, newest first; ?status=dead lists the dead
+// letters. POST { action: 'retry', id } sends a dead or skipped one again
+// and responds with { success, delivery }.
+
+const { HttpError, readQuery, readJson, sendJson, sendError, allowMethods } = require('../../lib/http');
+const auth = require('../../lib/auth');
+const delivery = require('../../lib/delivery');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+
+    try {
+        const user = await auth.requireUser(req);
+
+        if (req.method === 'POST') {
+            const body = await readJson(req);
+            if (body.action !== 'retry') {
+                throw new HttpError(400, 'action must be retry', 'action');
+            }
+            return sendJson(res, 200, { success: true, delivery: await delivery.retry(user.id, body.id) });
+        }
+
+        const query = readQuery(req);
+        const deliveries = await delivery.history(user.id, { status: query.status, limit: query.limit });
+        sendJson(res, 200, { success: true, deliveries });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
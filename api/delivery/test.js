@@ -0,0 +1,26 @@
+// POST /api/delivery/test - sends a sample alert now (lib/delivery.js)
+// Body { bot, channels }: channels defaults to the bot's saved ones (email
+// without a bot). Responds with { success, deliveries }, one per channel
+// with its status ('sent', 'skipped' or 'dead') and lastError. Test sends
+// are limited per user and hour; past the limit the answer is a 429.
+
+const { readJson, sendJson, sendError, allowMethods } = require('../../lib/http');
+const access = require('../../lib/access');
+const auth = require('../../lib/auth');
+const bots = require('../../lib/bots');
+const delivery = require('../../lib/delivery');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    try {
+        const body = await readJson(req);
+        const user = body.bot
+            ? (await access.requireFeature(req, bots.getBot(body.bot).feature)).user
+            : await auth.requireUser(req);
+        const deliveries = await delivery.sendTest(user, { bot: body.bot, channels: body.channels });
+        sendJson(res, 200, { success: true, deliveries });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
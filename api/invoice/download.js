@@ -0,0 +1,54 @@
+// GET /api/invoice/download?payment_id=[&signature=][&format=json] - the
+// tax invoice for a payment as a PDF attachment, or its summary as JSON.
+// Only the buyer can fetch it: the account that was signed in when they
+// bought, or whoever holds the razorpay_signature Checkout gave the buyer's
+// browser for the payment (how guests get theirs on the success page).
+
+const { HttpError, readQuery, sendJson, sendError, allowMethods } = require('../../lib/http');
+const auth = require('../../lib/auth');
+const invoices = require('../../lib/invoices');
+const razorpay = require('../../lib/razorpay');
+
+function signedFor(invoice, signature) {
+    if (!signature) return false;
+    const { paymentId } = invoice;
+    return invoice.orderId
+        ? razorpay.verifyPaymentSignature({ orderId: invoice.orderId, paymentId, signature })
+        : razorpay.verifySubscriptionSignature({ subscriptionId: invoice.subscriptionId, paymentId, signature });
+}
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    try {
+        const query = readQuery(req);
+        if (!query.payment_id) {
+            throw new HttpError(400, 'payment_id is required');
+        }
+
+        const invoice = await invoices.findByPaymentId(query.payment_id);
+        if (!invoice || !signedFor(invoice, query.signature)) {
+            const user = await auth.requireUser(req);
+            if (!invoice) {
+                throw new HttpError(404, 'No invoice for this payment yet');
+            }
+            if (!invoice.userId || invoice.userId !== user.id) {
+                throw new HttpError(403, 'This invoice belongs to another account');
+            }
+        }
+
+        if (query.format === 'json') {
+            return sendJson(res, 200, { success: true, invoice: invoices.toPublic(invoice) });
+        }
+
+        const pdf = invoices.render(invoice);
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Length', pdf.length);
+        res.setHeader('Content-Disposition', `${query.inline ? 'inline' : 'attachment'}; filename="${invoices.filename(invoice)}"`);
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.end(pdf);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
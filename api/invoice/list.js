@@ -0,0 +1,21 @@
+// GET /api/invoice/list - the invoices of purchases made while signed in to
+// this account, for the dashboard
+
+const { sendJson, sendError, allowMethods } = require('../../lib/http');
+const auth = require('../../lib/auth');
+const invoices = require('../../lib/invoices');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    try {
+        const user = await auth.requireUser(req);
+        const records = await invoices.listForUser(user.id);
+        sendJson(res, 200, {
+            success: true,
+            invoices: records.map(invoices.toPublic)
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
@@ -0,0 +1,21 @@
+// GET /api/license/public-key - Ed25519 key for offline licence checks
+// `publicKey` is SPKI PEM; `publicKeyRaw` is the raw key (base64url) for
+// crypto.subtle.importKey('raw', ..., { name: 'Ed25519' }, ...).
+
+const { sendJson, sendError, allowMethods } = require('../../lib/http');
+const license = require('../../lib/license');
+
+module.exports = function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    try {
+        sendJson(res, 200, {
+            success: true,
+            algorithm: 'Ed25519',
+            publicKey: license.getPublicKeyPem(),
+            publicKeyRaw: license.getPublicKeyRaw()
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
@@ -0,0 +1,46 @@
+// GET|POST /api/license/validate - check a premium licence token
+// Accepts ?token= or { token }. Besides the signature and expiry check the
+// extension can do offline, this also rejects licences whose order has since
+// been refunded.
+
+const { HttpError, readQuery, readJson, sendJson, sendError, allowMethods } = require('../../lib/http');
+const license = require('../../lib/license');
+const orders = require('../../lib/orders');
+
+const REVOKED_STATES = ['refunded'];
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+
+    try {
+        const token = req.method === 'GET' ? readQuery(req).token : (await readJson(req)).token;
+        if (!token) {
+            throw new HttpError(400, 'token is required');
+        }
+
+        let result = license.validate(token);
+        if (result.valid) {
+            const order = await orders.getOrder(result.claims.orderId);
+            if (order && REVOKED_STATES.includes(order.status)) {
+                result = { valid: false, reason: 'revoked', claims: result.claims };
+            }
+        }
+
+        const claims = result.claims;
+        sendJson(res, 200, {
+            success: true,
+            valid: result.valid,
+            reason: result.reason || null,
+            license: claims ? {
+                id: claims.lid,
+                plan: claims.plan,
+                features: claims.features,
+                email: claims.sub,
+                issuedAt: new Date(claims.iat * 1000).toISOString(),
+                expiresAt: new Date(claims.exp * 1000).toISOString()
+            } : null
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
@@ -0,0 +1,112 @@
+// POST /api/order - create a Razorpay order for checkout
+// Body: { items: [{ id, quantity }], customer, coupon?, amount?, currency,
+// receipt, notes }. The total is recomputed from lib/catalog.js in the
+// requested currency (INR, USD or EUR from the fixed price list), less any
+// coupon (lib/coupons.js; per-customer limits need the buyer signed in),
+// with GST for the customer's state, country and
+// optional GSTIN. Foreign currencies are only accepted for buyers outside
+// India, whose orders are zero-rated exports. A client-supplied amount (in
+// major units of the currency) is only used to detect a stale or tampered
+// cart and is never charged.
+// Responds with { success, order_id, key_id, amount, currency } where amount
+// is in minor units (paise, cents), ready to hand to Razorpay Checkout, plus
+// the tax breakdown in major units.
+
+const { HttpError, readJson, sendJson, sendError, allowMethods } = require('../lib/http');
+const razorpay = require('../lib/razorpay');
+const auth = require('../lib/auth');
+const catalog = require('../lib/catalog');
+const coupons = require('../lib/coupons');
+const orders = require('../lib/orders');
+const store = require('../lib/store');
+
+const CUSTOMER_FIELDS = ['name', 'email', 'phone', 'company', 'gstin', 'address', 'city', 'state', 'pincode', 'country'];
+
+function readCustomer(body) {
+    const source = body.customer && typeof body.customer === 'object' ? body.customer : {};
+    const customer = {};
+    CUSTOMER_FIELDS.forEach(field => {
+        customer[field] = source[field] ? String(source[field]).trim().slice(0, 200) : '';
+    });
+    customer.country = (customer.country || 'IN').toUpperCase();
+    customer.gstin = customer.gstin.toUpperCase();
+    return customer;
+}
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    try {
+        const body = await readJson(req);
+        const currency = String(body.currency || 'INR').toUpperCase();
+
+        if (!catalog.CURRENCIES.includes(currency)) {
+            throw new HttpError(400, `Unsupported currency: ${currency}`, 'currency');
+        }
+
+        const customer = readCustomer(body);
+        const user = await auth.currentUser(req);
+        const quote = await coupons.priceCart(body.items, customer, {
+            code: body.coupon,
+            user,
+            currency
+        });
+
+        const subscription = quote.lines.find(line => catalog.getProduct(line.id).type === 'subscription');
+        if (subscription) {
+            throw new HttpError(400, `${subscription.title} is billed monthly; start it through /api/subscription/create`);
+        }
+
+        if (body.amount !== undefined && Math.round(Number(body.amount) * 100) !== quote.total) {
+            throw new HttpError(409, 'Cart total does not match current prices. Please refresh and try again.');
+        }
+
+        const { keyId } = razorpay.getConfig();
+        store.requireDisk();
+        const notes = body.notes && typeof body.notes === 'object' ? { ...body.notes } : {};
+        notes.items = quote.lines.map(line => `${line.id} x${line.quantity}`).join(', ');
+        if (customer.email) notes.customer_email = customer.email;
+        if (customer.gstin) notes.gstin = customer.gstin;
+        if (quote.coupon) notes.coupon = quote.coupon.code;
+
+        const order = await razorpay.createOrder({
+            amount: quote.total,
+            currency,
+            receipt: String(body.receipt || `receipt_${Date.now()}`).slice(0, 40),
+            notes
+        });
+        if (quote.coupon) {
+            // Refuses the code if concurrent checkouts used up its limits
+            // since priceCart; the Razorpay order is then never paid
+            await coupons.reserve({
+                code: quote.coupon.code,
+                userId: user ? user.id : null,
+                email: customer.email,
+                orderId: order.id
+            });
+        }
+        await orders.recordCreated(order, quote, notes, customer, user);
+
+        sendJson(res, 200, {
+            success: true,
+            order_id: order.id,
+            key_id: keyId,
+            amount: order.amount,
+            currency: order.currency,
+            coupon: quote.coupon ? quote.coupon.code : null,
+            discount: catalog.toMajor(quote.discount),
+            subtotal: catalog.toMajor(quote.subtotal),
+            gst: catalog.toMajor(quote.gst),
+            total: catalog.toMajor(quote.total),
+            tax: {
+                label: quote.tax.label,
+                supply_type: quote.tax.supplyType,
+                cgst: catalog.toMajor(quote.tax.cgst),
+                sgst: catalog.toMajor(quote.tax.sgst),
+                igst: catalog.toMajor(quote.tax.igst)
+            }
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
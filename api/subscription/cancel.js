@@ -0,0 +1,25 @@
+// POST /api/subscription/cancel - cancel at the end of the current period
+// Body: { subscription_id }, one of the signed-in user's. Access continues
+// until currentPeriodEnd.
+
+const { readJson, sendJson, sendError, allowMethods } = require('../../lib/http');
+const auth = require('../../lib/auth');
+const subscriptions = require('../../lib/subscriptions');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    try {
+        const user = await auth.requireUser(req);
+        const body = await readJson(req);
+        const owned = await subscriptions.getOwned(body.subscription_id, user);
+        const record = await subscriptions.cancel(owned.id);
+
+        sendJson(res, 200, {
+            success: true,
+            subscription: subscriptions.toPublic(record)
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
@@ -0,0 +1,82 @@
+// POST /api/subscription/change - upgrade or downgrade a subscription
+// Body: { subscription_id, plan, confirm }, for one of the signed-in user's
+// subscriptions. Without confirm the prorated quote is returned. Confirmed
+// upgrades return a one-off Razorpay order for the prorated difference; the
+// plan switches once it is paid (see lib/orders.js). Confirmed downgrades
+// switch now and refund the difference; a refund Razorpay refuses stays
+// pending on the subscription (refundPending) and is retried.
+
+const { readJson, sendJson, sendError, allowMethods } = require('../../lib/http');
+const auth = require('../../lib/auth');
+const catalog = require('../../lib/catalog');
+const razorpay = require('../../lib/razorpay');
+const orders = require('../../lib/orders');
+const store = require('../../lib/store');
+const subscriptions = require('../../lib/subscriptions');
+
+// Proration amounts for the client, in rupees
+function publicQuote(quote) {
+    return {
+        from: quote.from,
+        to: quote.to,
+        remainingFraction: quote.remainingFraction,
+        subtotal: catalog.toMajor(quote.subtotal),
+        gst: catalog.toMajor(quote.gst),
+        total: catalog.toMajor(quote.total),
+        tax_label: quote.tax.label
+    };
+}
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    try {
+        const user = await auth.requireUser(req);
+        const body = await readJson(req);
+        const record = await subscriptions.getOwned(body.subscription_id, user);
+
+        const quote = subscriptions.quoteChange(record, body.plan);
+        if (!body.confirm) {
+            return sendJson(res, 200, { success: true, proration: publicQuote(quote) });
+        }
+
+        if (quote.total <= 0) {
+            const updated = await subscriptions.downgrade(record, quote);
+            return sendJson(res, 200, {
+                success: true,
+                proration: publicQuote(quote),
+                subscription: subscriptions.toPublic(updated)
+            });
+        }
+
+        const { keyId } = razorpay.getConfig();
+        store.requireDisk();
+        const notes = {
+            type: 'subscription_change',
+            subscription_id: record.id,
+            plan: quote.to,
+            customer_email: record.email
+        };
+        const order = await razorpay.createOrder({
+            amount: quote.total,
+            currency: 'INR',
+            receipt: `upgrade_${Date.now()}`,
+            notes
+        });
+        await orders.recordCreated(order, quote, {
+            ...notes,
+            proration: JSON.stringify(subscriptions.summarizeChange(quote))
+        }, { name: record.name, email: record.email, phone: record.phone, ...subscriptions.buyerOf(record) }, user);
+
+        sendJson(res, 200, {
+            success: true,
+            proration: publicQuote(quote),
+            order_id: order.id,
+            key_id: keyId,
+            amount: order.amount,
+            currency: order.currency
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
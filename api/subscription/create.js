@@ -0,0 +1,53 @@
+// POST /api/subscription/create - start a monthly subscription
+// Body: { plan, email, name, phone, country, state, gstin, coupon }. The
+// billing address decides the GST charged each month; a coupon discounts
+// every month while the plan stays eligible (codes limited per customer need
+// the buyer signed in). Responds with the Razorpay subscription id and key
+// for Razorpay Checkout (subscription_id option) and the monthly price in
+// rupees.
+
+const { readJson, sendJson, sendError, allowMethods } = require('../../lib/http');
+const auth = require('../../lib/auth');
+const catalog = require('../../lib/catalog');
+const razorpay = require('../../lib/razorpay');
+const store = require('../../lib/store');
+const subscriptions = require('../../lib/subscriptions');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    try {
+        const body = await readJson(req);
+        const { keyId } = razorpay.getConfig();
+        store.requireDisk();
+        const record = await subscriptions.create({
+            planId: body.plan,
+            email: body.email,
+            name: body.name,
+            phone: body.phone,
+            buyer: {
+                country: body.country,
+                state: body.state,
+                gstin: body.gstin
+            },
+            couponCode: body.coupon,
+            user: await auth.currentUser(req)
+        });
+        const price = subscriptions.periodPrice(record.plan, record.buyer, record.coupon);
+
+        sendJson(res, 200, {
+            success: true,
+            subscription_id: record.id,
+            key_id: keyId,
+            plan: record.plan,
+            coupon: record.coupon ? record.coupon.code : null,
+            discount: catalog.toMajor(price.discount),
+            subtotal: catalog.toMajor(price.subtotal),
+            gst: catalog.toMajor(price.gst),
+            total: catalog.toMajor(price.total),
+            tax_label: price.tax.label
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
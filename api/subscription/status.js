@@ -0,0 +1,21 @@
+// GET /api/subscription/status - the signed-in user's subscriptions for the
+// dashboard, matched on the account's email
+
+const { sendJson, sendError, allowMethods } = require('../../lib/http');
+const auth = require('../../lib/auth');
+const subscriptions = require('../../lib/subscriptions');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    try {
+        const user = await auth.requireUser(req);
+        const records = await subscriptions.listForEmail(user.email);
+        sendJson(res, 200, {
+            success: true,
+            subscriptions: records.map(subscriptions.toPublic)
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
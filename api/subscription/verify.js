@@ -0,0 +1,37 @@
+// POST /api/subscription/verify - confirm the first subscription payment
+// Body: { razorpay_subscription_id, razorpay_payment_id, razorpay_signature }
+// Renewals arrive only through the subscription.charged webhook.
+
+const { HttpError, readJson, sendJson, sendError, allowMethods } = require('../../lib/http');
+const razorpay = require('../../lib/razorpay');
+const subscriptions = require('../../lib/subscriptions');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    try {
+        const body = await readJson(req);
+        const subscriptionId = body.razorpay_subscription_id;
+        const paymentId = body.razorpay_payment_id;
+        const signature = body.razorpay_signature;
+
+        if (!subscriptionId || !paymentId || !signature) {
+            throw new HttpError(400, 'razorpay_subscription_id, razorpay_payment_id and razorpay_signature are required');
+        }
+        if (!razorpay.verifySubscriptionSignature({ subscriptionId, paymentId, signature })) {
+            throw new HttpError(400, 'Invalid payment signature');
+        }
+
+        const record = await subscriptions.recordCharge({ subscriptionId, paymentId });
+        if (!record) {
+            throw new HttpError(404, 'Subscription not found');
+        }
+
+        sendJson(res, 200, {
+            success: true,
+            subscription: subscriptions.toPublic(record)
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
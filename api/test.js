@@ -0,0 +1,21 @@
+// GET /api/test - health check used by test-api.html
+
+const config = require('../lib/config');
+const { sendJson, allowMethods } = require('../lib/http');
+
+module.exports = function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    const { keyId, keySecret, mode } = config.razorpay();
+
+    sendJson(res, 200, {
+        success: true,
+        message: 'API is working',
+        timestamp: new Date().toISOString(),
+        env: config.profile(),
+        razorpay: {
+            configured: Boolean(keyId && keySecret),
+            mode
+        }
+    });
+};
@@ -0,0 +1,43 @@
+// POST /api/verify - verify the signature returned by Razorpay Checkout
+// Body: { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+// A valid signature marks the order paid and fulfils it, unless the
+// payment.captured webhook already did. Licence tokens issued for the order
+// are returned so the extension pages can store them.
+
+const { HttpError, readJson, sendJson, sendError, allowMethods } = require('../lib/http');
+const razorpay = require('../lib/razorpay');
+const orders = require('../lib/orders');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    try {
+        const body = await readJson(req);
+        const orderId = body.razorpay_order_id;
+        const paymentId = body.razorpay_payment_id;
+        const signature = body.razorpay_signature;
+
+        if (!orderId || !paymentId || !signature) {
+            throw new HttpError(400, 'razorpay_order_id, razorpay_payment_id and razorpay_signature are required');
+        }
+
+        if (!razorpay.verifyPaymentSignature({ orderId, paymentId, signature })) {
+            throw new HttpError(400, 'Invalid payment signature');
+        }
+
+        const order = await orders.markPaid({ orderId, paymentId, source: 'checkout' });
+        if (!order) {
+            throw new HttpError(404, 'Order not found');
+        }
+
+        sendJson(res, 200, {
+            success: true,
+            order_id: orderId,
+            payment_id: paymentId,
+            status: order.status,
+            licences: (order.licences || []).map(({ plan, token, expiresAt }) => ({ plan, token, expiresAt }))
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
@@ -0,0 +1,124 @@
+// POST /api/webhook - Razorpay webhook receiver
+// Handles payment.captured, payment.failed, refund.processed and the
+// subscription.* lifecycle events. The
+// X-Razorpay-Signature header is an HMAC-SHA256 of the raw request body
+// keyed with the webhook secret (RAZORPAY_WEBHOOK_SECRET, or
+// RAZORPAY_TEST_WEBHOOK_SECRET outside production; lib/config.js).
+// Deliveries are deduplicated by
+// X-Razorpay-Event-Id and every state change in lib/orders.js is idempotent,
+// so retries are harmless.
+//
+// On Vercel set NODEJS_HELPERS=0 so the raw body reaches this handler
+// untouched; the signature is computed over the exact bytes Razorpay sent.
+
+const config = require('../lib/config');
+const { HttpError, readRawBody, sendJson, sendError, allowMethods } = require('../lib/http');
+const razorpay = require('../lib/razorpay');
+const orders = require('../lib/orders');
+const subscriptions = require('../lib/subscriptions');
+
+// payload.<name>.entity; a signed event without it is malformed, not a
+// server error
+function entity(payload, name) {
+    const value = payload[name] && payload[name].entity;
+    if (!value || typeof value !== 'object') {
+        throw new HttpError(400, `Event has no ${name} entity`);
+    }
+    return value;
+}
+
+const handlers = {
+    'payment.captured': payload => {
+        const payment = entity(payload, 'payment');
+        return orders.markPaid({
+            orderId: payment.order_id,
+            paymentId: payment.id,
+            amount: payment.amount,
+            currency: payment.currency,
+            source: 'webhook'
+        });
+    },
+
+    'payment.failed': payload => {
+        const payment = entity(payload, 'payment');
+        return orders.markFailed({
+            orderId: payment.order_id,
+            paymentId: payment.id,
+            reason: payment.error_description || payment.error_code || 'Payment failed'
+        });
+    },
+
+    'refund.processed': payload => {
+        const refund = entity(payload, 'refund');
+        return orders.markRefunded({
+            paymentId: refund.payment_id,
+            refundId: refund.id,
+            amount: refund.amount
+        });
+    },
+
+    'subscription.charged': payload => {
+        const subscription = entity(payload, 'subscription');
+        const payment = entity(payload, 'payment');
+        return subscriptions.recordCharge({
+            subscriptionId: subscription.id,
+            paymentId: payment.id,
+            amount: payment.amount,
+            periodStart: subscription.current_start,
+            periodEnd: subscription.current_end
+        });
+    },
+
+    'subscription.pending': payload => subscriptions.markPastDue({
+        subscriptionId: entity(payload, 'subscription').id,
+        reason: 'Renewal charge failed'
+    }),
+
+    'subscription.halted': payload => subscriptions.setStatus(entity(payload, 'subscription').id, 'halted'),
+    'subscription.cancelled': payload => subscriptions.setStatus(entity(payload, 'subscription').id, 'cancelled'),
+    'subscription.completed': payload => subscriptions.setStatus(entity(payload, 'subscription').id, 'completed')
+};
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    try {
+        const secret = config.razorpay().webhookSecret;
+        if (!secret) {
+            const error = new HttpError(500, 'Webhook secret is not configured');
+            error.expose = true;
+            throw error;
+        }
+
+        const raw = await readRawBody(req);
+        const signature = req.headers['x-razorpay-signature'];
+        if (!razorpay.safeEqualHex(razorpay.hmacHex(secret, raw), signature)) {
+            throw new HttpError(400, 'Invalid webhook signature');
+        }
+
+        let event;
+        try {
+            event = JSON.parse(raw);
+        } catch (error) {
+            throw new HttpError(400, 'Invalid JSON body');
+        }
+        if (!event || typeof event !== 'object') {
+            throw new HttpError(400, 'Webhook body must be a JSON object');
+        }
+
+        const eventId = req.headers['x-razorpay-event-id'];
+        if (await orders.isWebhookEventProcessed(eventId)) {
+            return sendJson(res, 200, { success: true, duplicate: true });
+        }
+
+        const handle = handlers[event.event];
+        if (handle) {
+            await handle(event.payload && typeof event.payload === 'object' ? event.payload : {});
+        }
+        await orders.recordWebhookEvent(eventId, event.event);
+
+        sendJson(res, 200, { success: true, handled: Boolean(handle) });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
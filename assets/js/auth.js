@@ -0,0 +1,93 @@
+// Sign-in session client
+// Pages hand the Google Identity Services credential to /api/auth/google,
+// which verifies it and sets an HttpOnly session cookie, then ask
+// /api/auth/me who is signed in. The browser never decodes or trusts the
+// Google token itself. `user.access` carries the role and feature list from
+// lib/access.js; the API enforces the same features, so gating here is only
+// presentation.
+//
+// Pages with `signin: true` front matter load Google's script
+// (templates/partials/head.html); the client id comes from the public
+// config (assets/js/config.js) and Auth.connect() does the rest.
+(function (root) {
+    async function request(path, options = {}) {
+        const response = await fetch(path, {
+            credentials: 'same-origin',
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+        });
+        const data = await response.json().catch(() => ({ success: false, error: `HTTP ${response.status}` }));
+        return { status: response.status, data };
+    }
+
+    // The signed-in user ({ id, email, name, picture }) or null
+    async function me() {
+        const { data } = await request('/api/auth/me');
+        return data.success ? data.user : null;
+    }
+
+    // credential: response.credential from the Google sign-in callback
+    async function signIn(credential) {
+        const { data } = await request('/api/auth/google', {
+            method: 'POST',
+            body: JSON.stringify({ credential })
+        });
+        if (!data.success) {
+            throw new Error(data.error || 'Sign-in failed');
+        }
+        return data.user;
+    }
+
+    async function signOut() {
+        await request('/api/auth/logout', { method: 'POST' });
+        if (root.google && root.google.accounts && root.google.accounts.id) {
+            root.google.accounts.id.disableAutoSelect();
+        }
+    }
+
+    function can(user, feature) {
+        return Boolean(user && user.access && user.access.features.includes(feature));
+    }
+
+    // Marks every [data-feature] element the user lacks with .locked and
+    // disables its controls
+    function gate(user, doc = root.document) {
+        doc.querySelectorAll('[data-feature]').forEach(element => {
+            const allowed = can(user, element.dataset.feature);
+            element.classList.toggle('locked', !allowed);
+            element.querySelectorAll('input, select, textarea, button').forEach(control => {
+                control.disabled = !allowed;
+            });
+        });
+    }
+
+    // Hands the page's Google button (templates/partials/google-signin.html)
+    // its callback and resolves to the signed-in user, if any. onUser runs
+    // with (user, { restored }) for an existing session and after every
+    // sign-in; restored is false only for the latter.
+    function connect(onUser, { onError = error => root.alert(`Sign-in failed: ${error.message}`) } = {}) {
+        root.handleCredentialResponse = response => signIn(response.credential)
+            .then(user => onUser(user, { restored: false }))
+            .catch(onError);
+
+        root.addEventListener('load', () => {
+            const clientId = root.AppConfig && root.AppConfig.get().googleClientId;
+            if (clientId && root.google && root.google.accounts) {
+                root.google.accounts.id.initialize({ client_id: clientId, callback: root.handleCredentialResponse });
+            }
+        });
+
+        return me().then(user => {
+            if (user) onUser(user, { restored: true });
+            return user;
+        });
+    }
+
+    const Auth = { me, signIn, signOut, can, gate, connect };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Auth;
+    } else {
+        root.Auth = Auth;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,207 @@
+// Bot settings form (bot-config.html)
+// Each .bot-config-card[data-bot] holds named fields matching its schema in
+// lib/bots.js; list fields are textareas marked data-list="terms" (split on
+// commas and new lines) or data-list="lines" (one entry per line, for
+// addresses) with data-type="integer" for numbers, and the delivery
+// channels are the active .integration-card elements. Saving PUTs to
+// /api/bots/config and shows any validation errors under the offending
+// field. The tender card's preview lists the tenders the bot is tracking.
+(function (root) {
+    const ENDPOINT = '/api/bots/config';
+    const TENDERS_ENDPOINT = '/api/bots/tenders';
+    const PREVIEW_TENDERS = 5;
+    const LIST_SEPARATORS = { terms: /[,\n]/, lines: /\n/ };
+
+    async function request(path, options = {}) {
+        const response = await fetch(path, {
+            credentials: 'same-origin',
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+        });
+        return response.json().catch(() => ({ success: false, error: `HTTP ${response.status}` }));
+    }
+
+    function splitList(text, kind) {
+        return String(text || '').split(LIST_SEPARATORS[kind]).map(term => term.trim()).filter(Boolean);
+    }
+
+    // Saved settings for every bot the user's plan includes:
+    // [{ bot, title, saved, config, updatedAt }]
+    async function load() {
+        const data = await request(ENDPOINT);
+        if (!data.success) {
+            throw new Error(data.error || 'Could not load bot settings');
+        }
+        return data.configs;
+    }
+
+    function read(card) {
+        const config = {};
+        card.querySelectorAll('[name]').forEach(field => {
+            if (field.dataset.list) {
+                const items = splitList(field.value, field.dataset.list);
+                config[field.name] = field.dataset.type === 'integer' ? items.map(Number) : items;
+            } else if (field.dataset.type === 'integer') {
+                config[field.name] = Number(field.value);
+            } else {
+                config[field.name] = field.value;
+            }
+        });
+        const channels = card.querySelector('[data-field="channels"]');
+        if (channels) {
+            config.channels = Array.from(channels.querySelectorAll('.integration-card.active'))
+                .map(option => option.dataset.integration);
+        }
+        return config;
+    }
+
+    function showStatus(card, saved) {
+        const status = card.querySelector('.bot-status');
+        const text = card.querySelector('.bot-status-text');
+        const running = saved.saved && saved.config.active;
+        status.classList.toggle('inactive', !running);
+        text.textContent = running ? text.dataset.active : saved.saved ? 'Paused' : 'Not configured';
+    }
+
+    // saved: one entry from load() or a save response
+    function fill(card, saved) {
+        const { config } = saved;
+        card.querySelectorAll('[name]').forEach(field => {
+            const value = config[field.name];
+            if (value === undefined) return;
+            if (Array.isArray(value)) {
+                field.value = value.join(field.dataset.list === 'lines' ? '\n' : ', ');
+            } else {
+                field.value = String(value);
+            }
+        });
+        const channels = card.querySelector('[data-field="channels"]');
+        if (channels && config.channels) {
+            channels.querySelectorAll('.integration-card').forEach(option => {
+                option.classList.toggle('active', config.channels.includes(option.dataset.integration));
+            });
+        }
+        showStatus(card, saved);
+    }
+
+    // The control an error's field path points at ('keywords.3' -> keywords)
+    function fieldElement(card, field) {
+        const name = String(field || '').split('.')[0];
+        if (!name) return null;
+        return card.querySelector(`[name="${name}"]`) || card.querySelector(`[data-field="${name}"]`);
+    }
+
+    function clearErrors(card) {
+        card.querySelectorAll('.field-error').forEach(message => message.remove());
+        card.querySelectorAll('[name].error, [data-field].error').forEach(element => element.classList.remove('error'));
+    }
+
+    // errors: [{ field, message }]; anything without a matching control goes
+    // to the card's save status
+    function showErrors(card, errors) {
+        clearErrors(card);
+        const unplaced = [];
+        errors.forEach(({ field, message }) => {
+            const element = fieldElement(card, field);
+            if (!element) {
+                unplaced.push(message);
+                return;
+            }
+            if (element.classList.contains('error')) return;
+            element.classList.add('error');
+            const note = root.document.createElement('small');
+            note.className = 'field-error';
+            note.textContent = message;
+            element.insertAdjacentElement('afterend', note);
+        });
+        return unplaced;
+    }
+
+    function setSaveStatus(card, message, isError) {
+        const status = card.querySelector('.save-status');
+        status.classList.toggle('error', Boolean(isError));
+        status.textContent = message;
+    }
+
+    async function submit(card) {
+        const button = card.querySelector('[data-action="save"]');
+        button.disabled = true;
+        setSaveStatus(card, 'Saving…');
+        try {
+            const data = await request(ENDPOINT, {
+                method: 'PUT',
+                body: JSON.stringify({ bot: card.dataset.bot, config: { ...read(card), active: true } })
+            });
+            if (!data.success) {
+                const unplaced = showErrors(card, data.errors || [{ field: data.field, message: data.error }]);
+                setSaveStatus(card, unplaced.length ? unplaced.join(' ') : 'Please fix the highlighted fields', true);
+                return null;
+            }
+            clearErrors(card);
+            fill(card, data.config);
+            setSaveStatus(card, '✅ Saved');
+            return data.config;
+        } catch (error) {
+            setSaveStatus(card, 'Could not reach the server, try again', true);
+            return null;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Tracked tenders, soonest deadline first
+    async function loadTenders() {
+        const data = await request(TENDERS_ENDPOINT);
+        if (!data.success) {
+            throw new Error(data.error || 'Could not load tenders');
+        }
+        return data.tenders;
+    }
+
+    function formatTenderValue(tender) {
+        if (tender.value === null) return 'Value not stated';
+        if (tender.currency === 'INR' && tender.value >= 1e7) return `₹${Number((tender.value / 1e7).toFixed(2))} Crore`;
+        if (tender.currency === 'INR' && tender.value >= 1e5) return `₹${Number((tender.value / 1e5).toFixed(2))} Lakh`;
+        return new Intl.NumberFormat('en-IN', { style: 'currency', currency: tender.currency || 'INR', maximumFractionDigits: 0 })
+            .format(tender.value);
+    }
+
+    function formatDaysLeft(tender) {
+        if (tender.daysLeft === null) return 'No deadline stated';
+        const days = Math.ceil(tender.daysLeft);
+        const date = new Date(tender.deadline).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+        return `Closes ${date} (${days} day${days === 1 ? '' : 's'} left)`;
+    }
+
+    // Replaces the example match with the next deadlines; leaves it while
+    // nothing is tracked yet
+    function showTenders(card, tenders) {
+        if (!tenders.length) return;
+        card.querySelector('.preview-title').textContent = `Upcoming Deadlines (${tenders.length} tracked)`;
+        const content = card.querySelector('.preview-content');
+        content.replaceChildren(...tenders.slice(0, PREVIEW_TENDERS).map(tender => {
+            const entry = root.document.createElement('p');
+            entry.className = 'tender-deadline';
+            const title = root.document.createElement(tender.url ? 'a' : 'strong');
+            title.textContent = `📋 ${tender.title}`;
+            if (tender.url) {
+                title.href = tender.url;
+                title.target = '_blank';
+                title.rel = 'noopener';
+            }
+            const details = root.document.createElement('span');
+            details.textContent = [tender.issuer, formatTenderValue(tender), formatDaysLeft(tender)]
+                .filter(Boolean).join(' • ');
+            entry.append(title, root.document.createElement('br'), details);
+            return entry;
+        }));
+    }
+
+    const BotConfig = { load, read, fill, showErrors, submit, loadTenders, showTenders };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BotConfig;
+    } else {
+        root.BotConfig = BotConfig;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
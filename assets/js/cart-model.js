@@ -0,0 +1,152 @@
+// Shared cart model
+// One schema for everything that reads or writes localStorage['cart']
+// (ShoppingCart, CheckoutManager, test-payment.html). Stored payloads are
+// versioned; older shapes are migrated on load so quantities and names
+// survive upgrades.
+//
+// Current schema (version 3):
+//   { version: 3, items: [{ id, name, description, price, quantity, recurring }],
+//     coupon: 'CODE' | null }
+// `recurring` is 'monthly' for subscription plans and null for one-off items.
+// `coupon` is the code the shopper entered; the server re-validates it.
+// Version 2 had no coupon. Version 1 (unversioned) payloads were bare
+// arrays whose items used either `title` (ShoppingCart) or
+// `name`/`description` (checkout test items) and sometimes had no quantity.
+(function (root) {
+    const STORAGE_KEY = 'cart';
+    const SCHEMA_VERSION = 3;
+
+    function normalizeItem(raw) {
+        if (!raw || typeof raw !== 'object' || !raw.id) return null;
+
+        const price = Number(raw.price);
+        const quantity = raw.quantity === undefined ? 1 : parseInt(raw.quantity, 10);
+        if (!Number.isFinite(price) || price < 0 || !(quantity > 0)) return null;
+
+        return {
+            id: String(raw.id),
+            name: String(raw.name || raw.title || raw.id),
+            description: raw.description ? String(raw.description) : '',
+            price,
+            quantity,
+            recurring: raw.recurring ? String(raw.recurring) : null
+        };
+    }
+
+    function migrate(payload) {
+        let items = [];
+
+        if (Array.isArray(payload)) {
+            items = payload;
+        } else if (payload && typeof payload === 'object' && Array.isArray(payload.items)) {
+            if (payload.version > SCHEMA_VERSION) {
+                console.warn(`Cart schema v${payload.version} is newer than supported v${SCHEMA_VERSION}`);
+            }
+            items = payload.items;
+        }
+
+        // Merge duplicate ids left behind by older writers
+        const merged = [];
+        items.map(normalizeItem).filter(Boolean).forEach(item => {
+            const existing = merged.find(other => other.id === item.id);
+            if (existing) {
+                existing.quantity += item.quantity;
+            } else {
+                merged.push(item);
+            }
+        });
+        return merged;
+    }
+
+    function readPayload(storage) {
+        try {
+            return JSON.parse(storage.getItem(STORAGE_KEY));
+        } catch (error) {
+            console.warn('Discarding unreadable cart:', error);
+            return null;
+        }
+    }
+
+    function writePayload(items, coupon, storage) {
+        storage.setItem(STORAGE_KEY, JSON.stringify({
+            version: SCHEMA_VERSION,
+            items: migrate(items),
+            coupon: coupon || null
+        }));
+    }
+
+    function load(storage = root.localStorage) {
+        return migrate(readPayload(storage));
+    }
+
+    function loadCoupon(storage = root.localStorage) {
+        const payload = readPayload(storage);
+        return payload && typeof payload.coupon === 'string' && payload.coupon ? payload.coupon : null;
+    }
+
+    // Keeps the stored coupon
+    function save(items, storage = root.localStorage) {
+        writePayload(items, loadCoupon(storage), storage);
+    }
+
+    function saveCoupon(code, storage = root.localStorage) {
+        const normalized = String(code || '').trim().toUpperCase();
+        writePayload(load(storage), normalized || null, storage);
+    }
+
+    function clear(storage = root.localStorage) {
+        storage.removeItem(STORAGE_KEY);
+    }
+
+    function addItem(items, item) {
+        const normalized = normalizeItem(item);
+        if (!normalized) return items;
+
+        const existing = items.find(other => other.id === normalized.id);
+        if (existing) {
+            existing.quantity += normalized.quantity;
+        } else {
+            items.push(normalized);
+        }
+        return items;
+    }
+
+    function lineTotal(item) {
+        return item.price * item.quantity;
+    }
+
+    function subtotal(items) {
+        return items.reduce((sum, item) => sum + lineTotal(item), 0);
+    }
+
+    function itemCount(items) {
+        return items.reduce((count, item) => count + item.quantity, 0);
+    }
+
+    function recurringItems(items) {
+        return items.filter(item => item.recurring);
+    }
+
+    const CartModel = {
+        STORAGE_KEY,
+        SCHEMA_VERSION,
+        normalizeItem,
+        migrate,
+        load,
+        save,
+        loadCoupon,
+        saveCoupon,
+        clear,
+        addItem,
+        lineTotal,
+        subtotal,
+        itemCount,
+        recurringItems
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CartModel;
+    } else {
+        root.CartModel = CartModel;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
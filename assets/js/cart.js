@@ -1,7 +1,10 @@
 // Shopping Cart Functionality
 class ShoppingCart {
     constructor() {
-        this.items = JSON.parse(localStorage.getItem('cart')) || [];
+        this.items = CartModel.load();
+        this.coupon = null;
+        this.priceList = null;
+        this.currency = 'INR';
         this.init();
     }
 
@@ -9,6 +12,20 @@ class ShoppingCart {
         this.updateCartCount();
         this.bindEvents();
         this.renderCart();
+        this.loadPrices();
+    }
+
+    // Prices in other currencies come from the server's price list; until
+    // it arrives (or if it cannot be loaded) the cart shows INR
+    async loadPrices() {
+        try {
+            this.priceList = await Currency.loadPriceList();
+        } catch (error) {
+            console.error('Price list unavailable:', error);
+            return;
+        }
+        Currency.renderPrices(this.priceList);
+        this.renderCart();
     }
 
     bindEvents() {
@@ -18,10 +35,27 @@ class ShoppingCart {
                 const plan = e.target.dataset.plan;
                 const price = parseInt(e.target.dataset.price);
                 const title = e.target.dataset.title;
-                this.addItem(plan, title, price);
+                const description = e.target.dataset.description;
+                const recurring = e.target.dataset.recurring;
+                this.addItem(plan, title, price, 1, description, recurring);
             });
         });
 
+        // Quantity and remove buttons; renderCart() replaces them, so one
+        // listener on the list handles them all
+        const cartItems = document.getElementById('cartItems');
+        if (cartItems) {
+            cartItems.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                if (!button) return;
+                const id = button.closest('.cart-item').dataset.id;
+                const item = this.items.find(entry => entry.id === id);
+                if (!item) return;
+                if (button.dataset.action === 'remove') this.removeItem(id);
+                else this.updateQuantity(id, item.quantity + (button.dataset.action === 'increase' ? 1 : -1));
+            });
+        }
+
         // Cart icon click
         const cartIcon = document.getElementById('cartIcon');
         if (cartIcon) {
@@ -45,22 +79,39 @@ class ShoppingCart {
         if (checkoutBtn) {
             checkoutBtn.addEventListener('click', () => this.proceedToCheckout());
         }
-    }
 
-    addItem(id, title, price, quantity = 1) {
-        const existingItem = this.items.find(item => item.id === id);
-        
-        if (existingItem) {
-            existingItem.quantity += quantity;
-        } else {
-            this.items.push({
-                id,
-                title,
-                price,
-                quantity
+        // Coupon code
+        const couponForm = document.getElementById('cartCouponForm');
+        if (couponForm) {
+            couponForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.applyCoupon(document.getElementById('cartCouponInput').value);
             });
         }
 
+        const couponRemove = document.getElementById('cartCouponRemove');
+        if (couponRemove) {
+            couponRemove.addEventListener('click', () => this.removeCoupon());
+        }
+
+        // Currency toggle
+        Currency.bindSelects();
+        window.addEventListener(Currency.CHANGE_EVENT, () => {
+            if (this.priceList) Currency.renderPrices(this.priceList);
+            this.renderCart();
+        });
+    }
+
+    addItem(id, title, price, quantity = 1, description = '', recurring = null) {
+        CartModel.addItem(this.items, {
+            id,
+            name: title,
+            description,
+            price,
+            quantity,
+            recurring
+        });
+
         this.saveCart();
         this.updateCartCount();
         this.renderCart();
@@ -83,21 +134,31 @@ class ShoppingCart {
             } else {
                 item.quantity = quantity;
                 this.saveCart();
+                this.updateCartCount();
                 this.renderCart();
             }
         }
     }
 
+    unitPrice(item) {
+        return Currency.priceOf(item, this.currency, this.priceList);
+    }
+
+    // In this.currency, major units
     getTotal() {
-        return this.items.reduce((total, item) => total + (item.price * item.quantity), 0);
+        return this.items.reduce((sum, item) => sum + this.unitPrice(item) * item.quantity, 0);
+    }
+
+    formatAmount(amount) {
+        return Currency.format(amount, this.currency);
     }
 
     getItemCount() {
-        return this.items.reduce((count, item) => count + item.quantity, 0);
+        return CartModel.itemCount(this.items);
     }
 
     saveCart() {
-        localStorage.setItem('cart', JSON.stringify(this.items));
+        CartModel.save(this.items);
     }
 
     updateCartCount() {
@@ -116,30 +177,104 @@ class ShoppingCart {
 
         if (!cartItems) return;
 
+        this.currency = Currency.forCart(this.items, Currency.current(), this.priceList);
+
         if (this.items.length === 0) {
             cartItems.innerHTML = '<p class="empty-cart">Your cart is empty</p>';
-            if (cartTotal) cartTotal.textContent = '0';
+            if (cartTotal) cartTotal.textContent = this.formatAmount(0);
             if (checkoutBtn) checkoutBtn.disabled = true;
+            this.coupon = null;
+            this.renderCoupon();
             return;
         }
 
         cartItems.innerHTML = this.items.map(item => `
             <div class="cart-item" data-id="${item.id}">
                 <div class="item-info">
-                    <h4>${item.title}</h4>
-                    <p class="item-price">₹${item.price.toLocaleString()}</p>
+                    <h4>${item.name}</h4>
+                    <p class="item-price">${this.formatAmount(this.unitPrice(item))}${item.quantity > 1 ? ` × ${item.quantity} = ${this.formatAmount(this.unitPrice(item) * item.quantity)}` : ''}</p>
                 </div>
                 <div class="item-controls">
-                    <button class="quantity-btn minus" onclick="cart.updateQuantity('${item.id}', ${item.quantity - 1})">-</button>
+                    <button class="quantity-btn minus" data-action="decrease">-</button>
                     <span class="quantity">${item.quantity}</span>
-                    <button class="quantity-btn plus" onclick="cart.updateQuantity('${item.id}', ${item.quantity + 1})">+</button>
-                    <button class="remove-btn" onclick="cart.removeItem('${item.id}')">🗑️</button>
+                    <button class="quantity-btn plus" data-action="increase">+</button>
+                    <button class="remove-btn" data-action="remove">🗑️</button>
                 </div>
             </div>
         `).join('');
 
-        if (cartTotal) cartTotal.textContent = this.getTotal().toLocaleString();
+        if (cartTotal) cartTotal.textContent = this.formatAmount(this.getTotal());
         if (checkoutBtn) checkoutBtn.disabled = false;
+
+        const currencyNote = document.getElementById('cartCurrencyNote');
+        if (currencyNote) currencyNote.hidden = this.currency === Currency.current();
+
+        this.refreshCoupon();
+    }
+
+    applyCoupon(code) {
+        CartModel.saveCoupon(code);
+        this.refreshCoupon(true);
+    }
+
+    removeCoupon() {
+        CartModel.saveCoupon(null);
+        this.refreshCoupon();
+    }
+
+    // The discount depends on the cart, so the server re-checks the code
+    // whenever the items change. Checkout enforces per-customer rules.
+    async refreshCoupon(reportErrors = false) {
+        const code = CartModel.loadCoupon();
+        this.coupon = null;
+
+        if (code && this.items.length > 0) {
+            try {
+                const response = await fetch('/api/coupon/validate', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        code,
+                        items: this.items.map(item => ({ id: item.id, quantity: item.quantity })),
+                        currency: this.currency
+                    })
+                });
+                const data = await response.json();
+                if (data.success) {
+                    this.coupon = data;
+                } else {
+                    CartModel.saveCoupon(null);
+                    if (reportErrors) {
+                        this.renderCoupon(data.error);
+                        return;
+                    }
+                }
+            } catch (error) {
+                console.error('Coupon check failed:', error);
+            }
+        }
+
+        this.renderCoupon();
+    }
+
+    renderCoupon(errorMessage = '') {
+        const message = document.getElementById('cartCouponMessage');
+        const discountRow = document.getElementById('cartDiscountRow');
+        const cartTotal = document.getElementById('cartTotal');
+        if (!message || !discountRow) return;
+
+        const discount = this.coupon ? this.coupon.discount : 0;
+        message.classList.toggle('error', Boolean(errorMessage));
+        message.textContent = errorMessage || (this.coupon ? this.coupon.coupon.description : '');
+        discountRow.hidden = !this.coupon;
+        if (this.coupon) {
+            document.getElementById('cartCouponCode').textContent = this.coupon.coupon.code;
+            document.getElementById('cartDiscount').textContent = this.formatAmount(discount);
+            document.getElementById('cartCouponInput').value = '';
+        }
+        if (cartTotal) cartTotal.textContent = this.formatAmount(this.getTotal() - discount);
     }
 
     toggleCart() {
@@ -211,6 +346,7 @@ class ShoppingCart {
         localStorage.setItem('checkoutData', JSON.stringify({
             items: this.items,
             total: this.getTotal(),
+            currency: this.currency,
             timestamp: Date.now()
         }));
 
@@ -2,19 +2,65 @@
 class CheckoutManager {
     constructor() {
         this.cart = this.getCartFromStorage();
+        this.coupon = null;
+        this.priceList = null;
+        this.currency = 'INR';
         this.init();
     }
 
     init() {
         this.loadCartItems();
+        this.populateStates();
         this.calculateTotals();
         this.setupEventListeners();
         this.loadRazorpayScript();
+        this.validateCoupon();
+        this.loadPrices();
+    }
+
+    async loadPrices() {
+        try {
+            this.priceList = await Currency.loadPriceList();
+        } catch (error) {
+            console.error('Price list unavailable:', error);
+            return;
+        }
+        this.refreshCurrency();
+    }
+
+    // Indian billing addresses are charged in INR (GST applies); others pay
+    // in the chosen currency, as zero-rated exports, when the cart allows it
+    chargeCurrency() {
+        const preferred = this.getBuyer().country === 'IN' ? 'INR' : Currency.current();
+        return Currency.forCart(this.cart, preferred, this.priceList);
+    }
+
+    refreshCurrency() {
+        const currency = this.chargeCurrency();
+        const changed = currency !== this.currency;
+        this.currency = currency;
+
+        const note = document.getElementById('currencyNote');
+        note.hidden = currency === Currency.current();
+        note.textContent = this.getBuyer().country === 'IN'
+            ? 'Billing addresses in India are charged in INR.'
+            : 'Monthly plans are only sold in INR, so this order is priced in rupees.';
+
+        this.loadCartItems();
+        if (changed) {
+            // Fixed-amount coupons differ per currency
+            this.validateCoupon();
+        } else {
+            this.calculateTotals();
+        }
+    }
+
+    unitPrice(item) {
+        return Currency.priceOf(item, this.currency, this.priceList);
     }
 
     getCartFromStorage() {
-        const cart = localStorage.getItem('cart');
-        return cart ? JSON.parse(cart) : [];
+        return CartModel.load();
     }
 
     loadCartItems() {
@@ -31,20 +77,23 @@ class CheckoutManager {
         let sidebarHTML = '';
 
         this.cart.forEach(item => {
+            const quantityLabel = item.quantity > 1 ? ` × ${item.quantity}` : '';
+            const lineTotal = this.formatAmount(Math.round(this.unitPrice(item) * 100) * item.quantity);
+
             itemsHTML += `
                 <div class="order-item">
                     <div class="item-info">
-                        <h4>${item.name}</h4>
+                        <h4>${item.name}${quantityLabel}</h4>
                         <p>${item.description}</p>
                     </div>
-                    <div class="item-price">₹${item.price.toLocaleString()}</div>
+                    <div class="item-price">${lineTotal}</div>
                 </div>
             `;
 
             sidebarHTML += `
                 <div class="summary-item">
-                    <span>${item.name}</span>
-                    <span>₹${item.price.toLocaleString()}</span>
+                    <span>${item.name}${quantityLabel}</span>
+                    <span>${lineTotal}</span>
                 </div>
             `;
         });
@@ -53,22 +102,130 @@ class CheckoutManager {
         sidebarItems.innerHTML = sidebarHTML;
     }
 
+    populateStates() {
+        const stateList = document.getElementById('stateList');
+        stateList.innerHTML = Object.values(TaxEngine.STATES)
+            .map(state => `<option value="${state.name}"></option>`)
+            .join('');
+    }
+
+    getBuyer() {
+        const form = document.getElementById('checkoutForm');
+        return {
+            country: form.elements.country.value,
+            state: form.elements.state.value,
+            gstin: form.elements.gstin.value.trim()
+        };
+    }
+
+    // Same computation as the order API (lib/catalog.js), in minor units of
+    // this.currency, with the per-line coupon discounts the server reported
+    // and the server's SELLER_STATE
+    computeTax(buyer) {
+        const discounts = this.coupon ? this.coupon.lines : [];
+        const lines = this.cart.map(item => {
+            const discount = discounts.find(line => line.id === item.id);
+            return {
+                id: item.id,
+                title: item.name,
+                unitPrice: Math.round(this.unitPrice(item) * 100),
+                quantity: item.quantity,
+                discount: discount ? Math.round(discount.discount * 100) : 0
+            };
+        });
+        const sellerState = window.AppConfig && AppConfig.get().sellerState;
+        return TaxEngine.compute(lines, buyer, sellerState || undefined);
+    }
+
+    // Checks the stored coupon against this cart; a rejected code is dropped
+    // with the reason. Per-customer rules (one use each, first purchase only)
+    // are checked against the signed-in account, so those codes need the
+    // buyer signed in before paying.
+    async validateCoupon() {
+        const code = CartModel.loadCoupon();
+        const message = document.getElementById('couponMessage');
+        let rejection = '';
+        this.coupon = null;
+
+        if (code && this.cart.length > 0) {
+            try {
+                const response = await fetch('/api/coupon/validate', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        code,
+                        items: this.cart.map(item => ({ id: item.id, quantity: item.quantity })),
+                        currency: this.currency
+                    })
+                });
+                const data = await response.json();
+                if (data.success) {
+                    this.coupon = data;
+                    document.getElementById('couponInput').value = '';
+                } else {
+                    CartModel.saveCoupon(null);
+                    rejection = data.error;
+                }
+            } catch (error) {
+                console.error('Coupon check failed:', error);
+            }
+        }
+
+        message.classList.toggle('error', Boolean(rejection));
+        message.textContent = rejection || (this.coupon ? this.coupon.coupon.description : '');
+        this.calculateTotals();
+    }
+
+    formatAmount(minor) {
+        return Currency.format(minor / 100, this.currency);
+    }
+
+    showFieldError(field, message) {
+        const gstinInput = document.getElementById('gstin');
+        const gstinError = document.getElementById('gstinError');
+        const invalid = field === 'gstin' && Boolean(message);
+        gstinInput.classList.toggle('error', invalid);
+        gstinError.textContent = invalid ? message : '';
+    }
+
     calculateTotals() {
-        const subtotal = this.cart.reduce((sum, item) => sum + item.price, 0);
-        const gst = Math.round(subtotal * 0.18);
-        const total = subtotal + gst;
+        let result;
+        try {
+            result = this.computeTax(this.getBuyer());
+            this.showFieldError(null);
+        } catch (error) {
+            if (!(error instanceof TaxEngine.TaxError)) throw error;
+            // Preview the home-state rate until the field is fixed
+            result = this.computeTax({ country: 'IN' });
+            this.showFieldError(error.field, error.message);
+        }
+
+        const label = `${TaxEngine.describe(result)}:`;
+        const subtotal = this.formatAmount(result.gross);
+        const discount = this.formatAmount(result.discount);
+        const gst = this.formatAmount(result.tax);
+        const total = this.formatAmount(result.total);
 
         // Update main checkout totals
-        document.getElementById('subtotal').textContent = subtotal.toLocaleString();
-        document.getElementById('gst').textContent = gst.toLocaleString();
-        document.getElementById('finalTotal').textContent = total.toLocaleString();
+        document.getElementById('gstLabel').textContent = label;
+        document.getElementById('subtotal').textContent = subtotal;
+        document.getElementById('discountRow').hidden = !this.coupon;
+        document.getElementById('couponCode').textContent = this.coupon ? this.coupon.coupon.code : '';
+        document.getElementById('discount').textContent = discount;
+        document.getElementById('gst').textContent = gst;
+        document.getElementById('finalTotal').textContent = total;
 
         // Update sidebar totals
-        document.getElementById('sidebarSubtotal').textContent = subtotal.toLocaleString();
-        document.getElementById('sidebarGst').textContent = gst.toLocaleString();
-        document.getElementById('sidebarTotal').textContent = total.toLocaleString();
+        document.getElementById('sidebarGstLabel').textContent = label;
+        document.getElementById('sidebarSubtotal').textContent = subtotal;
+        document.getElementById('sidebarDiscountRow').hidden = !this.coupon;
+        document.getElementById('sidebarDiscount').textContent = discount;
+        document.getElementById('sidebarGst').textContent = gst;
+        document.getElementById('sidebarTotal').textContent = total;
 
-        this.totalAmount = total;
+        this.totalAmount = result.total;
     }
 
     setupEventListeners() {
@@ -77,6 +234,25 @@ class CheckoutManager {
             e.preventDefault();
             this.processPayment();
         });
+
+        ['state', 'gstin'].forEach(name => {
+            form.elements[name].addEventListener('input', () => this.calculateTotals());
+        });
+        form.elements.country.addEventListener('input', () => this.refreshCurrency());
+
+        Currency.bindSelects();
+        window.addEventListener(Currency.CHANGE_EVENT, () => this.refreshCurrency());
+
+        document.getElementById('couponForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            CartModel.saveCoupon(document.getElementById('couponInput').value);
+            this.validateCoupon();
+        });
+
+        document.getElementById('couponRemove').addEventListener('click', () => {
+            CartModel.saveCoupon(null);
+            this.validateCoupon();
+        });
     }
 
     loadRazorpayScript() {
@@ -108,9 +284,29 @@ class CheckoutManager {
             city: formData.get('city'),
             state: formData.get('state'),
             pincode: formData.get('pincode'),
-            country: formData.get('country')
+            country: formData.get('country'),
+            gstin: formData.get('gstin').trim().toUpperCase()
         };
 
+        try {
+            this.computeTax(customerData);
+        } catch (error) {
+            if (!(error instanceof TaxEngine.TaxError)) throw error;
+            alert(error.message);
+            document.getElementById(error.field).focus();
+            return;
+        }
+
+        const recurring = CartModel.recurringItems(this.cart);
+        if (recurring.length > 0) {
+            if (this.cart.length > 1 || recurring[0].quantity > 1) {
+                alert('Monthly plans are billed separately. Please check out a single plan on its own.');
+                return;
+            }
+            this.processSubscription(recurring[0], customerData);
+            return;
+        }
+
         try {
             // Show loading
             const btn = document.getElementById('placeOrderBtn');
@@ -124,13 +320,29 @@ class CheckoutManager {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
-                    amount: this.totalAmount,
-                    currency: 'INR',
+                    items: this.cart.map(item => ({
+                        id: item.id,
+                        quantity: item.quantity
+                    })),
+                    amount: this.totalAmount / 100,
+                    currency: this.currency,
                     receipt: `receipt_${Date.now()}`,
+                    coupon: this.coupon ? this.coupon.coupon.code : undefined,
+                    customer: {
+                        name: `${customerData.firstName} ${customerData.lastName}`,
+                        email: customerData.email,
+                        phone: customerData.phone,
+                        company: customerData.company,
+                        gstin: customerData.gstin,
+                        address: customerData.address,
+                        city: customerData.city,
+                        state: customerData.state,
+                        pincode: customerData.pincode,
+                        country: customerData.country
+                    },
                     notes: {
                         customer_name: `${customerData.firstName} ${customerData.lastName}`,
-                        customer_email: customerData.email,
-                        items: this.cart.map(item => item.name).join(', ')
+                        customer_email: customerData.email
                     }
                 })
             });
@@ -182,6 +394,114 @@ class CheckoutManager {
         }
     }
 
+    resetPlaceOrderButton() {
+        const btn = document.getElementById('placeOrderBtn');
+        btn.innerHTML = '🔒 Place Order Securely';
+        btn.disabled = false;
+    }
+
+    async processSubscription(item, customerData) {
+        const btn = document.getElementById('placeOrderBtn');
+        const name = `${customerData.firstName} ${customerData.lastName}`;
+
+        try {
+            btn.innerHTML = '⏳ Processing...';
+            btn.disabled = true;
+
+            const subscriptionResponse = await fetch('/api/subscription/create', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    plan: item.id,
+                    email: customerData.email,
+                    name,
+                    phone: customerData.phone,
+                    country: customerData.country,
+                    state: customerData.state,
+                    gstin: customerData.gstin,
+                    coupon: this.coupon ? this.coupon.coupon.code : undefined
+                })
+            });
+            const subscriptionData = await subscriptionResponse.json();
+
+            if (!subscriptionData.success) {
+                throw new Error(subscriptionData.error || 'Failed to start subscription');
+            }
+
+            const rzp = new Razorpay({
+                key: subscriptionData.key_id,
+                subscription_id: subscriptionData.subscription_id,
+                name: 'Shadow Market Tracker',
+                description: `${item.name} (billed monthly)`,
+                prefill: {
+                    name,
+                    email: customerData.email,
+                    contact: customerData.phone
+                },
+                theme: {
+                    color: '#8B5CF6'
+                },
+                handler: (response) => {
+                    this.verifySubscription(response, customerData);
+                },
+                modal: {
+                    ondismiss: () => this.resetPlaceOrderButton()
+                }
+            });
+            rzp.open();
+
+        } catch (error) {
+            console.error('Subscription error:', error);
+            alert('Payment failed: ' + error.message);
+            this.resetPlaceOrderButton();
+        }
+    }
+
+    // The success page shows the invoice to whoever holds the payment's
+    // signature, so buyers who are not signed in get theirs too
+    keepReceipt(paymentResponse) {
+        sessionStorage.setItem('shadowMarketTracker_receipt', JSON.stringify({
+            paymentId: paymentResponse.razorpay_payment_id,
+            signature: paymentResponse.razorpay_signature
+        }));
+    }
+
+    async verifySubscription(paymentResponse, customerData) {
+        try {
+            const verifyResponse = await fetch('/api/subscription/verify', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    razorpay_subscription_id: paymentResponse.razorpay_subscription_id,
+                    razorpay_payment_id: paymentResponse.razorpay_payment_id,
+                    razorpay_signature: paymentResponse.razorpay_signature
+                })
+            });
+
+            const verifyData = await verifyResponse.json();
+
+            if (!verifyData.success) {
+                throw new Error('Payment verification failed');
+            }
+
+            CartModel.clear();
+            this.keepReceipt(paymentResponse);
+            if (verifyData.subscription.licence) {
+                PremiumLicense.store(verifyData.subscription.licence.token);
+            }
+
+            window.location.href = `payment-success.html?payment_id=${paymentResponse.razorpay_payment_id}&subscription_id=${paymentResponse.razorpay_subscription_id}&plan=${encodeURIComponent(verifyData.subscription.planTitle)}`;
+
+        } catch (error) {
+            console.error('Verification error:', error);
+            alert('Payment verification failed. Please contact support.');
+        }
+    }
+
     async verifyPayment(paymentResponse, customerData) {
         try {
             const verifyResponse = await fetch('/api/verify', {
@@ -200,7 +520,8 @@ class CheckoutManager {
 
             if (verifyData.success) {
                 // Clear cart
-                localStorage.removeItem('cart');
+                CartModel.clear();
+                this.keepReceipt(paymentResponse);
 
                 // Redirect to success page
                 window.location.href = `payment-success.html?payment_id=${paymentResponse.razorpay_payment_id}&order_id=${paymentResponse.razorpay_order_id}`;
@@ -212,6 +533,7 @@ class CheckoutManager {
             console.error('Verification error:', error);
             alert('Payment verification failed. Please contact support.');
         }
+    }
 }
 
 // Initialize checkout when page loads
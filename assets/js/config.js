@@ -0,0 +1,40 @@
+// Public runtime config
+// lib/config.js publicConfig(), inlined by the page templates as JSON in
+// <script id="app-config"> (templates/partials/head.html):
+//   { env, websiteUrl, googleClientId, razorpay: { keyId, mode },
+//     extension: { storeUrl, live }, sellerState, license: { publicKey } }
+// Pages built without it get DEFAULTS.
+(function (root) {
+    const DEFAULTS = {
+        env: 'production',
+        websiteUrl: null,
+        googleClientId: null,
+        razorpay: { keyId: null, mode: 'live' },
+        extension: { storeUrl: null, live: false },
+        sellerState: null,
+        license: { publicKey: null }
+    };
+
+    let config = null;
+
+    function get() {
+        if (config) return config;
+        const element = root.document && root.document.getElementById('app-config');
+        let inlined = {};
+        try {
+            inlined = element ? JSON.parse(element.textContent) : {};
+        } catch (error) {
+            console.error('Unreadable app config:', error);
+        }
+        config = { ...DEFAULTS, ...inlined };
+        return config;
+    }
+
+    const AppConfig = { get };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AppConfig;
+    } else {
+        root.AppConfig = AppConfig;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
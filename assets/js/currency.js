@@ -0,0 +1,166 @@
+// Display currency
+// Shoppers can browse and pay in INR, USD or EUR. Prices come from the fixed
+// per-currency list served by /api/catalog (lib/catalog.js), never from live
+// exchange rates, so what the cart shows is what the order API charges.
+//
+// The currency is the shopper's explicit choice (localStorage['currency'])
+// or else a guess: INR for the India time zone or an Indian locale, EUR for
+// euro-area locales, USD for everyone else. Monthly plans are only sold in
+// INR, so a cart holding one is shown and charged in INR whatever is chosen.
+(function (root) {
+    const SUPPORTED = ['INR', 'USD', 'EUR'];
+    const STORAGE_KEY = 'currency';
+    const CHANGE_EVENT = 'currencychange';
+    const INDIA_TIME_ZONES = ['Asia/Kolkata', 'Asia/Calcutta'];
+    const EURO_REGIONS = ['AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT', 'LT', 'LU',
+        'LV', 'MT', 'NL', 'PT', 'SI', 'SK'];
+    const EURO_LANGUAGES = ['de', 'et', 'fi', 'fr', 'el', 'ga', 'hr', 'it', 'lt', 'lv', 'mt', 'nl', 'sk', 'sl', 'es'];
+
+    function normalize(code) {
+        const upper = String(code || '').trim().toUpperCase();
+        return SUPPORTED.includes(upper) ? upper : null;
+    }
+
+    // 'en-IN' -> { language: 'en', region: 'IN' }
+    function parseLocale(locale) {
+        const [language, ...rest] = String(locale || '').split(/[-_]/);
+        const region = rest.find(part => /^[A-Za-z]{2}$/.test(part));
+        return { language: language.toLowerCase(), region: region ? region.toUpperCase() : null };
+    }
+
+    function environment() {
+        const nav = root.navigator || {};
+        let timeZone = '';
+        try {
+            timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+        } catch (error) {
+            // Older browsers without time zone support fall back to the locale
+        }
+        return { locales: nav.languages || (nav.language ? [nav.language] : []), timeZone };
+    }
+
+    function detect({ locales = [], timeZone = '' } = environment()) {
+        if (INDIA_TIME_ZONES.includes(timeZone)) return 'INR';
+
+        for (const locale of locales) {
+            const { language, region } = parseLocale(locale);
+            if (region === 'IN') return 'INR';
+            if (region) return EURO_REGIONS.includes(region) ? 'EUR' : 'USD';
+            if (EURO_LANGUAGES.includes(language)) return 'EUR';
+        }
+        return 'USD';
+    }
+
+    function current(storage = root.localStorage) {
+        return normalize(storage && storage.getItem(STORAGE_KEY)) || detect();
+    }
+
+    // Remembers the shopper's choice and tells open pages to re-render
+    function set(code, storage = root.localStorage) {
+        const currency = normalize(code);
+        if (!currency) return null;
+        storage.setItem(STORAGE_KEY, currency);
+        if (typeof root.dispatchEvent === 'function' && typeof root.CustomEvent === 'function') {
+            root.dispatchEvent(new root.CustomEvent(CHANGE_EVENT, { detail: { currency } }));
+        }
+        return currency;
+    }
+
+    // amount in major units (rupees, dollars); options override Intl defaults
+    function format(amount, currency, options = {}) {
+        return new Intl.NumberFormat(currency === 'INR' ? 'en-IN' : undefined, {
+            style: 'currency',
+            currency,
+            ...options
+        }).format(amount);
+    }
+
+    // Whole prices without decimals ($349, ₹25,000) for product listings
+    function formatPrice(amount, currency) {
+        const digits = Number.isInteger(amount) ? 0 : 2;
+        return format(amount, currency, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    }
+
+    // { id: { id, title, type, prices: { INR, USD?, EUR? } } }, fetched once
+    let priceListRequest = null;
+    function loadPriceList() {
+        if (!priceListRequest) {
+            priceListRequest = fetch('/api/catalog')
+                .then(response => response.json())
+                .then(data => {
+                    if (!data.success) throw new Error(data.error || 'Price list unavailable');
+                    return data.products.reduce((list, product) => {
+                        list[product.id] = product;
+                        return list;
+                    }, {});
+                })
+                .catch(error => {
+                    priceListRequest = null;
+                    throw error;
+                });
+        }
+        return priceListRequest;
+    }
+
+    // Unit price of a cart item in major units, or null if it is not sold in
+    // that currency. Stored cart prices are INR and only used for INR.
+    function priceOf(item, currency, priceList) {
+        const product = priceList && priceList[item.id];
+        if (product && product.prices[currency] !== undefined) return product.prices[currency];
+        return currency === 'INR' && product === undefined ? item.price : null;
+    }
+
+    // The currency a cart is shown and charged in: the chosen one if every
+    // item is sold in it, INR otherwise
+    function forCart(items, currency, priceList) {
+        return items.every(item => priceOf(item, currency, priceList) !== null) ? currency : 'INR';
+    }
+
+    // Fills in every <select data-currency-select> and keeps it in sync
+    function bindSelects(doc = root.document) {
+        const selects = Array.from(doc.querySelectorAll('[data-currency-select]'));
+        const sync = () => selects.forEach(select => {
+            select.value = current();
+        });
+        selects.forEach(select => {
+            select.innerHTML = SUPPORTED.map(code => `<option value="${code}">${code}</option>`).join('');
+            select.addEventListener('change', () => set(select.value));
+        });
+        sync();
+        root.addEventListener(CHANGE_EVENT, sync);
+    }
+
+    // Rewrites every [data-price-for="<product id>"] in the chosen currency;
+    // products not sold in it keep their INR price
+    function renderPrices(priceList, currency = current(), doc = root.document) {
+        doc.querySelectorAll('[data-price-for]').forEach(element => {
+            const product = priceList[element.dataset.priceFor];
+            if (!product) return;
+            const shown = product.prices[currency] !== undefined ? currency : 'INR';
+            element.textContent = formatPrice(product.prices[shown], shown);
+        });
+    }
+
+    const Currency = {
+        SUPPORTED,
+        STORAGE_KEY,
+        CHANGE_EVENT,
+        normalize,
+        detect,
+        current,
+        set,
+        format,
+        formatPrice,
+        loadPriceList,
+        priceOf,
+        forCart,
+        bindSelects,
+        renderPrices
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Currency;
+    } else {
+        root.Currency = Currency;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
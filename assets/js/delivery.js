@@ -0,0 +1,133 @@
+// Alert delivery settings (bot-config.html)
+// The Delivery Channels card saves where alerts go through
+// /api/delivery/channels: an email address (the account's by default; any
+// other is used once confirmed from the link mailed to it), a Slack
+// incoming webhook and this browser's push subscription (sw.js).
+// Test buttons post to /api/delivery/test, which really sends, and report
+// what each channel did.
+(function (root) {
+    const CHANNELS_ENDPOINT = '/api/delivery/channels';
+    const TEST_ENDPOINT = '/api/delivery/test';
+    const WORKER_URL = '/sw.js';
+    const STATUS_LABELS = { sent: '✅ sent', skipped: '⏭️ skipped', dead: '❌ failed', pending: '⏳ retrying' };
+
+    async function request(path, options = {}) {
+        const response = await fetch(path, {
+            credentials: 'same-origin',
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+        });
+        const data = await response.json().catch(() => ({ success: false, error: `HTTP ${response.status}` }));
+        if (!data.success) {
+            const error = new Error(data.error || `HTTP ${response.status}`);
+            error.field = data.field;
+            throw error;
+        }
+        return data;
+    }
+
+    // { email, slack, mobile }, each with ready / missing
+    async function load() {
+        return (await request(CHANNELS_ENDPOINT)).channels;
+    }
+
+    async function saveChannel(channel, settings) {
+        return (await request(CHANNELS_ENDPOINT, { method: 'PUT', body: JSON.stringify({ channel, settings }) })).channels;
+    }
+
+    async function removeChannel(channel, device) {
+        const query = new URLSearchParams({ channel, ...(device ? { device } : {}) });
+        return (await request(`${CHANNELS_ENDPOINT}?${query}`, { method: 'DELETE' })).channels;
+    }
+
+    function pushSupported() {
+        return 'serviceWorker' in root.navigator && 'PushManager' in root;
+    }
+
+    async function currentSubscription() {
+        if (!pushSupported()) return null;
+        const registration = await root.navigator.serviceWorker.getRegistration(WORKER_URL);
+        return registration ? registration.pushManager.getSubscription() : null;
+    }
+
+    function decodeKey(base64url) {
+        const raw = root.atob(base64url.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(raw, char => char.charCodeAt(0));
+    }
+
+    // Subscribes this browser with the server's VAPID key and saves it
+    async function enablePush(publicKey) {
+        if (!pushSupported()) {
+            throw new Error('This browser does not support push notifications');
+        }
+        if (await root.Notification.requestPermission() !== 'granted') {
+            throw new Error('Notifications are blocked for this site');
+        }
+        const registration = await root.navigator.serviceWorker.register(WORKER_URL);
+        await root.navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: decodeKey(publicKey)
+        });
+        const { endpoint, keys } = subscription.toJSON();
+        const label = /Mobi|Android|iPhone/i.test(root.navigator.userAgent) ? 'Phone' : 'Browser';
+        return saveChannel('mobile', { subscription: { endpoint, keys }, label });
+    }
+
+    async function disablePush(channels) {
+        const subscription = await currentSubscription();
+        if (!subscription) return channels;
+        const device = channels.mobile.devices.find(entry => entry.endpoint === subscription.endpoint);
+        await subscription.unsubscribe();
+        return device ? removeChannel('mobile', device.id) : channels;
+    }
+
+    // channels: ids to test; defaults to the bot's saved ones server-side
+    async function sendTest({ bot, channels } = {}) {
+        return (await request(TEST_ENDPOINT, { method: 'POST', body: JSON.stringify({ bot, channels }) })).deliveries;
+    }
+
+    // One line per channel: "Email ✅ sent • Slack ⏭️ skipped (reason)"
+    function describe(deliveries, channels) {
+        return deliveries.map(delivery => {
+            const name = channels && channels[delivery.channel] ? channels[delivery.channel].title : delivery.channel;
+            const reason = delivery.status === 'sent' || !delivery.lastError ? '' : ` (${delivery.lastError})`;
+            return `${name} ${STATUS_LABELS[delivery.status] || delivery.status}${reason}`;
+        }).join(' • ');
+    }
+
+    function setStatus(card, channel, text, isError) {
+        const status = card.querySelector(`.channel-status[data-channel="${channel}"]`);
+        if (!status) return;
+        status.classList.toggle('error', Boolean(isError));
+        status.textContent = text;
+    }
+
+    async function render(card, channels) {
+        const address = card.querySelector('[name="address"]');
+        address.placeholder = channels.email.address;
+        address.value = channels.email.custom ? channels.email.address : '';
+        setStatus(card, 'email', channels.email.missing || `Alerts go to ${channels.email.address}`, Boolean(channels.email.missing));
+
+        card.querySelector('[name="webhookUrl"]').value = '';
+        setStatus(card, 'slack', channels.slack.connected ? `Connected (${channels.slack.webhook})` : 'Not connected');
+        card.querySelector('[data-action="remove-channel"][data-channel="slack"]').hidden = !channels.slack.connected;
+
+        const subscription = await currentSubscription().catch(() => null);
+        const here = Boolean(subscription && channels.mobile.devices.some(device => device.endpoint === subscription.endpoint));
+        const count = channels.mobile.devices.length;
+        card.querySelector('[data-action="enable-push"]').hidden = here || !channels.mobile.publicKey;
+        card.querySelector('[data-action="disable-push"]').hidden = !here;
+        setStatus(card, 'mobile', !channels.mobile.publicKey
+            ? channels.mobile.missing
+            : `${here ? 'On for this device' : 'Off for this device'}${count ? ` • ${count} device${count === 1 ? '' : 's'} in total` : ''}`);
+    }
+
+    const Delivery = { load, saveChannel, removeChannel, enablePush, disablePush, sendTest, describe, render };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Delivery;
+    } else {
+        root.Delivery = Delivery;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
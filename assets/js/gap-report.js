@@ -0,0 +1,160 @@
+// Gap Finder report (gap-report.html)
+// Lists the user's imported demand datasets (/api/bots/datasets) and the
+// gaps lib/gaps.js scored from them (/api/bots/gaps), each with its score,
+// the points every factor contributed and why. A #gap-<id> hash, as used by
+// the bot's alerts, opens and scrolls to that gap.
+(function (root) {
+    const DATASETS_ENDPOINT = '/api/bots/datasets';
+    const GAPS_ENDPOINT = '/api/bots/gaps';
+    const MARKET_SIZES = {
+        any: 'any market size',
+        '1m-10m': '$1M - $10M markets',
+        '10m-100m': '$10M - $100M markets',
+        '100m-1b': '$100M - $1B markets',
+        '1b-plus': '$1B+ markets'
+    };
+    const REGIONS = {
+        global: 'Global',
+        india: 'India',
+        'north-america': 'North America',
+        europe: 'Europe',
+        'asia-pacific': 'Asia-Pacific'
+    };
+
+    async function request(path, options = {}) {
+        const response = await fetch(path, {
+            credentials: 'same-origin',
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+        });
+        const data = await response.json().catch(() => ({ success: false, error: `HTTP ${response.status}` }));
+        if (!data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    function element(tag, className, text) {
+        const node = root.document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+    }
+
+    function money(value) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency', currency: 'USD', notation: 'compact', maximumFractionDigits: 1
+        }).format(value);
+    }
+
+    async function loadDatasets() {
+        return (await request(DATASETS_ENDPOINT)).datasets;
+    }
+
+    // { filters, gaps, excluded }
+    async function loadReport() {
+        return request(GAPS_ENDPOINT);
+    }
+
+    // Reads a .csv or .json file and imports it under its file name
+    async function importFile(file, name) {
+        const text = await file.text();
+        const data = /\.json$/i.test(file.name) ? JSON.parse(text) : text;
+        return (await request(DATASETS_ENDPOINT, {
+            method: 'POST',
+            body: JSON.stringify({ name: name || file.name.replace(/\.[^.]+$/, ''), data })
+        })).dataset;
+    }
+
+    async function removeDataset(id) {
+        await request(`${DATASETS_ENDPOINT}?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
+    }
+
+    function renderDatasets(list, datasets) {
+        list.replaceChildren();
+        if (!datasets.length) {
+            list.append(element('p', 'empty-note', 'No datasets yet. Import a CSV or JSON export with a niche column and signals such as search volume, complaints, reviews, competitors, funding rounds or market size.'));
+            return;
+        }
+        datasets.forEach(dataset => {
+            const row = element('div', 'dataset-row');
+            const about = element('div');
+            about.append(
+                element('strong', '', dataset.name),
+                element('small', 'dataset-meta', `${dataset.rowCount} rows${dataset.skipped ? `, ${dataset.skipped} skipped` : ''} • ${dataset.signals.join(', ')} • imported ${new Date(dataset.importedAt).toLocaleDateString()}`)
+            );
+            const remove = element('button', 'btn btn-secondary', 'Remove');
+            remove.dataset.action = 'remove-dataset';
+            remove.dataset.id = dataset.id;
+            row.append(about, remove);
+            list.append(row);
+        });
+    }
+
+    function renderGap(gap) {
+        const card = element('details', `gap-card grade-${gap.grade.toLowerCase()}`);
+        card.id = `gap-${gap.id}`;
+
+        const summary = element('summary', 'gap-summary');
+        const heading = element('div');
+        heading.append(
+            element('h3', 'gap-niche', gap.niche),
+            element('p', 'gap-meta', [
+                REGIONS[gap.region] || gap.region,
+                gap.marketSize === null ? 'Market size unknown' : `${money(gap.marketSize)} market`,
+                gap.revenuePotential === null ? null : `${money(gap.revenuePotential)}/yr at a 1% share`
+            ].filter(Boolean).join(' • '))
+        );
+        const score = element('div', 'gap-score');
+        score.append(element('span', 'gap-score-value', String(gap.score)), element('small', '', gap.grade));
+        summary.append(heading, score);
+
+        const body = element('div', 'gap-body');
+        body.append(element('p', 'gap-explanation', gap.summary));
+        gap.factors.forEach(factor => {
+            const row = element('div', 'factor-row');
+            const label = element('div', 'factor-label');
+            label.append(element('span', '', factor.label), element('span', 'factor-points', `+${factor.points}`));
+            const bar = element('div', 'factor-bar');
+            const fill = element('span');
+            fill.style.width = `${Math.round(factor.normalized * 100)}%`;
+            bar.append(fill);
+            row.append(label, bar, element('small', 'factor-explanation', factor.explanation));
+            body.append(row);
+        });
+        if (gap.missing.length) {
+            body.append(element('p', 'gap-missing', `Not scored, no data: ${gap.missing.join(', ')}. The other factors were weighted up to fill their share.`));
+        }
+        body.append(element('p', 'gap-sources', `From ${gap.datasets.join(', ')}`));
+
+        card.append(summary, body);
+        return card;
+    }
+
+    function renderReport(container, filters, report) {
+        container.replaceChildren();
+        const hidden = report.excluded.marketSize + report.excluded.region;
+        filters.textContent = `Showing ${MARKET_SIZES[report.filters.marketSize] || report.filters.marketSize} in ${REGIONS[report.filters.region] || report.filters.region}`
+            + (hidden ? ` (${hidden} gap${hidden === 1 ? '' : 's'} outside these filters hidden)` : '');
+
+        if (!report.gaps.length) {
+            container.append(element('p', 'empty-note', 'No gaps to score yet. Import a dataset above or widen the filters in your Gap Finder settings.'));
+            return;
+        }
+        report.gaps.forEach(gap => container.append(renderGap(gap)));
+
+        const target = root.location && root.location.hash ? root.document.getElementById(root.location.hash.slice(1)) : null;
+        if (target) {
+            target.open = true;
+            target.scrollIntoView({ block: 'start' });
+        }
+    }
+
+    const GapReport = { loadDatasets, loadReport, importFile, removeDataset, renderDatasets, renderReport };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GapReport;
+    } else {
+        root.GapReport = GapReport;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
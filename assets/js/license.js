@@ -0,0 +1,90 @@
+// Premium licence client
+// Stores the signed licence returned by /api/verify and checks it, online
+// via /api/license/validate or offline when the API is unreachable, against
+// the Ed25519 public key inlined into the page at build time (AppConfig).
+// The key is never taken from storage, where anyone could replace it. The
+// extension reads the same token from chrome.storage.local.premiumLicense.
+(function (root) {
+    const STORAGE_KEY = 'shadowMarketTracker_license';
+    const LEGACY_KEY = 'shadowMarketTracker_premium';
+
+    function base64UrlToBytes(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    function store(token) {
+        localStorage.setItem(STORAGE_KEY, token);
+        // Client-computed premium flags are no longer trusted anywhere
+        localStorage.removeItem(LEGACY_KEY);
+
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            chrome.storage.local.set({ premiumLicense: token });
+        }
+    }
+
+    function load() {
+        return localStorage.getItem(STORAGE_KEY);
+    }
+
+    function publicKey() {
+        const config = root.AppConfig ? root.AppConfig.get() : {};
+        return (config.license && config.license.publicKey) || null;
+    }
+
+    // Resolves { valid, reason, license } or null if the browser lacks
+    // Ed25519 support in WebCrypto
+    async function verifyOffline(token, publicKeyRaw) {
+        const [body, signature] = String(token).split('.');
+        if (!body || !signature) return { valid: false, reason: 'malformed', license: null };
+
+        let key;
+        try {
+            key = await crypto.subtle.importKey('raw', base64UrlToBytes(publicKeyRaw), { name: 'Ed25519' }, false, ['verify']);
+        } catch (error) {
+            return null;
+        }
+
+        const signed = await crypto.subtle.verify('Ed25519', key, base64UrlToBytes(signature), new TextEncoder().encode(body));
+        if (!signed) return { valid: false, reason: 'bad_signature', license: null };
+
+        const claims = JSON.parse(new TextDecoder().decode(base64UrlToBytes(body)));
+        const license = {
+            id: claims.lid,
+            plan: claims.plan,
+            features: claims.features,
+            email: claims.sub,
+            expiresAt: new Date(claims.exp * 1000).toISOString()
+        };
+        if (claims.exp * 1000 <= Date.now()) {
+            return { valid: false, reason: 'expired', license };
+        }
+        return { valid: true, reason: null, license };
+    }
+
+    async function validate(token = load()) {
+        if (!token) return { valid: false, reason: 'missing', license: null };
+
+        try {
+            const response = await fetch(`/api/license/validate?token=${encodeURIComponent(token)}`);
+            const data = await response.json();
+            if (data.success) {
+                return { valid: data.valid, reason: data.reason, license: data.license };
+            }
+        } catch (error) {
+            console.warn('Licence API unreachable, checking offline:', error);
+        }
+
+        const publicKeyRaw = publicKey();
+        const offline = publicKeyRaw ? await verifyOffline(token, publicKeyRaw) : null;
+        return offline || { valid: false, reason: 'unverifiable', license: null };
+    }
+
+    root.PremiumLicense = {
+        store,
+        load,
+        validate,
+        verifyOffline
+    };
+})(window);
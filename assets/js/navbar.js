@@ -0,0 +1,13 @@
+// Navbar scroll effect (templates/partials/navbar.html)
+// The fixed navbar turns solid once the page scrolls.
+(function (root) {
+    const navbar = root.document.getElementById('navbar');
+    if (!navbar) return;
+
+    function update() {
+        navbar.classList.toggle('scrolled', root.scrollY > 50);
+    }
+
+    root.addEventListener('scroll', update);
+    update();
+})(window);
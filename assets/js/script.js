@@ -137,9 +137,11 @@ document.addEventListener('DOMContentLoaded', function() {
         }, 3000);
     }
     
-    // Chrome Web Store link management
-    const chromeStoreUrl = 'https://chrome.google.com/webstore/detail/shadow-market-tracker/'; // Will be updated with actual ID
-    const isExtensionLive = false; // Set to true when extension is published
+    // Chrome Web Store link: EXTENSION_STORE_URL and EXTENSION_LIVE on the
+    // server (lib/config.js), inlined into the page (assets/js/config.js)
+    const extension = window.AppConfig ? AppConfig.get().extension : { storeUrl: null, live: false };
+    const chromeStoreUrl = extension.storeUrl;
+    const isExtensionLive = extension.live && Boolean(chromeStoreUrl);
 
     // Handle extension download buttons
     const extensionButtons = document.querySelectorAll('#getExtensionBtn, #heroGetExtensionBtn');
@@ -165,7 +167,7 @@ document.addEventListener('DOMContentLoaded', function() {
                     <p>Shadow Market Tracker is currently being reviewed by the Chrome Web Store team.</p>
                     <p>We'll notify you as soon as it's available for download!</p>
                     <div class="modal-actions">
-                        <button class="btn btn-primary" onclick="this.closest('.coming-soon-modal').remove()">
+                        <button class="btn btn-primary" data-action="close">
                             Got it!
                         </button>
                         <a href="products.html" class="btn btn-secondary">
@@ -175,6 +177,7 @@ document.addEventListener('DOMContentLoaded', function() {
                 </div>
             </div>
         `;
+        modal.querySelector('[data-action="close"]').addEventListener('click', () => modal.remove());
         document.body.appendChild(modal);
 
         // Auto-remove after 5 seconds
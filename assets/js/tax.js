@@ -0,0 +1,208 @@
+// GST tax engine
+// Shared by the checkout preview and the order API so the browser shows
+// exactly what the server charges and the invoice prints. All amounts are
+// integer paise; tax is rounded per line and totals are sums of lines.
+//
+//   Seller and buyer in the same state   -> CGST 9% + SGST/UTGST 9%
+//   Different Indian states              -> IGST 18%
+//   Buyer outside India                  -> zero-rated export (0%)
+//
+// A registered (B2B) buyer's GSTIN fixes the place of supply to the state
+// encoded in its first two digits; without a GSTIN or a state it is the
+// seller's own state.
+(function (root) {
+    const GST_RATE = 0.18;
+    const DEFAULT_SELLER_STATE = '08'; // Rajasthan (registered office, Jaipur)
+
+    // GST state codes. `ut` marks Union Territories without a legislature,
+    // which levy UTGST instead of SGST.
+    const STATES = {
+        '01': { name: 'Jammu and Kashmir', abbr: 'JK' },
+        '02': { name: 'Himachal Pradesh', abbr: 'HP' },
+        '03': { name: 'Punjab', abbr: 'PB' },
+        '04': { name: 'Chandigarh', abbr: 'CH', ut: true },
+        '05': { name: 'Uttarakhand', abbr: 'UK', aliases: ['UT', 'Uttaranchal'] },
+        '06': { name: 'Haryana', abbr: 'HR' },
+        '07': { name: 'Delhi', abbr: 'DL', aliases: ['New Delhi', 'NCT of Delhi'] },
+        '08': { name: 'Rajasthan', abbr: 'RJ' },
+        '09': { name: 'Uttar Pradesh', abbr: 'UP' },
+        '10': { name: 'Bihar', abbr: 'BR' },
+        '11': { name: 'Sikkim', abbr: 'SK' },
+        '12': { name: 'Arunachal Pradesh', abbr: 'AR' },
+        '13': { name: 'Nagaland', abbr: 'NL' },
+        '14': { name: 'Manipur', abbr: 'MN' },
+        '15': { name: 'Mizoram', abbr: 'MZ' },
+        '16': { name: 'Tripura', abbr: 'TR' },
+        '17': { name: 'Meghalaya', abbr: 'ML' },
+        '18': { name: 'Assam', abbr: 'AS' },
+        '19': { name: 'West Bengal', abbr: 'WB' },
+        '20': { name: 'Jharkhand', abbr: 'JH' },
+        '21': { name: 'Odisha', abbr: 'OD', aliases: ['OR', 'Orissa'] },
+        '22': { name: 'Chhattisgarh', abbr: 'CG', aliases: ['CT'] },
+        '23': { name: 'Madhya Pradesh', abbr: 'MP' },
+        '24': { name: 'Gujarat', abbr: 'GJ' },
+        '26': { name: 'Dadra and Nagar Haveli and Daman and Diu', abbr: 'DH', aliases: ['DN', 'DD'], ut: true },
+        '27': { name: 'Maharashtra', abbr: 'MH' },
+        '29': { name: 'Karnataka', abbr: 'KA' },
+        '30': { name: 'Goa', abbr: 'GA' },
+        '31': { name: 'Lakshadweep', abbr: 'LD', ut: true },
+        '32': { name: 'Kerala', abbr: 'KL' },
+        '33': { name: 'Tamil Nadu', abbr: 'TN' },
+        '34': { name: 'Puducherry', abbr: 'PY', aliases: ['Pondicherry'] },
+        '35': { name: 'Andaman and Nicobar Islands', abbr: 'AN', ut: true },
+        '36': { name: 'Telangana', abbr: 'TS', aliases: ['TG'] },
+        '37': { name: 'Andhra Pradesh', abbr: 'AP' },
+        '38': { name: 'Ladakh', abbr: 'LA', ut: true }
+    };
+
+    const GSTIN_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+    class TaxError extends Error {
+        constructor(message, field) {
+            super(message);
+            this.name = 'TaxError';
+            this.field = field;
+        }
+    }
+
+    function simplify(value) {
+        return String(value || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]/g, '');
+    }
+
+    // Accepts a state code, name, abbreviation or alias
+    function resolveState(value) {
+        const key = simplify(value);
+        if (!key) return null;
+
+        const code = Object.keys(STATES).find(candidate => {
+            const state = STATES[candidate];
+            return candidate === key.padStart(2, '0') ||
+                simplify(state.name) === key ||
+                simplify(state.abbr) === key ||
+                (state.aliases || []).some(alias => simplify(alias) === key);
+        });
+        return code ? { code, ...STATES[code] } : null;
+    }
+
+    function gstinChecksum(body) {
+        let sum = 0;
+        for (let i = 0; i < body.length; i++) {
+            const product = GSTIN_CHARS.indexOf(body[i]) * (i % 2 === 0 ? 1 : 2);
+            sum += Math.floor(product / 36) + (product % 36);
+        }
+        return GSTIN_CHARS[(36 - (sum % 36)) % 36];
+    }
+
+    function validateGstin(value) {
+        const gstin = String(value || '').trim().toUpperCase();
+        if (!GSTIN_PATTERN.test(gstin)) {
+            return { valid: false, reason: 'GSTIN must be 15 characters, e.g. 08ABCDE1234F1Z0' };
+        }
+        if (!STATES[gstin.slice(0, 2)]) {
+            return { valid: false, reason: `GSTIN state code ${gstin.slice(0, 2)} is not valid` };
+        }
+        if (gstinChecksum(gstin.slice(0, 14)) !== gstin[14]) {
+            return { valid: false, reason: 'GSTIN check digit does not match' };
+        }
+        return { valid: true, gstin, stateCode: gstin.slice(0, 2) };
+    }
+
+    // lines: [{ id, title, unitPrice (paise), quantity, discount? (paise) }]
+    // buyer: { country, state, gstin }
+    // Tax is charged on the line amount after its discount.
+    function compute(lines, buyer = {}, sellerState = DEFAULT_SELLER_STATE) {
+        const country = String(buyer.country || 'IN').toUpperCase();
+        let placeOfSupply = null;
+        let gstin = null;
+
+        if (country === 'IN') {
+            if (buyer.gstin) {
+                const check = validateGstin(buyer.gstin);
+                if (!check.valid) throw new TaxError(check.reason, 'gstin');
+                gstin = check.gstin;
+                placeOfSupply = { code: check.stateCode, ...STATES[check.stateCode] };
+            } else if (String(buyer.state || '').trim()) {
+                placeOfSupply = resolveState(buyer.state);
+                if (!placeOfSupply) throw new TaxError(`Unknown Indian state: ${buyer.state}`, 'state');
+            } else {
+                // Unregistered buyer with no address on record: the place of
+                // supply is the supplier's location
+                placeOfSupply = resolveState(sellerState);
+            }
+        }
+
+        const seller = resolveState(sellerState);
+        const supplyType = country !== 'IN' ? 'export'
+            : placeOfSupply.code === seller.code ? 'intra' : 'inter';
+        const rate = supplyType === 'export' ? 0 : GST_RATE;
+
+        const taxedLines = lines.map(line => {
+            const gross = line.unitPrice * line.quantity;
+            const discount = Math.min(line.discount || 0, gross);
+            const taxable = gross - discount;
+            // Intra-state halves are rounded separately, as printed on the invoice
+            const cgst = supplyType === 'intra' ? Math.round(taxable * rate / 2) : 0;
+            const sgst = cgst;
+            const igst = supplyType === 'inter' ? Math.round(taxable * rate) : 0;
+            const tax = cgst + sgst + igst;
+            return {
+                ...line,
+                gross,
+                discount,
+                taxable,
+                rate,
+                cgst,
+                sgst,
+                igst,
+                tax,
+                total: taxable + tax
+            };
+        });
+
+        const sum = field => taxedLines.reduce((total, line) => total + line[field], 0);
+        return {
+            supplyType,
+            rate,
+            seller: { code: seller.code, name: seller.name },
+            placeOfSupply: placeOfSupply ? { code: placeOfSupply.code, name: placeOfSupply.name } : null,
+            sgstLabel: seller.ut ? 'UTGST' : 'SGST',
+            gstin,
+            lines: taxedLines,
+            gross: sum('gross'),
+            discount: sum('discount'),
+            taxable: sum('taxable'),
+            cgst: sum('cgst'),
+            sgst: sum('sgst'),
+            igst: sum('igst'),
+            tax: sum('tax'),
+            total: sum('total')
+        };
+    }
+
+    function describe(result) {
+        const percent = value => `${+(value * 100).toFixed(2)}%`;
+        if (result.supplyType === 'export') return 'GST (0%, export)';
+        if (result.supplyType === 'intra') {
+            return `CGST ${percent(result.rate / 2)} + ${result.sgstLabel} ${percent(result.rate / 2)}`;
+        }
+        return `IGST ${percent(result.rate)}`;
+    }
+
+    const TaxEngine = {
+        GST_RATE,
+        DEFAULT_SELLER_STATE,
+        STATES,
+        TaxError,
+        resolveState,
+        validateGstin,
+        compute,
+        describe
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TaxEngine;
+    } else {
+        root.TaxEngine = TaxEngine;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -1,33 +1,267 @@
 #!/usr/bin/env node
-// Simple build script for Vercel deployment
-console.log('🚀 Building Shadow Market Tracker Website...');
+// Static build for deployment
+//   node build.js
+// Copies the public site into public/, leaving out server code, templates,
+// docs, test pages and old drafts (EXCLUDED), and:
+//   - renders pages with front matter into their layout (lib/templates.js)
+//   - minifies HTML, CSS and JavaScript (lib/minify.js)
+//   - renames every file under an assets/ directory to name.<hash>.ext,
+//     hashed from its built content, and rewrites the references to it in
+//     pages and stylesheets, so they can be cached forever
+//   - checks every internal href, src and CSS url() resolves to a built file
+//     or an API route, and fails the build (exit code 1) when one does not
+//   - writes robots.txt and, when WEBSITE_URL is set, a sitemap.xml of every
+//     page not marked noindex (lib/seo.js), and lists the pages in it that
+//     lack a title, a description or an Open Graph image
+//   - writes the security headers (lib/security.js), with the hashes of the
+//     pages' inline scripts in the Content Security Policy, to
+//     public/_headers and vercel.json, and fails the build when a page or
+//     script still uses an inline event handler the policy would block
+// Vercel reads vercel.json before building, so its headers are committed:
+// the build updates them when inline scripts change, and fails on Vercel
+// (VERCEL is set) when the committed ones are out of date. Inline scripts
+// must therefore be the same in every environment; runtime values belong
+// in the app-config block.
+// The API (api/) is deployed by Vercel next to public/, not copied into it.
+// Pages get the public config of the environment being built for
+// (lib/config.js), e.g. APP_ENV=production node build.js.
 
-// This is a static site, so we just need to ensure all files are in place
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const config = require('./lib/config');
+const minify = require('./lib/minify');
+const security = require('./lib/security');
+const seo = require('./lib/seo');
+const templates = require('./lib/templates');
 
-// Create a public directory if it doesn't exist
-const publicDir = path.join(__dirname, 'public');
-if (!fs.existsSync(publicDir)) {
-  fs.mkdirSync(publicDir, { recursive: true });
-}
-
-// Copy all files to public directory
-const copyRecursive = (src, dest) => {
-  const exists = fs.existsSync(src);
-  const stats = exists && fs.statSync(src);
-  const isDirectory = exists && stats.isDirectory();
-  
-  if (isDirectory) {
-    if (!fs.existsSync(dest)) {
-      fs.mkdirSync(dest, { recursive: true });
+const ROOT = __dirname;
+const OUT_DIR = path.join(ROOT, 'public');
+const API_DIR = path.join(ROOT, 'api');
+const VERCEL_CONFIG = path.join(ROOT, 'vercel.json');
+
+// Matched against the path relative to the project root
+const EXCLUDED = [
+    /^(api|lib|data|node_modules|public|templates|test)\//,
+    /(^|\/)\./,
+    /^(build|server)\.js$/,
+    /^(package(-lock)?|vercel)\.json$/,
+    /^deploy\.(sh|bat)$/,
+    /^index-old\.html$/,
+    /^test[^/]*\.html$/,
+    /\.(md|jsonl)$/
+];
+const HASHED_DIR = /(^|\/)assets\//;
+const MINIFIERS = { '.html': minify.html, '.css': minify.css, '.js': minify.js };
+// Stylesheets point at images and fonts, pages at everything
+const HASH_ORDER = ['.css'];
+const EXTERNAL = /^(?:[a-z][a-z0-9+.-]*:|\/\/|#|\$\{)/i;
+
+function walk(dir, files = []) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const full = path.join(dir, entry.name);
+        const relative = path.relative(ROOT, full).split(path.sep).join('/');
+        if (EXCLUDED.some(pattern => pattern.test(entry.isDirectory() ? `${relative}/` : relative))) return;
+        if (entry.isDirectory()) walk(full, files);
+        else files.push(relative);
+    });
+    return files;
+}
+
+function hashedName(file, content) {
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 8);
+    const ext = path.posix.extname(file);
+    return `${file.slice(0, -ext.length)}.${hash}${ext}`;
+}
+
+// What a reference in `from` points at: { target, suffix } with target
+// relative to the site root, or null for external links
+function resolve(from, reference) {
+    const value = reference.trim();
+    if (!value || EXTERNAL.test(value)) return null;
+    const [, pathname, suffix] = value.match(/^([^?#]*)(.*)$/);
+    if (!pathname) return null;
+    const base = pathname.startsWith('/') ? '' : path.posix.dirname(from);
+    let target = path.posix.normalize(path.posix.join(base, decodeURI(pathname))).replace(/^\/+/, '');
+    if (target === '.' || target.endsWith('/')) target = `${target === '.' ? '' : target}index.html`;
+    return { target, suffix, absolute: pathname.startsWith('/') };
+}
+
+function relink(from, resolved, renamed) {
+    const target = renamed.get(resolved.target);
+    if (!target) return null;
+    const href = resolved.absolute ? `/${target}` : path.posix.relative(path.posix.dirname(from), target);
+    return `${href}${resolved.suffix}`;
+}
+
+function isApiRoute(target) {
+    if (!target.startsWith('api/')) return false;
+    return fs.existsSync(path.join(API_DIR, `${target.slice(4).replace(/\/index\.html$/, '')}.js`));
+}
+
+// Rewrites asset references in a page or stylesheet and collects the ones
+// that lead nowhere
+function rewrite(file, content, { renamed, built, broken }) {
+    const check = reference => {
+        const resolved = resolve(file, reference);
+        if (!resolved) return reference;
+        const updated = relink(file, resolved, renamed);
+        if (updated) return updated;
+        if (!built.has(resolved.target) && !isApiRoute(resolved.target)) {
+            broken.push(`${file}: ${reference}`);
+        }
+        return reference;
+    };
+
+    if (file.endsWith('.css')) {
+        return content.replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/g, (match, quote, reference) =>
+            `url(${quote}${check(reference)}${quote})`);
+    }
+    // Markup only: references inside inline scripts are built at runtime
+    return content.replace(/(<script\b[^>]*>[\s\S]*?<\/script>)|(\s(?:href|src)\s*=\s*)(["'])([^"']*)\3/gi,
+        (match, script, attribute, quote, reference) => {
+            if (script) {
+                return script.replace(/^(<script\b[^>]*\ssrc\s*=\s*)(["'])([^"']*)\2/i,
+                    (tag, start, q, src) => `${start}${q}${check(src)}${q}`);
+            }
+            return `${attribute}${quote}${check(reference)}${quote}`;
+        });
+}
+
+// Pages for the sitemap, with what each is missing; an Open Graph image
+// counts as missing when it is not among the built files
+function auditPages(output, base) {
+    const pages = [];
+    output.forEach((content, file) => {
+        if (!file.endsWith('.html')) return;
+        const meta = seo.metadata(content.toString('utf8'));
+        if (!meta.indexable) return;
+
+        const missing = ['title', 'description'].filter(field => !meta[field]);
+        if (!meta.image) {
+            missing.push('Open Graph image');
+        } else {
+            const local = base && meta.image.startsWith(`${base}/`) ? meta.image.slice(base.length) : meta.image;
+            const resolved = resolve(file, local);
+            if (resolved && !output.has(resolved.target)) missing.push(`Open Graph image (${meta.image} is not built)`);
+        }
+        pages.push({ file, missing });
+    });
+    return pages.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+// Inline handlers left in built pages and scripts, and the hashes of every
+// inline script the pages run
+function auditScripts(output) {
+    const unsafe = [];
+    const hashes = new Set();
+    output.forEach((content, file) => {
+        if (!/\.(html|js)$/.test(file)) return;
+        const text = content.toString('utf8');
+        security.inlineHandlers(text).forEach(handler => unsafe.push(`${file}: ${handler}`));
+        if (file.endsWith('.html')) security.scriptHashes(text).forEach(hash => hashes.add(hash));
+    });
+    return { unsafe, hashes: [...hashes].sort() };
+}
+
+// Rewrites only the headers of vercel.json, keeping its other settings;
+// false when it is out of date and may not be rewritten
+function syncVercelConfig(values) {
+    const current = fs.existsSync(VERCEL_CONFIG) ? JSON.parse(fs.readFileSync(VERCEL_CONFIG, 'utf8')) : {};
+    const updated = { ...current, headers: security.vercelHeaders(values) };
+    if (JSON.stringify(current) === JSON.stringify(updated)) return true;
+    if (process.env.VERCEL) return false;
+    fs.writeFileSync(VERCEL_CONFIG, `${JSON.stringify(updated, null, 4)}\n`);
+    console.log('📝 Updated the security headers in vercel.json; commit it');
+    return true;
+}
+
+function build() {
+    const started = Date.now();
+    console.log(`🚀 Building Shadow Market Tracker Website (${config.load()})...`);
+
+    fs.rmSync(OUT_DIR, { recursive: true, force: true });
+    const files = walk(ROOT);
+    const built = new Set(files);
+    const renamed = new Map();
+    const broken = [];
+    const output = new Map();
+    let sourceBytes = 0;
+
+    const load = file => {
+        const raw = fs.readFileSync(path.join(ROOT, file));
+        sourceBytes += raw.length;
+        const minifier = MINIFIERS[path.posix.extname(file)];
+        if (!minifier) return raw;
+        const source = raw.toString('utf8');
+        return minifier(file.endsWith('.html') ? templates.render(file, source) : source);
+    };
+
+    // Assets without references first, then stylesheets, then pages, so a
+    // file is hashed only after everything it points at has its final name
+    const rank = file => {
+        if (file.endsWith('.html')) return 2;
+        return HASH_ORDER.includes(path.posix.extname(file)) ? 1 : 0;
+    };
+    files.sort((a, b) => rank(a) - rank(b) || a.localeCompare(b)).forEach(file => {
+        let content = load(file);
+        if (file.endsWith('.html') || file.endsWith('.css')) {
+            content = rewrite(file, content, { renamed, built, broken });
+        }
+        const name = HASHED_DIR.test(file) ? hashedName(file, content) : file;
+        if (name !== file) {
+            renamed.set(file, name);
+            built.add(name);
+        }
+        output.set(name, content);
+    });
+
+    if (broken.length) {
+        console.error(`❌ ${broken.length} broken internal link${broken.length === 1 ? '' : 's'}:`);
+        broken.forEach(link => console.error(`   ${link}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    const { unsafe, hashes } = auditScripts(output);
+    if (unsafe.length) {
+        console.error(`❌ ${unsafe.length} inline event handler${unsafe.length === 1 ? '' : 's'} the Content Security Policy would block:`);
+        unsafe.forEach(handler => console.error(`   ${handler}`));
+        process.exitCode = 1;
+        return;
+    }
+    const headers = security.headers(hashes);
+    if (!syncVercelConfig(headers)) {
+        console.error('❌ vercel.json has out-of-date security headers; run node build.js and commit vercel.json');
+        process.exitCode = 1;
+        return;
+    }
+    output.set('_headers', security.netlifyHeaders(headers));
+
+    const base = config.websiteUrl();
+    const pages = auditPages(output, base);
+    output.set('robots.txt', seo.robots(base));
+    if (base) {
+        output.set('sitemap.xml', seo.sitemap(pages.map(page => seo.pageUrl(base, page.file))));
+    } else {
+        console.warn('⚠️ WEBSITE_URL is not set: no sitemap.xml, canonical or Open Graph URLs');
+    }
+    const incomplete = pages.filter(page => page.missing.length);
+    if (incomplete.length) {
+        console.warn(`⚠️ ${incomplete.length} page${incomplete.length === 1 ? '' : 's'} with missing metadata:`);
+        incomplete.forEach(page => console.warn(`   ${page.file}: ${page.missing.join(', ')}`));
     }
-    fs.readdirSync(src).forEach(childItemName => {
-      copyRecursive(path.join(src, src), path.join(dest, childItemName));
+
+    let builtBytes = 0;
+    output.forEach((content, file) => {
+        const destination = path.join(OUT_DIR, file);
+        fs.mkdirSync(path.dirname(destination), { recursive: true });
+        fs.writeFileSync(destination, content);
+        builtBytes += Buffer.byteLength(content);
     });
-  } else {
-    fs.copyFileSync(src, dest);
-  }
-};
 
-console.log('✅ Build complete - static site ready for deployment');
+    const kb = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+    console.log(`✅ Built ${output.size} files into public/ (${kb(sourceBytes)} → ${kb(builtBytes)}, ${renamed.size} hashed) in ${Date.now() - started} ms`);
+}
+
+build();
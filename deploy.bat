@@ -1,43 +1,38 @@
 @echo off
-echo 🚀 Shadow Market Tracker - GitHub Deployment Script
+echo 🚀 Shadow Market Tracker - Deployment Script
 echo ================================================
 
 echo.
-echo 📁 Initializing Git repository...
-git init
+echo 🧪 Running tests...
+call npm test
+if errorlevel 1 goto failed
 
 echo.
-echo 📝 Adding all files...
-git add .
+echo 🏗️ Building the site into public/...
+node build.js
+if errorlevel 1 goto failed
 
-echo.
-echo 💾 Creating initial commit...
-git commit -m "Initial commit: Shadow Market Tracker cyberpunk landing page"
-
-echo.
-echo 🌿 Setting main branch...
-git branch -M main
-
-echo.
-echo 🔗 Adding remote origin...
-git remote add origin https://github.com/Cardinal-coding-production/shadow-market-tracker-website.git
+git diff --quiet -- vercel.json
+if errorlevel 1 (
+    echo.
+    echo ❌ The build updated vercel.json; commit it, then run this again
+    goto failed
+)
 
 echo.
-echo 🚀 Pushing to GitHub...
-git push -u origin main
+echo 🚀 Pushing main to GitHub...
+git push origin main
+if errorlevel 1 goto failed
 
 echo.
-echo ✅ Deployment complete!
-echo.
-echo 🌐 Your website will be available at:
-echo https://cardinal-coding-production.github.io/shadow-market-tracker-website
+echo ✅ Pushed!
 echo.
-echo 📋 Next steps:
-echo 1. Go to your GitHub repository settings
-echo 2. Navigate to Pages section
-echo 3. Enable GitHub Pages from main branch
-echo 4. Wait 5-10 minutes for deployment
-echo.
-echo 🎉 Your cyberpunk website is ready for the digital frontier!
+echo 🌐 Vercel builds public/ and deploys the pages and api/ functions.
+echo Follow the deployment in the Vercel dashboard; see DEPLOYMENT.md for
+echo the environment variables, DATA_DIR and where the bots run.
+pause
+exit /b 0
 
+:failed
 pause
+exit /b 1
@@ -0,0 +1,155 @@
+// Roles and entitlements
+// Every signed-in user (lib/auth.js) has one role:
+//
+//   admin     manages roles and coupon codes; everything unlocked.
+//             Granted by another admin or bootstrapped from ADMIN_EMAILS
+//             (comma-separated).
+//   creator   complimentary full access to the bots. Granted by an admin.
+//   paid      an entitled subscription (lib/subscriptions.js); features
+//             follow the best plan held, and lapse with it.
+//   free      signed in, nothing unlocked.
+//
+// Admin and creator roles are stored on the user record; paid and free are
+// derived on every request so cancellations and renewals apply at once.
+// API routes check features with requireFeature, and pages gate the UI on
+// the `features` list /api/auth/me returns, never on email addresses.
+
+const catalog = require('./catalog');
+const store = require('./store');
+const subscriptions = require('./subscriptions');
+const auth = require('./auth');
+const { HttpError } = require('./http');
+
+const users = store.collection('users');
+
+const ROLES = ['admin', 'creator', 'paid', 'free'];
+const STORED_ROLES = ['admin', 'creator'];
+
+const FEATURES = {
+    'bots.news': 'Competitive News Bot',
+    'bots.gaps': 'Gap Finder Bot',
+    'bots.tenders': 'Tender Alert Bot',
+    'admin.users': 'User management',
+    'admin.coupons': 'Coupon management'
+};
+const BOT_FEATURES = ['bots.news', 'bots.gaps', 'bots.tenders'];
+
+// Subscription plans from lowest to highest tier
+const TIERS = [
+    { plan: 'extension-basic', features: ['bots.news'] },
+    { plan: 'extension-pro', features: ['bots.news', 'bots.gaps'] },
+    { plan: 'extension-enterprise', features: BOT_FEATURES }
+];
+
+function adminEmails() {
+    return String(process.env.ADMIN_EMAILS || '').split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function planLabel(plan) {
+    const product = catalog.getProduct(plan);
+    return product ? product.title.split(' - ').pop() : plan;
+}
+
+// The best subscription plan the email is entitled to right now, or null
+async function currentTier(email) {
+    const held = (await subscriptions.listForEmail(email))
+        .filter(record => subscriptions.isEntitled(record))
+        .map(record => TIERS.findIndex(tier => tier.plan === record.plan));
+    const best = Math.max(-1, ...held);
+    return best >= 0 ? TIERS[best] : null;
+}
+
+// user: as returned by auth.currentUser. Resolves to
+// { role, tier, label, features } where tier is a plan id or null.
+async function resolve(user) {
+    const tier = await currentTier(user.email);
+
+    let role = 'free';
+    if (adminEmails().includes(user.email)) {
+        role = 'admin';
+    } else if (STORED_ROLES.includes(user.role)) {
+        role = user.role;
+    } else if (tier) {
+        role = 'paid';
+    }
+
+    const features = {
+        admin: Object.keys(FEATURES),
+        creator: BOT_FEATURES,
+        paid: tier ? tier.features : [],
+        free: []
+    }[role];
+    const label = {
+        admin: 'Admin',
+        creator: 'Creator Access',
+        paid: tier ? planLabel(tier.plan) : '',
+        free: 'Free'
+    }[role];
+
+    return { role, tier: tier ? tier.plan : null, label, features };
+}
+
+// What /api/auth/me and sign-in send the browser
+async function toPublic(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        picture: user.picture,
+        access: await resolve(user)
+    };
+}
+
+function cheapestPlanWith(feature) {
+    const tier = TIERS.find(candidate => candidate.features.includes(feature));
+    return tier ? planLabel(tier.plan) : null;
+}
+
+// Signed-in user with `feature`, else 401 (not signed in) or 403
+async function requireFeature(req, feature) {
+    const user = await auth.requireUser(req);
+    const access = await resolve(user);
+    if (!access.features.includes(feature)) {
+        const plan = cheapestPlanWith(feature);
+        throw new HttpError(403, plan
+            ? `${FEATURES[feature]} needs the ${plan} or higher`
+            : `${FEATURES[feature]} is not available to your account`);
+    }
+    return { user, access };
+}
+
+// Grants or removes a stored role (role null demotes to the derived one)
+async function setRole(email, role) {
+    if (role !== null && !STORED_ROLES.includes(role)) {
+        throw new HttpError(400, `role must be one of ${STORED_ROLES.join(', ')} or null`, 'role');
+    }
+
+    const normalized = String(email || '').trim().toLowerCase();
+    const [record] = await users.list(candidate => candidate.email === normalized);
+    if (!record) {
+        throw new HttpError(404, `No user has signed in as ${normalized}`, 'email');
+    }
+    return users.update(record.id, current => ({ ...current, role }));
+}
+
+async function listUsers() {
+    const records = await users.list();
+    return Promise.all(records
+        .sort((a, b) => a.email.localeCompare(b.email))
+        .map(async record => {
+            const user = { id: record.id, email: record.email, name: record.name, role: record.role || null };
+            return { ...user, lastSignInAt: record.lastSignInAt, access: await resolve(user) };
+        }));
+}
+
+module.exports = {
+    ROLES,
+    FEATURES,
+    resolve,
+    toPublic,
+    requireFeature,
+    setRole,
+    listUsers
+};
@@ -0,0 +1,230 @@
+// Bot alerts
+// Every finding a bot run produces (lib/scheduler.js) is stored for its
+// user in `alerts`:
+//
+//   { id, userId, bot, source, runId, severity: 'high' | 'medium' | 'low',
+//     title, summary, url, data, createdAt,
+//     readAt, archivedAt, snoozedUntil }
+//
+// `data` carries the source's evidence, e.g. the before/after snapshots of
+// a competitor page change (lib/competitor-pages.js).
+//
+// The dashboard reads them a page at a time through listForUser(). An
+// alert is in the inbox until archived; a snoozed alert is hidden until
+// snoozedUntil passes and then comes back unread.
+
+const crypto = require('crypto');
+const store = require('./store');
+const { HttpError } = require('./http');
+
+const alerts = store.collection('alerts');
+
+const SEVERITIES = ['high', 'medium', 'low'];
+const VIEWS = ['inbox', 'unread', 'snoozed', 'archived', 'all'];
+const ACTIONS = ['read', 'unread', 'archive', 'unarchive', 'snooze', 'unsnooze'];
+const TITLE_LENGTH = 300;
+const SUMMARY_LENGTH = 4000;
+const PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_SNOOZE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Resolves to the stored alerts
+async function fromFindings({ run, userId, bot, source, findings }) {
+    const createdAt = new Date().toISOString();
+    const records = findings.map(finding => ({
+        id: crypto.randomUUID(),
+        userId,
+        bot,
+        source,
+        runId: run ? run.id : null,
+        severity: SEVERITIES.includes(finding.severity) ? finding.severity : 'medium',
+        title: String(finding.title || 'Untitled finding').slice(0, TITLE_LENGTH),
+        summary: String(finding.summary || '').slice(0, SUMMARY_LENGTH),
+        url: finding.url || null,
+        data: finding.data === undefined ? null : finding.data,
+        createdAt,
+        readAt: null,
+        archivedAt: null,
+        snoozedUntil: null
+    }));
+
+    await alerts.transaction(all => {
+        records.forEach(record => {
+            all[record.id] = record;
+        });
+    });
+    return records;
+}
+
+function isSnoozed(record, now) {
+    return Boolean(record.snoozedUntil) && Date.parse(record.snoozedUntil) > now;
+}
+
+// A snooze that has run out brings the alert back unread
+function isRead(record, now) {
+    if (!record.readAt) return false;
+    return !(record.snoozedUntil && Date.parse(record.snoozedUntil) <= now && record.readAt < record.snoozedUntil);
+}
+
+function inView(record, view, now) {
+    switch (view) {
+        case 'all': return true;
+        case 'archived': return Boolean(record.archivedAt);
+        case 'snoozed': return !record.archivedAt && isSnoozed(record, now);
+        case 'unread': return !record.archivedAt && !isSnoozed(record, now) && !isRead(record, now);
+        default: return !record.archivedAt && !isSnoozed(record, now);
+    }
+}
+
+// detail: include `data`, which can be large
+function toPublic(record, { detail = false, now = Date.now() } = {}) {
+    const { userId, data, ...rest } = record;
+    return {
+        ...rest,
+        readAt: rest.readAt || null,
+        archivedAt: rest.archivedAt || null,
+        snoozedUntil: isSnoozed(record, now) ? record.snoozedUntil : null,
+        read: isRead(record, now),
+        kind: data && data.kind ? data.kind : null,
+        ...(detail ? { data } : {})
+    };
+}
+
+// Cursors point after the last alert of a page, newest first
+function encodeCursor(record) {
+    return Buffer.from(`${record.createdAt}|${record.id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+    if (!createdAt || !id || Number.isNaN(Date.parse(createdAt))) {
+        throw new HttpError(400, 'Invalid cursor', 'cursor');
+    }
+    return { createdAt, id };
+}
+
+function newestFirst(a, b) {
+    return b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id);
+}
+
+// { alerts, total, unread, nextCursor } for one page of the user's alerts,
+// newest first; total counts the whole view, unread the inbox
+async function listForUser(userId, { bot, severity, view = 'inbox', limit = PAGE_SIZE, cursor } = {}) {
+    if (!VIEWS.includes(view)) {
+        throw new HttpError(400, `view must be one of ${VIEWS.join(', ')}`, 'view');
+    }
+    if (severity && !SEVERITIES.includes(severity)) {
+        throw new HttpError(400, `severity must be one of ${SEVERITIES.join(', ')}`, 'severity');
+    }
+    const size = Math.min(Math.max(Number.parseInt(limit, 10) || PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const now = Date.now();
+
+    const owned = await alerts.list(record => record.userId === userId && (!bot || record.bot === bot));
+    const matching = owned
+        .filter(record => inView(record, view, now) && (!severity || record.severity === severity))
+        .sort(newestFirst);
+
+    let start = 0;
+    if (cursor) {
+        const after = decodeCursor(cursor);
+        start = matching.findIndex(record => newestFirst(record, after) > 0);
+        if (start === -1) start = matching.length;
+    }
+    const page = matching.slice(start, start + size);
+
+    return {
+        alerts: page.map(record => toPublic(record, { now })),
+        total: matching.length,
+        unread: owned.filter(record => inView(record, 'unread', now)).length,
+        nextCursor: start + size < matching.length ? encodeCursor(page[page.length - 1]) : null
+    };
+}
+
+async function get(userId, id) {
+    const record = id ? await alerts.get(String(id)) : null;
+    if (!record || record.userId !== userId) {
+        throw new HttpError(404, 'Alert not found');
+    }
+    return toPublic(record, { detail: true });
+}
+
+function snoozeUntil(until) {
+    const time = Date.parse(until);
+    const now = Date.now();
+    if (Number.isNaN(time) || time <= now) {
+        throw new HttpError(400, 'Snooze until a time in the future', 'until');
+    }
+    if (time - now > MAX_SNOOZE_MS) {
+        throw new HttpError(400, 'Alerts can be snoozed for at most 30 days', 'until');
+    }
+    return new Date(time).toISOString();
+}
+
+function apply(record, action, options) {
+    const now = new Date().toISOString();
+    switch (action) {
+        case 'read': return { ...record, readAt: now };
+        case 'unread': return { ...record, readAt: null };
+        case 'archive': return { ...record, archivedAt: now, readAt: record.readAt || now };
+        case 'unarchive': return { ...record, archivedAt: null };
+        case 'snooze': return { ...record, snoozedUntil: snoozeUntil(options.until), readAt: record.readAt || now };
+        default: return { ...record, snoozedUntil: null };
+    }
+}
+
+// Applies action to the user's alerts with these ids; options.until is
+// the snooze end. Resolves to the updated alerts.
+async function update(userId, ids, action, options = {}) {
+    if (!ACTIONS.includes(action)) {
+        throw new HttpError(400, `action must be one of ${ACTIONS.join(', ')}`, 'action');
+    }
+    const wanted = (Array.isArray(ids) ? ids : [ids]).filter(id => id !== undefined && id !== null).map(String);
+    if (!wanted.length || wanted.length > MAX_PAGE_SIZE) {
+        throw new HttpError(400, `Pick between 1 and ${MAX_PAGE_SIZE} alerts`, 'ids');
+    }
+
+    return alerts.transaction(all => {
+        const records = wanted.map(id => all[id]);
+        if (records.some(record => !record || record.userId !== userId)) {
+            throw new HttpError(404, 'Alert not found');
+        }
+        return records.map(record => {
+            all[record.id] = apply(record, action, options);
+            return toPublic(all[record.id]);
+        });
+    });
+}
+
+// Marks every unread inbox alert (optionally of one bot) read; resolves to
+// how many changed
+async function markAllRead(userId, { bot } = {}) {
+    const now = Date.now();
+    const readAt = new Date(now).toISOString();
+    return alerts.transaction(all => {
+        const unread = Object.values(all).filter(record =>
+            record.userId === userId && (!bot || record.bot === bot) && inView(record, 'unread', now));
+        unread.forEach(record => {
+            all[record.id] = { ...record, readAt };
+        });
+        return unread.length;
+    });
+}
+
+// Alerts the user received at or after since (an ISO time)
+async function countSince(userId, since) {
+    const records = await alerts.list(record => record.userId === userId && record.createdAt >= since);
+    return records.length;
+}
+
+module.exports = {
+    SEVERITIES,
+    VIEWS,
+    ACTIONS,
+    fromFindings,
+    listForUser,
+    countSince,
+    get,
+    toPublic,
+    update,
+    markAllRead
+};
@@ -0,0 +1,105 @@
+// Sign-in sessions
+// After /api/auth/google verifies a Google ID token (lib/google.js) the
+// browser gets an opaque random session id in an HttpOnly cookie; pages ask
+// /api/auth/me who is signed in instead of decoding tokens themselves.
+// Sessions are stored by the SHA-256 of the id, so the session file alone
+// cannot be replayed as cookies, and logging out deletes the record.
+// Signed-in Google accounts are kept in `users`, keyed by Google's `sub`;
+// `role` on a user is managed by lib/access.js.
+
+const crypto = require('crypto');
+const store = require('./store');
+const { HttpError, readCookies, setCookie } = require('./http');
+
+const sessions = store.collection('sessions');
+const users = store.collection('users');
+
+const COOKIE_NAME = 'smt_session';
+const SESSION_DAYS = 7;
+const SESSION_MS = SESSION_DAYS * 24 * 60 * 60 * 1000;
+
+function now() {
+    return new Date().toISOString();
+}
+
+function hash(sessionId) {
+    return crypto.createHash('sha256').update(sessionId).digest('hex');
+}
+
+// Plain-http cookies only for local development
+function isSecure(req) {
+    return process.env.NODE_ENV === 'production' || req.headers['x-forwarded-proto'] === 'https' ||
+        Boolean(req.socket && req.socket.encrypted);
+}
+
+function toUser(record) {
+    return {
+        id: record.id,
+        email: record.email,
+        name: record.name,
+        picture: record.picture,
+        role: record.role || null
+    };
+}
+
+// claims: verified Google ID token payload
+async function signIn(req, res, claims) {
+    const user = await users.update(claims.sub, current => ({
+        ...current,
+        id: claims.sub,
+        email: String(claims.email).toLowerCase(),
+        name: claims.name || claims.email,
+        picture: claims.picture || '',
+        createdAt: current ? current.createdAt : now(),
+        lastSignInAt: now()
+    }));
+
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + SESSION_MS).toISOString();
+    await sessions.transaction(records => {
+        // Drop expired sessions while we hold the file
+        Object.keys(records).forEach(key => {
+            if (records[key].expiresAt <= now()) delete records[key];
+        });
+        records[hash(sessionId)] = { userId: user.id, createdAt: now(), expiresAt };
+    });
+
+    setCookie(res, COOKIE_NAME, sessionId, { maxAge: SESSION_MS / 1000, secure: isSecure(req) });
+    return toUser(user);
+}
+
+// The signed-in user for this request, or null
+async function currentUser(req) {
+    const sessionId = readCookies(req)[COOKIE_NAME];
+    if (!sessionId) return null;
+
+    const session = await sessions.get(hash(sessionId));
+    if (!session || session.expiresAt <= now()) return null;
+
+    const user = await users.get(session.userId);
+    return user ? toUser(user) : null;
+}
+
+async function requireUser(req) {
+    const user = await currentUser(req);
+    if (!user) {
+        throw new HttpError(401, 'Sign in to continue');
+    }
+    return user;
+}
+
+async function signOut(req, res) {
+    const sessionId = readCookies(req)[COOKIE_NAME];
+    if (sessionId) {
+        await sessions.remove(hash(sessionId));
+    }
+    setCookie(res, COOKIE_NAME, '', { maxAge: 0, secure: isSecure(req) });
+}
+
+module.exports = {
+    COOKIE_NAME,
+    signIn,
+    currentUser,
+    requireUser,
+    signOut
+};
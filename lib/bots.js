@@ -0,0 +1,259 @@
+// Per-user bot configuration
+// Each bot type has a JSON schema (validated by lib/schema.js) describing
+// the settings bot-config.html collects; a user keeps at most one config per
+// type in the `bot-configs` collection, keyed `<userId>:<type>`. Reading a
+// type that was never saved gives the schema defaults with saved: false.
+// Access to a type follows its feature in lib/access.js. `frequency` is how
+// often lib/scheduler.js runs a bot whose settings do not choose one, and
+// with it whether lib/delivery.js sends alerts at once or as a digest.
+
+const store = require('./store');
+const schema = require('./schema');
+const { HttpError } = require('./http');
+
+const configs = store.collection('bot-configs');
+
+const MAX_TERMS = 50;
+const TERM_LENGTH = 100;
+
+function terms(title) {
+    return {
+        type: 'array',
+        title,
+        minItems: 1,
+        maxItems: MAX_TERMS,
+        uniqueItems: true,
+        items: { type: 'string', title, minLength: 1, maxLength: TERM_LENGTH }
+    };
+}
+
+const active = { type: 'boolean', title: 'Active', default: true };
+
+// Where lib/delivery.js sends the bot's alerts (adapters in lib/channels.js)
+const channels = {
+    type: 'array',
+    title: 'Delivery channels',
+    minItems: 1,
+    uniqueItems: true,
+    items: { type: 'string', title: 'Delivery channel', enum: ['email', 'slack', 'mobile'] },
+    default: ['email']
+};
+
+const BOTS = {
+    news: {
+        title: 'Competitive News Bot',
+        feature: 'bots.news',
+        frequency: 'realtime',
+        schema: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['keywords'],
+            properties: {
+                keywords: terms('Keywords'),
+                // Pages lib/competitor-pages.js watches for price and feature changes
+                competitors: {
+                    type: 'array',
+                    title: 'Competitor pages',
+                    maxItems: 20,
+                    uniqueItems: true,
+                    items: { type: 'string', title: 'Competitor page', format: 'url', maxLength: 2000 },
+                    default: []
+                },
+                industry: {
+                    type: 'string',
+                    title: 'Industry',
+                    enum: ['technology', 'healthcare', 'finance', 'ecommerce', 'manufacturing'],
+                    default: 'technology'
+                },
+                frequency: {
+                    type: 'string',
+                    title: 'Alert frequency',
+                    enum: ['realtime', 'hourly', 'daily', 'weekly'],
+                    default: 'realtime'
+                },
+                channels,
+                active
+            }
+        }
+    },
+    gaps: {
+        title: 'Gap Finder Bot',
+        feature: 'bots.gaps',
+        frequency: 'daily',
+        schema: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['expertise'],
+            properties: {
+                expertise: terms('Expertise'),
+                marketSize: {
+                    type: 'string',
+                    title: 'Target market size',
+                    enum: ['any', '1m-10m', '10m-100m', '100m-1b', '1b-plus'],
+                    default: 'any'
+                },
+                region: {
+                    type: 'string',
+                    title: 'Geographic focus',
+                    enum: ['global', 'india', 'north-america', 'europe', 'asia-pacific'],
+                    default: 'global'
+                },
+                channels,
+                active
+            }
+        }
+    },
+    tenders: {
+        title: 'Tender Alert Bot',
+        feature: 'bots.tenders',
+        frequency: 'hourly',
+        schema: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['capabilities'],
+            properties: {
+                capabilities: terms('Capabilities'),
+                // Rupees; 0 is any amount
+                minValue: {
+                    type: 'integer',
+                    title: 'Minimum contract value',
+                    enum: [0, 100000, 1000000, 10000000, 100000000],
+                    default: 0
+                },
+                sector: {
+                    type: 'string',
+                    title: 'Sector',
+                    enum: ['all', 'government', 'private', 'healthcare', 'education', 'banking'],
+                    default: 'all'
+                },
+                // RSS, Atom, CSV or PDF notice feeds lib/tenders.js reads
+                feeds: {
+                    type: 'array',
+                    title: 'Tender feeds',
+                    maxItems: 20,
+                    uniqueItems: true,
+                    items: { type: 'string', title: 'Tender feed', format: 'url', maxLength: 2000 },
+                    default: []
+                },
+                // Days before a submission deadline to send a reminder
+                reminders: {
+                    type: 'array',
+                    title: 'Deadline reminders',
+                    maxItems: 5,
+                    uniqueItems: true,
+                    items: { type: 'integer', title: 'Reminder', minimum: 0, maximum: 60 },
+                    default: [7, 3, 1]
+                },
+                channels,
+                active
+            }
+        }
+    }
+};
+
+const TYPES = Object.keys(BOTS);
+
+function key(userId, type) {
+    return `${userId}:${type}`;
+}
+
+function getBot(type) {
+    const bot = BOTS[type];
+    if (!bot) {
+        throw new HttpError(400, `bot must be one of ${TYPES.join(', ')}`, 'bot');
+    }
+    return bot;
+}
+
+// The normalized config, or a 400 naming the first bad field with every
+// failure in error.errors
+function validate(type, input) {
+    const bot = getBot(type);
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new HttpError(400, 'config must be an object', 'config');
+    }
+    const { value, errors } = schema.validate(bot.schema, input);
+    if (errors.length) {
+        const error = new HttpError(400, errors[0].message, errors[0].field || undefined);
+        error.errors = errors;
+        throw error;
+    }
+    return value;
+}
+
+function defaults(type) {
+    const { properties } = getBot(type).schema;
+    const result = {};
+    Object.entries(properties).forEach(([name, property]) => {
+        result[name] = property.default !== undefined ? JSON.parse(JSON.stringify(property.default)) : [];
+    });
+    return result;
+}
+
+function toPublic(type, record) {
+    return {
+        bot: type,
+        title: BOTS[type].title,
+        saved: Boolean(record),
+        config: record ? record.config : defaults(type),
+        updatedAt: record ? record.updatedAt : null
+    };
+}
+
+async function get(userId, type) {
+    getBot(type);
+    return toPublic(type, await configs.get(key(userId, type)));
+}
+
+async function save(userId, type, input) {
+    const config = validate(type, input);
+    const now = new Date().toISOString();
+    const record = await configs.update(key(userId, type), current => ({
+        id: key(userId, type),
+        userId,
+        bot: type,
+        config,
+        createdAt: current ? current.createdAt : now,
+        updatedAt: now
+    }));
+    return toPublic(type, record);
+}
+
+// Pauses or resumes a saved bot without touching its other settings
+async function setActive(userId, type, isActive) {
+    getBot(type);
+    const record = await configs.update(key(userId, type), current => (current ? {
+        ...current,
+        config: { ...current.config, active: isActive },
+        updatedAt: new Date().toISOString()
+    } : undefined));
+    if (!record) {
+        throw new HttpError(409, `Save the ${BOTS[type].title} settings first`, 'bot');
+    }
+    return toPublic(type, record);
+}
+
+async function remove(userId, type) {
+    getBot(type);
+    await configs.remove(key(userId, type));
+    return toPublic(type, null);
+}
+
+// Every saved config of one type, for the bot runners
+async function listByType(type) {
+    getBot(type);
+    return configs.list(record => record.bot === type);
+}
+
+module.exports = {
+    BOTS,
+    TYPES,
+    getBot,
+    validate,
+    defaults,
+    get,
+    save,
+    setActive,
+    remove,
+    listByType
+};
@@ -0,0 +1,212 @@
+// Server-side product catalog
+// The single source of truth for prices. Keys match the data-plan ids on
+// products.html; the order endpoint reprices every cart against this list so
+// nothing the browser sends can change what is charged. `sac` is the GST
+// Services Accounting Code printed on invoices.
+//
+// `price` is in rupees. One-off products also carry a fixed `prices` list
+// for the other currencies we charge in (no live exchange rates); monthly
+// plans are billed through Razorpay Subscriptions and stay INR-only.
+
+const { HttpError } = require('./http');
+const TaxEngine = require('../assets/js/tax');
+const config = require('./config');
+
+const MAX_QUANTITY = 100;
+const CURRENCIES = ['INR', 'USD', 'EUR'];
+
+const PRODUCTS = {
+    'extension-basic': {
+        title: 'Chrome Extension - Basic Plan',
+        description: 'Monthly subscription for Chrome Extension with basic features',
+        price: 699,
+        sac: '997331',
+        type: 'subscription',
+        interval: 'month'
+    },
+    'extension-pro': {
+        title: 'Chrome Extension - Pro Plan',
+        description: 'Monthly subscription for Chrome Extension with advanced features',
+        price: 1299,
+        sac: '997331',
+        type: 'subscription',
+        interval: 'month'
+    },
+    'extension-enterprise': {
+        title: 'Chrome Extension - Enterprise Plan',
+        description: 'Monthly subscription for Chrome Extension with enterprise features',
+        price: 2499,
+        sac: '997331',
+        type: 'subscription',
+        interval: 'month'
+    },
+    'extension-premium': {
+        title: 'Premium Extension',
+        description: 'One month of premium features in the Shadow Market Tracker extension',
+        price: 30,
+        prices: { USD: 1, EUR: 1 },
+        sac: '997331',
+        type: 'licence',
+        licence: { features: ['premium'], months: 1 }
+    },
+    'custom-integration': {
+        title: 'Custom Integration Service',
+        description: 'Integrate Shadow Market Tracker with your existing business tools and workflows',
+        price: 25000,
+        prices: { USD: 349, EUR: 319 },
+        sac: '998314',
+        type: 'service'
+    },
+    'bi-consulting': {
+        title: 'BI Consulting (1 hour)',
+        description: 'One-on-one business intelligence consulting session',
+        price: 5000,
+        prices: { USD: 69, EUR: 65 },
+        sac: '998313',
+        type: 'service'
+    },
+    'training': {
+        title: 'Training Session',
+        description: 'Team training on Shadow Market Tracker tools and workflows',
+        price: 15000,
+        prices: { USD: 199, EUR: 179 },
+        sac: '999293',
+        type: 'service'
+    }
+};
+
+function getProduct(id) {
+    const product = Object.prototype.hasOwnProperty.call(PRODUCTS, id) ? PRODUCTS[id] : null;
+    return product ? { id, ...product } : null;
+}
+
+function listProducts() {
+    return Object.keys(PRODUCTS).map(getProduct);
+}
+
+// Unit price in minor units (paise, cents), or null when the product is not
+// sold in that currency
+function unitPrice(product, currency = 'INR') {
+    const price = currency === 'INR' ? product.price : (product.prices || {})[currency];
+    return price === undefined ? null : Math.round(price * 100);
+}
+
+// { INR: 25000, USD: 349, EUR: 319 } for the currencies a product is sold in
+function priceList(product) {
+    return CURRENCIES.reduce((prices, currency) => {
+        const price = unitPrice(product, currency);
+        if (price !== null) prices[currency] = toMajor(price);
+        return prices;
+    }, {});
+}
+
+function sellerState() {
+    return config.sellerState();
+}
+
+// Applies GST (see assets/js/tax.js) to priced lines for a buyer
+// { country, state, gstin }. Lines and totals are in minor units of
+// `currency`. Only exports (zero-rated) may be charged in a foreign currency;
+// domestic supplies are invoiced and charged in INR.
+function applyTax(lines, buyer, currency = 'INR') {
+    let tax;
+    try {
+        tax = TaxEngine.compute(lines, buyer, sellerState());
+    } catch (error) {
+        if (error instanceof TaxEngine.TaxError) {
+            throw new HttpError(400, error.message, error.field);
+        }
+        throw error;
+    }
+    if (currency !== 'INR' && tax.supplyType !== 'export') {
+        throw new HttpError(400, 'Billing addresses in India are charged in INR', 'currency');
+    }
+
+    return {
+        currency,
+        lines: tax.lines,
+        gross: tax.gross,
+        discount: tax.discount,
+        subtotal: tax.taxable,
+        gst: tax.tax,
+        total: tax.total,
+        tax: {
+            supplyType: tax.supplyType,
+            rate: tax.rate,
+            label: TaxEngine.describe(tax),
+            sgstLabel: tax.sgstLabel,
+            seller: tax.seller,
+            placeOfSupply: tax.placeOfSupply,
+            gstin: tax.gstin,
+            cgst: tax.cgst,
+            sgst: tax.sgst,
+            igst: tax.igst
+        }
+    };
+}
+
+// Validates [{ id, quantity }] and prices each line from the catalog in
+// `currency`, before discounts and tax. Amounts in minor units.
+function buildLines(items, currency = 'INR') {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new HttpError(400, 'items must be a non-empty array');
+    }
+    if (!CURRENCIES.includes(currency)) {
+        throw new HttpError(400, `Unsupported currency: ${currency}`, 'currency');
+    }
+
+    const quantities = new Map();
+    items.forEach(item => {
+        const id = item && item.id;
+        const quantity = item && item.quantity !== undefined ? Number(item.quantity) : 1;
+
+        if (!getProduct(id)) {
+            throw new HttpError(400, `Unknown plan: ${id}`);
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new HttpError(400, `Invalid quantity for ${id}`);
+        }
+        quantities.set(id, (quantities.get(id) || 0) + quantity);
+    });
+
+    return Array.from(quantities, ([id, quantity]) => {
+        if (quantity > MAX_QUANTITY) {
+            throw new HttpError(400, `Quantity for ${id} exceeds ${MAX_QUANTITY}`);
+        }
+        const product = getProduct(id);
+        const price = unitPrice(product, currency);
+        if (price === null) {
+            throw new HttpError(400, `${product.title} is only sold in INR`, 'currency');
+        }
+        return {
+            id,
+            title: product.title,
+            unitPrice: price,
+            quantity
+        };
+    });
+}
+
+// Prices [{ id, quantity }] for a buyer, with GST. See lib/coupons.js for
+// carts with a coupon code.
+function priceCart(items, buyer, currency = 'INR') {
+    return applyTax(buildLines(items, currency), buyer, currency);
+}
+
+// Every currency we sell in has two decimal places
+function toMajor(minor) {
+    return minor / 100;
+}
+
+module.exports = {
+    CURRENCIES,
+    getProduct,
+    listProducts,
+    unitPrice,
+    priceList,
+    buildLines,
+    priceCart,
+    applyTax,
+    sellerState,
+    toMajor
+};
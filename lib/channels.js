@@ -0,0 +1,451 @@
+// Alert delivery channels
+// lib/delivery.js hands each rendered message to the channel adapters the
+// bot's settings pick (the `channels` field in lib/bots.js). An adapter is
+// a plain object:
+//
+//   {
+//     id: 'email',                     matches the bot settings' channel
+//     title: 'Email',
+//     schema,                          what the user saves (lib/schema.js)
+//     save(current, input, user) -> settings   merges validated input;
+//                                      may be async
+//     toPublic(settings, user)         what the settings page may show
+//     missing(settings, user)          why it cannot send yet, or null
+//     async send({ user, settings, message }) -> settings | undefined
+//   }
+//
+// send() returns changed settings to keep (e.g. without a push device the
+// browser dropped) and rejects with error.permanent when retrying cannot
+// help. message is { subject, heading, items: [{ title, summary, url,
+// severity, bot }], url, severity, tag } with absolute URLs; tag lets a
+// newer push notification replace an older one.
+//
+// Each user's credentials live in `delivery-channels`, keyed by user id:
+// { id, userId, email: { address, verifiedAt, token, tokenExpiresAt },
+//   slack: { webhookUrl },
+//   mobile: { devices: [{ id, endpoint, keys, label, addedAt }] }, updatedAt }
+// Email goes to the account address, which Google has verified, unless
+// another is saved. Saving one mails it a confirmation link
+// (/api/delivery/confirm, see confirmEmail) and nothing else is sent there
+// until the link is followed, so the server cannot be used to mail
+// addresses nobody asked for. `email-confirmations` keeps when each account
+// was last sent links, so at most MAX_CONFIRMATIONS_PER_DAY go out per
+// account however often the address is changed or removed. Slack webhook
+// URLs are secrets, so only their tail is ever shown.
+
+const crypto = require('crypto');
+const config = require('./config');
+const schema = require('./schema');
+const smtp = require('./smtp');
+const store = require('./store');
+const web = require('./web');
+const webpush = require('./webpush');
+const { HttpError } = require('./http');
+
+const settingsStore = store.collection('delivery-channels');
+const confirmations = store.collection('email-confirmations');
+
+const MAX_DEVICES = 5;
+const TIMEOUT_MS = 30 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const CONFIRM_TTL_MS = 24 * HOUR_MS;
+const CONFIRM_RESEND_MS = 10 * 60 * 1000;
+const MAX_CONFIRMATIONS_PER_DAY = 5;
+const SEVERITY_ICONS = { high: '🚨', medium: '⚠️', low: 'ℹ️' };
+
+const adapters = new Map();
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// Production only sends to https addresses on the public internet
+async function assertDeliverable(url) {
+    if (process.env.NODE_ENV === 'production' && new URL(url).protocol !== 'https:') {
+        const error = new Error('Only https:// addresses can receive alerts');
+        error.permanent = true;
+        throw error;
+    }
+    await web.assertPublic(url);
+}
+
+function emailText(message) {
+    const lines = [message.heading, ''];
+    message.items.forEach(item => {
+        lines.push(`${SEVERITY_ICONS[item.severity] || ''} ${item.title}`.trim());
+        if (item.summary) lines.push(item.summary);
+        if (item.url) lines.push(item.url);
+        lines.push('');
+    });
+    lines.push(`Manage your alerts: ${message.url}`);
+    return lines.join('\n');
+}
+
+function emailHtml(message) {
+    const items = message.items.map(item => `
+        <div style="margin:0 0 20px;padding:12px 16px;border-left:4px solid ${item.severity === 'high' ? '#ef4444' : item.severity === 'medium' ? '#f59e0b' : '#6366f1'};background:#f8fafc">
+            <strong>${item.url ? `<a href="${escapeHtml(item.url)}">${escapeHtml(item.title)}</a>` : escapeHtml(item.title)}</strong>
+            ${item.summary ? `<p style="margin:8px 0 0;white-space:pre-line">${escapeHtml(item.summary)}</p>` : ''}
+        </div>`).join('');
+    return `<!DOCTYPE html><html><body style="font-family:Arial,sans-serif;color:#1e293b;max-width:640px">
+        <h2>${escapeHtml(message.heading)}</h2>${items}
+        <p style="color:#64748b;font-size:13px"><a href="${escapeHtml(message.url)}">Manage your alerts</a></p>
+    </body></html>`;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Mails address a link that confirms it for user's alerts; resolves to the
+// pending email settings
+async function sendConfirmation(user, address, current) {
+    const now = Date.now();
+    const record = await confirmations.get(user.id);
+    const sent = ((record && record.sent) || []).filter(at => now - Date.parse(at) < 24 * HOUR_MS);
+    if (current && current.address === address && current.token && sent.length &&
+        now - Date.parse(sent[sent.length - 1]) < CONFIRM_RESEND_MS) {
+        // The last link is still on its way
+        return current;
+    }
+    if (sent.length >= MAX_CONFIRMATIONS_PER_DAY) {
+        throw new HttpError(429, 'Too many confirmation emails today; try again tomorrow', 'address');
+    }
+    if (!smtp.isConfigured()) {
+        throw new HttpError(400, 'Email is not configured on this server', 'address');
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const base = config.websiteUrl() || 'http://localhost:3000';
+    const link = `${base}/api/delivery/confirm?user=${encodeURIComponent(user.id)}&token=${token}`;
+    await confirmations.put(user.id, { id: user.id, sent: [...sent, new Date(now).toISOString()] });
+    try {
+        await smtp.send({
+            to: address,
+            subject: 'Confirm your alert email address',
+            text: `${user.name || user.email} asked for Shadow Market Tracker alerts to be sent to this address.\n\n` +
+                `Confirm it within 24 hours: ${link}\n\nIf this was not you, ignore this email and nothing more will be sent.`,
+            html: `<!DOCTYPE html><html><body style="font-family:Arial,sans-serif;color:#1e293b;max-width:640px">
+                <p>${escapeHtml(user.name || user.email)} asked for Shadow Market Tracker alerts to be sent to this address.</p>
+                <p><a href="${escapeHtml(link)}">Confirm this address</a> within 24 hours.</p>
+                <p style="color:#64748b;font-size:13px">If this was not you, ignore this email and nothing more will be sent.</p>
+            </body></html>`
+        });
+    } catch (cause) {
+        const error = new HttpError(502, `Could not email ${address}: ${cause.message}`, 'address');
+        error.expose = true;
+        throw error;
+    }
+    return {
+        address,
+        verifiedAt: null,
+        token: hashToken(token),
+        tokenExpiresAt: new Date(now + CONFIRM_TTL_MS).toISOString()
+    };
+}
+
+const email = {
+    id: 'email',
+    title: 'Email',
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['address'],
+        properties: {
+            address: { type: 'string', title: 'Email address', format: 'email', maxLength: 254 }
+        }
+    },
+    // The account address needs no confirmation; any other is mailed a link
+    async save(current, input, user) {
+        const address = input.address.toLowerCase();
+        if (address === user.email) return {};
+        if (current && current.address === address && current.verifiedAt) {
+            return current;
+        }
+        return sendConfirmation(user, address, current);
+    },
+    toPublic(settings, user) {
+        const custom = Boolean(settings && settings.address);
+        return {
+            address: custom ? settings.address : user.email,
+            custom,
+            confirmed: !custom || Boolean(settings.verifiedAt)
+        };
+    },
+    missing(settings) {
+        if (!smtp.isConfigured()) return 'Email is not configured on this server';
+        if (settings && settings.address && !settings.verifiedAt) {
+            return `Confirm ${settings.address} from the link we emailed to it first`;
+        }
+        return null;
+    },
+    async send({ user, settings, message }) {
+        await smtp.send({
+            to: settings && settings.address && settings.verifiedAt ? settings.address : user.email,
+            subject: message.subject,
+            text: emailText(message),
+            html: emailHtml(message)
+        });
+    }
+};
+
+function slackBlocks(message) {
+    const blocks = [{ type: 'header', text: { type: 'plain_text', text: message.heading.slice(0, 150) } }];
+    message.items.slice(0, 20).forEach(item => {
+        const title = item.url ? `<${item.url}|${item.title}>` : item.title;
+        blocks.push({
+            type: 'section',
+            text: { type: 'mrkdwn', text: `${SEVERITY_ICONS[item.severity] || ''} *${title}*\n${item.summary || ''}`.slice(0, 3000) }
+        });
+    });
+    if (message.items.length > 20) {
+        blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${message.items.length - 20} more` }] });
+    }
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `<${message.url}|Manage your alerts>` }] });
+    return blocks;
+}
+
+const slack = {
+    id: 'slack',
+    title: 'Slack',
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['webhookUrl'],
+        properties: {
+            webhookUrl: { type: 'string', title: 'Slack webhook URL', format: 'url', maxLength: 500 }
+        }
+    },
+    save(current, input) {
+        return { webhookUrl: input.webhookUrl };
+    },
+    toPublic(settings) {
+        const url = settings && settings.webhookUrl;
+        return { connected: Boolean(url), webhook: url ? `${new URL(url).host}/…${url.slice(-6)}` : null };
+    },
+    missing(settings) {
+        return settings && settings.webhookUrl ? null : 'Connect a Slack incoming webhook first';
+    },
+    async send({ settings, message }) {
+        await assertDeliverable(settings.webhookUrl);
+        const response = await fetch(settings.webhookUrl, {
+            method: 'POST',
+            redirect: 'error',
+            signal: AbortSignal.timeout(TIMEOUT_MS),
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: message.subject, blocks: slackBlocks(message) })
+        });
+        if (response.ok) return;
+
+        const detail = (await response.text().catch(() => '')).slice(0, 200);
+        const error = new Error(`Slack responded ${response.status}${detail ? `: ${detail}` : ''}`);
+        // Slack answers 4xx for revoked webhooks and malformed messages
+        error.permanent = response.status >= 400 && response.status < 500 && response.status !== 429;
+        throw error;
+    }
+};
+
+const mobile = {
+    id: 'mobile',
+    title: 'Push notifications',
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['subscription'],
+        properties: {
+            subscription: {
+                type: 'object',
+                title: 'Push subscription',
+                required: ['endpoint', 'keys'],
+                properties: {
+                    endpoint: { type: 'string', title: 'Push endpoint', format: 'url', maxLength: 2000 },
+                    keys: {
+                        type: 'object',
+                        title: 'Subscription keys',
+                        additionalProperties: false,
+                        required: ['p256dh', 'auth'],
+                        properties: {
+                            p256dh: { type: 'string', title: 'p256dh key', minLength: 80, maxLength: 100 },
+                            auth: { type: 'string', title: 'Auth secret', minLength: 16, maxLength: 32 }
+                        }
+                    }
+                }
+            },
+            label: { type: 'string', title: 'Device name', maxLength: 100, default: 'Browser' }
+        }
+    },
+    // Adds (or refreshes) one device; the oldest is dropped past MAX_DEVICES
+    save(current, input) {
+        const { endpoint, keys } = input.subscription;
+        const devices = ((current && current.devices) || []).filter(device => device.endpoint !== endpoint);
+        devices.push({ id: crypto.randomUUID(), endpoint, keys, label: input.label, addedAt: new Date().toISOString() });
+        return { devices: devices.slice(-MAX_DEVICES) };
+    },
+    toPublic(settings) {
+        const devices = (settings && settings.devices) || [];
+        return {
+            devices: devices.map(({ id, label, addedAt, endpoint }) => ({ id, label, addedAt, endpoint })),
+            publicKey: webpush.isConfigured() ? webpush.publicKey() : null
+        };
+    },
+    missing(settings) {
+        if (!webpush.isConfigured()) return 'Push notifications are not configured on this server';
+        return settings && settings.devices && settings.devices.length ? null : 'Turn on push notifications on a device first';
+    },
+    // Sends to every device; fails only when none got it
+    async send({ settings, message }) {
+        const payload = {
+            title: message.subject,
+            body: message.items.length === 1
+                ? message.items[0].summary.slice(0, 300)
+                : message.items.slice(0, 5).map(item => `• ${item.title}`).join('\n'),
+            url: message.items.length === 1 && message.items[0].url ? message.items[0].url : message.url,
+            tag: message.tag
+        };
+        const gone = [];
+        const errors = [];
+        for (const device of settings.devices) {
+            try {
+                await assertDeliverable(device.endpoint);
+                await webpush.send(device, payload, { urgency: message.severity === 'high' ? 'high' : 'normal' });
+            } catch (error) {
+                if (error.gone) gone.push(device.id);
+                errors.push(error);
+            }
+        }
+        const kept = gone.length ? { devices: settings.devices.filter(device => !gone.includes(device.id)) } : undefined;
+        if (errors.length === settings.devices.length) {
+            const error = errors[0];
+            error.settings = kept;
+            error.permanent = errors.every(failure => failure.permanent);
+            throw error;
+        }
+        return kept;
+    }
+};
+
+function register(adapter) {
+    if (!adapter || !adapter.id || typeof adapter.send !== 'function' || !adapter.schema) {
+        throw new TypeError('A channel adapter needs an id, a schema and a send function');
+    }
+    if (adapters.has(adapter.id)) {
+        throw new Error(`Channel ${adapter.id} is already registered`);
+    }
+    adapters.set(adapter.id, adapter);
+    return adapter;
+}
+
+function getChannel(id) {
+    const adapter = adapters.get(id);
+    if (!adapter) {
+        throw new HttpError(400, `channel must be one of ${Array.from(adapters.keys()).join(', ')}`, 'channel');
+    }
+    return adapter;
+}
+
+async function settingsFor(userId) {
+    return (await settingsStore.get(userId)) || {};
+}
+
+// { email, slack, mobile } as the settings page shows them, each with
+// `ready` and, when it cannot send yet, `missing`
+async function listForUser(user) {
+    const saved = await settingsFor(user.id);
+    const result = {};
+    adapters.forEach((adapter, id) => {
+        const missing = adapter.missing(saved[id], user);
+        result[id] = { title: adapter.title, ...adapter.toPublic(saved[id], user), ready: !missing, missing };
+    });
+    return result;
+}
+
+async function save(user, id, input) {
+    const adapter = getChannel(id);
+    const { value, errors } = schema.validate(adapter.schema, input);
+    if (errors.length) {
+        const error = new HttpError(400, errors[0].message, errors[0].field || undefined);
+        error.errors = errors;
+        throw error;
+    }
+    const settings = await adapter.save((await settingsFor(user.id))[id] || null, value, user);
+    await settingsStore.update(user.id, current => ({
+        ...(current || { id: user.id, userId: user.id }),
+        [id]: settings,
+        updatedAt: new Date().toISOString()
+    }));
+    return listForUser(user);
+}
+
+// Follows a confirmation link (see sendConfirmation); resolves to the
+// confirmed address or throws a 400 when the link is wrong or stale
+async function confirmEmail(userId, token) {
+    let confirmed = null;
+    await settingsStore.update(String(userId || ''), current => {
+        const pending = current && current.email;
+        if (!pending || !pending.token || !token || Date.parse(pending.tokenExpiresAt) <= Date.now() ||
+            !crypto.timingSafeEqual(Buffer.from(pending.token), Buffer.from(hashToken(token)))) {
+            return undefined;
+        }
+        confirmed = pending.address;
+        const now = new Date().toISOString();
+        return { ...current, email: { address: pending.address, verifiedAt: now }, updatedAt: now };
+    });
+    if (!confirmed) {
+        throw new HttpError(400, 'This confirmation link is invalid or has expired; save the address again for a new one');
+    }
+    return confirmed;
+}
+
+// Forgets a channel's credentials, or with `device` one push device
+async function remove(user, id, { device } = {}) {
+    getChannel(id);
+    await settingsStore.update(user.id, current => {
+        if (!current || !current[id]) return undefined;
+        const next = { ...current, updatedAt: new Date().toISOString() };
+        if (device && id === 'mobile') {
+            next.mobile = { devices: current.mobile.devices.filter(entry => entry.id !== device) };
+        } else {
+            delete next[id];
+        }
+        return next;
+    });
+    return listForUser(user);
+}
+
+// Sends one message over one channel; resolves once it was handed over and
+// keeps any settings the adapter changed
+async function send(user, id, message) {
+    const adapter = getChannel(id);
+    const saved = await settingsFor(user.id);
+    const missing = adapter.missing(saved[id], user);
+    if (missing) {
+        const error = new Error(missing);
+        error.permanent = true;
+        error.skipped = true;
+        throw error;
+    }
+    const keep = async settings => {
+        if (!settings) return;
+        await settingsStore.update(user.id, current => (current ? { ...current, [id]: settings } : undefined));
+    };
+    try {
+        await keep(await adapter.send({ user, settings: saved[id], message }));
+    } catch (error) {
+        await keep(error.settings);
+        throw error;
+    }
+}
+
+[email, slack, mobile].forEach(register);
+
+module.exports = {
+    register,
+    getChannel,
+    listForUser,
+    save,
+    confirmEmail,
+    remove,
+    send
+};
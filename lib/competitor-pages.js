@@ -0,0 +1,367 @@
+// Competitor page watching for the Competitive News Bot
+// Every URL in the news bot's `competitors` setting is fetched on each run
+// and reduced to a snapshot:
+//
+//   { url, title, hash, capturedAt,
+//     prices: [{ plan, amount, currency, period }],
+//     features: ['Unlimited projects', 'Pro: SSO', ...] }
+//
+// Prices come, in order of trust, from schema.org JSON-LD offers, from
+// pricing cards (elements whose class or id names a plan, tier, package or
+// pricing/price card, with a heading for the plan name) and from table rows
+// with a price cell. Features are the list items of feature sections
+// (class or id mentioning "feature", or a list after a "Features"
+// heading) and of the pricing cards, prefixed with the plan name.
+//
+// The adapter keeps the latest snapshot per URL as its state. The first
+// snapshot of a page is the baseline; after that any price change, plan
+// added or removed, or feature added or removed becomes one finding per
+// page with the diff and before/after evidence in `data`.
+//
+// Pages are fetched through lib/web.js, which refuses private addresses in
+// production.
+
+const crypto = require('crypto');
+const markup = require('./markup');
+const web = require('./web');
+
+const MAX_FEATURES = 200;
+const FEATURE_LENGTH = 200;
+// Price moves at least this large (percent) are high severity
+const MAJOR_CHANGE_PERCENT = 10;
+
+const CURRENCY_SYMBOLS = {
+    '₹': 'INR', rs: 'INR', 'rs.': 'INR', inr: 'INR',
+    $: 'USD', us$: 'USD', usd: 'USD',
+    '€': 'EUR', eur: 'EUR',
+    '£': 'GBP', gbp: 'GBP'
+};
+const CURRENCY_PATTERN = '₹|\\bRs\\.?|\\bINR\\b|\\bUS\\$|\\$|\\bUSD\\b|€|\\bEUR\\b|£|\\bGBP\\b';
+const NUMBER_PATTERN = '\\d[\\d,]*(?:\\.\\d+)?';
+const PRICE = new RegExp(
+    `(?:(${CURRENCY_PATTERN})\\s?(${NUMBER_PATTERN}))|(?:(${NUMBER_PATTERN})\\s?(${CURRENCY_PATTERN}))`, 'i'
+);
+const PERIOD = /(?:\/|\bper\s+|\ba\s+)\s*(month|mo|year|yr|annum|user|seat)\b/i;
+const PERIODS = { month: 'month', mo: 'month', year: 'year', yr: 'year', annum: 'year', user: 'user', seat: 'user' };
+const CARD_PATTERN = /(^|[\s_-])(plan|plans|tier|tiers|package|packages|pricing-card|price-card|pricing-plan|pricing-tier)($|[\s_-])/i;
+const FEATURE_PATTERN = /feature/i;
+const HEADINGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+function isHeading(node) {
+    return HEADINGS.includes(node.tag);
+}
+
+function parseAmount(text) {
+    return Number(String(text).replace(/,/g, ''));
+}
+
+// { amount, currency, period } for the first price in text, or null
+function parsePrice(text) {
+    const match = PRICE.exec(text);
+    if (!match) {
+        return /\bfree\b/i.test(text) ? { amount: 0, currency: null, period: null } : null;
+    }
+    const symbol = (match[1] || match[4]).toLowerCase();
+    const period = PERIOD.exec(text.slice(match.index));
+    return {
+        amount: parseAmount(match[2] || match[3]),
+        currency: CURRENCY_SYMBOLS[symbol] || null,
+        period: period ? PERIODS[period[1].toLowerCase()] : null
+    };
+}
+
+function planKey(plan) {
+    return String(plan).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function cleanText(value) {
+    return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+function fromJsonLd(root) {
+    const prices = [];
+    const visit = (item, fallbackName) => {
+        if (!item || typeof item !== 'object') return;
+        if (Array.isArray(item)) return item.forEach(entry => visit(entry, fallbackName));
+
+        const types = [].concat(item['@type'] || []);
+        const name = cleanText(item.name) || fallbackName;
+        if (types.includes('Offer') && item.price !== undefined && name) {
+            const spec = item.priceSpecification || {};
+            const unit = String(spec.unitText || spec.referenceQuantity && spec.referenceQuantity.unitText || '');
+            const period = PERIOD.exec(`/${unit}`);
+            prices.push({
+                plan: name,
+                amount: parseAmount(item.price),
+                currency: item.priceCurrency || null,
+                period: period ? PERIODS[period[1].toLowerCase()] : null
+            });
+        }
+        visit(item.offers, name);
+        visit(item['@graph'], fallbackName);
+        visit(item.itemListElement, fallbackName);
+        visit(item.item, fallbackName);
+    };
+
+    markup.findAll(root, node => node.tag === 'script' && /ld\+json/i.test(node.attrs.type || ''))
+        .forEach(script => {
+            try {
+                visit(JSON.parse(markup.rawText(script)));
+            } catch (error) {
+                // Malformed JSON-LD is common; ignore the block
+            }
+        });
+    return prices;
+}
+
+function cardName(card) {
+    const heading = markup.find(card, isHeading) ||
+        markup.find(card, node => markup.hasClass(node, /(^|[\s_-])(name|title)($|[\s_-])/i));
+    return heading ? markup.text(heading) : '';
+}
+
+// Innermost pricing-card elements that show a price
+function findCards(root) {
+    const candidates = markup.findAll(root, node => markup.hasClass(node, CARD_PATTERN))
+        .filter(node => parsePrice(markup.text(node)));
+    const innermost = candidates.filter(node =>
+        !candidates.some(other => other !== node && markup.contains(node, other)));
+
+    // A matched wrapper around several headed cards: use its children
+    return innermost.flatMap(node => {
+        if (markup.findAll(node, isHeading).length <= 1) return [node];
+        return node.children.filter(child =>
+            child.type === 'element' && markup.find(child, isHeading) && parsePrice(markup.text(child)));
+    });
+}
+
+function fromCards(cards) {
+    return cards.map(card => {
+        const name = cardName(card);
+        const price = parsePrice(markup.text(card));
+        return name && price ? { plan: name, ...price } : null;
+    }).filter(Boolean);
+}
+
+function fromTables(root) {
+    const prices = [];
+    markup.findAll(root, 'tr').forEach(row => {
+        const cells = row.children.filter(cell => cell.type === 'element' && ['td', 'th'].includes(cell.tag));
+        if (cells.length < 2) return;
+        const name = markup.text(cells[0]);
+        const priced = cells.slice(1).map(cell => markup.text(cell)).find(text => PRICE.test(text));
+        if (name && priced && !PRICE.test(name)) {
+            prices.push({ plan: name, ...parsePrice(priced) });
+        }
+    });
+    return prices;
+}
+
+function listItems(list) {
+    return list.children
+        .filter(child => child.type === 'element' && child.tag === 'li')
+        .map(item => cleanText(markup.text(item)).slice(0, FEATURE_LENGTH))
+        .filter(Boolean);
+}
+
+function previousElement(node) {
+    const siblings = node.parent ? node.parent.children.filter(child => child.type === 'element') : [];
+    const index = siblings.indexOf(node);
+    return index > 0 ? siblings[index - 1] : null;
+}
+
+function extractFeatures(root, cards) {
+    const features = [];
+    const lists = markup.findAll(root, node => ['ul', 'ol'].includes(node.tag));
+
+    lists.forEach(list => {
+        const card = cards.find(candidate => markup.contains(candidate, list));
+        if (card) {
+            const name = cardName(card);
+            listItems(list).forEach(item => features.push(name ? `${name}: ${item}` : item));
+            return;
+        }
+
+        let inFeatureSection = false;
+        for (let node = list; node && node.tag !== 'root'; node = node.parent) {
+            const heading = previousElement(node);
+            if (markup.hasClass(node, FEATURE_PATTERN) || (heading && isHeading(heading) && FEATURE_PATTERN.test(markup.text(heading)))) {
+                inFeatureSection = true;
+                break;
+            }
+        }
+        if (inFeatureSection) features.push(...listItems(list));
+    });
+
+    return Array.from(new Set(features)).slice(0, MAX_FEATURES);
+}
+
+// Snapshot of one page (see the top of this file)
+function extract(html, url) {
+    const root = markup.parse(html);
+    const cards = findCards(root);
+
+    const prices = [];
+    const seen = new Set();
+    [...fromJsonLd(root), ...fromCards(cards), ...fromTables(root)].forEach(price => {
+        const key = planKey(price.plan);
+        if (!seen.has(key) && Number.isFinite(price.amount)) {
+            seen.add(key);
+            prices.push({ ...price, plan: cleanText(price.plan) });
+        }
+    });
+
+    const ogTitle = markup.find(root, node => node.tag === 'meta' && node.attrs.property === 'og:title');
+    const title = cleanText(markup.text(markup.find(root, 'title'))) || (ogTitle ? cleanText(ogTitle.attrs.content) : '');
+    const body = markup.find(root, 'body') || root;
+
+    return {
+        url,
+        title,
+        hash: crypto.createHash('sha256').update(markup.text(body)).digest('hex'),
+        capturedAt: new Date().toISOString(),
+        prices,
+        features: extractFeatures(root, cards)
+    };
+}
+
+function percentChange(before, after) {
+    if (before === 0) return null;
+    return Math.round(((after - before) / before) * 1000) / 10;
+}
+
+// What changed from one snapshot to the next
+function diff(before, after) {
+    const beforePrices = new Map(before.prices.map(price => [planKey(price.plan), price]));
+    const afterPrices = new Map(after.prices.map(price => [planKey(price.plan), price]));
+
+    const prices = [];
+    afterPrices.forEach((price, key) => {
+        const previous = beforePrices.get(key);
+        if (previous && (previous.amount !== price.amount || previous.currency !== price.currency)) {
+            prices.push({
+                plan: price.plan,
+                before: previous,
+                after: price,
+                changePercent: previous.currency === price.currency ? percentChange(previous.amount, price.amount) : null
+            });
+        }
+    });
+
+    const addedPlans = after.prices.filter(price => !beforePrices.has(planKey(price.plan)));
+    const removedPlans = before.prices.filter(price => !afterPrices.has(planKey(price.plan)));
+    // A whole plan coming or going is reported once, not feature by feature
+    const ofPlans = plans => feature => plans.some(price => feature.startsWith(`${price.plan}: `));
+
+    const beforeFeatures = new Set(before.features);
+    const afterFeatures = new Set(after.features);
+    return {
+        prices,
+        addedPlans,
+        removedPlans,
+        addedFeatures: after.features.filter(feature => !beforeFeatures.has(feature) && !ofPlans(addedPlans)(feature)),
+        removedFeatures: before.features.filter(feature => !afterFeatures.has(feature) && !ofPlans(removedPlans)(feature))
+    };
+}
+
+function isEmpty(changes) {
+    return !changes.prices.length && !changes.addedPlans.length && !changes.removedPlans.length &&
+        !changes.addedFeatures.length && !changes.removedFeatures.length;
+}
+
+function formatPrice({ amount, currency, period }) {
+    const value = currency
+        ? new Intl.NumberFormat('en', { style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 2 }).format(amount)
+        : String(amount);
+    return period ? `${value}/${period}` : value;
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function severity(changes) {
+    const major = changes.prices.some(change =>
+        change.changePercent === null || Math.abs(change.changePercent) >= MAJOR_CHANGE_PERCENT);
+    if (major || changes.removedPlans.length) return 'high';
+    if (changes.prices.length || changes.addedPlans.length || changes.addedFeatures.length) return 'medium';
+    return 'low';
+}
+
+function toFinding(before, after, changes) {
+    const name = after.title || new URL(after.url).hostname;
+    const headline = [];
+    const details = [];
+
+    changes.prices.forEach(change => {
+        const percent = change.changePercent === null ? '' : ` (${change.changePercent > 0 ? '+' : ''}${change.changePercent}%)`;
+        headline.push(`${change.plan} ${formatPrice(change.before)} → ${formatPrice(change.after)}${percent}`);
+    });
+    changes.addedPlans.forEach(price => headline.push(`new ${price.plan} plan at ${formatPrice(price)}`));
+    changes.removedPlans.forEach(price => headline.push(`${price.plan} plan removed`));
+    if (changes.addedFeatures.length) {
+        details.push(`New: ${changes.addedFeatures.join('; ')}`);
+        headline.push(plural(changes.addedFeatures.length, 'new feature'));
+    }
+    if (changes.removedFeatures.length) {
+        details.push(`Removed: ${changes.removedFeatures.join('; ')}`);
+        headline.push(`${plural(changes.removedFeatures.length, 'feature')} removed`);
+    }
+
+    return {
+        title: `${name}: ${headline.join(', ')}`,
+        summary: details.join('\n'),
+        url: after.url,
+        severity: severity(changes),
+        data: {
+            kind: 'competitor-change',
+            url: after.url,
+            changes,
+            before: { capturedAt: before.capturedAt, prices: before.prices, features: before.features },
+            after: { capturedAt: after.capturedAt, prices: after.prices, features: after.features }
+        }
+    };
+}
+
+// Resolves to the page's HTML
+async function fetchPage(url, { signal } = {}) {
+    const { body } = await web.fetchResource(url, { signal, accept: 'text/html,application/xhtml+xml' });
+    return body.toString('utf8');
+}
+
+const adapter = {
+    id: 'competitor-pages',
+    bots: ['news'],
+    async fetch({ config, state, signal }) {
+        const pages = {};
+        const findings = [];
+        const errors = [];
+        const previous = (state && state.pages) || {};
+
+        for (const url of config.competitors || []) {
+            try {
+                const snapshot = extract(await fetchPage(url, { signal }), url);
+                const before = previous[url];
+                if (before && before.hash !== snapshot.hash) {
+                    const changes = diff(before, snapshot);
+                    if (!isEmpty(changes)) findings.push(toFinding(before, snapshot, changes));
+                }
+                pages[url] = snapshot;
+            } catch (error) {
+                if (signal && signal.aborted) throw error;
+                errors.push(`${url} ${error.message}`);
+                // Keep the last good snapshot to diff against next time
+                if (previous[url]) pages[url] = previous[url];
+            }
+        }
+
+        return { findings, state: { pages }, errors };
+    }
+};
+
+module.exports = {
+    adapter,
+    extract,
+    diff,
+    fetchPage
+};
@@ -0,0 +1,169 @@
+// Runtime configuration
+// Decides which environment the code runs in and what that means for keys
+// and flags. The profile is APP_ENV (development, staging or production),
+// else Vercel's VERCEL_ENV (preview deployments are staging), else
+// production when NODE_ENV=production, else development.
+//
+// load() reads .env.<profile> and then .env from the project root into
+// process.env: variables already set win over the profile's file, which
+// wins over .env. Staging and production default NODE_ENV to production,
+// so staging behaves like production (secure cookies, no development keys)
+// except that payments stay in test mode:
+//
+//   production   RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET, RAZORPAY_WEBHOOK_SECRET
+//   otherwise    RAZORPAY_TEST_KEY_ID, RAZORPAY_TEST_KEY_SECRET and
+//                RAZORPAY_TEST_WEBHOOK_SECRET, falling back to the plain
+//                variables only when they hold a test key (rzp_test_); a
+//                live key is never used outside production
+//
+// publicConfig() is what the browser may see. It is inlined into every
+// templated page (templates/partials/head.html) and read there through
+// assets/js/config.js, so nothing secret belongs in it.
+
+const path = require('path');
+const { parseEnv, loadEnv } = require('./env');
+const license = require('./license');
+const TaxEngine = require('../assets/js/tax');
+
+const ROOT = path.join(__dirname, '..');
+const PROFILES = ['development', 'staging', 'production'];
+const VERCEL_PROFILES = { production: 'production', preview: 'staging', development: 'development' };
+const DEFAULT_GOOGLE_CLIENT_ID = '242918573251-2ncpsgn706ubrbbvo683h9g0pdiis0pt.apps.googleusercontent.com';
+const DEFAULT_EXTENSION_STORE_URL = 'https://chromewebstore.google.com/detail/lbokbeojlbgolhoejkcjhjgpabnahkom';
+
+let loaded = false;
+let warnedLiveKey = false;
+
+function pickProfile(read) {
+    const name = read('APP_ENV') || VERCEL_PROFILES[read('VERCEL_ENV')] ||
+        (read('NODE_ENV') === 'production' ? 'production' : 'development');
+    if (!PROFILES.includes(name)) {
+        throw new Error(`APP_ENV must be one of ${PROFILES.join(', ')} (got "${name}")`);
+    }
+    return name;
+}
+
+// Idempotent; every getter below calls it, so API handlers need not
+function load(root = ROOT) {
+    if (loaded) return profile();
+    loaded = true;
+
+    // APP_ENV itself may come from .env
+    const base = parseEnv(path.join(root, '.env'));
+    const name = pickProfile(key => process.env[key] || base[key]);
+    loadEnv(path.join(root, `.env.${name}`));
+    loadEnv(path.join(root, '.env'));
+
+    process.env.APP_ENV = name;
+    if (name !== 'development' && !process.env.NODE_ENV) {
+        process.env.NODE_ENV = 'production';
+    }
+    return name;
+}
+
+function profile() {
+    if (!loaded) return load();
+    return pickProfile(key => process.env[key]);
+}
+
+function isProduction() {
+    return profile() === 'production';
+}
+
+function isTestKey(keyId) {
+    return typeof keyId === 'string' && keyId.startsWith('rzp_test_');
+}
+
+// { keyId, keySecret, webhookSecret, mode: 'live' | 'test' }; the keys are
+// null when this profile has none it may use
+function razorpay() {
+    const env = process.env;
+    if (isProduction()) {
+        return {
+            keyId: env.RAZORPAY_KEY_ID || null,
+            keySecret: env.RAZORPAY_KEY_SECRET || null,
+            webhookSecret: env.RAZORPAY_WEBHOOK_SECRET || null,
+            mode: isTestKey(env.RAZORPAY_KEY_ID) ? 'test' : 'live'
+        };
+    }
+
+    const webhookSecret = env.RAZORPAY_TEST_WEBHOOK_SECRET || env.RAZORPAY_WEBHOOK_SECRET || null;
+    if (env.RAZORPAY_TEST_KEY_ID) {
+        return { keyId: env.RAZORPAY_TEST_KEY_ID, keySecret: env.RAZORPAY_TEST_KEY_SECRET || null, webhookSecret, mode: 'test' };
+    }
+    if (isTestKey(env.RAZORPAY_KEY_ID)) {
+        return { keyId: env.RAZORPAY_KEY_ID, keySecret: env.RAZORPAY_KEY_SECRET || null, webhookSecret, mode: 'test' };
+    }
+    if (env.RAZORPAY_KEY_ID && !warnedLiveKey) {
+        warnedLiveKey = true;
+        console.warn(`⚠️ Ignoring the live Razorpay key in ${profile()}; set RAZORPAY_TEST_KEY_ID and RAZORPAY_TEST_KEY_SECRET`);
+    }
+    return { keyId: null, keySecret: null, webhookSecret, mode: 'test' };
+}
+
+function googleClientId() {
+    load();
+    return process.env.GOOGLE_CLIENT_ID || DEFAULT_GOOGLE_CLIENT_ID;
+}
+
+// The site's public address without a trailing slash (WEBSITE_URL), or null;
+// canonical URLs and the sitemap are built from it (lib/seo.js)
+function websiteUrl() {
+    load();
+    return process.env.WEBSITE_URL ? process.env.WEBSITE_URL.replace(/\/+$/, '') : null;
+}
+
+// The Chrome extension's store listing. Pages show a "launching soon" notice
+// instead of sending people there unless EXTENSION_LIVE=true
+function extension() {
+    load();
+    return {
+        storeUrl: process.env.EXTENSION_STORE_URL || DEFAULT_EXTENSION_STORE_URL,
+        live: process.env.EXTENSION_LIVE === 'true'
+    };
+}
+
+// GST state code of the registered place of business; public so the
+// checkout preview splits GST the way the order API will
+function sellerState() {
+    load();
+    return process.env.SELLER_STATE || TaxEngine.DEFAULT_SELLER_STATE;
+}
+
+// The raw Ed25519 key pages check licences with offline (lib/license.js);
+// null where the signing keys are required but missing
+function licensePublicKey() {
+    load();
+    try {
+        return license.getPublicKeyRaw();
+    } catch (error) {
+        return null;
+    }
+}
+
+function publicConfig() {
+    const { keyId, mode } = razorpay();
+    return {
+        env: profile(),
+        websiteUrl: websiteUrl(),
+        googleClientId: googleClientId(),
+        razorpay: { keyId, mode },
+        extension: extension(),
+        sellerState: sellerState(),
+        license: { publicKey: licensePublicKey() }
+    };
+}
+
+module.exports = {
+    PROFILES,
+    load,
+    profile,
+    isProduction,
+    razorpay,
+    googleClientId,
+    websiteUrl,
+    extension,
+    sellerState,
+    licensePublicKey,
+    publicConfig
+};
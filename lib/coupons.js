@@ -0,0 +1,359 @@
+// Coupon codes
+// Promo codes live in the `coupons` collection, keyed by code, and are
+// managed by admins through /api/admin/coupons; nothing about them ships in
+// the source. They are only ever checked server-side. A discount is taken
+// off eligible lines before GST, so it lowers the Razorpay amount and shows
+// on the invoice. On subscriptions the discounted price is what each billing
+// cycle charges.
+//
+//   code        letters, digits, - and _; stored upper-case
+//   type        'percent' (value = % off) or 'fixed' (value = rupees off the
+//               eligible lines, split across them in proportion to price)
+//   values      for fixed codes, the amount off in other currencies
+//               ({ USD: 6 }); a fixed code cannot be used in a currency
+//               it has no amount for
+//   plans       catalog ids the code applies to; omit for every product
+//   startsAt / expiresAt   ISO timestamps; either may be omitted
+//   maxRedemptions         total uses across all customers
+//   maxPerCustomer         uses per signed-in account
+//   firstPurchaseOnly      only for accounts with no earlier invoice
+//
+// The per-customer rules are checked against the signed-in account, never
+// an email address typed at checkout, so a code with either of them needs
+// the buyer to sign in. Creating an order reserves a use (reserve), checked
+// against the limits in the same store transaction that writes it, so
+// concurrent checkouts cannot go over them; the reservation becomes a use
+// when the payment goes through (redeem) and lapses after RESERVE_MS, so
+// abandoned orders do not use up a limited code.
+//
+// Razorpay refuses to charge less than MIN_CHARGE, so no discount takes a
+// cart below it: a 100% code leaves that much (plus GST) to pay.
+
+const catalog = require('./catalog');
+const invoices = require('./invoices');
+const schema = require('./schema');
+const store = require('./store');
+const { HttpError } = require('./http');
+
+const coupons = store.collection('coupons');
+const redemptions = store.collection('coupon-redemptions');
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+// Smallest amount Razorpay charges, in minor units (₹1, $1, €1)
+const MIN_CHARGE = 100;
+// How long an unpaid order holds a use of a limited code
+const RESERVE_MS = 30 * 60 * 1000;
+
+// What an admin saves (lib/schema.js); code and dates are checked in save()
+const COUPON_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['code', 'type', 'value'],
+    properties: {
+        code: { type: 'string', title: 'Code', minLength: 3, maxLength: 32 },
+        description: { type: 'string', title: 'Description', maxLength: 200, default: '' },
+        type: { type: 'string', title: 'Type', enum: ['percent', 'fixed'] },
+        value: { type: 'number', title: 'Value', minimum: 0 },
+        values: {
+            type: 'object',
+            title: 'Other currencies',
+            additionalProperties: false,
+            properties: catalog.CURRENCIES.filter(currency => currency !== 'INR').reduce((properties, currency) => {
+                properties[currency] = { type: 'number', title: currency, minimum: 0 };
+                return properties;
+            }, {})
+        },
+        plans: {
+            type: 'array',
+            title: 'Plans',
+            minItems: 1,
+            uniqueItems: true,
+            items: { type: 'string', enum: catalog.listProducts().map(product => product.id) }
+        },
+        startsAt: { type: 'string', title: 'Start', maxLength: 40 },
+        expiresAt: { type: 'string', title: 'Expiry', maxLength: 40 },
+        maxRedemptions: { type: 'integer', title: 'Total uses', minimum: 1 },
+        maxPerCustomer: { type: 'integer', title: 'Uses per customer', minimum: 1 },
+        firstPurchaseOnly: { type: 'boolean', title: 'First purchase only' }
+    }
+};
+
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+async function getCoupon(code) {
+    const normalized = normalizeCode(code);
+    return normalized ? coupons.get(normalized) : null;
+}
+
+function invalid(message, field) {
+    return new HttpError(400, message, field);
+}
+
+// Creates or replaces a code; resolves to the stored coupon
+async function save(input) {
+    const { value, errors } = schema.validate(COUPON_SCHEMA, input);
+    if (errors.length) {
+        const error = invalid(errors[0].message, errors[0].field || undefined);
+        error.errors = errors;
+        throw error;
+    }
+
+    const code = normalizeCode(value.code);
+    if (!CODE_PATTERN.test(code)) {
+        throw invalid('Code may only use letters, digits, - and _', 'code');
+    }
+    if (value.type === 'percent' && value.value > 100) {
+        throw invalid('A percent discount must be at most 100', 'value');
+    }
+    ['startsAt', 'expiresAt'].forEach(field => {
+        if (value[field] && Number.isNaN(Date.parse(value[field]))) {
+            throw invalid(`${COUPON_SCHEMA.properties[field].title} must be an ISO date and time`, field);
+        }
+    });
+    if (value.startsAt && value.expiresAt && Date.parse(value.startsAt) >= Date.parse(value.expiresAt)) {
+        throw invalid('Expiry must be after the start', 'expiresAt');
+    }
+
+    const now = new Date().toISOString();
+    return coupons.update(code, current => ({
+        ...value,
+        code,
+        createdAt: current ? current.createdAt : now,
+        updatedAt: now
+    }));
+}
+
+// Deletes a code; its redemptions stay on record
+async function remove(code) {
+    const normalized = normalizeCode(code);
+    if (!(await coupons.remove(normalized))) {
+        throw new HttpError(404, `No coupon ${normalized}`, 'code');
+    }
+}
+
+// Every code with how often it has been paid for, by code
+async function list() {
+    const [records, uses] = await Promise.all([coupons.list(), redemptions.list(use => use.status !== 'reserved')]);
+    return records
+        .sort((a, b) => a.code.localeCompare(b.code))
+        .map(coupon => ({ ...coupon, redemptions: uses.filter(use => use.code === coupon.code).length }));
+}
+
+function rejected(message) {
+    return new HttpError(400, message, 'coupon');
+}
+
+function appliesTo(coupon, id) {
+    return !coupon.plans || coupon.plans.includes(id);
+}
+
+// Amount off in minor units for a fixed code, or null if the code has no
+// amount in that currency
+function fixedAmount(coupon, currency = 'INR') {
+    const value = currency === 'INR' ? coupon.value : (coupon.values || {})[currency];
+    return value === undefined ? null : Math.round(value * 100);
+}
+
+// Splits the coupon's discount over catalog lines (see catalog.buildLines).
+// Pure: no dates or limits are checked, so it also reprices subscriptions
+// that already hold a coupon. `currency` is the currency the lines are in.
+function discountLines(coupon, lines, currency = 'INR') {
+    const grossOf = line => line.unitPrice * line.quantity;
+    const eligible = lines.filter(line => appliesTo(coupon, line.id));
+    const eligibleGross = eligible.reduce((sum, line) => sum + grossOf(line), 0);
+    const percentOff = line => Math.round(grossOf(line) * Math.min(coupon.value, 100) / 100);
+
+    const wanted = coupon.type === 'fixed'
+        ? Math.min(fixedAmount(coupon, currency) || 0, eligibleGross)
+        : eligible.reduce((sum, line) => sum + percentOff(line), 0);
+    const allowed = Math.max(0, lines.reduce((sum, line) => sum + grossOf(line), 0) - MIN_CHARGE);
+    const perLine = coupon.type === 'percent' && wanted <= allowed;
+
+    let remaining = Math.min(wanted, allowed);
+    let remainingGross = eligibleGross;
+
+    return lines.map(line => {
+        if (!appliesTo(coupon, line.id)) return { ...line };
+        if (perLine) return { ...line, discount: percentOff(line) };
+
+        // A fixed amount, or a capped percentage, is split in proportion to
+        // price; the last eligible line takes the rounding remainder
+        const gross = grossOf(line);
+        const discount = remainingGross === gross ? remaining : Math.round(remaining * gross / remainingGross);
+        remaining -= discount;
+        remainingGross -= gross;
+        return { ...line, discount };
+    });
+}
+
+// Whether a redemption counts against the limits at `at`: uses that were
+// paid for, and reservations that have not lapsed
+function counted(redemption, at = Date.now()) {
+    return redemption.status !== 'reserved' || Date.parse(redemption.expiresAt) > at;
+}
+
+// The message for a code whose limits leave no use for userId at `at`, or
+// null; `key` is the order's own reservation, which does not count
+function limitReached(coupon, records, { key = null, userId = null, at = Date.now() } = {}) {
+    const uses = records.filter(record => record.code === coupon.code && record.id !== key && counted(record, at));
+    if (coupon.maxRedemptions && uses.length >= coupon.maxRedemptions) {
+        return `${coupon.code} has been fully redeemed`;
+    }
+    if (coupon.maxPerCustomer && userId &&
+        uses.filter(use => use.userId === userId).length >= coupon.maxPerCustomer) {
+        return `You have already used ${coupon.code}`;
+    }
+    return null;
+}
+
+// Checks dates, eligibility and usage limits; throws a 400 on field 'coupon'.
+// user is the signed-in account (lib/auth.js) or null. With `partial`,
+// per-customer rules are skipped when nobody is signed in yet (the cart
+// preview); they are enforced when the order is created.
+async function validate(code, lines, { user = null, partial = false, at = new Date(), currency = 'INR' } = {}) {
+    if (!normalizeCode(code)) {
+        throw rejected('Enter a coupon code');
+    }
+    const coupon = await getCoupon(code);
+    if (!coupon) {
+        throw rejected(`${normalizeCode(code)} is not a valid code`);
+    }
+    if (coupon.startsAt && new Date(coupon.startsAt) > at) {
+        throw rejected(`${coupon.code} is not active yet`);
+    }
+    if (coupon.expiresAt && new Date(coupon.expiresAt) <= at) {
+        throw rejected(`${coupon.code} has expired`);
+    }
+    if (!lines.some(line => appliesTo(coupon, line.id))) {
+        throw rejected(`${coupon.code} does not apply to the items in your cart`);
+    }
+    if (coupon.type === 'fixed' && fixedAmount(coupon, currency) === null) {
+        throw rejected(`${coupon.code} can only be used when paying in INR`);
+    }
+
+    const limited = limitReached(coupon, await redemptions.list(), { userId: user ? user.id : null, at: at.getTime() });
+    if (limited) {
+        throw rejected(limited);
+    }
+
+    if (!hasCustomerRules(coupon)) {
+        return coupon;
+    }
+    if (!user) {
+        if (partial) return coupon;
+        throw rejected(`Sign in to use ${coupon.code}`);
+    }
+    if (coupon.firstPurchaseOnly && (await invoices.listForUser(user.id)).length > 0) {
+        throw rejected(`${coupon.code} is only for first purchases`);
+    }
+
+    return coupon;
+}
+
+// Whether the code's limits are per account, so using it needs a sign-in
+function hasCustomerRules(coupon) {
+    return Boolean(coupon.maxPerCustomer || coupon.firstPurchaseOnly);
+}
+
+// What is kept on an order or subscription to reprice it later
+function snapshot(coupon) {
+    return {
+        code: coupon.code,
+        type: coupon.type,
+        value: coupon.value,
+        values: coupon.values || null,
+        plans: coupon.plans || null
+    };
+}
+
+// catalog.priceCart with an optional coupon code. The quote gains
+// `coupon: { code, type, value, values, plans }` when a code was applied.
+// user as for validate().
+async function priceCart(items, buyer, { code, user = null, currency = 'INR' } = {}) {
+    const lines = catalog.buildLines(items, currency);
+    if (!normalizeCode(code)) {
+        return catalog.applyTax(lines, buyer, currency);
+    }
+
+    const coupon = await validate(code, lines, { user, currency });
+    const quote = catalog.applyTax(discountLines(coupon, lines, currency), buyer, currency);
+    return { ...quote, coupon: snapshot(coupon) };
+}
+
+// Holds a use of the code for an order or subscription about to be paid
+// for. The limits are checked against every other use in the same
+// transaction that writes the reservation; throws a 400 on field 'coupon'
+// when they are reached. userId is the account placing the order, which the
+// per-customer limit counts.
+async function reserve({ code, userId = null, email, orderId = null, subscriptionId = null }) {
+    const key = `${code}:${orderId || subscriptionId}`;
+    const coupon = await getCoupon(code);
+    return redemptions.transaction(records => {
+        const limited = coupon && limitReached(coupon, Object.values(records), { key, userId });
+        if (limited) {
+            throw rejected(limited);
+        }
+        const at = Date.now();
+        records[key] = {
+            id: key,
+            code,
+            userId,
+            email: String(email || '').toLowerCase(),
+            orderId,
+            subscriptionId,
+            status: 'reserved',
+            reservedAt: new Date(at).toISOString(),
+            expiresAt: new Date(at + RESERVE_MS).toISOString()
+        };
+        return records[key];
+    });
+}
+
+// Turns the reservation into a use once the payment went through;
+// idempotent per order or subscription. The payment is taken by then, so a
+// reservation that lapsed while others used up the code is still recorded,
+// with a warning.
+async function redeem({ code, userId = null, email, orderId = null, subscriptionId = null, paymentId, discount, currency = 'INR' }) {
+    const key = `${code}:${orderId || subscriptionId}`;
+    const coupon = await getCoupon(code);
+    return redemptions.transaction(records => {
+        const current = records[key] || null;
+        if (current && current.status !== 'reserved') {
+            return current;
+        }
+        if ((!current || !counted(current)) && coupon && limitReached(coupon, Object.values(records), { key, userId })) {
+            console.warn(`⚠️ ${code} went over its limits: ${key} was paid after its reservation lapsed`);
+        }
+        records[key] = {
+            id: key,
+            code,
+            userId,
+            email: String(email || '').toLowerCase(),
+            orderId,
+            subscriptionId,
+            status: 'redeemed',
+            paymentId,
+            discount,
+            currency,
+            redeemedAt: new Date().toISOString()
+        };
+        return records[key];
+    });
+}
+
+module.exports = {
+    normalizeCode,
+    getCoupon,
+    save,
+    remove,
+    list,
+    appliesTo,
+    hasCustomerRules,
+    discountLines,
+    validate,
+    priceCart,
+    reserve,
+    redeem
+};
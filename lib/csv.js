@@ -0,0 +1,52 @@
+// CSV parsing for imported feeds and datasets
+// parse() follows RFC 4180 (quoted fields may hold delimiters, new lines
+// and "" escapes) and returns the rows as arrays of strings, header row
+// included. The delimiter is whichever of comma, semicolon or tab the first
+// line uses most, so spreadsheet exports from any locale work; a leading
+// byte order mark and blank rows are dropped.
+
+function parse(source) {
+    const text = String(source || '').replace(/^﻿/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') index++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+module.exports = {
+    parse
+};
@@ -0,0 +1,62 @@
+// Dashboard summary (platform/dashboard.html)
+// summary() gathers what the dashboard's stat cards and bot cards show:
+//
+//   { stats: { activeBots, alertsToday, opportunities, tenders },
+//     bots: [status from lib/scheduler.js, one per bot the plan includes],
+//     generatedAt }
+//
+// activeBots counts bots that are scheduled or running, opportunities the
+// scored gaps rated Promising or better (lib/gaps.js) and tenders the
+// tenders being tracked to a deadline (lib/tenders.js). A stat the user's
+// plan does not cover is null. "Today" starts at the user's local
+// midnight, given as the browser's getTimezoneOffset() in minutes.
+
+const access = require('./access');
+const alerts = require('./alerts');
+const bots = require('./bots');
+const gaps = require('./gaps');
+const scheduler = require('./scheduler');
+const tenders = require('./tenders');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const PROMISING_SCORE = 50;
+
+function startOfDay(now, timezoneOffset) {
+    const offset = Number.isFinite(timezoneOffset) && Math.abs(timezoneOffset) <= 14 * 60 ? timezoneOffset : 0;
+    const local = now - offset * MINUTE_MS;
+    return new Date(local - (local % DAY_MS) + offset * MINUTE_MS).toISOString();
+}
+
+async function summary(user, { timezoneOffset = 0, now = Date.now() } = {}) {
+    const { features } = await access.resolve(user);
+    const allowed = type => features.includes(bots.BOTS[type].feature);
+
+    const statuses = await Promise.all(bots.TYPES.filter(allowed).map(type => scheduler.status(user.id, type, { now })));
+
+    let opportunities = null;
+    if (allowed('gaps')) {
+        const { config } = await bots.get(user.id, 'gaps');
+        opportunities = (await gaps.score(user.id, config)).gaps.filter(gap => gap.score >= PROMISING_SCORE).length;
+    }
+    let tracked = null;
+    if (allowed('tenders')) {
+        const state = await scheduler.sourceStateFor(user.id, 'tenders', tenders.adapter.id);
+        tracked = tenders.upcoming(state, now).length;
+    }
+
+    return {
+        stats: {
+            activeBots: statuses.filter(status => status.state === 'active' || status.state === 'running').length,
+            alertsToday: await alerts.countSince(user.id, startOfDay(now, timezoneOffset)),
+            opportunities,
+            tenders: tracked
+        },
+        bots: statuses,
+        generatedAt: new Date(now).toISOString()
+    };
+}
+
+module.exports = {
+    summary
+};
@@ -0,0 +1,366 @@
+// Alert delivery
+// New alerts (lib/alerts.js) go out over the channels each bot's settings
+// pick (`channels`, default email; adapters in lib/channels.js) at the
+// bot's alert frequency:
+//
+//   realtime        one message per alert as soon as the run that found it
+//                   ends; a run with more than INSTANT_LIMIT alerts sends
+//                   them together
+//   hourly, daily,  alerts collect in `delivery-digests` (keyed
+//   weekly          `<userId>:<bot>`) and go out as one digest at most once
+//                   per period
+//
+// Every message to every channel is a record in `deliveries`:
+//
+//   { id, userId, bot, channel, kind: 'alert' | 'digest' | 'test',
+//     alertIds, message, status: 'pending' | 'sent' | 'dead' | 'skipped',
+//     attempts, nextAttemptAt, lastError, createdAt, updatedAt, sentAt }
+//
+// A failed send is retried with backoff up to MAX_ATTEMPTS times; after
+// that, or straight away when the channel rejects it for good (a revoked
+// webhook, a refused address), it is dead-lettered and stays 'dead' until
+// retried by hand. A channel the user has not set up is 'skipped'.
+//
+// The scheduler calls enqueue() with every run's alerts and deliverDue()
+// on every tick (lib/scheduler.js).
+
+const crypto = require('crypto');
+const bots = require('./bots');
+const channels = require('./channels');
+const store = require('./store');
+const { HttpError } = require('./http');
+
+const deliveries = store.collection('deliveries');
+const digests = store.collection('delivery-digests');
+const users = store.collection('users');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const DIGEST_PERIODS = { hourly: HOUR_MS, daily: DAY_MS, weekly: 7 * DAY_MS };
+const DEFAULT_CHANNELS = ['email'];
+const INSTANT_LIMIT = 5;
+const DIGEST_LIMIT = 100;
+const SUMMARY_LENGTH = 1000;
+const MAX_ATTEMPTS = 5;
+const RETRY_BACKOFF_MS = [MINUTE_MS, 5 * MINUTE_MS, 30 * MINUTE_MS, 2 * HOUR_MS];
+const BATCH_SIZE = 50;
+const KEEP_MS = 30 * DAY_MS;
+// Test messages each user may send per hour, counted per channel
+const TESTS_PER_HOUR = 10;
+const STATUSES = ['pending', 'sent', 'dead', 'skipped'];
+const SEVERITY_ORDER = ['high', 'medium', 'low'];
+
+let processing = null;
+
+function siteUrl(path) {
+    const base = (process.env.WEBSITE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    if (!path) return `${base}/platform/dashboard.html#alerts`;
+    return /^https?:\/\//i.test(path) ? path : `${base}/${String(path).replace(/^\/+/, '')}`;
+}
+
+function toItem(alert) {
+    return {
+        alertId: alert.id,
+        bot: alert.bot,
+        severity: alert.severity,
+        title: alert.title,
+        summary: String(alert.summary || '').slice(0, SUMMARY_LENGTH),
+        url: alert.url ? siteUrl(alert.url) : null
+    };
+}
+
+function topSeverity(items) {
+    return SEVERITY_ORDER.find(severity => items.some(item => item.severity === severity)) || 'medium';
+}
+
+// heading: what the message is; items from toItem()
+function compose(bot, heading, items) {
+    return {
+        subject: heading,
+        heading,
+        items,
+        url: siteUrl(),
+        severity: topSeverity(items),
+        tag: `alerts-${bot}`
+    };
+}
+
+function instantMessage(bot, items) {
+    const title = bots.BOTS[bot].title;
+    if (items.length === 1) {
+        return compose(bot, `${title}: ${items[0].title}`, items);
+    }
+    return compose(bot, `${title}: ${items.length} new alerts`, items);
+}
+
+function digestMessage(bot, frequency, items, overflow) {
+    const title = bots.BOTS[bot].title;
+    const count = items.length + overflow;
+    const name = DIGEST_PERIODS[frequency] ? `${frequency} digest` : 'digest';
+    const message = compose(bot, `${title} ${name}: ${count} new alert${count === 1 ? '' : 's'}`, items);
+    if (overflow) {
+        message.heading = `${message.heading} (newest ${items.length} shown)`;
+    }
+    return message;
+}
+
+// The bot's delivery settings; bots saved before channels existed use email
+async function preferences(userId, bot) {
+    const { config } = await bots.get(userId, bot);
+    return {
+        channels: Array.isArray(config.channels) && config.channels.length ? config.channels : DEFAULT_CHANNELS,
+        frequency: config.frequency || bots.BOTS[bot].frequency
+    };
+}
+
+function newDelivery({ userId, bot, channel, kind, alertIds, message, now }) {
+    const time = new Date(now).toISOString();
+    return {
+        id: crypto.randomUUID(),
+        userId,
+        bot,
+        channel,
+        kind,
+        alertIds,
+        message,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: time,
+        lastError: null,
+        createdAt: time,
+        updatedAt: time,
+        sentAt: null
+    };
+}
+
+async function queue(records) {
+    if (!records.length) return;
+    await deliveries.transaction(all => {
+        records.forEach(record => {
+            all[record.id] = record;
+        });
+    });
+}
+
+// alerts: records just stored by lib/alerts.js for one user and bot
+async function enqueue({ userId, bot, alerts, now = Date.now() }) {
+    if (!alerts.length) return;
+    const { channels: picked, frequency } = await preferences(userId, bot);
+    const items = alerts.map(toItem);
+
+    if (DIGEST_PERIODS[frequency]) {
+        await digests.update(`${userId}:${bot}`, current => {
+            const pending = [...(current ? current.items : []), ...items];
+            return {
+                id: `${userId}:${bot}`,
+                userId,
+                bot,
+                items: pending.slice(-DIGEST_LIMIT),
+                overflow: (current ? current.overflow || 0 : 0) + Math.max(0, pending.length - DIGEST_LIMIT),
+                firstAt: current && current.items.length ? current.firstAt : new Date(now).toISOString(),
+                lastSentAt: current ? current.lastSentAt : null
+            };
+        });
+        return;
+    }
+
+    const batches = items.length > INSTANT_LIMIT ? [items] : items.map(item => [item]);
+    const records = [];
+    batches.forEach(batch => picked.forEach(channel => records.push(newDelivery({
+        userId,
+        bot,
+        channel,
+        kind: 'alert',
+        alertIds: batch.map(item => item.alertId),
+        message: instantMessage(bot, batch),
+        now
+    }))));
+    await queue(records);
+}
+
+// Turns every digest whose period is up into deliveries
+async function flushDigests(now) {
+    const waiting = await digests.list(digest => digest.items.length > 0);
+    for (const digest of waiting) {
+        const { channels: picked, frequency } = await preferences(digest.userId, digest.bot);
+        const period = DIGEST_PERIODS[frequency];
+        // Switched to real-time since: send what collected straight away
+        const dueAt = period && digest.lastSentAt ? Date.parse(digest.lastSentAt) + period : 0;
+        if (dueAt > now) continue;
+
+        let taken = null;
+        await digests.update(digest.id, current => {
+            if (!current || !current.items.length) return undefined;
+            taken = current;
+            return { ...current, items: [], overflow: 0, firstAt: null, lastSentAt: new Date(now).toISOString() };
+        });
+        if (!taken) continue;
+
+        const message = digestMessage(digest.bot, frequency, taken.items, taken.overflow || 0);
+        await queue(picked.map(channel => newDelivery({
+            userId: digest.userId,
+            bot: digest.bot,
+            channel,
+            kind: 'digest',
+            alertIds: taken.items.map(item => item.alertId),
+            message,
+            now
+        })));
+    }
+}
+
+function outcome(record, error, now) {
+    const time = new Date(now).toISOString();
+    if (!error) {
+        return { ...record, status: 'sent', attempts: record.attempts + 1, lastError: null, sentAt: time, updatedAt: time };
+    }
+    const attempts = record.attempts + 1;
+    const retry = !error.permanent && record.kind !== 'test' && attempts < MAX_ATTEMPTS;
+    return {
+        ...record,
+        status: retry ? 'pending' : error.skipped ? 'skipped' : 'dead',
+        attempts,
+        lastError: error.message || String(error),
+        nextAttemptAt: retry ? new Date(now + RETRY_BACKOFF_MS[Math.min(attempts, RETRY_BACKOFF_MS.length) - 1]).toISOString() : null,
+        updatedAt: time
+    };
+}
+
+async function attempt(record) {
+    let error = null;
+    try {
+        const user = await users.get(record.userId);
+        if (!user) {
+            error = new Error('The account no longer exists');
+            error.permanent = true;
+        } else {
+            await channels.send(user, record.channel, record.message);
+        }
+    } catch (failure) {
+        error = failure;
+    }
+    const next = outcome(record, error, Date.now());
+    await deliveries.update(record.id, current => (current ? next : undefined));
+    return next;
+}
+
+function expired(record, now) {
+    return record.status !== 'pending' && now - Date.parse(record.updatedAt) > KEEP_MS;
+}
+
+async function prune(now) {
+    if (!(await deliveries.list(record => expired(record, now))).length) return;
+    await deliveries.transaction(all => {
+        Object.values(all).forEach(record => {
+            if (expired(record, now)) delete all[record.id];
+        });
+    });
+}
+
+// Flushes due digests and sends due deliveries, up to BATCH_SIZE at a time;
+// resolves to the deliveries attempted
+async function deliverDue(now = Date.now()) {
+    if (processing) return processing;
+    processing = (async () => {
+        await flushDigests(now);
+        const due = (await deliveries.list(record => record.status === 'pending' && Date.parse(record.nextAttemptAt) <= now))
+            .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+            .slice(0, BATCH_SIZE);
+        const attempted = [];
+        for (const record of due) {
+            attempted.push(await attempt(record));
+        }
+        await prune(now);
+        return attempted;
+    })().finally(() => {
+        processing = null;
+    });
+    return processing;
+}
+
+function toPublic(record) {
+    const { userId, message, ...rest } = record;
+    return { ...rest, subject: message.subject, items: message.items.length };
+}
+
+// Sends a sample alert over each channel right away (no retries);
+// resolves to the deliveries, which say what happened on each. Past
+// TESTS_PER_HOUR it is a 429, so the button cannot be used to flood a
+// mailbox or webhook.
+async function sendTest(user, { bot, channels: picked } = {}) {
+    if (bot) bots.getBot(bot);
+    const wanted = Array.isArray(picked) && picked.length ? picked : bot ? (await preferences(user.id, bot)).channels : DEFAULT_CHANNELS;
+    wanted.forEach(id => channels.getChannel(id));
+
+    const since = Date.now() - HOUR_MS;
+    const recent = (await deliveries.list(record =>
+        record.userId === user.id && record.kind === 'test' && Date.parse(record.createdAt) > since))
+        .map(record => Date.parse(record.createdAt))
+        .sort((a, b) => a - b);
+    if (recent.length + new Set(wanted).size > TESTS_PER_HOUR) {
+        const minutes = Math.max(1, Math.ceil(((recent[0] || Date.now()) + HOUR_MS - Date.now()) / MINUTE_MS));
+        throw new HttpError(429, `Too many test alerts; try again in ${minutes} minute${minutes === 1 ? '' : 's'}`);
+    }
+
+    const title = bot ? bots.BOTS[bot].title : 'Shadow Market Tracker';
+    const message = compose(bot || 'test', `Test alert from your ${title}`, [{
+        alertId: null,
+        bot: bot || null,
+        severity: 'medium',
+        title: 'Your alerts are set up',
+        summary: `This is a test message. Alerts from the ${title} will arrive here.`,
+        url: siteUrl()
+    }]);
+    const records = Array.from(new Set(wanted)).map(channel => newDelivery({
+        userId: user.id,
+        bot: bot || null,
+        channel,
+        kind: 'test',
+        alertIds: [],
+        message,
+        now: Date.now()
+    }));
+    await queue(records);
+
+    const results = [];
+    for (const record of records) {
+        results.push(toPublic(await attempt(record)));
+    }
+    return results;
+}
+
+// The user's deliveries, newest first; status 'dead' lists the dead letters
+async function history(userId, { status, limit = 50 } = {}) {
+    if (status && !STATUSES.includes(status)) {
+        throw new HttpError(400, `status must be one of ${STATUSES.join(', ')}`, 'status');
+    }
+    const size = Math.min(Math.max(Number.parseInt(limit, 10) || 50, 1), 200);
+    const records = await deliveries.list(record => record.userId === userId && (!status || record.status === status));
+    return records
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, size)
+        .map(toPublic);
+}
+
+// Sends a dead-lettered or skipped delivery again now
+async function retry(userId, id) {
+    const record = id ? await deliveries.get(String(id)) : null;
+    if (!record || record.userId !== userId) {
+        throw new HttpError(404, 'Delivery not found');
+    }
+    if (record.status !== 'dead' && record.status !== 'skipped') {
+        throw new HttpError(409, 'Only failed deliveries can be retried');
+    }
+    return toPublic(await attempt({ ...record, attempts: 0 }));
+}
+
+module.exports = {
+    STATUSES,
+    enqueue,
+    deliverDue,
+    sendTest,
+    history,
+    retry
+};
@@ -0,0 +1,34 @@
+// Loads KEY=value pairs from a .env file into process.env
+// Used through lib/config.js, which picks the files for the environment's
+// profile; on Vercel the variables come from the project settings.
+// Existing environment variables always win.
+
+const fs = require('fs');
+
+// The file's variables as an object; {} when there is no file
+function parseEnv(file) {
+    if (!fs.existsSync(file)) return {};
+
+    const vars = {};
+    fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+        if (!match) return;
+
+        let value = match[2];
+        if (/^(['"]).*\1$/.test(value)) {
+            value = value.slice(1, -1);
+        }
+        vars[match[1]] = value;
+    });
+    return vars;
+}
+
+function loadEnv(file) {
+    Object.entries(parseEnv(file)).forEach(([key, value]) => {
+        if (process.env[key] === undefined) {
+            process.env[key] = value;
+        }
+    });
+}
+
+module.exports = { parseEnv, loadEnv };
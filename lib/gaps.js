@@ -0,0 +1,419 @@
+// Gap Finder opportunity scoring
+// Users import demand datasets (CSV or JSON, e.g. a keyword planner export,
+// a review scrape and a funding database extract). Rows are keyed by niche
+// and region, and rows for the same pair are merged across datasets, newest
+// import first, into one gap with whichever signals the datasets carry:
+//
+//   searchVolume   monthly searches          searchGrowth  % change a year
+//   complaints     complaining reviews       reviews       reviews read
+//   competitors    products already selling  fundingRounds rounds raised
+//   marketSize     USD a year
+//
+// score() turns each signal into a 0-1 factor, weights it and scales the
+// total to 0-100. A factor with no data is left out and the remaining
+// weights are scaled up, so every report says which signals it rests on.
+// Each factor carries its points and a sentence explaining them. Gaps
+// outside the bot's Target Market Size band or Geographic Focus are
+// filtered out (a band excludes gaps of unknown size). The 'gap-datasets'
+// source adapter rescores on every run and reports new strong gaps.
+
+const crypto = require('crypto');
+const csv = require('./csv');
+const store = require('./store');
+const { HttpError } = require('./http');
+const { parseValue } = require('./tenders');
+
+const datasets = store.collection('gap-datasets');
+
+const MAX_DATASETS = 10;
+const MAX_ROWS = 5000;
+const NAME_LENGTH = 100;
+const NICHE_LENGTH = 200;
+const REVENUE_SHARE = 0.01;
+const ALERT_SCORE = 60;
+const RISE_ALERT = 10;
+
+// Normalized column name -> row property
+const COLUMNS = {
+    niche: ['niche', 'gap', 'opportunity', 'keyword', 'topic', 'segment', 'market', 'name', 'category'],
+    region: ['region', 'geo', 'country', 'location', 'marketregion'],
+    searchVolume: ['searchvolume', 'monthlysearches', 'avgmonthlysearches', 'searches', 'volume'],
+    searchGrowth: ['searchgrowth', 'growth', 'yoy', 'yoygrowth', 'trend'],
+    complaints: ['complaints', 'reviewcomplaints', 'negativereviews', 'painpoints'],
+    reviews: ['reviews', 'reviewcount', 'totalreviews'],
+    competitors: ['competitors', 'competitorcount', 'players', 'products'],
+    fundingRounds: ['fundingrounds', 'rounds', 'deals', 'fundingcount', 'fundedstartups'],
+    marketSize: ['marketsize', 'marketsizeusd', 'tam', 'marketvalue']
+};
+const COLUMN_BY_NAME = new Map(Object.entries(COLUMNS)
+    .flatMap(([field, names]) => names.map(name => [name, field])));
+const SIGNALS = ['searchVolume', 'searchGrowth', 'complaints', 'reviews', 'competitors', 'fundingRounds', 'marketSize'];
+
+const REGIONS = {
+    global: ['global', 'worldwide', 'world', 'all', 'ww'],
+    india: ['india', 'in', 'ind'],
+    'north-america': ['northamerica', 'na', 'us', 'usa', 'unitedstates', 'canada', 'ca', 'mexico'],
+    europe: ['europe', 'eu', 'uk', 'gb', 'unitedkingdom', 'germany', 'de', 'france', 'fr', 'spain', 'italy', 'netherlands'],
+    'asia-pacific': ['asiapacific', 'apac', 'asia', 'singapore', 'sg', 'japan', 'jp', 'australia', 'au', 'indonesia']
+};
+const REGION_BY_NAME = new Map(Object.entries(REGIONS)
+    .flatMap(([region, names]) => names.map(name => [name, region])));
+
+// Matches the marketSize choices in lib/bots.js; USD a year
+const MARKET_BANDS = {
+    any: [0, Infinity],
+    '1m-10m': [1e6, 1e7],
+    '10m-100m': [1e7, 1e8],
+    '100m-1b': [1e8, 1e9],
+    '1b-plus': [1e9, Infinity]
+};
+
+const clamp = value => Math.min(1, Math.max(0, value));
+const logScale = (value, ceiling) => clamp(Math.log10(value + 1) / Math.log10(ceiling + 1));
+const number = value => new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+const percent = value => `${Math.round(value * 100)}%`;
+
+// Ideal and crowded round counts for the funding factor
+const FUNDING_IDEAL = 5;
+const FUNDING_CROWDED = 40;
+
+// weight is out of 100; value(gap) is the 0-1 factor or null without data
+const FACTORS = [
+    {
+        id: 'demand',
+        label: 'Search demand',
+        weight: 25,
+        value: gap => (gap.searchVolume === null ? null : logScale(gap.searchVolume, 1e6)),
+        explain: gap => `${number(gap.searchVolume)} searches a month (1M or more scores full marks)`
+    },
+    {
+        id: 'growth',
+        label: 'Demand growth',
+        weight: 10,
+        value: gap => (gap.searchGrowth === null ? null : clamp(gap.searchGrowth / 100)),
+        explain: gap => (gap.searchGrowth <= 0
+            ? `Searches ${gap.searchGrowth < 0 ? 'fell' : 'were flat'} over the year (${gap.searchGrowth}%)`
+            : `Searches grew ${gap.searchGrowth}% over the year (100% or more scores full marks)`)
+    },
+    {
+        id: 'pain',
+        label: 'Customer pain',
+        weight: 25,
+        value: gap => {
+            if (gap.complaints === null) return null;
+            return gap.reviews ? clamp(gap.complaints / gap.reviews / 0.5) : logScale(gap.complaints, 1e4);
+        },
+        explain: gap => (gap.reviews
+            ? `${percent(gap.complaints / gap.reviews)} of ${number(gap.reviews)} reviews are complaints (50% or more scores full marks)`
+            : `${number(gap.complaints)} complaining reviews found`)
+    },
+    {
+        id: 'competition',
+        label: 'Low competition',
+        weight: 15,
+        value: gap => (gap.competitors === null ? null : 1 - logScale(gap.competitors, 50)),
+        explain: gap => `${number(gap.competitors)} products already compete (50 or more scores nothing)`
+    },
+    {
+        id: 'funding',
+        label: 'Investor validation',
+        weight: 10,
+        value: gap => {
+            if (gap.fundingRounds === null) return null;
+            if (gap.fundingRounds <= FUNDING_IDEAL) return gap.fundingRounds / FUNDING_IDEAL;
+            return clamp(1 - (gap.fundingRounds - FUNDING_IDEAL) / (FUNDING_CROWDED - FUNDING_IDEAL));
+        },
+        explain: gap => {
+            if (gap.fundingRounds === 0) return 'No funding rounds yet: the idea is unvalidated by investors';
+            if (gap.fundingRounds <= FUNDING_IDEAL) return `${gap.fundingRounds} funding rounds: investors are interested and the field is open`;
+            return `${gap.fundingRounds} funding rounds: well-funded rivals are crowding in`;
+        }
+    },
+    {
+        id: 'fit',
+        label: 'Fit with your expertise',
+        weight: 15,
+        value: (gap, config) => {
+            if (!(config.expertise || []).length) return null;
+            return matchedExpertise(gap, config).length ? 1 : 0;
+        },
+        explain: (gap, config) => {
+            const matched = matchedExpertise(gap, config);
+            return matched.length ? `Matches your expertise in ${matched.join(', ')}` : 'Outside the expertise areas you listed';
+        }
+    }
+];
+
+function normalizeName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function normalizeRegion(value) {
+    const name = normalizeName(value || 'global');
+    return REGION_BY_NAME.get(name) || name || 'global';
+}
+
+function gapId(niche, region) {
+    return crypto.createHash('sha256').update(`${niche.toLowerCase()}\n${region}`).digest('hex').slice(0, 16);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function matchedExpertise(gap, config) {
+    return (config.expertise || []).filter(term =>
+        new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}($|[^\\p{L}\\p{N}])`, 'iu').test(gap.niche));
+}
+
+// Counts like "12,400", "45%" or "$2.3B"; null when blank or unreadable
+function readNumber(value, field) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const text = String(value).trim();
+    if (field === 'searchGrowth') {
+        const match = /^([+-]?\d+(?:\.\d+)?)\s*%?$/.exec(text.replace(/,/g, ''));
+        return match ? Number(match[1]) : null;
+    }
+    return parseValue(text).value;
+}
+
+function normalizeRow(source) {
+    const row = { niche: '', region: 'global' };
+    SIGNALS.forEach(signal => {
+        row[signal] = null;
+    });
+    Object.entries(source).forEach(([column, value]) => {
+        const field = COLUMN_BY_NAME.get(normalizeName(column));
+        if (!field) return;
+        if (field === 'niche') {
+            if (!row.niche) row.niche = String(value || '').replace(/\s+/g, ' ').trim().slice(0, NICHE_LENGTH);
+        } else if (field === 'region') {
+            row.region = normalizeRegion(value);
+        } else if (row[field] === null) {
+            const parsed = readNumber(value, field);
+            row[field] = parsed !== null && (parsed >= 0 || field === 'searchGrowth') ? parsed : null;
+        }
+    });
+    return row.niche && SIGNALS.some(signal => row[signal] !== null) ? row : null;
+}
+
+// Objects from JSON rows or CSV text
+function readRecords(data) {
+    if (Array.isArray(data)) {
+        return data.filter(record => record && typeof record === 'object' && !Array.isArray(record));
+    }
+    if (typeof data !== 'string') {
+        throw new HttpError(400, 'data must be CSV text or a list of rows', 'data');
+    }
+    const trimmed = data.trim();
+    if (trimmed.startsWith('[')) {
+        try {
+            return readRecords(JSON.parse(trimmed));
+        } catch (error) {
+            throw new HttpError(400, 'data is not valid JSON', 'data');
+        }
+    }
+    const [header, ...rows] = csv.parse(trimmed);
+    if (!header) return [];
+    return rows.map(cells => Object.fromEntries(header.map((name, index) => [name, cells[index]])));
+}
+
+function toPublicDataset(record) {
+    const { rows, userId, ...rest } = record;
+    return rest;
+}
+
+// Resolves to the stored dataset without its rows
+async function importDataset(userId, { name, data } = {}) {
+    const title = String(name || '').trim().slice(0, NAME_LENGTH);
+    if (!title) {
+        throw new HttpError(400, 'Give the dataset a name', 'name');
+    }
+
+    const records = readRecords(data);
+    if (records.length > MAX_ROWS) {
+        throw new HttpError(400, `A dataset can hold at most ${MAX_ROWS} rows`, 'data');
+    }
+    const rows = records.map(normalizeRow).filter(Boolean);
+    if (!rows.length) {
+        throw new HttpError(400, 'No usable rows: each needs a niche (or keyword) and at least one signal such as search volume, complaints or funding rounds', 'data');
+    }
+
+    const record = {
+        id: crypto.randomUUID(),
+        userId,
+        name: title,
+        rowCount: rows.length,
+        skipped: records.length - rows.length,
+        signals: SIGNALS.filter(signal => rows.some(row => row[signal] !== null)),
+        importedAt: new Date().toISOString(),
+        rows
+    };
+    await datasets.transaction(all => {
+        const owned = Object.values(all).filter(existing => existing.userId === userId).length;
+        if (owned >= MAX_DATASETS) {
+            throw new HttpError(409, `You can keep ${MAX_DATASETS} datasets; remove one before importing another`);
+        }
+        all[record.id] = record;
+    });
+    return toPublicDataset(record);
+}
+
+async function userDatasets(userId) {
+    const records = await datasets.list(record => record.userId === userId);
+    return records.sort((a, b) => b.importedAt.localeCompare(a.importedAt));
+}
+
+async function listDatasets(userId) {
+    return (await userDatasets(userId)).map(toPublicDataset);
+}
+
+async function removeDataset(userId, id) {
+    const record = await datasets.get(id);
+    if (!record || record.userId !== userId) {
+        throw new HttpError(404, 'Dataset not found');
+    }
+    await datasets.remove(id);
+}
+
+// One gap per niche and region, newest dataset's signals first
+function mergeRows(records) {
+    const gaps = new Map();
+    records.forEach(dataset => dataset.rows.forEach(row => {
+        const id = gapId(row.niche, row.region);
+        const gap = gaps.get(id) || { id, niche: row.niche, region: row.region, datasets: [] };
+        SIGNALS.forEach(signal => {
+            if (gap[signal] === undefined || gap[signal] === null) gap[signal] = row[signal];
+        });
+        if (!gap.datasets.includes(dataset.name)) gap.datasets.push(dataset.name);
+        gaps.set(id, gap);
+    }));
+    return Array.from(gaps.values());
+}
+
+function grade(score) {
+    return score >= 75 ? 'Strong' : score >= 50 ? 'Promising' : 'Weak';
+}
+
+function summarize(factors) {
+    const strong = factors.filter(factor => factor.normalized >= 0.6)
+        .sort((a, b) => b.points - a.points).slice(0, 2).map(factor => factor.label.toLowerCase());
+    const weak = factors.filter(factor => factor.normalized < 0.4)
+        .sort((a, b) => b.weight - a.weight).slice(0, 1).map(factor => factor.label.toLowerCase());
+    const parts = [];
+    if (strong.length) parts.push(`Driven by ${strong.join(' and ')}`);
+    if (weak.length) parts.push(`held back by ${weak[0]}`);
+    return parts.length ? `${parts.join('; ')}.` : 'No factor stands out either way.';
+}
+
+// Report for one gap under the user's bot settings
+function scoreGap(gap, config) {
+    const available = FACTORS
+        .map(factor => ({ factor, normalized: factor.value(gap, config) }))
+        .filter(entry => entry.normalized !== null);
+    const totalWeight = available.reduce((sum, entry) => sum + entry.factor.weight, 0);
+
+    const factors = available.map(({ factor, normalized }) => ({
+        id: factor.id,
+        label: factor.label,
+        weight: factor.weight,
+        normalized: Math.round(normalized * 100) / 100,
+        points: Math.round((factor.weight * normalized / totalWeight) * 1000) / 10,
+        explanation: factor.explain(gap, config)
+    }));
+    const score = Math.round(factors.reduce((sum, factor) => sum + factor.points, 0));
+
+    return {
+        id: gap.id,
+        niche: gap.niche,
+        region: gap.region,
+        score,
+        grade: grade(score),
+        summary: summarize(factors),
+        factors,
+        missing: FACTORS.filter(factor => !available.some(entry => entry.factor === factor)).map(factor => factor.label),
+        marketSize: gap.marketSize,
+        // Annual revenue at a REVENUE_SHARE slice of the market
+        revenuePotential: gap.marketSize === null ? null : Math.round(gap.marketSize * REVENUE_SHARE),
+        signals: Object.fromEntries(SIGNALS.map(signal => [signal, gap[signal]])),
+        datasets: gap.datasets
+    };
+}
+
+function inBand(gap, band) {
+    const [low, high] = MARKET_BANDS[band] || MARKET_BANDS.any;
+    if (low === 0 && high === Infinity) return true;
+    return gap.marketSize !== null && gap.marketSize >= low && gap.marketSize < high;
+}
+
+function inRegion(gap, region) {
+    return !region || region === 'global' || gap.region === region;
+}
+
+// Scored gaps from the user's datasets that pass the bot's filters, best
+// first: { gaps, excluded: { marketSize, region } }
+async function score(userId, config) {
+    const gaps = mergeRows(await userDatasets(userId));
+    const excluded = { marketSize: 0, region: 0 };
+    const kept = gaps.filter(gap => {
+        if (!inRegion(gap, config.region)) {
+            excluded.region++;
+            return false;
+        }
+        if (!inBand(gap, config.marketSize)) {
+            excluded.marketSize++;
+            return false;
+        }
+        return true;
+    });
+    return {
+        gaps: kept.map(gap => scoreGap(gap, config)).sort((a, b) => b.score - a.score || a.niche.localeCompare(b.niche)),
+        excluded
+    };
+}
+
+function finding(report, title) {
+    return {
+        title,
+        summary: [
+            `Score: ${report.score}/100 (${report.grade}). ${report.summary}`,
+            ...report.factors.map(factor => `• ${factor.label} +${factor.points}: ${factor.explanation}`),
+            report.revenuePotential === null ? null : `Revenue potential: $${number(report.revenuePotential)} a year at a ${percent(REVENUE_SHARE)} share`
+        ].filter(Boolean).join('\n'),
+        url: `/gap-report.html#gap-${report.id}`,
+        severity: report.score >= 80 ? 'high' : 'medium',
+        data: { kind: 'gap-score', report }
+    };
+}
+
+const adapter = {
+    id: 'gap-datasets',
+    bots: ['gaps'],
+    async fetch({ userId, config, state }) {
+        const previous = (state && state.scores) || {};
+        const { gaps } = await score(userId, config);
+        const findings = [];
+        gaps.forEach(report => {
+            if (report.score < ALERT_SCORE) return;
+            const before = previous[report.id];
+            if (before === undefined) {
+                findings.push(finding(report, `New opportunity: ${report.niche} (${report.score}/100)`));
+            } else if (report.score - before >= RISE_ALERT) {
+                findings.push(finding(report, `Opportunity score up ${before} → ${report.score}: ${report.niche}`));
+            }
+        });
+        return { findings, state: { scores: Object.fromEntries(gaps.map(report => [report.id, report.score])) } };
+    }
+};
+
+module.exports = {
+    FACTORS,
+    MARKET_BANDS,
+    adapter,
+    importDataset,
+    listDatasets,
+    removeDataset,
+    score,
+    scoreGap
+};
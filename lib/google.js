@@ -0,0 +1,145 @@
+// Google Sign-In ID token verification
+// The browser's Google Identity Services button hands us a signed JWT
+// (RS256). Its payload is only trusted after checking the signature against
+// Google's published keys (JWKS), the issuer, the audience (our OAuth client
+// id) and the expiry; see
+// https://developers.google.com/identity/gsi/web/guides/verify-google-id-token
+//
+// Keys are cached for as long as Google's Cache-Control allows and refetched
+// once when a token names an unknown key id (Google rotates keys). For local
+// testing GOOGLE_JWKS_FILE can name a JSON key set on disk (private JWKs are
+// fine, so the same file can sign test tokens); it is ignored in production.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('./config');
+const { HttpError } = require('./http');
+
+const DEFAULT_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const CLOCK_SKEW_SECONDS = 60;
+const DEFAULT_CACHE_SECONDS = 3600;
+const MIN_REFETCH_MS = 60 * 1000;
+
+let cache = { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+
+function clientId() {
+    return config.googleClientId();
+}
+
+function unauthorized(message) {
+    return new HttpError(401, message);
+}
+
+function toKeyMap(jwks) {
+    const keys = new Map();
+    (jwks.keys || []).forEach(jwk => {
+        if (jwk.kid && jwk.kty === 'RSA') {
+            keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+        }
+    });
+    return keys;
+}
+
+function fixtureFile() {
+    return process.env.NODE_ENV === 'production' ? null : process.env.GOOGLE_JWKS_FILE || null;
+}
+
+async function fetchKeys() {
+    const file = fixtureFile();
+    if (file) {
+        return { keys: toKeyMap(JSON.parse(fs.readFileSync(file, 'utf8'))), maxAge: DEFAULT_CACHE_SECONDS };
+    }
+
+    let response;
+    try {
+        response = await fetch(process.env.GOOGLE_JWKS_URL || DEFAULT_JWKS_URL);
+    } catch (cause) {
+        const error = new HttpError(502, 'Google sign-in is unreachable');
+        error.expose = true;
+        error.cause = cause;
+        throw error;
+    }
+    if (!response.ok) {
+        const error = new HttpError(502, `Google sign-in error: ${response.status}`);
+        error.expose = true;
+        throw error;
+    }
+
+    const match = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+    return { keys: toKeyMap(await response.json()), maxAge: match ? Number(match[1]) : DEFAULT_CACHE_SECONDS };
+}
+
+async function getKey(kid) {
+    const now = Date.now();
+    const stale = now >= cache.expiresAt;
+    const unknown = !cache.keys.has(kid) && now - cache.fetchedAt >= MIN_REFETCH_MS;
+
+    if (stale || unknown) {
+        const { keys, maxAge } = await fetchKeys();
+        cache = { keys, expiresAt: now + maxAge * 1000, fetchedAt: now };
+    }
+    return cache.keys.get(kid) || null;
+}
+
+function decodePart(part) {
+    try {
+        return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw unauthorized('Malformed Google credential');
+    }
+}
+
+// Resolves to the verified claims; throws a 401 for anything that is not a
+// current Google ID token issued to our client id for a verified email.
+async function verifyIdToken(token, { now = Date.now() } = {}) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3 || parts.some(part => !part)) {
+        throw unauthorized('Malformed Google credential');
+    }
+
+    const header = decodePart(parts[0]);
+    const claims = decodePart(parts[1]);
+    if (header.alg !== 'RS256' || !header.kid) {
+        throw unauthorized('Unsupported Google credential');
+    }
+
+    const key = await getKey(header.kid);
+    if (!key) {
+        throw unauthorized('Google credential signed with an unknown key');
+    }
+    const valid = crypto.verify(
+        'RSA-SHA256',
+        Buffer.from(`${parts[0]}.${parts[1]}`),
+        key,
+        Buffer.from(parts[2], 'base64url')
+    );
+    if (!valid) {
+        throw unauthorized('Invalid Google credential signature');
+    }
+
+    const seconds = Math.floor(now / 1000);
+    if (!ISSUERS.includes(claims.iss)) {
+        throw unauthorized('Google credential has the wrong issuer');
+    }
+    if (claims.aud !== clientId()) {
+        throw unauthorized('Google credential was issued for another application');
+    }
+    if (!(claims.exp > seconds - CLOCK_SKEW_SECONDS)) {
+        throw unauthorized('Google credential has expired');
+    }
+    if (claims.iat && claims.iat > seconds + CLOCK_SKEW_SECONDS) {
+        throw unauthorized('Google credential is not valid yet');
+    }
+    // Older tokens carry email_verified as a string
+    if (!claims.sub || !claims.email || String(claims.email_verified) !== 'true') {
+        throw unauthorized('Google account email is not verified');
+    }
+
+    return claims;
+}
+
+module.exports = {
+    clientId,
+    verifyIdToken
+};
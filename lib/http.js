@@ -0,0 +1,168 @@
+// Request/response helpers shared by the API functions
+// Works with both the Vercel runtime (which pre-parses req.body) and the
+// plain Node http server used for local development (server.js).
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+    // field names the offending input so forms can show the error inline
+    constructor(status, message, field) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        if (field) this.field = field;
+    }
+}
+
+function readRawBody(req) {
+    if (typeof req.rawBody === 'string') {
+        return Promise.resolve(req.rawBody);
+    }
+
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            req.rawBody = Buffer.concat(chunks).toString('utf8');
+            resolve(req.rawBody);
+        });
+        req.on('error', reject);
+    });
+}
+
+// Query string parameters, parsed from req.url: Vercel only fills in
+// req.query while its Node helpers are on, and the webhook needs them off
+function readQuery(req) {
+    const url = new URL(req.url || '/', 'http://localhost');
+    return Object.fromEntries(url.searchParams);
+}
+
+// The JSON object in the body ({} when empty); any other JSON value is a
+// 400, so handlers can read fields without checking
+async function readJson(req) {
+    let body = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : req.body;
+    if (body === undefined || typeof body === 'string') {
+        const raw = typeof body === 'string' ? body : await readRawBody(req);
+        if (!raw) return {};
+        try {
+            body = JSON.parse(raw);
+        } catch (error) {
+            throw new HttpError(400, 'Invalid JSON body');
+        }
+    }
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'Request body must be a JSON object');
+    }
+    return body;
+}
+
+function sendJson(res, status, payload) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(JSON.stringify(payload));
+}
+
+function allowMethods(req, res, methods) {
+    if (methods.includes(req.method)) {
+        return true;
+    }
+
+    res.setHeader('Allow', methods.join(', '));
+    sendJson(res, 405, { success: false, error: `Method ${req.method} not allowed` });
+    return false;
+}
+
+function readCookies(req) {
+    const cookies = {};
+    String(req.headers.cookie || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index < 1) return;
+        const name = pair.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+        } catch (error) {
+            // Ignore cookies we did not encode
+        }
+    });
+    return cookies;
+}
+
+// Appends a Set-Cookie header; maxAge in seconds (0 deletes the cookie)
+function setCookie(res, name, value, { maxAge, httpOnly = true, secure = false, sameSite = 'Lax', path = '/' } = {}) {
+    const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${path}`, `SameSite=${sameSite}`];
+    if (maxAge !== undefined) parts.push(`Max-Age=${Math.floor(maxAge)}`);
+    if (httpOnly) parts.push('HttpOnly');
+    if (secure) parts.push('Secure');
+
+    const existing = res.getHeader('Set-Cookie');
+    const cookies = existing ? [].concat(existing) : [];
+    res.setHeader('Set-Cookie', cookies.concat(parts.join('; ')));
+}
+
+function sendError(res, error) {
+    const status = error.status || 500;
+    if (status >= 500) {
+        console.error('API error:', error);
+    }
+    const payload = {
+        success: false,
+        error: status >= 500 && !error.expose ? 'Internal server error' : error.message
+    };
+    if (error.field && status < 500) {
+        payload.field = error.field;
+    }
+    // Every failed field at once, e.g. schema validation (lib/schema.js)
+    if (error.errors && status < 500) {
+        payload.errors = error.errors;
+    }
+    sendJson(res, status, payload);
+}
+
+// Starts a Server-Sent Events response; returns { send(event, data), close() }.
+// retryMs is the reconnect delay suggested to EventSource clients.
+function openEventStream(res, { retryMs = 5000 } = {}) {
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Connection', 'keep-alive');
+    // Stops nginx-style proxies from buffering the stream
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.write(`retry: ${retryMs}\n\n`);
+
+    let id = 0;
+    return {
+        send(event, data) {
+            if (res.writableEnded) return;
+            id += 1;
+            res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        close() {
+            if (!res.writableEnded) res.end();
+        }
+    };
+}
+
+module.exports = {
+    HttpError,
+    readRawBody,
+    readQuery,
+    readJson,
+    sendJson,
+    sendError,
+    allowMethods,
+    readCookies,
+    setCookie,
+    openEventStream
+};
@@ -0,0 +1,405 @@
+// GST tax invoices
+// One invoice is issued per captured payment: checkout orders when they are
+// fulfilled, subscriptions on every successful charge. Invoice numbers run
+// consecutively within each Indian financial year (April-March), e.g.
+// SMT/26-27/00001, as GST rules require. Each invoice is a snapshot of the
+// seller, buyer, lines and tax at the time of payment so it renders the same
+// forever; the PDF is generated on request.
+
+const catalog = require('./catalog');
+const store = require('./store');
+const { PdfDocument } = require('./pdf');
+const TaxEngine = require('../assets/js/tax');
+
+const invoices = store.collection('invoices');
+
+const NUMBER_PREFIX = 'SMT';
+const TIME_ZONE = 'Asia/Kolkata';
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+function seller() {
+    const state = TaxEngine.resolveState(catalog.sellerState());
+    return {
+        name: process.env.SELLER_NAME || 'Shadow Market Tracker',
+        address: ['C-334, Malviya Nagar', 'Jaipur, Rajasthan 302017, India'],
+        email: 'pranavdev.businessai@gmail.com',
+        gstin: process.env.SELLER_GSTIN || '',
+        state: { code: state.code, name: state.name }
+    };
+}
+
+// '26-27' for any date from 1 April 2026 to 31 March 2027 (IST)
+function financialYear(date) {
+    const ist = new Date(date.getTime() + IST_OFFSET_MS);
+    const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${String(start % 100).padStart(2, '0')}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+function toLine(line) {
+    const product = catalog.getProduct(line.id);
+    return {
+        id: line.id,
+        description: line.title,
+        sac: product ? product.sac : '',
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        gross: line.gross === undefined ? line.taxable : line.gross,
+        discount: line.discount || 0,
+        rate: line.rate,
+        taxable: line.taxable,
+        cgst: line.cgst,
+        sgst: line.sgst,
+        igst: line.igst,
+        total: line.total
+    };
+}
+
+function toBuyer(customer) {
+    const fields = ['name', 'company', 'email', 'phone', 'address', 'city', 'state', 'pincode', 'country', 'gstin'];
+    const buyer = {};
+    fields.forEach(field => {
+        buyer[field] = customer && customer[field] ? String(customer[field]) : '';
+    });
+    buyer.country = (buyer.country || 'IN').toUpperCase();
+    return buyer;
+}
+
+// priced: { lines, tax, coupon? } as returned by catalog.priceCart / applyTax
+// or coupons.priceCart
+// userId: the signed-in account that bought, which owns the invoice
+function issue({ paymentId, orderId = null, subscriptionId = null, userId = null, customer, priced, currency = 'INR' }) {
+    return invoices.transaction(records => {
+        const existing = Object.values(records).find(invoice => invoice.paymentId === paymentId);
+        if (existing) return existing;
+
+        const issuedAt = new Date();
+        const fy = financialYear(issuedAt);
+        const sequence = Object.values(records).filter(invoice => invoice.financialYear === fy).length + 1;
+        const lines = priced.lines.map(toLine);
+        const sum = field => lines.reduce((total, line) => total + line[field], 0);
+
+        const invoice = {
+            number: `${NUMBER_PREFIX}/${fy}/${String(sequence).padStart(5, '0')}`,
+            financialYear: fy,
+            sequence,
+            issuedAt: issuedAt.toISOString(),
+            orderId,
+            subscriptionId,
+            paymentId,
+            userId,
+            currency,
+            seller: seller(),
+            buyer: toBuyer(customer),
+            supplyType: priced.tax.supplyType,
+            taxLabel: priced.tax.label,
+            sgstLabel: priced.tax.sgstLabel,
+            placeOfSupply: priced.tax.placeOfSupply,
+            lines,
+            coupon: priced.coupon ? priced.coupon.code : null,
+            gross: sum('gross'),
+            discount: sum('discount'),
+            taxable: sum('taxable'),
+            cgst: sum('cgst'),
+            sgst: sum('sgst'),
+            igst: sum('igst'),
+            total: sum('total')
+        };
+        records[invoice.number] = invoice;
+        return invoice;
+    });
+}
+
+// Orders created before tax breakdowns were stored cannot be invoiced
+function issueForOrder(order) {
+    if (!order.paymentId || !order.tax || !order.items.length || order.items.some(item => item.taxable === undefined)) {
+        return Promise.resolve(null);
+    }
+
+    const customer = order.customer || {
+        name: order.notes && order.notes.customer_name,
+        email: order.notes && order.notes.customer_email
+    };
+    return issue({
+        paymentId: order.paymentId,
+        orderId: order.id,
+        userId: order.userId || null,
+        customer,
+        priced: { lines: order.items, tax: order.tax, coupon: order.coupon },
+        currency: order.currency
+    });
+}
+
+// record: a subscription (lib/subscriptions.js) just charged for its plan;
+// priced: its period price (subscriptions.periodPrice)
+function issueForSubscriptionCharge(record, { paymentId, buyer, priced }) {
+    return issue({
+        paymentId,
+        subscriptionId: record.id,
+        userId: record.userId || null,
+        customer: { name: record.name, email: record.email, phone: record.phone, ...buyer },
+        priced
+    });
+}
+
+function get(number) {
+    return invoices.get(number);
+}
+
+async function findByPaymentId(paymentId) {
+    const [invoice] = await invoices.list(candidate => candidate.paymentId === paymentId);
+    return invoice || null;
+}
+
+// Invoices of the account that bought; the email typed at checkout says
+// nothing about who is signed in
+async function listForUser(userId) {
+    const found = userId ? await invoices.list(invoice => invoice.userId === userId) : [];
+    return found.sort((a, b) => b.issuedAt.localeCompare(a.issuedAt));
+}
+
+function toPublic(invoice) {
+    return {
+        number: invoice.number,
+        issuedAt: invoice.issuedAt,
+        orderId: invoice.orderId,
+        subscriptionId: invoice.subscriptionId,
+        paymentId: invoice.paymentId,
+        description: invoice.lines.map(line => line.description).join(', '),
+        taxLabel: invoice.taxLabel,
+        coupon: invoice.coupon || null,
+        discount: catalog.toMajor(invoice.discount || 0),
+        subtotal: catalog.toMajor(invoice.taxable),
+        gst: catalog.toMajor(invoice.cgst + invoice.sgst + invoice.igst),
+        total: catalog.toMajor(invoice.total),
+        currency: invoice.currency
+    };
+}
+
+function filename(invoice) {
+    return `invoice-${invoice.number.replace(/\//g, '-')}.pdf`;
+}
+
+// --- Rendering ---
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven',
+    'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function belowHundred(n) {
+    return n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`;
+}
+
+// Indian numbering (12,34,567 -> Twelve Lakh Thirty Four Thousand ...) for
+// rupees, international (1,234,567 -> One Million Two Hundred ...) otherwise
+const INDIAN_UNITS = [[10000000, 'Crore'], [100000, 'Lakh'], [1000, 'Thousand'], [100, 'Hundred']];
+const INTERNATIONAL_UNITS = [[1000000000, 'Billion'], [1000000, 'Million'], [1000, 'Thousand'], [100, 'Hundred']];
+
+function numberInWords(n, units = INDIAN_UNITS) {
+    if (n === 0) return 'Zero';
+    const parts = [];
+    let rest = n;
+    units.forEach(([size, name]) => {
+        const count = Math.floor(rest / size);
+        if (count) {
+            parts.push(`${count >= 100 ? numberInWords(count, units) : belowHundred(count)} ${name}`);
+            rest %= size;
+        }
+    });
+    if (rest) parts.push(belowHundred(rest));
+    return parts.join(' ');
+}
+
+const CURRENCY_WORDS = {
+    INR: { major: 'Rupees', minor: 'Paise', units: INDIAN_UNITS, locale: 'en-IN' },
+    USD: { major: 'US Dollars', minor: 'Cents', units: INTERNATIONAL_UNITS, locale: 'en-US' },
+    EUR: { major: 'Euros', minor: 'Cents', units: INTERNATIONAL_UNITS, locale: 'en-US' }
+};
+
+function amountInWords(minor, currency = 'INR') {
+    const words = CURRENCY_WORDS[currency] || CURRENCY_WORDS.INR;
+    const major = Math.floor(minor / 100);
+    const remainder = minor % 100;
+    return `${words.major} ${numberInWords(major, words.units)}` +
+        `${remainder ? ` and ${belowHundred(remainder)} ${words.minor}` : ''} Only`;
+}
+
+// Figures only; the currency is named in the totals and the amount in words
+function money(minor, currency = 'INR') {
+    const { locale } = CURRENCY_WORDS[currency] || CURRENCY_WORDS.INR;
+    return (minor / 100).toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatDate(iso) {
+    return new Date(iso).toLocaleDateString('en-IN', { timeZone: TIME_ZONE, day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+function percent(rate) {
+    return `${+(rate * 100).toFixed(2)}%`;
+}
+
+const MARGIN = 40;
+const RIGHT = 555;
+const PAGE_BOTTOM = 780;
+const COLUMNS = [
+    { key: 'index', title: '#', x: MARGIN + 4 },
+    { key: 'description', title: 'Description', x: 60 },
+    { key: 'sac', title: 'SAC', x: 236 },
+    { key: 'quantity', title: 'Qty', x: 300, align: 'right' },
+    { key: 'unitPrice', title: 'Rate', x: 365, align: 'right' },
+    { key: 'taxable', title: 'Taxable', x: 430, align: 'right' },
+    { key: 'tax', title: 'GST', x: 490, align: 'right' },
+    { key: 'total', title: 'Amount', x: RIGHT - 4, align: 'right' }
+];
+const DESCRIPTION_WIDTH = 170;
+
+function renderTableHeader(doc, y) {
+    doc.rect(MARGIN, y, RIGHT - MARGIN, 20);
+    COLUMNS.forEach(column => doc.text(column.x, y + 14, column.title, { size: 9, bold: true, align: column.align }));
+    return y + 20;
+}
+
+function render(invoice) {
+    const doc = new PdfDocument({ title: `Tax Invoice ${invoice.number}`, author: invoice.seller.name });
+    const { seller: from, buyer } = invoice;
+    const exported = invoice.supplyType === 'export';
+    const format = amount => money(amount, invoice.currency);
+
+    // Seller and invoice details
+    doc.text(MARGIN, 58, from.name, { size: 16, bold: true });
+    let y = 76;
+    from.address.concat(
+        from.gstin ? `GSTIN: ${from.gstin}` : [],
+        `State: ${from.state.name} (${from.state.code})`,
+        from.email
+    ).forEach(line => {
+        doc.text(MARGIN, y, line, { size: 9, gray: 0.3 });
+        y += 12;
+    });
+
+    doc.text(RIGHT, 58, 'TAX INVOICE', { size: 16, bold: true, align: 'right' });
+    const details = [
+        ['Invoice No.', invoice.number],
+        ['Invoice Date', formatDate(invoice.issuedAt)],
+        invoice.orderId ? ['Order ID', invoice.orderId] : ['Subscription', invoice.subscriptionId],
+        ['Payment ID', invoice.paymentId],
+        ['Place of Supply', invoice.placeOfSupply
+            ? `${invoice.placeOfSupply.name} (${invoice.placeOfSupply.code})`
+            : `Outside India (${buyer.country})`],
+        ['Reverse Charge', 'No']
+    ];
+    details.forEach(([label, value], index) => {
+        doc.text(360, 76 + index * 12, label, { size: 9, gray: 0.3 });
+        doc.text(RIGHT, 76 + index * 12, value, { size: 9, bold: true, align: 'right' });
+    });
+
+    // Buyer
+    y = Math.max(y, 76 + details.length * 12) + 14;
+    doc.line(MARGIN, y, RIGHT, y);
+    y += 18;
+    doc.text(MARGIN, y, 'Bill To', { size: 10, bold: true });
+    y += 14;
+    const cityLine = [buyer.city, [buyer.state, buyer.pincode].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+    [
+        buyer.name,
+        buyer.company,
+        buyer.address,
+        cityLine,
+        buyer.country !== 'IN' ? buyer.country : '',
+        buyer.gstin ? `GSTIN: ${buyer.gstin}` : '',
+        buyer.email
+    ].filter(Boolean).forEach(line => {
+        doc.text(MARGIN, y, line, { size: 9 });
+        y += 12;
+    });
+
+    // Line items
+    y = renderTableHeader(doc, y + 12);
+    invoice.lines.forEach((line, index) => {
+        const description = doc.wrap(line.description, DESCRIPTION_WIDTH, { size: 9 });
+        if (line.discount) {
+            description.push(`Less ${invoice.coupon || 'discount'}: ${format(line.discount)}`);
+        }
+        const height = description.length * 11 + 9;
+        if (y + height > PAGE_BOTTOM) {
+            doc.addPage();
+            y = renderTableHeader(doc, MARGIN);
+        }
+
+        const cells = {
+            index: String(index + 1),
+            sac: line.sac,
+            quantity: String(line.quantity),
+            unitPrice: format(line.unitPrice),
+            taxable: format(line.taxable),
+            tax: format(line.cgst + line.sgst + line.igst),
+            total: format(line.total)
+        };
+        COLUMNS.forEach(column => {
+            if (column.key === 'description') {
+                description.forEach((text, row) => doc.text(column.x, y + 14 + row * 11, text, { size: 9 }));
+            } else {
+                doc.text(column.x, y + 14, cells[column.key], { size: 9, align: column.align });
+            }
+        });
+        y += height;
+        doc.line(MARGIN, y, RIGHT, y, { gray: 0.85 });
+    });
+
+    // Totals
+    if (y + 150 > PAGE_BOTTOM) {
+        doc.addPage();
+        y = MARGIN;
+    }
+    const rate = invoice.lines.length ? invoice.lines[0].rate : 0;
+    const totals = invoice.discount
+        ? [['Gross Amount', invoice.gross], [`Discount (${invoice.coupon || 'promo'})`, -invoice.discount]]
+        : [];
+    totals.push(['Taxable Value', invoice.taxable]);
+    if (invoice.supplyType === 'intra') {
+        totals.push([`CGST @ ${percent(rate / 2)}`, invoice.cgst], [`${invoice.sgstLabel} @ ${percent(rate / 2)}`, invoice.sgst]);
+    } else if (invoice.supplyType === 'inter') {
+        totals.push([`IGST @ ${percent(rate)}`, invoice.igst]);
+    } else {
+        totals.push(['IGST @ 0% (export)', 0]);
+    }
+    y += 20;
+    totals.forEach(([label, amount]) => {
+        doc.text(400, y, label, { size: 9, gray: 0.3 });
+        doc.text(RIGHT - 4, y, format(amount), { size: 9, align: 'right' });
+        y += 14;
+    });
+    doc.line(395, y - 8, RIGHT, y - 8);
+    y += 6;
+    doc.text(400, y, `Total (${invoice.currency})`, { size: 11, bold: true });
+    doc.text(RIGHT - 4, y, format(invoice.total), { size: 11, bold: true, align: 'right' });
+
+    y += 28;
+    doc.text(MARGIN, y, 'Amount in words:', { size: 9, bold: true });
+    doc.wrap(amountInWords(invoice.total, invoice.currency), RIGHT - 130, { size: 9 }).forEach(text => {
+        doc.text(130, y, text, { size: 9 });
+        y += 12;
+    });
+
+    y += 10;
+    doc.text(MARGIN, y, `Paid in full via Razorpay (${invoice.paymentId}) on ${formatDate(invoice.issuedAt)}.`, { size: 9 });
+    if (exported) {
+        y += 12;
+        doc.text(MARGIN, y, 'Export of services: zero-rated supply, place of supply outside India.', { size: 9 });
+    }
+
+    doc.text(MARGIN, 805, 'This is a computer-generated invoice and does not require a signature.', { size: 8, gray: 0.4 });
+    return doc.toBuffer();
+}
+
+module.exports = {
+    financialYear,
+    issueForOrder,
+    issueForSubscriptionCharge,
+    get,
+    findByPaymentId,
+    listForUser,
+    toPublic,
+    filename,
+    render,
+    amountInWords
+};
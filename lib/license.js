@@ -0,0 +1,129 @@
+// Premium licence tokens for the Chrome extension
+// A licence is `<base64url(JSON claims)>.<base64url(Ed25519 signature)>`.
+// Only the server holds the private key; the extension and the success page
+// verify tokens with the public key, so a licence cannot be forged or have
+// its expiry extended client-side.
+//
+// Keys come from LICENSE_PRIVATE_KEY / LICENSE_PUBLIC_KEY (PEM). Outside
+// production a development key pair is generated once and kept in DATA_DIR.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./http');
+const { dataDir } = require('./store');
+
+const TOKEN_VERSION = 1;
+
+let cachedKeys = null;
+
+function loadDevKeys() {
+    const file = path.join(dataDir(), 'license-dev-keys.json');
+    if (fs.existsSync(file)) {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519', {
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' }
+    });
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ privateKey, publicKey }, null, 2), { mode: 0o600 });
+    console.warn(`⚠️  Generated development licence keys in ${file}`);
+    return { privateKey, publicKey };
+}
+
+function getKeys() {
+    if (cachedKeys) return cachedKeys;
+
+    const privatePem = (process.env.LICENSE_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+    const publicPem = (process.env.LICENSE_PUBLIC_KEY || '').replace(/\\n/g, '\n');
+
+    let pems;
+    if (privatePem && publicPem) {
+        pems = { privateKey: privatePem, publicKey: publicPem };
+    } else if (process.env.NODE_ENV === 'production') {
+        const error = new HttpError(500, 'Licence signing keys are not configured');
+        error.expose = true;
+        throw error;
+    } else {
+        pems = loadDevKeys();
+    }
+
+    cachedKeys = {
+        privateKey: crypto.createPrivateKey(pems.privateKey),
+        publicKey: crypto.createPublicKey(pems.publicKey),
+        publicKeyPem: pems.publicKey
+    };
+    return cachedKeys;
+}
+
+function getPublicKeyPem() {
+    return getKeys().publicKeyPem;
+}
+
+// Raw 32-byte key, base64url encoded, for WebCrypto importKey('raw', ...)
+function getPublicKeyRaw() {
+    const jwk = getKeys().publicKey.export({ format: 'jwk' });
+    return jwk.x;
+}
+
+function addMonths(date, months) {
+    const result = new Date(date);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    return result;
+}
+
+function issue({ orderId, paymentId, email, plan, features, months = 1, expiresAt, issuedAt = new Date() }) {
+    const expiry = expiresAt ? new Date(expiresAt) : addMonths(issuedAt, months);
+    const claims = {
+        v: TOKEN_VERSION,
+        lid: `lic_${crypto.randomBytes(9).toString('base64url')}`,
+        sub: email || null,
+        plan,
+        features,
+        orderId,
+        paymentId,
+        iat: Math.floor(issuedAt.getTime() / 1000),
+        exp: Math.floor(expiry.getTime() / 1000)
+    };
+
+    const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.sign(null, Buffer.from(body), getKeys().privateKey).toString('base64url');
+    return { token: `${body}.${signature}`, claims };
+}
+
+// Resolves { valid, claims?, reason? }; never throws on bad input
+function validate(token, now = new Date()) {
+    if (typeof token !== 'string' || !/^[\w-]+\.[\w-]+$/.test(token)) {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    const [body, signature] = token.split('.');
+    const signed = crypto.verify(null, Buffer.from(body), getKeys().publicKey, Buffer.from(signature, 'base64url'));
+    if (!signed) {
+        return { valid: false, reason: 'bad_signature' };
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    if (claims.v !== TOKEN_VERSION) {
+        return { valid: false, reason: 'unsupported_version', claims };
+    }
+    if (claims.exp * 1000 <= now.getTime()) {
+        return { valid: false, reason: 'expired', claims };
+    }
+    return { valid: true, claims };
+}
+
+module.exports = {
+    getPublicKeyPem,
+    getPublicKeyRaw,
+    issue,
+    validate
+};
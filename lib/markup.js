@@ -0,0 +1,227 @@
+// Tolerant HTML / XML parsing
+// Enough of a parser to pull structured data out of third-party pages and
+// feeds without a dependency. parse() returns a tree of
+//   element: { type: 'element', tag, attrs, children, parent }
+//   text:    { type: 'text', text, parent }
+// rooted at a 'root' element. Comments, doctypes and processing
+// instructions are dropped; <script> and <style> content is kept as raw
+// text (JSON-LD lives there) and CDATA sections become text. Unclosed
+// elements are closed by their parent's end tag, and in HTML mode void
+// elements (br, img, ...) never take children and a new <li>, <p>, <tr>,
+// <td> or <option> closes an open sibling. Tag names are lowercased in
+// HTML mode and kept as written in XML mode.
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+// Opening the key closes an open element named in the value
+const IMPLIED_END = {
+    li: ['li'],
+    p: ['p'],
+    tr: ['tr', 'td', 'th'],
+    td: ['td', 'th'],
+    th: ['td', 'th'],
+    option: ['option'],
+    dt: ['dt', 'dd'],
+    dd: ['dt', 'dd']
+};
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—',
+    hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', euro: '€', pound: '£',
+    yen: '¥', rupee: '₹', copy: '©', reg: '®', trade: '™', times: '×', middot: '·', bull: '•'
+};
+
+function decodeEntities(text) {
+    return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : match;
+        }
+        const named = NAMED_ENTITIES[entity.toLowerCase()];
+        return named === undefined ? match : named;
+    });
+}
+
+function parseAttrs(source) {
+    const attrs = {};
+    const pattern = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let match;
+    while ((match = pattern.exec(source))) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attrs[match[1].toLowerCase()] = value === undefined ? '' : decodeEntities(value);
+    }
+    return attrs;
+}
+
+function element(tag, attrs, parent) {
+    return { type: 'element', tag, attrs, children: [], parent };
+}
+
+function parse(source, { xml = false } = {}) {
+    const input = String(source || '');
+    const root = element('root', {}, null);
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+
+    const addText = text => {
+        if (!text) return;
+        current().children.push({ type: 'text', text, parent: current() });
+    };
+
+    const close = tag => {
+        for (let index = stack.length - 1; index > 0; index--) {
+            if (stack[index].tag === tag) {
+                stack.length = index;
+                return;
+            }
+        }
+        // Stray end tag: ignore
+    };
+
+    let position = 0;
+    while (position < input.length) {
+        const open = input.indexOf('<', position);
+        if (open === -1) {
+            addText(decodeEntities(input.slice(position)));
+            break;
+        }
+        addText(decodeEntities(input.slice(position, open)));
+
+        if (input.startsWith('<!--', open)) {
+            const end = input.indexOf('-->', open + 4);
+            position = end === -1 ? input.length : end + 3;
+            continue;
+        }
+        if (input.startsWith('<![CDATA[', open)) {
+            const end = input.indexOf(']]>', open + 9);
+            addText(input.slice(open + 9, end === -1 ? input.length : end));
+            position = end === -1 ? input.length : end + 3;
+            continue;
+        }
+        if (input[open + 1] === '!' || input[open + 1] === '?') {
+            const end = input.indexOf('>', open);
+            position = end === -1 ? input.length : end + 1;
+            continue;
+        }
+
+        const tagMatch = /^<(\/?)([A-Za-z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/.exec(input.slice(open));
+        if (!tagMatch) {
+            addText('<');
+            position = open + 1;
+            continue;
+        }
+        position = open + tagMatch[0].length;
+
+        const [, closing, rawName, rest] = tagMatch;
+        const tag = xml ? rawName : rawName.toLowerCase();
+        if (closing) {
+            close(tag);
+            continue;
+        }
+
+        if (!xml && IMPLIED_END[tag]) {
+            const parent = current();
+            if (IMPLIED_END[tag].includes(parent.tag)) stack.pop();
+        }
+
+        const selfClosing = /\/\s*$/.test(rest);
+        const node = element(tag, parseAttrs(rest.replace(/\/\s*$/, '')), current());
+        current().children.push(node);
+
+        if (!xml && RAW_TEXT_ELEMENTS.has(tag)) {
+            const end = input.toLowerCase().indexOf(`</${tag}`, position);
+            const stop = end === -1 ? input.length : end;
+            if (stop > position) {
+                node.children.push({ type: 'text', text: input.slice(position, stop), parent: node });
+            }
+            const closeEnd = end === -1 ? input.length : input.indexOf('>', end);
+            position = closeEnd === -1 ? input.length : closeEnd + 1;
+            continue;
+        }
+        if (selfClosing || (!xml && VOID_ELEMENTS.has(tag))) continue;
+        stack.push(node);
+    }
+
+    return root;
+}
+
+// Depth-first list of elements matching predicate (tag name or function)
+function findAll(node, predicate) {
+    const test = typeof predicate === 'string' ? candidate => candidate.tag === predicate : predicate;
+    const found = [];
+    const walk = parent => {
+        parent.children.forEach(child => {
+            if (child.type !== 'element') return;
+            if (test(child)) found.push(child);
+            walk(child);
+        });
+    };
+    walk(node);
+    return found;
+}
+
+function find(node, predicate) {
+    return findAll(node, predicate)[0] || null;
+}
+
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption', 'footer',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'section',
+    'table', 'td', 'th', 'tr', 'ul'
+]);
+
+// Visible text with whitespace collapsed; block elements are separated by
+// a space so adjacent cells and list items do not run together
+function text(node) {
+    if (!node) return '';
+    if (node.type === 'text') return node.text;
+
+    const parts = [];
+    const walk = parent => {
+        parent.children.forEach(child => {
+            if (child.type === 'text') {
+                parts.push(child.text);
+            } else if (!RAW_TEXT_ELEMENTS.has(child.tag)) {
+                const block = BLOCK_ELEMENTS.has(child.tag);
+                if (block) parts.push(' ');
+                walk(child);
+                if (block) parts.push(' ');
+            }
+        });
+    };
+    walk(node);
+    return parts.join('').replace(/\s+/g, ' ').trim();
+}
+
+// Raw text content, for <script> bodies and XML character data
+function rawText(node) {
+    if (!node) return '';
+    if (node.type === 'text') return node.text;
+    return node.children.map(rawText).join('');
+}
+
+// Whether node sits inside ancestor (or is it)
+function contains(ancestor, node) {
+    for (let current = node; current; current = current.parent) {
+        if (current === ancestor) return true;
+    }
+    return false;
+}
+
+// Whether the element's class or id matches pattern
+function hasClass(node, pattern) {
+    const names = `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+    return pattern.test(names);
+}
+
+module.exports = {
+    decodeEntities,
+    parse,
+    find,
+    findAll,
+    contains,
+    text,
+    rawText,
+    hasClass
+};
@@ -0,0 +1,225 @@
+// Minifiers for the static build (build.js)
+// Dependency-free and deliberately conservative: they drop comments and
+// whitespace but never rename or reorder anything, so the output behaves
+// exactly like the source.
+//
+//   js(source)    strings, template literals and regular expressions are
+//                 kept verbatim; a line break survives wherever removing it
+//                 could change automatic semicolon insertion
+//   css(source)   comments, indentation and the spaces around { } ; , >
+//   html(source)  comments and runs of whitespace between tags; <pre>,
+//                 <textarea> are left alone, inline <script> and <style>
+//                 go through js() and css(), JSON-LD is re-serialized
+
+const KEYWORDS_BEFORE_EXPRESSION = new Set([
+    'return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw',
+    'instanceof', 'yield', 'await'
+]);
+
+function isIdentChar(char) {
+    return Boolean(char) && /[\w$\u0080-\uffff]/.test(char);
+}
+
+// Whether a space must separate the characters either side of it
+function needsSpace(before, after) {
+    if (isIdentChar(before) && isIdentChar(after)) return true;
+    if (before && after && '+-'.includes(before) && '+-'.includes(after)) return true;
+    return /\d/.test(before) && after === '.';
+}
+
+// Whether a line break between them can go without inviting or preventing
+// automatic semicolon insertion
+function canJoinLines(before, after) {
+    return '{([,;:=?&|!<>*%'.includes(before) || '})],;.?:'.includes(after) || !before;
+}
+
+function js(source) {
+    let out = '';
+    let i = 0;
+    let pendingSpace = null;
+    // Brace depth of each `${` we are inside, innermost last
+    const templates = [];
+    let depth = 0;
+
+    const last = () => out[out.length - 1] || '';
+    const lastWord = () => (out.match(/[\w$]+$/) || [''])[0];
+    const emit = text => {
+        if (pendingSpace !== null) {
+            const before = last();
+            const after = text[0];
+            if (pendingSpace.includes('\n') && !canJoinLines(before, after)) out += '\n';
+            else if (needsSpace(before, after)) out += ' ';
+            pendingSpace = null;
+        }
+        out += text;
+    };
+
+    function regexAllowed() {
+        const before = last();
+        if (!before) return true;
+        if (/[\w$]/.test(before)) return KEYWORDS_BEFORE_EXPRESSION.has(lastWord());
+        return !')]'.includes(before);
+    }
+
+    // Copies a quoted string starting at i; resolves to the index after it
+    function readString(quote) {
+        let end = i + 1;
+        while (end < source.length && source[end] !== quote) {
+            end += source[end] === '\\' ? 2 : 1;
+        }
+        return end + 1;
+    }
+
+    // Template text from i (just after ` or }) up to ` or ${
+    function readTemplate() {
+        let end = i;
+        while (end < source.length && source[end] !== '`' && !(source[end] === '$' && source[end + 1] === '{')) {
+            end += source[end] === '\\' ? 2 : 1;
+        }
+        return end;
+    }
+
+    function readRegex() {
+        let end = i + 1;
+        let inClass = false;
+        while (end < source.length) {
+            const char = source[end];
+            if (char === '\\') {
+                end += 2;
+                continue;
+            }
+            if (char === '\n') break;
+            if (char === '[') inClass = true;
+            else if (char === ']') inClass = false;
+            else if (char === '/' && !inClass) break;
+            end++;
+        }
+        end++;
+        while (end < source.length && /[a-z]/i.test(source[end])) end++;
+        return end;
+    }
+
+    function continueTemplate() {
+        const end = readTemplate();
+        out += source.slice(i, end);
+        i = end;
+        if (source[i] === '`') {
+            out += '`';
+            i++;
+        } else if (i < source.length) {
+            out += '${';
+            i += 2;
+            templates.push(depth);
+        }
+    }
+
+    while (i < source.length) {
+        const char = source[i];
+        const next = source[i + 1];
+
+        if (/\s/.test(char)) {
+            let end = i;
+            while (end < source.length && /\s/.test(source[end])) end++;
+            const run = source.slice(i, end);
+            pendingSpace = pendingSpace !== null && pendingSpace.includes('\n') ? pendingSpace : run;
+            i = end;
+        } else if (char === '/' && next === '/') {
+            const end = source.indexOf('\n', i);
+            i = end === -1 ? source.length : end;
+        } else if (char === '/' && next === '*') {
+            const end = source.indexOf('*/', i + 2);
+            const comment = source.slice(i, end === -1 ? source.length : end + 2);
+            if (comment.includes('\n')) pendingSpace = '\n';
+            else if (pendingSpace === null) pendingSpace = ' ';
+            i = end === -1 ? source.length : end + 2;
+        } else if (char === '"' || char === "'") {
+            const end = readString(char);
+            emit(source.slice(i, end));
+            i = end;
+        } else if (char === '`') {
+            emit('`');
+            i++;
+            continueTemplate();
+        } else if (char === '/' && regexAllowed()) {
+            const end = readRegex();
+            emit(source.slice(i, end));
+            i = end;
+        } else if (char === '}' && templates.length && depth === templates[templates.length - 1]) {
+            templates.pop();
+            pendingSpace = null;
+            out += '}';
+            i++;
+            continueTemplate();
+        } else {
+            if (char === '{') depth++;
+            else if (char === '}') depth--;
+            emit(char);
+            i++;
+        }
+    }
+    return out.trim();
+}
+
+// Drops comments and collapses whitespace; strings are set aside first so
+// their contents stay exactly as written
+function css(source) {
+    const strings = [];
+    let out = '';
+    let i = 0;
+    while (i < source.length) {
+        const char = source[i];
+        if (char === '/' && source[i + 1] === '*') {
+            const end = source.indexOf('*/', i + 2);
+            i = end === -1 ? source.length : end + 2;
+        } else if (char === '"' || char === "'") {
+            let end = i + 1;
+            while (end < source.length && source[end] !== char) end += source[end] === '\\' ? 2 : 1;
+            strings.push(source.slice(i, end + 1));
+            out += `\u0000${strings.length - 1}\u0000`;
+            i = end + 1;
+        } else if (/\s/.test(char)) {
+            while (i < source.length && /\s/.test(source[i])) i++;
+            out += ' ';
+        } else {
+            out += char;
+            i++;
+        }
+    }
+    return out
+        .replace(/ ?([{};,>]) ?/g, '$1')
+        .replace(/: /g, ':')
+        .replace(/;}/g, '}')
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => strings[Number(index)])
+        .trim();
+}
+
+const RAW_ELEMENTS = /<(script|style|pre|textarea)\b([^>]*)>([\s\S]*?)<\/\1\s*>/gi;
+
+function minifyElement(tag, attributes, content) {
+    const name = tag.toLowerCase();
+    if (name === 'style') return css(content);
+    if (name !== 'script' || /\bsrc\s*=/i.test(attributes)) return content;
+
+    const type = (attributes.match(/\btype\s*=\s*["']?([^"'\s>]+)/i) || [])[1];
+    if (type === 'application/ld+json') return JSON.stringify(JSON.parse(content));
+    if (!type || /^(module|text\/javascript|application\/javascript)$/i.test(type)) return js(content);
+    return content;
+}
+
+function html(source) {
+    const kept = [];
+    const placeholder = index => `\u0000${index}\u0000`;
+
+    const text = source.replace(RAW_ELEMENTS, (match, tag, attributes, content) => {
+        kept.push(`<${tag}${attributes}>${minifyElement(tag, attributes, content)}</${tag}>`);
+        return placeholder(kept.length - 1);
+    });
+
+    return text
+        .replace(/<!--(?!\[if)[\s\S]*?-->/g, '')
+        .replace(/\s+/g, run => (run.includes('\n') ? '\n' : ' '))
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => kept[Number(index)])
+        .trim();
+}
+
+module.exports = { js, css, html };
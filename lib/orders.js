@@ -0,0 +1,255 @@
+// Order state and fulfilment
+// Orders move created -> paid -> fulfilled, or to failed / refunded. The
+// browser's /api/verify call and Razorpay's webhooks both report payments
+// here, so an order is fulfilled exactly once whichever arrives first and
+// even if the buyer closes the tab before the redirect. A report that
+// arrives while the other one is still fulfilling waits for it, so both
+// see the licences.
+
+const store = require('./store');
+const catalog = require('./catalog');
+const coupons = require('./coupons');
+const invoices = require('./invoices');
+const license = require('./license');
+const subscriptions = require('./subscriptions');
+
+const orders = store.collection('orders');
+const webhookEvents = store.collection('webhook-events');
+
+const PAID_STATES = ['paid', 'fulfilled', 'refunded', 'partially_refunded'];
+// How long a second report of a payment waits for a fulfilment running in
+// another process
+const FULFIL_WAIT_MS = 10 * 1000;
+const FULFIL_POLL_MS = 250;
+
+// Fulfilments under way in this process, by order id
+const fulfilling = new Map();
+
+function now() {
+    return new Date().toISOString();
+}
+
+function appendHistory(order, event) {
+    order.history = order.history || [];
+    order.history.push({ at: now(), ...event });
+}
+
+// quote comes from catalog.priceCart/applyTax; amounts are in minor units of
+// order.currency. user is the signed-in account placing the order, if any.
+function recordCreated(order, { lines, subtotal, gst, total, tax, discount = 0, coupon = null }, notes, customer = null, user = null) {
+    const record = {
+        id: order.id,
+        status: 'created',
+        amount: order.amount,
+        currency: order.currency,
+        receipt: order.receipt,
+        items: lines,
+        coupon,
+        discount,
+        subtotal,
+        gst,
+        total,
+        tax,
+        customer,
+        userId: user ? user.id : null,
+        notes,
+        paymentId: null,
+        refunds: [],
+        createdAt: now(),
+        updatedAt: now()
+    };
+    appendHistory(record, { status: 'created' });
+    return orders.put(order.id, record);
+}
+
+function getOrder(id) {
+    return orders.get(id);
+}
+
+async function findByPaymentId(paymentId) {
+    const [order] = await orders.list(order => order.paymentId === paymentId);
+    return order || null;
+}
+
+// Marks the order paid and fulfils it if this is the first report of the
+// payment. Safe to call any number of times for the same payment. A payment
+// for an order we never created, or for another amount than the order's
+// (the webhook reports it; the browser does not), is logged and left alone:
+// resolves to null, or to the unchanged order.
+async function markPaid({ orderId, paymentId, amount, currency, source }) {
+    let shouldFulfil = false;
+    let mismatch = null;
+
+    const order = await orders.update(orderId, current => {
+        if (!current || PAID_STATES.includes(current.status)) {
+            return undefined;
+        }
+
+        if ((amount !== undefined && amount !== current.amount) || (currency && currency !== current.currency)) {
+            mismatch = `${amount} ${currency} paid for an order of ${current.amount} ${current.currency}`;
+            const record = { ...current, updatedAt: now() };
+            appendHistory(record, { status: 'payment_mismatch', paymentId, amount, currency, source });
+            return record;
+        }
+
+        const record = { ...current };
+        record.status = 'paid';
+        record.paymentId = paymentId;
+        record.paidAt = now();
+        record.paidVia = source;
+        record.updatedAt = now();
+        appendHistory(record, { status: 'paid', paymentId, source });
+        shouldFulfil = true;
+        return record;
+    });
+
+    if (!order) {
+        console.error(`⚠️ Payment ${paymentId} (${source}) is for unknown order ${orderId}; not fulfilled`);
+        return null;
+    }
+    if (mismatch) {
+        console.error(`⚠️ Payment ${paymentId} (${source}) for order ${orderId}: ${mismatch}; not fulfilled`);
+        return order;
+    }
+
+    if (shouldFulfil || (order.status === 'paid' && order.fulfilmentError && !fulfilling.has(orderId))) {
+        const running = fulfil(order).finally(() => fulfilling.delete(orderId));
+        fulfilling.set(orderId, running);
+        return running;
+    }
+    if (fulfilling.has(orderId)) {
+        return fulfilling.get(orderId);
+    }
+    if (order.status === 'paid' && !order.fulfilmentError) {
+        return waitForFulfilment(orderId);
+    }
+    return order;
+}
+
+// Re-reads an order another process is fulfilling until it is done, failed
+// or FULFIL_WAIT_MS have passed
+async function waitForFulfilment(orderId) {
+    const deadline = Date.now() + FULFIL_WAIT_MS;
+    let order = await orders.get(orderId);
+    while (order.status === 'paid' && !order.fulfilmentError && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, FULFIL_POLL_MS));
+        order = await orders.get(orderId);
+    }
+    return order;
+}
+
+function issueLicences(order) {
+    const email = (order.customer && order.customer.email) || (order.notes && order.notes.customer_email);
+
+    return order.items.flatMap(item => {
+        const product = catalog.getProduct(item.id);
+        if (!product || !product.licence) return [];
+
+        const { token, claims } = license.issue({
+            orderId: order.id,
+            paymentId: order.paymentId,
+            email,
+            plan: item.id,
+            features: product.licence.features,
+            months: product.licence.months * item.quantity
+        });
+        return [{ id: claims.lid, plan: item.id, token, expiresAt: new Date(claims.exp * 1000).toISOString() }];
+    });
+}
+
+async function fulfil(order) {
+    let delivered;
+    try {
+        console.log(`✅ Fulfilling order ${order.id} (${order.items.map(item => item.id).join(', ') || 'no items'})`);
+        if (order.notes && order.notes.type === 'subscription_change') {
+            await subscriptions.applyPlanChange(order.notes.subscription_id, order.notes.plan,
+                JSON.parse(order.notes.proration || 'null'));
+        }
+        const invoice = await invoices.issueForOrder(order);
+        if (order.coupon) {
+            await coupons.redeem({
+                code: order.coupon.code,
+                userId: order.userId || null,
+                email: (order.customer && order.customer.email) || (order.notes && order.notes.customer_email),
+                orderId: order.id,
+                paymentId: order.paymentId,
+                discount: order.discount,
+                currency: order.currency
+            });
+        }
+        delivered = {
+            licences: issueLicences(order),
+            invoiceNumber: invoice ? invoice.number : null
+        };
+    } catch (error) {
+        console.error(`Fulfilment failed for ${order.id}:`, error);
+        return orders.update(order.id, current => ({
+            ...current,
+            fulfilmentError: error.message,
+            updatedAt: now()
+        }));
+    }
+
+    return orders.update(order.id, current => {
+        if (current.status !== 'paid') return undefined;
+        const record = { ...current, ...delivered, status: 'fulfilled', fulfilledAt: now(), updatedAt: now() };
+        delete record.fulfilmentError;
+        appendHistory(record, { status: 'fulfilled' });
+        return record;
+    });
+}
+
+function markFailed({ orderId, paymentId, reason }) {
+    return orders.update(orderId, current => {
+        if (!current || PAID_STATES.includes(current.status)) {
+            return undefined;
+        }
+        const record = { ...current, status: 'failed', updatedAt: now() };
+        appendHistory(record, { status: 'failed', paymentId, reason });
+        return record;
+    });
+}
+
+async function markRefunded({ paymentId, refundId, amount }) {
+    const order = await findByPaymentId(paymentId);
+    if (!order) return null;
+
+    return orders.update(order.id, current => {
+        if (current.refunds.some(refund => refund.id === refundId)) {
+            return undefined;
+        }
+
+        const refunds = current.refunds.concat({ id: refundId, amount, at: now() });
+        const refunded = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+        const record = {
+            ...current,
+            refunds,
+            status: refunded >= current.amount ? 'refunded' : 'partially_refunded',
+            updatedAt: now()
+        };
+        appendHistory(record, { status: record.status, refundId, amount });
+        return record;
+    });
+}
+
+function isWebhookEventProcessed(eventId) {
+    return eventId ? webhookEvents.get(eventId).then(Boolean) : Promise.resolve(false);
+}
+
+// Only recorded once the event has been handled, so a delivery that failed
+// half-way is processed again when Razorpay retries it
+function recordWebhookEvent(eventId, type) {
+    if (!eventId) return Promise.resolve(null);
+    return webhookEvents.put(eventId, { id: eventId, type, processedAt: now() });
+}
+
+module.exports = {
+    recordCreated,
+    getOrder,
+    findByPaymentId,
+    markPaid,
+    markFailed,
+    markRefunded,
+    isWebhookEventProcessed,
+    recordWebhookEvent
+};
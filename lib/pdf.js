@@ -0,0 +1,313 @@
+// Minimal PDF writer and text extraction
+// Enough of PDF 1.4 to lay out invoices without a dependency: A4 pages,
+// text in the standard Helvetica / Helvetica-Bold fonts (no embedding),
+// lines and filled rectangles. Coordinates are in points from the top-left
+// corner. Text is WinAnsi-encoded, so characters outside Latin-1 are
+// replaced before writing.
+//
+// extractText() reads back the text of simple PDFs such as tender notices:
+// content streams (plain or FlateDecode) are scanned for text-showing
+// operators, with a line break wherever the text position moves down.
+// Embedded CID fonts and scanned images are out of reach.
+
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Advance widths (1/1000 em) for ASCII 32-126
+const WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+const REPLACEMENTS = { '₹': 'Rs.', '→': '->', '–': '-', '—': '-', '‘': "'", '’': "'", '“': '"', '”': '"', '…': '...' };
+
+function toWinAnsi(text) {
+    return Array.from(String(text == null ? '' : text))
+        .map(char => REPLACEMENTS[char] || (char.charCodeAt(0) <= 0xff ? char : '?'))
+        .join('');
+}
+
+function widthOf(text, size, bold = false) {
+    const table = bold ? WIDTHS.bold : WIDTHS.regular;
+    let units = 0;
+    for (const char of toWinAnsi(text)) {
+        const code = char.charCodeAt(0);
+        units += code >= 32 && code <= 126 ? table[code - 32] : 556;
+    }
+    return units * size / 1000;
+}
+
+function escapeText(text) {
+    return toWinAnsi(text).replace(/[\\()]/g, match => `\\${match}`).replace(/[\r\n]/g, ' ');
+}
+
+function num(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+class PdfDocument {
+    constructor({ title = '', author = '' } = {}) {
+        this.info = { title, author };
+        this.pages = [];
+        this.addPage();
+    }
+
+    get width() {
+        return PAGE_WIDTH;
+    }
+
+    get height() {
+        return PAGE_HEIGHT;
+    }
+
+    addPage() {
+        this.page = [];
+        this.pages.push(this.page);
+        return this;
+    }
+
+    // align: 'left' (x is the start), 'right' (x is the end) or 'center'
+    text(x, y, value, { size = 10, bold = false, align = 'left', gray = 0 } = {}) {
+        const width = widthOf(value, size, bold);
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+        this.page.push(
+            `BT ${num(gray)} g /${bold ? 'F2' : 'F1'} ${num(size)} Tf ` +
+            `${num(left)} ${num(PAGE_HEIGHT - y)} Td (${escapeText(value)}) Tj ET`
+        );
+        return this;
+    }
+
+    // Breaks text into lines no wider than maxWidth
+    wrap(value, maxWidth, { size = 10, bold = false } = {}) {
+        const lines = [];
+        let current = '';
+        toWinAnsi(value).split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = current ? `${current} ${word}` : word;
+            if (current && widthOf(candidate, size, bold) > maxWidth) {
+                lines.push(current);
+                current = word;
+            } else {
+                current = candidate;
+            }
+        });
+        if (current) lines.push(current);
+        return lines;
+    }
+
+    line(x1, y1, x2, y2, { width = 0.5, gray = 0.6 } = {}) {
+        this.page.push(
+            `${num(gray)} G ${num(width)} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ` +
+            `${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`
+        );
+        return this;
+    }
+
+    rect(x, y, width, height, { gray = 0.93 } = {}) {
+        this.page.push(`${num(gray)} g ${num(x)} ${num(PAGE_HEIGHT - y - height)} ${num(width)} ${num(height)} re f`);
+        return this;
+    }
+
+    toBuffer() {
+        const objects = [];
+        const add = body => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = add(null);
+        const pagesId = add(null);
+        const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        const infoId = add(`<< /Title (${escapeText(this.info.title)}) /Author (${escapeText(this.info.author)}) ` +
+            '/Producer (Shadow Market Tracker) >>');
+
+        const pageIds = this.pages.map(operations => {
+            const content = operations.join('\n');
+            const contentId = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+            return add(
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+            );
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = objects.map((body, index) => {
+            const offset = Buffer.byteLength(output, 'latin1');
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = Buffer.byteLength(output, 'latin1');
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+        output += `startxref\n${xref}\n%%EOF\n`;
+        return Buffer.from(output, 'latin1');
+    }
+}
+
+// Reads a literal string starting at content[start] === '('; returns
+// [text, index after the closing paren]
+function readLiteral(content, start) {
+    const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let text = '';
+    let depth = 0;
+    let index = start;
+    while (index < content.length) {
+        const char = content[index];
+        if (char === '\\') {
+            const next = content[index + 1];
+            const octal = /^[0-7]{1,3}/.exec(content.slice(index + 1, index + 4));
+            if (octal) {
+                text += String.fromCharCode(parseInt(octal[0], 8));
+                index += 1 + octal[0].length;
+                continue;
+            }
+            if (next === '\r' || next === '\n') {
+                index += next === '\r' && content[index + 2] === '\n' ? 3 : 2;
+                continue;
+            }
+            text += ESCAPES[next] || next || '';
+            index += 2;
+            continue;
+        }
+        if (char === '(') {
+            depth++;
+            if (depth > 1) text += char;
+        } else if (char === ')') {
+            depth--;
+            if (depth === 0) return [text, index + 1];
+            text += char;
+        } else {
+            text += char;
+        }
+        index++;
+    }
+    return [text, index];
+}
+
+function contentText(content) {
+    const lines = [''];
+    const newLine = () => {
+        if (lines[lines.length - 1].trim()) lines.push('');
+    };
+    const write = value => {
+        lines[lines.length - 1] += value;
+    };
+
+    let operands = [];
+    const arrays = [];
+    let index = 0;
+    while (index < content.length) {
+        const char = content[index];
+        if (/\s/.test(char)) {
+            index++;
+        } else if (char === '%') {
+            const end = content.indexOf('\n', index);
+            index = end === -1 ? content.length : end + 1;
+        } else if (char === '(') {
+            const [text, next] = readLiteral(content, index);
+            (arrays.length ? arrays[arrays.length - 1] : operands).push(text);
+            index = next;
+        } else if (char === '<' && content[index + 1] === '<') {
+            const end = content.indexOf('>>', index);
+            index = end === -1 ? content.length : end + 2;
+        } else if (char === '<') {
+            const end = content.indexOf('>', index);
+            const hex = content.slice(index + 1, end === -1 ? content.length : end).replace(/\s/g, '');
+            const text = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1');
+            (arrays.length ? arrays[arrays.length - 1] : operands).push(text);
+            index = end === -1 ? content.length : end + 1;
+        } else if (char === '[') {
+            arrays.push([]);
+            index++;
+        } else if (char === ']') {
+            const array = arrays.pop() || [];
+            (arrays.length ? arrays[arrays.length - 1] : operands).push(array);
+            index++;
+        } else {
+            const match = /^[^\s()<>[\]{}/%]+|^\/[^\s()<>[\]{}/%]*|^./.exec(content.slice(index, index + 64));
+            const token = match[0];
+            index += token.length;
+            if (/^[-+]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+                (arrays.length ? arrays[arrays.length - 1] : operands).push(Number(token));
+                continue;
+            }
+            if (token[0] === '/' || arrays.length) {
+                continue;
+            }
+
+            if (token === 'Tj') {
+                write(operands.filter(operand => typeof operand === 'string').join(''));
+            } else if (token === 'TJ') {
+                const [items = []] = operands.filter(Array.isArray);
+                items.forEach(item => {
+                    if (typeof item === 'string') write(item);
+                    else if (item <= -200) write(' ');
+                });
+            } else if (token === "'" || token === '"') {
+                newLine();
+                write(operands.filter(operand => typeof operand === 'string').join(''));
+            } else if (token === 'Td' || token === 'TD') {
+                const [x = 0, y = 0] = operands;
+                if (y !== 0) newLine();
+                else if (x > 0) write(' ');
+            } else if (token === 'T*' || token === 'Tm' || token === 'ET') {
+                newLine();
+            }
+            operands = [];
+        }
+    }
+    return lines.map(line => line.replace(/[ \t]+/g, ' ').trim()).filter(Boolean);
+}
+
+// Lines of text in document order
+function extractText(buffer) {
+    const source = Buffer.isBuffer(buffer) ? buffer.toString('latin1') : String(buffer);
+    const lines = [];
+    const streamPattern = /stream\r?\n/g;
+    let match;
+    while ((match = streamPattern.exec(source))) {
+        if (source.slice(match.index - 3, match.index) === 'end') continue;
+        const start = match.index + match[0].length;
+        const end = source.indexOf('endstream', start);
+        if (end === -1) break;
+
+        const dictionary = source.slice(source.lastIndexOf('obj', match.index), match.index);
+        let data = Buffer.from(source.slice(start, end).replace(/\r?\n$/, ''), 'latin1');
+        if (/\/Subtype\s*\/Image/.test(dictionary)) continue;
+        if (/\/FlateDecode/.test(dictionary)) {
+            try {
+                data = zlib.inflateSync(data);
+            } catch (error) {
+                continue;
+            }
+        } else if (/\/Filter/.test(dictionary)) {
+            continue;
+        }
+        lines.push(...contentText(data.toString('latin1')));
+        streamPattern.lastIndex = end + 'endstream'.length;
+    }
+    return lines;
+}
+
+module.exports = { PdfDocument, widthOf, extractText };
@@ -0,0 +1,140 @@
+// Minimal Razorpay REST client
+// Talks to the Orders, Payments and Subscriptions APIs with basic auth and
+// verifies the HMAC-SHA256 signatures Razorpay Checkout hands back to the
+// browser. Which keys are used depends on the environment (lib/config.js:
+// test keys everywhere but production). RAZORPAY_API_BASE can point at a
+// local mock server for testing.
+
+const crypto = require('crypto');
+const config = require('./config');
+const { HttpError } = require('./http');
+
+const DEFAULT_API_BASE = 'https://api.razorpay.com/v1';
+
+function getConfig() {
+    const { keyId, keySecret } = config.razorpay();
+
+    if (!keyId || !keySecret) {
+        const error = new HttpError(500, 'Payment gateway is not configured');
+        error.expose = true;
+        throw error;
+    }
+
+    return {
+        keyId,
+        keySecret,
+        apiBase: (process.env.RAZORPAY_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, '')
+    };
+}
+
+async function request(method, path, body) {
+    const { keyId, keySecret, apiBase } = getConfig();
+    const auth = Buffer.from(`${keyId}:${keySecret}`).toString('base64');
+
+    let response;
+    try {
+        response = await fetch(`${apiBase}${path}`, {
+            method,
+            headers: {
+                'Authorization': `Basic ${auth}`,
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+    } catch (cause) {
+        const error = new HttpError(502, 'Payment gateway unreachable');
+        error.expose = true;
+        error.cause = cause;
+        throw error;
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const description = data.error && data.error.description;
+        const error = new HttpError(502, `Payment gateway error: ${description || response.status}`);
+        error.expose = true;
+        throw error;
+    }
+
+    return data;
+}
+
+// amount is in the smallest currency unit (paise for INR)
+function createOrder({ amount, currency, receipt, notes }) {
+    return request('POST', '/orders', { amount, currency, receipt, notes });
+}
+
+function fetchOrder(orderId) {
+    return request('GET', `/orders/${encodeURIComponent(orderId)}`);
+}
+
+function refundPayment(paymentId, amount, notes) {
+    return request('POST', `/payments/${encodeURIComponent(paymentId)}/refund`, { amount, notes });
+}
+
+// Subscriptions API. Plan amounts are in paise and billed as-is (GST
+// included); see lib/subscriptions.js.
+function createPlan({ period, interval, item, notes }) {
+    return request('POST', '/plans', { period, interval, item, notes });
+}
+
+function createSubscription({ planId, totalCount, notes }) {
+    return request('POST', '/subscriptions', {
+        plan_id: planId,
+        total_count: totalCount,
+        customer_notify: 1,
+        notes
+    });
+}
+
+function updateSubscription(subscriptionId, { planId, scheduleChangeAt }) {
+    return request('PATCH', `/subscriptions/${encodeURIComponent(subscriptionId)}`, {
+        plan_id: planId,
+        schedule_change_at: scheduleChangeAt
+    });
+}
+
+function cancelSubscription(subscriptionId, { atCycleEnd }) {
+    return request('POST', `/subscriptions/${encodeURIComponent(subscriptionId)}/cancel`, {
+        cancel_at_cycle_end: atCycleEnd ? 1 : 0
+    });
+}
+
+function hmacHex(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function safeEqualHex(expected, actual) {
+    if (typeof actual !== 'string' || actual.length !== expected.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+}
+
+function verifyPaymentSignature({ orderId, paymentId, signature }) {
+    const { keySecret } = getConfig();
+    const expected = hmacHex(keySecret, `${orderId}|${paymentId}`);
+    return safeEqualHex(expected, signature);
+}
+
+// Subscription checkout signs payment_id|subscription_id (note the order)
+function verifySubscriptionSignature({ subscriptionId, paymentId, signature }) {
+    const { keySecret } = getConfig();
+    const expected = hmacHex(keySecret, `${paymentId}|${subscriptionId}`);
+    return safeEqualHex(expected, signature);
+}
+
+module.exports = {
+    getConfig,
+    createOrder,
+    fetchOrder,
+    refundPayment,
+    createPlan,
+    createSubscription,
+    updateSubscription,
+    cancelSubscription,
+    hmacHex,
+    safeEqualHex,
+    verifyPaymentSignature,
+    verifySubscriptionSignature
+};
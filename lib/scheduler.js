@@ -0,0 +1,332 @@
+// Bot scheduler
+// Every active saved bot config (lib/bots.js) is run through the source
+// adapters registered for its type (lib/sources.js) on the config's
+// frequency. A run calls each adapter in turn with its own timeout, keeps
+// the adapter's state for next time and records a history entry in
+// `bot-runs`:
+//
+//   { id, userId, bot, trigger: 'schedule' | 'retry', status: 'running' |
+//     'succeeded' | 'failed', startedAt, finishedAt, durationMs, findings,
+//     sources: [{ id, findings, durationMs, error }], error }
+//
+// A run fails when any source fails; the next scheduled attempt then backs
+// off from one minute up to the normal interval instead of waiting it out.
+// Bots whose owner no longer has the feature (lib/access.js) are skipped.
+//
+// Findings are stored as alerts (lib/alerts.js), queued for delivery to the
+// user's channels (lib/delivery.js) and also emitted on `events` as
+// 'findings' ({ run, userId, bot, source, findings, alerts }); 'run' is
+// emitted whenever a run starts or finishes. Each tick ends by sending the
+// deliveries that are due.
+//
+// The server calls start() to tick every BOT_TICK_SECONDS (default 60);
+// with BOT_SCHEDULER=off an outside scheduler calls /api/cron/bots, which
+// runs one tick. Both need DATA_DIR, so neither runs on Vercel.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const access = require('./access');
+const alerts = require('./alerts');
+const bots = require('./bots');
+const delivery = require('./delivery');
+const sources = require('./sources');
+const store = require('./store');
+const { HttpError } = require('./http');
+
+const runs = store.collection('bot-runs');
+const sourceState = store.collection('bot-source-state');
+const users = store.collection('users');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Real-time bots poll at the shortest interval
+const FREQUENCIES = {
+    realtime: 5 * MINUTE_MS,
+    hourly: HOUR_MS,
+    daily: DAY_MS,
+    weekly: 7 * DAY_MS
+};
+const RETRY_BACKOFF_MS = [MINUTE_MS, 5 * MINUTE_MS, 15 * MINUTE_MS, HOUR_MS];
+const SOURCE_TIMEOUT_MS = 2 * MINUTE_MS;
+const HISTORY_LIMIT = 50;
+
+const events = new EventEmitter();
+// Every open dashboard stream (api/dashboard/stream.js) listens
+events.setMaxListeners(0);
+const active = new Map();
+let timer = null;
+let ticking = null;
+
+function key(userId, bot) {
+    return `${userId}:${bot}`;
+}
+
+function frequencyOf(bot, config) {
+    return config.frequency || bots.BOTS[bot].frequency;
+}
+
+// Newest first
+async function history(userId, bot, { limit = HISTORY_LIMIT } = {}) {
+    const records = await runs.list(run => run.userId === userId && run.bot === bot);
+    return records
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+        .slice(0, limit);
+}
+
+// What a source adapter kept for this user and bot after its last run
+async function sourceStateFor(userId, bot, adapterId) {
+    const record = await sourceState.get(`${key(userId, bot)}:${adapterId}`);
+    return record ? record.state : null;
+}
+
+function failureStreak(recent) {
+    let count = 0;
+    while (count < recent.length && recent[count].status === 'failed') count++;
+    return count;
+}
+
+// When the bot is next due (ms), or null when it is paused
+function nextRunAt(saved, recent, now = Date.now()) {
+    if (!saved.saved || !saved.config.active) return null;
+    const [last] = recent;
+    if (!last) return now;
+
+    const interval = FREQUENCIES[frequencyOf(saved.bot, saved.config)];
+    const failures = failureStreak(recent);
+    const delay = failures
+        ? Math.min(interval, RETRY_BACKOFF_MS[Math.min(failures, RETRY_BACKOFF_MS.length) - 1])
+        : interval;
+    return Date.parse(last.startedAt) + delay;
+}
+
+function withTimeout(promise, ms, controller) {
+    let timeout;
+    const expired = new Promise((resolve, reject) => {
+        timeout = setTimeout(() => {
+            controller.abort();
+            reject(new Error(`Timed out after ${Math.round(ms / 1000)}s`));
+        }, ms);
+    });
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timeout));
+}
+
+function emit(name, payload) {
+    try {
+        events.emit(name, payload);
+    } catch (error) {
+        console.error(`Bot ${name} listener failed:`, error);
+    }
+}
+
+async function runSource(adapter, run, saved, lastRunAt) {
+    const stateKey = `${key(run.userId, run.bot)}:${adapter.id}`;
+    const started = Date.now();
+    const controller = new AbortController();
+    try {
+        const previous = await sourceState.get(stateKey);
+        const result = await withTimeout(Promise.resolve().then(() => adapter.fetch({
+            userId: run.userId,
+            bot: run.bot,
+            config: saved.config,
+            state: previous ? previous.state : null,
+            lastRunAt,
+            signal: controller.signal
+        })), SOURCE_TIMEOUT_MS, controller);
+
+        const findings = Array.isArray(result && result.findings) ? result.findings : [];
+        if (result && result.state !== undefined) {
+            await sourceState.put(stateKey, { id: stateKey, state: result.state, updatedAt: new Date().toISOString() });
+        }
+        if (findings.length) {
+            const payload = { run, userId: run.userId, bot: run.bot, source: adapter.id, findings };
+            const stored = await alerts.fromFindings(payload);
+            emit('findings', { ...payload, alerts: stored });
+            await delivery.enqueue({ userId: run.userId, bot: run.bot, alerts: stored })
+                .catch(error => console.error(`Queuing ${run.bot} alerts for delivery failed:`, error));
+        }
+        const errors = Array.isArray(result && result.errors) ? result.errors : [];
+        return {
+            id: adapter.id,
+            findings: findings.length,
+            durationMs: Date.now() - started,
+            error: errors.length ? errors.join('; ') : null
+        };
+    } catch (error) {
+        return { id: adapter.id, findings: 0, durationMs: Date.now() - started, error: error.message || String(error) };
+    }
+}
+
+async function execute(userId, bot, trigger) {
+    const saved = await bots.get(userId, bot);
+    const [previous] = await history(userId, bot, { limit: 1 });
+    const startedAt = new Date();
+
+    let run = {
+        id: crypto.randomUUID(),
+        userId,
+        bot,
+        trigger,
+        status: 'running',
+        startedAt: startedAt.toISOString(),
+        finishedAt: null,
+        durationMs: null,
+        findings: 0,
+        sources: [],
+        error: null
+    };
+    await runs.put(run.id, run);
+    emit('run', run);
+
+    const results = [];
+    for (const adapter of sources.forBot(bot)) {
+        results.push(await runSource(adapter, run, saved, previous ? previous.startedAt : null));
+    }
+
+    const errors = results.filter(result => result.error).map(result => `${result.id}: ${result.error}`);
+    run = {
+        ...run,
+        status: errors.length ? 'failed' : 'succeeded',
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        findings: results.reduce((sum, result) => sum + result.findings, 0),
+        sources: results,
+        error: errors.length ? errors.join('; ') : null
+    };
+
+    await runs.transaction(records => {
+        records[run.id] = run;
+        // Keep the newest HISTORY_LIMIT runs of this bot
+        Object.values(records)
+            .filter(record => record.userId === userId && record.bot === bot)
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+            .slice(HISTORY_LIMIT)
+            .forEach(record => delete records[record.id]);
+    });
+    emit('run', run);
+    return run;
+}
+
+// Starts a run unless this bot is already running; resolves to the
+// finished run record
+function runNow(userId, bot, trigger = 'retry') {
+    const runKey = key(userId, bot);
+    if (active.has(runKey)) {
+        throw new HttpError(409, `${bots.BOTS[bot].title} is already running`, 'bot');
+    }
+    const promise = execute(userId, bot, trigger).finally(() => active.delete(runKey));
+    active.set(runKey, promise);
+    return promise;
+}
+
+// Runs left 'running' by a process that stopped mid-run
+async function failInterrupted(now) {
+    await runs.transaction(records => {
+        Object.values(records).forEach(record => {
+            const limit = SOURCE_TIMEOUT_MS * (sources.forBot(record.bot).length + 1);
+            if (record.status === 'running' && !active.has(key(record.userId, record.bot)) &&
+                Date.parse(record.startedAt) + limit < now) {
+                records[record.id] = {
+                    ...record,
+                    status: 'failed',
+                    finishedAt: new Date(now).toISOString(),
+                    error: 'Interrupted before finishing'
+                };
+            }
+        });
+    });
+}
+
+async function isEntitled(userId, bot) {
+    const user = await users.get(userId);
+    if (!user) return false;
+    const { features } = await access.resolve({ email: user.email, role: user.role || null });
+    return features.includes(bots.BOTS[bot].feature);
+}
+
+// Runs every bot that is due, one at a time, then sends due alert
+// deliveries; resolves to the runs started
+async function tick(now = Date.now()) {
+    if (ticking) return ticking;
+    ticking = (async () => {
+        await failInterrupted(now);
+        const started = [];
+        for (const bot of bots.TYPES) {
+            for (const record of await bots.listByType(bot)) {
+                if (!record.config.active || active.has(key(record.userId, bot))) continue;
+
+                const saved = await bots.get(record.userId, bot);
+                const recent = await history(record.userId, bot, { limit: RETRY_BACKOFF_MS.length });
+                if (recent[0] && recent[0].status === 'running') continue;
+                if (nextRunAt(saved, recent, now) > now) continue;
+                if (!(await isEntitled(record.userId, bot))) continue;
+
+                started.push(await runNow(record.userId, bot, 'schedule'));
+            }
+        }
+        await delivery.deliverDue().catch(error => console.error('Alert delivery failed:', error));
+        return started;
+    })().finally(() => {
+        ticking = null;
+    });
+    return ticking;
+}
+
+function toPublicRun(run) {
+    const { userId, ...rest } = run;
+    return rest;
+}
+
+// What the dashboard shows for one bot. state is one of not_configured,
+// paused, running, failed or active (scheduled, last run fine).
+async function status(userId, bot, { now = Date.now() } = {}) {
+    const saved = await bots.get(userId, bot);
+    const recent = await history(userId, bot, { limit: 5 });
+    const runningNow = active.has(key(userId, bot)) || (recent[0] && recent[0].status === 'running');
+
+    let state = 'active';
+    if (!saved.saved) state = 'not_configured';
+    else if (runningNow) state = 'running';
+    else if (!saved.config.active) state = 'paused';
+    else if (recent[0] && recent[0].status === 'failed') state = 'failed';
+
+    const next = nextRunAt(saved, recent, now);
+    return {
+        bot,
+        title: bots.BOTS[bot].title,
+        state,
+        frequency: saved.saved ? frequencyOf(bot, saved.config) : null,
+        sources: sources.forBot(bot).map(adapter => adapter.id),
+        nextRunAt: next === null ? null : new Date(Math.max(next, now)).toISOString(),
+        lastRun: recent[0] ? toPublicRun(recent[0]) : null,
+        recentRuns: recent.map(toPublicRun),
+        findings: recent.reduce((sum, run) => sum + run.findings, 0)
+    };
+}
+
+function start({ intervalMs = (Number(process.env.BOT_TICK_SECONDS) || 60) * 1000 } = {}) {
+    if (timer) return;
+    const run = () => tick().catch(error => console.error('Bot scheduler tick failed:', error));
+    timer = setInterval(run, intervalMs);
+    timer.unref();
+    run();
+}
+
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    FREQUENCIES,
+    events,
+    history,
+    sourceStateFor,
+    runNow,
+    tick,
+    status,
+    toPublicRun,
+    start,
+    stop
+};
@@ -0,0 +1,123 @@
+// Minimal JSON Schema validation
+// Covers the subset the API's schemas use, without a dependency: object
+// (properties, required, additionalProperties: false), array (items,
+// minItems, maxItems, uniqueItems), string (minLength, maxLength, enum,
+// format: 'url' for http(s) addresses, 'email'), integer / number (minimum,
+// maximum, enum) and boolean. Strings are trimmed, and missing optional
+// properties take their `default`.
+//
+// validate(schema, value) returns { value, errors } where value is the
+// normalized copy and errors is [{ field, message }]; field is the dotted
+// path of the offending property ('keywords.2') and is '' for the root.
+
+function isWebUrl(text) {
+    try {
+        return ['http:', 'https:'].includes(new URL(text).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+function isEmail(text) {
+    return /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(text);
+}
+
+function check(schema, value, field, errors) {
+    const label = schema.title || field || 'value';
+    const fail = message => {
+        errors.push({ field, message: `${label} ${message}` });
+        return undefined;
+    };
+
+    if (schema.type === 'object') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return fail('must be an object');
+        }
+        const result = {};
+        const properties = schema.properties || {};
+        Object.keys(value).forEach(key => {
+            if (!properties[key] && schema.additionalProperties === false) {
+                errors.push({ field: field ? `${field}.${key}` : key, message: `${key} is not a recognised setting` });
+            }
+        });
+        Object.entries(properties).forEach(([key, property]) => {
+            const path = field ? `${field}.${key}` : key;
+            if (value[key] === undefined || value[key] === null) {
+                if ((schema.required || []).includes(key)) {
+                    errors.push({ field: path, message: `${property.title || key} is required` });
+                } else if (property.default !== undefined) {
+                    result[key] = JSON.parse(JSON.stringify(property.default));
+                }
+                return;
+            }
+            const checked = check(property, value[key], path, errors);
+            if (checked !== undefined) result[key] = checked;
+        });
+        return result;
+    }
+
+    if (schema.type === 'array') {
+        if (!Array.isArray(value)) return fail('must be a list');
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return fail(schema.minItems === 1 ? 'needs at least one entry' : `needs at least ${schema.minItems} entries`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return fail(`allows at most ${schema.maxItems} entries`);
+        }
+        const items = value.map((item, index) => check(schema.items || {}, item, `${field}.${index}`, errors));
+        if (items.includes(undefined)) return undefined;
+        if (schema.uniqueItems && new Set(items.map(item => JSON.stringify(item))).size !== items.length) {
+            return fail('has duplicate entries');
+        }
+        return items;
+    }
+
+    if (schema.type === 'string') {
+        if (typeof value !== 'string') return fail('must be text');
+        const text = value.trim();
+        if (schema.minLength !== undefined && text.length < schema.minLength) {
+            return fail(schema.minLength === 1 ? 'cannot be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && text.length > schema.maxLength) {
+            return fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.enum && !schema.enum.includes(text)) {
+            return fail(`must be one of ${schema.enum.join(', ')}`);
+        }
+        if (schema.format === 'url' && !isWebUrl(text)) {
+            return fail('must be a full http:// or https:// address');
+        }
+        if (schema.format === 'email' && !isEmail(text)) {
+            return fail('must be an email address');
+        }
+        return text;
+    }
+
+    if (schema.type === 'integer' || schema.type === 'number') {
+        if (typeof value !== 'number' || !Number.isFinite(value) ||
+            (schema.type === 'integer' && !Number.isInteger(value))) {
+            return fail(`must be ${schema.type === 'integer' ? 'a whole number' : 'a number'}`);
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            return fail(`must be one of ${schema.enum.join(', ')}`);
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+        return value;
+    }
+
+    if (schema.type === 'boolean') {
+        if (typeof value !== 'boolean') return fail('must be true or false');
+        return value;
+    }
+
+    return value;
+}
+
+function validate(schema, value) {
+    const errors = [];
+    const result = check(schema, value, '', errors);
+    return { value: result, errors };
+}
+
+module.exports = { validate };
@@ -0,0 +1,93 @@
+// Security headers
+// One Content Security Policy and the headers that go with it. server.js
+// sends them with every response; build.js writes them as host config for
+// the static deployment (public/_headers for Netlify, the `headers` of
+// vercel.json for Vercel).
+//
+// Scripts run only from this origin, Google sign-in and Razorpay Checkout,
+// plus the inline <script> blocks whose SHA-256 hash is in the policy.
+// Inline event handlers (onclick=…) and javascript: URLs never run, so
+// pages and scripts wire their buttons up with addEventListener;
+// inlineHandlers() finds any that slip back in. JSON blocks (app-config,
+// JSON-LD) are data rather than scripts and need no hash. Styles still allow
+// 'unsafe-inline': the pages use style="" attributes throughout.
+
+const crypto = require('crypto');
+
+const DIRECTIVES = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'", 'https://accounts.google.com/gsi/client', 'https://checkout.razorpay.com'],
+    'style-src': ["'self'", "'unsafe-inline'", 'https://fonts.googleapis.com', 'https://cdnjs.cloudflare.com',
+        'https://accounts.google.com/gsi/style'],
+    'font-src': ["'self'", 'https://fonts.gstatic.com', 'https://cdnjs.cloudflare.com'],
+    'img-src': ["'self'", 'data:', 'https:'],
+    'connect-src': ["'self'", 'https://accounts.google.com/gsi/', 'https://api.razorpay.com',
+        'https://lumberjack.razorpay.com'],
+    'frame-src': ['https://accounts.google.com/gsi/', 'https://api.razorpay.com', 'https://checkout.razorpay.com'],
+    'frame-ancestors': ["'none'"],
+    'base-uri': ["'self'"],
+    'form-action': ["'self'"],
+    'object-src': ["'none'"]
+};
+const INLINE_SCRIPT = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+const EXECUTABLE_TYPE = /^(module|text\/javascript|application\/javascript)$/i;
+const HANDLER_ATTRIBUTE = /<[a-z][^<>]*?\son[a-z]+\s*=\s*["']?[^\s>]/gi;
+const SCRIPT_URL = /\s(?:href|src|action)\s*=\s*["']?\s*javascript:/gi;
+
+function isExecutable(attributes) {
+    if (/\bsrc\s*=/i.test(attributes)) return false;
+    const type = (attributes.match(/\btype\s*=\s*["']?([^"'\s>]+)/i) || [])[1];
+    return !type || EXECUTABLE_TYPE.test(type);
+}
+
+// 'sha256-…' sources for the inline scripts of a page, hashed the way
+// browsers do: over the text between the tags, line breaks normalized
+function scriptHashes(html) {
+    const hashes = new Set();
+    for (const [, attributes, body] of html.matchAll(INLINE_SCRIPT)) {
+        if (!isExecutable(attributes) || !body.trim()) continue;
+        const digest = crypto.createHash('sha256').update(body.replace(/\r\n?/g, '\n'), 'utf8').digest('base64');
+        hashes.add(`'sha256-${digest}'`);
+    }
+    return [...hashes];
+}
+
+// The markup (or markup built in a script) the policy would block: inline
+// event handlers and javascript: URLs
+function inlineHandlers(source) {
+    return [...source.matchAll(HANDLER_ATTRIBUTE), ...source.matchAll(SCRIPT_URL)]
+        .map(match => match[0].trim().replace(/\s+/g, ' ').slice(0, 80));
+}
+
+function contentSecurityPolicy(hashes = []) {
+    return Object.entries(DIRECTIVES)
+        .map(([name, sources]) => [name, ...sources, ...(name === 'script-src' ? hashes : [])].join(' '))
+        .join('; ');
+}
+
+// Header name → value; hashes are the inline scripts the page may run
+function headers(hashes = []) {
+    return {
+        'Content-Security-Policy': contentSecurityPolicy(hashes),
+        'Strict-Transport-Security': 'max-age=31536000; includeSubDomains',
+        'Referrer-Policy': 'strict-origin-when-cross-origin',
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'Permissions-Policy': 'camera=(), microphone=(), geolocation=()'
+    };
+}
+
+// Netlify's _headers file
+function netlifyHeaders(values) {
+    return `/*\n${Object.entries(values).map(([name, value]) => `  ${name}: ${value}`).join('\n')}\n`;
+}
+
+// The `headers` entry of vercel.json
+function vercelHeaders(values) {
+    return [{
+        source: '/(.*)',
+        headers: Object.entries(values).map(([key, value]) => ({ key, value }))
+    }];
+}
+
+module.exports = { scriptHashes, inlineHandlers, contentSecurityPolicy, headers, netlifyHeaders, vercelHeaders };
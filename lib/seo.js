@@ -0,0 +1,122 @@
+// Search engine metadata
+// Everything here derives from the site URL (WEBSITE_URL, lib/config.js)
+// and what a page says about itself. lib/templates.js puts the canonical URL,
+// Open Graph tags and structured data into the head of templated pages;
+// build.js reads the rendered pages back with metadata() to write
+// sitemap.xml and robots.txt and to report what is missing.
+//
+// A page's front matter `offers` names a list in templates/site.json
+// `plans`. Each entry is either a product id from lib/catalog.js, priced from
+// there, or a plan written out as { id, name, description, price, interval }
+// with the price in rupees. The page can render its cards from the same
+// list ({{#each offers}}), so the markup and the JSON-LD never disagree.
+
+const catalog = require('./catalog');
+
+const BILLING_DURATIONS = { month: 'P1M', year: 'P1Y' };
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// file: the page's path from the site root; index.html stands for its
+// directory
+function pageUrl(base, file) {
+    return `${base}/${file.replace(/(^|\/)index\.html$/, '$1')}`;
+}
+
+// [{ id, name, description, prices: { INR: 699, … }, priceLabel, interval }]
+function offers(name, site) {
+    const plans = (site.plans || {})[name];
+    if (!Array.isArray(plans)) throw new Error(`Unknown offers "${name}" (templates/site.json plans)`);
+    return plans.map(entry => {
+        if (typeof entry === 'string') {
+            const product = catalog.getProduct(entry);
+            if (!product) throw new Error(`Unknown product "${entry}" in offers "${name}"`);
+            return {
+                id: product.id,
+                name: product.title,
+                description: product.description,
+                prices: catalog.priceList(product),
+                priceLabel: product.price.toLocaleString('en-IN'),
+                interval: product.interval || null
+            };
+        }
+        return {
+            ...entry,
+            prices: { INR: entry.price },
+            priceLabel: entry.price.toLocaleString('en-IN'),
+            interval: entry.interval || null
+        };
+    });
+}
+
+// schema.org Product with one Offer per currency it is sold in
+function structuredData(plans, { brand, url }) {
+    return {
+        '@context': 'https://schema.org',
+        '@graph': plans.map(plan => ({
+            '@type': 'Product',
+            name: plan.name,
+            description: plan.description,
+            brand: { '@type': 'Brand', name: brand },
+            offers: Object.entries(plan.prices).map(([currency, price]) => ({
+                '@type': 'Offer',
+                price,
+                priceCurrency: currency,
+                availability: 'https://schema.org/InStock',
+                ...(url ? { url } : {}),
+                ...(BILLING_DURATIONS[plan.interval] ? {
+                    priceSpecification: {
+                        '@type': 'UnitPriceSpecification',
+                        price,
+                        priceCurrency: currency,
+                        billingDuration: BILLING_DURATIONS[plan.interval]
+                    }
+                } : {})
+            }))
+        }))
+    };
+}
+
+function metaContent(html, attribute, name) {
+    const tag = html.match(new RegExp(`<meta\\b[^>]*\\b${attribute}\\s*=\\s*["']${name}["'][^>]*>`, 'i'));
+    const content = tag && tag[0].match(/\bcontent\s*=\s*(["'])(.*?)\1/i);
+    return content && content[2].trim() ? content[2].trim() : null;
+}
+
+// What a rendered page tells search engines: { title, description, image,
+// indexable }, null where it says nothing
+function metadata(html) {
+    const title = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+    const robots = metaContent(html, 'name', 'robots') || '';
+    return {
+        title: title && title[1].trim() ? title[1].trim() : null,
+        description: metaContent(html, 'name', 'description'),
+        image: metaContent(html, 'property', 'og:image'),
+        indexable: !/\bnoindex\b/i.test(robots)
+    };
+}
+
+function sitemap(urls) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls.map(url => `  <url><loc>${escapeXml(url)}</loc></url>`),
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+// base: the site URL, or null to leave the sitemap out
+function robots(base) {
+    const lines = ['User-agent: *', 'Allow: /', 'Disallow: /api/'];
+    if (base) lines.push('', `Sitemap: ${base}/sitemap.xml`);
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = { pageUrl, offers, structuredData, metadata, sitemap, robots };
@@ -0,0 +1,221 @@
+// Minimal SMTP client for alert email (lib/channels.js)
+// send() opens one connection per message: EHLO, STARTTLS when the server
+// offers it, AUTH PLAIN or LOGIN when SMTP_USER is set, then a single
+// multipart/alternative (text + HTML) message.
+//
+// Configured by SMTP_HOST, SMTP_PORT (default 587, or 465 with
+// SMTP_SECURE=true for implicit TLS), SMTP_USER, SMTP_PASS and SMTP_FROM.
+// A 5xx reply rejects with error.permanent set, so lib/delivery.js does
+// not retry what the server will never accept.
+
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+const TIMEOUT_MS = 30 * 1000;
+
+function settings() {
+    const secure = process.env.SMTP_SECURE === 'true';
+    return {
+        host: process.env.SMTP_HOST || '',
+        port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+        secure,
+        user: process.env.SMTP_USER || '',
+        pass: process.env.SMTP_PASS || '',
+        from: process.env.SMTP_FROM || process.env.SMTP_USER || ''
+    };
+}
+
+function isConfigured() {
+    const { host, from } = settings();
+    return Boolean(host && from);
+}
+
+// Reads SMTP replies off a socket; each next() resolves to the next
+// complete (possibly multi-line) reply as { code, lines }
+function replyReader() {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+    let failure = null;
+
+    function deliver(item) {
+        const next = waiting.shift();
+        if (next) next(item);
+        else replies.push(item);
+    }
+
+    function onData(chunk) {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+            lines.push(line.slice(4));
+            if (line[3] !== '-') {
+                deliver({ code: Number(line.slice(0, 3)), lines });
+                lines = [];
+            }
+        }
+    }
+
+    function onFailure(error) {
+        failure = failure || error;
+        while (waiting.length) waiting.shift()({ error: failure });
+    }
+
+    return {
+        attach(target) {
+            target.on('data', onData);
+            target.on('error', onFailure);
+            target.on('close', () => onFailure(new Error('SMTP connection closed')));
+        },
+        detach(target) {
+            target.removeListener('data', onData);
+        },
+        next() {
+            if (replies.length) return Promise.resolve(replies.shift());
+            if (failure) return Promise.resolve({ error: failure });
+            return new Promise(resolve => waiting.push(resolve));
+        }
+    };
+}
+
+function smtpError(reply, step) {
+    const error = new Error(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(' ')}`.trim());
+    error.permanent = reply.code >= 500;
+    return error;
+}
+
+async function expect(reader, codes, step) {
+    const reply = await reader.next();
+    if (reply.error) throw reply.error;
+    if (!codes.includes(reply.code)) throw smtpError(reply, step);
+    return reply;
+}
+
+async function command(socket, reader, line, codes, step) {
+    socket.write(`${line}\r\n`);
+    return expect(reader, codes, step || line.split(' ')[0]);
+}
+
+function connect({ host, port, secure }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+            : net.connect({ host, port }, () => resolve(socket));
+        socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP connection timed out')));
+        socket.once('error', reject);
+    });
+}
+
+function upgrade(socket, host) {
+    return new Promise((resolve, reject) => {
+        const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+        secured.setTimeout(TIMEOUT_MS, () => secured.destroy(new Error('SMTP connection timed out')));
+        secured.once('error', reject);
+    });
+}
+
+// RFC 2047 for headers that are not plain ASCII
+function encodeHeader(value) {
+    const text = String(value).replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function base64Body(text) {
+    return Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+function address(value) {
+    const email = String(value).match(/<([^>]+)>/);
+    return (email ? email[1] : String(value)).trim();
+}
+
+function buildMessage({ from, to, subject, text, html }) {
+    const boundary = `alt-${crypto.randomBytes(12).toString('hex')}`;
+    const domain = address(from).split('@')[1] || 'localhost';
+    const parts = [
+        `From: ${encodeHeader(from)}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Body(text),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Body(html || text),
+        `--${boundary}--`,
+        ''
+    ];
+    // Base64 bodies never start a line with a dot, so no dot-stuffing needed
+    return parts.join('\r\n');
+}
+
+async function authenticate(socket, reader, capabilities, { user, pass }) {
+    const methods = (capabilities.find(line => /^AUTH\b/i.test(line)) || '').toUpperCase().split(/\s+/);
+    if (methods.includes('PLAIN') || !methods.includes('LOGIN')) {
+        const token = Buffer.from(`\0${user}\0${pass}`).toString('base64');
+        await command(socket, reader, `AUTH PLAIN ${token}`, [235], 'AUTH');
+        return;
+    }
+    await command(socket, reader, 'AUTH LOGIN', [334], 'AUTH');
+    await command(socket, reader, Buffer.from(user).toString('base64'), [334], 'AUTH');
+    await command(socket, reader, Buffer.from(pass).toString('base64'), [235], 'AUTH');
+}
+
+// message: { to, subject, text, html }; resolves once the server accepts it
+async function send(message) {
+    const config = settings();
+    if (!isConfigured()) {
+        const error = new Error('Email is not configured on this server (SMTP_HOST, SMTP_FROM)');
+        error.permanent = true;
+        throw error;
+    }
+
+    let socket = await connect(config);
+    let reader = replyReader();
+    reader.attach(socket);
+    try {
+        await expect(reader, [220], 'greeting');
+        const hostname = os.hostname() || 'localhost';
+        let hello = await command(socket, reader, `EHLO ${hostname}`, [250]);
+
+        if (!config.secure && hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+            await command(socket, reader, 'STARTTLS', [220]);
+            reader.detach(socket);
+            socket = await upgrade(socket, config.host);
+            reader = replyReader();
+            reader.attach(socket);
+            hello = await command(socket, reader, `EHLO ${hostname}`, [250]);
+        }
+        if (config.user) {
+            await authenticate(socket, reader, hello.lines, config);
+        }
+
+        await command(socket, reader, `MAIL FROM:<${address(config.from)}>`, [250]);
+        await command(socket, reader, `RCPT TO:<${address(message.to)}>`, [250, 251]);
+        await command(socket, reader, 'DATA', [354]);
+        socket.write(`${buildMessage({ ...message, from: config.from })}\r\n.\r\n`);
+        await expect(reader, [250], 'DATA');
+        socket.write('QUIT\r\n');
+    } finally {
+        socket.end();
+    }
+}
+
+module.exports = {
+    isConfigured,
+    send
+};
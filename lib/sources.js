@@ -0,0 +1,56 @@
+// Source adapters for the bots
+// The scheduler (lib/scheduler.js) runs every adapter registered for a bot
+// type. An adapter is a plain object:
+//
+//   {
+//     id: 'competitor-pages',          unique across adapters
+//     bots: ['news'],                  bot types it serves (lib/bots.js)
+//     async fetch(context) -> { findings, state }
+//   }
+//
+// context is { userId, bot, config, state, lastRunAt, signal }: config is the
+// user's saved bot settings, state whatever this adapter returned for the
+// same user and bot last time (null on the first run), and signal aborts
+// when the run times out. findings is a list of
+// { title, summary, url, severity: 'high' | 'medium' | 'low', data } that
+// the scheduler hands on to its 'findings' listeners; state is persisted
+// for the next run. An adapter that covers several targets can report the
+// ones that failed as `errors` (messages): the run is marked failed but its
+// findings and state are kept. Throwing fails the whole source without
+// stopping the others.
+//
+// Built-in adapters are registered below; others can be added with
+// register().
+
+const adapters = new Map();
+
+function register(adapter) {
+    if (!adapter || !adapter.id || typeof adapter.fetch !== 'function' || !Array.isArray(adapter.bots)) {
+        throw new TypeError('A source adapter needs an id, a bots list and a fetch function');
+    }
+    if (adapters.has(adapter.id)) {
+        throw new Error(`Source adapter ${adapter.id} is already registered`);
+    }
+    adapters.set(adapter.id, adapter);
+    return adapter;
+}
+
+function unregister(id) {
+    return adapters.delete(id);
+}
+
+function forBot(bot) {
+    return Array.from(adapters.values()).filter(adapter => adapter.bots.includes(bot));
+}
+
+[
+    require('./competitor-pages').adapter,
+    require('./tenders').adapter,
+    require('./gaps').adapter
+].forEach(register);
+
+module.exports = {
+    register,
+    unregister,
+    forBot
+};
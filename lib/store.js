@@ -0,0 +1,117 @@
+// Tiny JSON file store
+// Each collection is one JSON file under DATA_DIR (default ./data) holding
+// records keyed by id. Writes go to a temp file and are renamed into place,
+// and every read-modify-write runs through a per-collection queue so
+// concurrent requests in one process never interleave.
+//
+// The store needs a persistent, writable disk. Vercel functions have
+// neither (the deployment is read-only, /tmp is per instance), so there a
+// missing DATA_DIR is a 503 with that explanation on the first request
+// rather than a failed write halfway through an order.
+
+const fs = require('fs');
+const path = require('path');
+
+const collections = new Map();
+
+function dataDir() {
+    if (process.env.DATA_DIR) return path.resolve(process.env.DATA_DIR);
+    if (process.env.VERCEL) {
+        const error = new Error('DATA_DIR is not set: the API needs a persistent disk for its data, which Vercel functions do not have (see DEPLOYMENT.md)');
+        error.status = 503;
+        error.expose = true;
+        throw error;
+    }
+    return path.join(__dirname, '..', 'data');
+}
+
+class Collection {
+    constructor(name) {
+        this.name = name;
+        this.queue = Promise.resolve();
+    }
+
+    get file() {
+        return path.join(dataDir(), `${this.name}.json`);
+    }
+
+    readAll() {
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    }
+
+    writeAll(records) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(records, null, 2));
+        fs.renameSync(tmp, this.file);
+    }
+
+    // Serializes fn(records) against other writers of this collection
+    transaction(fn) {
+        const run = this.queue.then(async () => {
+            const records = this.readAll();
+            const result = await fn(records);
+            this.writeAll(records);
+            return result;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async get(id) {
+        await this.queue;
+        return this.readAll()[id] || null;
+    }
+
+    async list(predicate = () => true) {
+        await this.queue;
+        return Object.values(this.readAll()).filter(predicate);
+    }
+
+    put(id, record) {
+        return this.transaction(records => {
+            records[id] = record;
+            return record;
+        });
+    }
+
+    // fn receives the current record (or null) and returns the next one;
+    // returning undefined leaves the record untouched.
+    update(id, fn) {
+        return this.transaction(async records => {
+            const next = await fn(records[id] || null);
+            if (next !== undefined) {
+                records[id] = next;
+            }
+            return records[id] || null;
+        });
+    }
+
+    remove(id) {
+        return this.transaction(records => {
+            const existed = Boolean(records[id]);
+            delete records[id];
+            return existed;
+        });
+    }
+}
+
+// Throws the same error as the first read would; called before anything
+// irreversible, such as creating a Razorpay order
+function requireDisk() {
+    dataDir();
+}
+
+function collection(name) {
+    if (!collections.has(name)) {
+        collections.set(name, new Collection(name));
+    }
+    return collections.get(name);
+}
+
+module.exports = { collection, dataDir, requireDisk };
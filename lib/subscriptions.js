@@ -0,0 +1,480 @@
+// Recurring subscriptions on Razorpay
+// Monthly catalog products (type 'subscription') are billed through
+// Razorpay Subscriptions. Razorpay plans are created on first use and their
+// ids cached in the store. Local state mirrors the subscription lifecycle:
+//
+//   created -> active -> past_due (renewal failed, inside grace) -> halted
+//                     -> cancelled / completed
+//
+// A coupon used at sign-up is priced into the Razorpay plan, so it applies
+// to every billing cycle while the subscription stays on an eligible plan.
+//
+// Plan changes are prorated on the unused part of the current period:
+// upgrades charge the difference immediately as a one-off order, downgrades
+// refund it against the last renewal. Either way the new plan applies
+// locally at once and on Razorpay from the next billing cycle.
+
+const catalog = require('./catalog');
+const coupons = require('./coupons');
+const invoices = require('./invoices');
+const license = require('./license');
+const razorpay = require('./razorpay');
+const store = require('./store');
+const { HttpError } = require('./http');
+
+const subscriptions = store.collection('subscriptions');
+const razorpayPlans = store.collection('razorpay-plans');
+
+const GRACE_DAYS = Number(process.env.SUBSCRIPTION_GRACE_DAYS) || 7;
+const TOTAL_BILLING_CYCLES = 120;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function now() {
+    return new Date().toISOString();
+}
+
+function fromUnix(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+function getSubscriptionProduct(planId) {
+    const product = catalog.getProduct(planId);
+    if (!product || product.type !== 'subscription') {
+        throw new HttpError(400, `Unknown subscription plan: ${planId}`);
+    }
+    return product;
+}
+
+// Records created before buyers' addresses were kept are taxed as
+// intra-state supplies, which is what they were billed at
+function buyerOf(record) {
+    return record.buyer || { country: 'IN', state: catalog.sellerState() };
+}
+
+// The subscription's coupon if it covers planId
+function couponFor(record, planId) {
+    return record.coupon && coupons.appliesTo(record.coupon, planId) ? record.coupon : null;
+}
+
+// Price of one billing period for a buyer after any coupon, with GST, in paise
+function periodPrice(planId, buyer, coupon = null) {
+    const lines = catalog.buildLines([{ id: planId, quantity: 1 }]);
+    const priced = catalog.applyTax(coupon ? coupons.discountLines(coupon, lines) : lines, buyer);
+    return coupon ? { ...priced, coupon } : priced;
+}
+
+// The period price for what Razorpay actually charged (paise), which can
+// differ from today's catalog price: the Razorpay plan keeps the amount it
+// was created with. The taxable value is worked back from the charge so the
+// invoice adds up to it.
+function chargedPrice(planId, buyer, coupon, amount) {
+    const priced = periodPrice(planId, buyer, coupon);
+    if (!Number.isInteger(amount) || amount === priced.total || !priced.total) return priced;
+
+    const [line] = priced.lines;
+    const discount = line.discount || 0;
+    const estimate = Math.round(amount * priced.subtotal / priced.total);
+    let best = priced;
+    for (let taxable = estimate - 2; taxable <= estimate + 2; taxable++) {
+        const lines = [{ ...line, unitPrice: taxable + discount, discount }];
+        const candidate = catalog.applyTax(lines, buyer);
+        if (Math.abs(candidate.total - amount) < Math.abs(best.total - amount)) best = candidate;
+    }
+    return coupon ? { ...best, coupon } : best;
+}
+
+// Amount of the Razorpay plan a subscription is billed on, in paise
+async function planAmount(razorpayPlanId) {
+    const [plan] = await razorpayPlans.list(candidate => candidate.razorpayPlanId === razorpayPlanId);
+    return plan ? plan.amount : undefined;
+}
+
+// Razorpay plans carry a fixed amount, so there is one per catalog plan and
+// final price (exports are zero-rated, coupons discount)
+async function ensureRazorpayPlan(planId, buyer, coupon = null) {
+    const product = getSubscriptionProduct(planId);
+    const amount = periodPrice(planId, buyer, coupon).total;
+    const cacheKey = `${planId}:${amount}`;
+
+    // A price change in the catalog needs a new Razorpay plan
+    const cached = await razorpayPlans.get(cacheKey);
+    if (cached) {
+        return cached.razorpayPlanId;
+    }
+
+    const plan = await razorpay.createPlan({
+        period: 'monthly',
+        interval: 1,
+        item: {
+            name: product.title,
+            description: product.description,
+            amount,
+            currency: 'INR'
+        },
+        notes: { plan: planId }
+    });
+    await razorpayPlans.put(cacheKey, { razorpayPlanId: plan.id, plan: planId, amount, createdAt: now() });
+    return plan.id;
+}
+
+function appendHistory(record, event) {
+    record.history = record.history || [];
+    record.history.push({ at: now(), ...event });
+}
+
+// Whether the subscriber should have access right now
+function isEntitled(record, at = new Date()) {
+    if (!record) return false;
+    if (record.status === 'active') return true;
+    if (record.status === 'past_due') return Boolean(record.graceUntil) && new Date(record.graceUntil) > at;
+    if (record.status === 'cancelled') return Boolean(record.currentPeriodEnd) && new Date(record.currentPeriodEnd) > at;
+    return false;
+}
+
+function toPublic(record) {
+    const product = catalog.getProduct(record.plan);
+    return {
+        id: record.id,
+        plan: record.plan,
+        planTitle: product ? product.title : record.plan,
+        status: record.status,
+        entitled: isEntitled(record),
+        currentPeriodStart: record.currentPeriodStart,
+        currentPeriodEnd: record.currentPeriodEnd,
+        cancelAtPeriodEnd: Boolean(record.cancelAtPeriodEnd),
+        graceUntil: record.graceUntil || null,
+        refundPending: record.pendingRefund ? record.pendingRefund.amount / 100 : null,
+        licence: record.licence ? { token: record.licence.token, expiresAt: record.licence.expiresAt } : null
+    };
+}
+
+// buyer: { country, state, gstin } for GST (see assets/js/tax.js); user is
+// the signed-in account, which per-customer coupon limits count against
+async function create({ planId, email, name, phone, buyer = {}, couponCode, user = null }) {
+    if (!email) {
+        throw new HttpError(400, 'email is required', 'email');
+    }
+
+    getSubscriptionProduct(planId);
+    const { coupon = null } = await coupons.priceCart([{ id: planId, quantity: 1 }], buyer, { code: couponCode, user });
+    const razorpayPlanId = await ensureRazorpayPlan(planId, buyer, coupon);
+    store.requireDisk();
+    const subscription = await razorpay.createSubscription({
+        planId: razorpayPlanId,
+        totalCount: TOTAL_BILLING_CYCLES,
+        notes: { plan: planId, customer_email: email, customer_name: name || '', coupon: coupon ? coupon.code : '' }
+    });
+    if (coupon) {
+        await coupons.reserve({ code: coupon.code, userId: user ? user.id : null, email, subscriptionId: subscription.id });
+    }
+
+    const record = {
+        id: subscription.id,
+        plan: planId,
+        razorpayPlanId,
+        email: email.toLowerCase(),
+        userId: user ? user.id : null,
+        name: name || '',
+        phone: phone || '',
+        buyer: {
+            country: String(buyer.country || 'IN').toUpperCase(),
+            state: buyer.state || '',
+            gstin: buyer.gstin ? String(buyer.gstin).toUpperCase() : ''
+        },
+        coupon,
+        status: 'created',
+        currentPeriodStart: null,
+        currentPeriodEnd: null,
+        cancelAtPeriodEnd: false,
+        payments: [],
+        createdAt: now(),
+        updatedAt: now()
+    };
+    appendHistory(record, { status: 'created' });
+    await subscriptions.put(record.id, record);
+    return record;
+}
+
+function get(id) {
+    return subscriptions.get(id);
+}
+
+// The subscription if it is `user`'s (the signed-in account, lib/auth.js):
+// 404 when there is none, 403 when it was bought with another email
+async function getOwned(id, user) {
+    const record = await get(id);
+    if (!record) {
+        throw new HttpError(404, 'Subscription not found');
+    }
+    if (record.email !== String(user.email).toLowerCase()) {
+        throw new HttpError(403, 'This subscription belongs to another account');
+    }
+    return record;
+}
+
+function listForEmail(email) {
+    const normalized = String(email || '').toLowerCase();
+    return subscriptions.list(record => record.email === normalized);
+}
+
+function issueLicence(record) {
+    const expiresAt = new Date(new Date(record.currentPeriodEnd).getTime() + GRACE_DAYS * DAY_MS);
+    const { token, claims } = license.issue({
+        orderId: record.id,
+        paymentId: record.lastPaymentId,
+        email: record.email,
+        plan: record.plan,
+        features: ['premium', record.plan],
+        expiresAt
+    });
+    return { id: claims.lid, token, expiresAt: expiresAt.toISOString() };
+}
+
+// A successful charge (first payment or renewal). Idempotent per payment id;
+// each new payment gets a tax invoice for the amount charged (the webhook
+// reports it; the checkout verify call does not, so the Razorpay plan's).
+async function recordCharge({ subscriptionId, paymentId, amount, periodStart, periodEnd }) {
+    if (amount === undefined) {
+        const existing = await get(subscriptionId);
+        amount = existing ? await planAmount(existing.razorpayPlanId) : undefined;
+    }
+    const updated = await subscriptions.update(subscriptionId, current => {
+        if (!current) return undefined;
+
+        // The checkout verify call and the subscription.charged webhook both
+        // report the first payment; only the webhook carries the period.
+        if (current.payments.some(payment => payment.id === paymentId)) {
+            if (!periodEnd || current.currentPeriodEnd === fromUnix(periodEnd)) return undefined;
+            const record = {
+                ...current,
+                currentPeriodStart: fromUnix(periodStart),
+                currentPeriodEnd: fromUnix(periodEnd),
+                updatedAt: now()
+            };
+            record.licence = issueLicence(record);
+            return record;
+        }
+
+        const record = {
+            ...current,
+            status: 'active',
+            lastPaymentId: paymentId,
+            payments: current.payments.concat({ id: paymentId, amount, at: now() }),
+            currentPeriodStart: fromUnix(periodStart) || current.currentPeriodStart || now(),
+            currentPeriodEnd: fromUnix(periodEnd) || current.currentPeriodEnd ||
+                new Date(Date.now() + 30 * DAY_MS).toISOString(),
+            graceUntil: null,
+            updatedAt: now()
+        };
+        record.licence = issueLicence(record);
+        appendHistory(record, { status: 'active', paymentId });
+        return record;
+    });
+
+    // Invoicing and coupon redemption are idempotent, so a webhook retried
+    // after a failure here still completes them
+    if (updated) {
+        const buyer = buyerOf(updated);
+        const priced = chargedPrice(updated.plan, buyer, couponFor(updated, updated.plan), amount);
+        await invoices.issueForSubscriptionCharge(updated, { paymentId, buyer, priced });
+        if (updated.coupon) {
+            await coupons.redeem({
+                code: updated.coupon.code,
+                userId: updated.userId || null,
+                email: updated.email,
+                subscriptionId: updated.id,
+                paymentId,
+                discount: priced.discount
+            });
+        }
+    }
+    if (updated && updated.pendingRefund) {
+        return settleRefund(updated.id);
+    }
+    return updated;
+}
+
+// Razorpay marks a subscription pending when a renewal charge fails and it
+// starts retrying; access continues until the grace period runs out.
+function markPastDue({ subscriptionId, reason }) {
+    return subscriptions.update(subscriptionId, current => {
+        if (!current || ['cancelled', 'completed', 'halted'].includes(current.status)) {
+            return undefined;
+        }
+
+        const from = current.currentPeriodEnd ? new Date(current.currentPeriodEnd) : new Date();
+        const record = {
+            ...current,
+            status: 'past_due',
+            graceUntil: current.graceUntil || new Date(from.getTime() + GRACE_DAYS * DAY_MS).toISOString(),
+            updatedAt: now()
+        };
+        appendHistory(record, { status: 'past_due', reason });
+        return record;
+    });
+}
+
+function setStatus(subscriptionId, status) {
+    return subscriptions.update(subscriptionId, current => {
+        if (!current || current.status === status) return undefined;
+        const record = { ...current, status, updatedAt: now() };
+        appendHistory(record, { status });
+        return record;
+    });
+}
+
+async function cancel(subscriptionId) {
+    const record = await get(subscriptionId);
+    if (!record) {
+        throw new HttpError(404, 'Subscription not found');
+    }
+    if (!['active', 'past_due'].includes(record.status)) {
+        throw new HttpError(409, `Cannot cancel a ${record.status} subscription`);
+    }
+
+    // A subscription already failing renewals has no paid period left to
+    // run out, so it stops immediately
+    const atCycleEnd = record.status === 'active';
+    await razorpay.cancelSubscription(subscriptionId, { atCycleEnd });
+    return subscriptions.update(subscriptionId, current => {
+        const next = atCycleEnd
+            ? { ...current, cancelAtPeriodEnd: true, updatedAt: now() }
+            : { ...current, status: 'cancelled', graceUntil: null, updatedAt: now() };
+        appendHistory(next, { event: 'cancel_requested', atCycleEnd });
+        return next;
+    });
+}
+
+// Prorates a switch from the current plan to planId, taxed like the
+// subscription itself. Amounts in paise; a positive total is owed by the
+// customer, a negative one is refunded.
+function quoteChange(record, planId, at = new Date()) {
+    getSubscriptionProduct(planId);
+    if (record.plan === planId) {
+        throw new HttpError(400, 'Already on this plan');
+    }
+    if (record.status !== 'active' || !record.currentPeriodEnd) {
+        throw new HttpError(409, 'Only active subscriptions can change plan');
+    }
+
+    const start = new Date(record.currentPeriodStart).getTime();
+    const end = new Date(record.currentPeriodEnd).getTime();
+    const remaining = Math.min(1, Math.max(0, (end - at.getTime()) / (end - start)));
+
+    const buyer = buyerOf(record);
+    const currentNet = periodPrice(record.plan, buyer, couponFor(record, record.plan)).subtotal;
+    const nextNet = periodPrice(planId, buyer, couponFor(record, planId)).subtotal;
+    const net = Math.round((nextNet - currentNet) * remaining);
+    const sign = net < 0 ? -1 : 1;
+    const priced = catalog.applyTax([{
+        id: planId,
+        title: `Prorated plan change: ${record.plan} → ${planId}`,
+        unitPrice: Math.abs(net),
+        quantity: 1
+    }], buyer);
+
+    return {
+        from: record.plan,
+        to: planId,
+        remainingFraction: Number(remaining.toFixed(4)),
+        lines: priced.lines,
+        tax: priced.tax,
+        subtotal: sign * priced.subtotal,
+        gst: sign * priced.gst,
+        total: sign * priced.total
+    };
+}
+
+// Applies a plan change whose proration has been settled
+// refundOwed: { paymentId, amount } a downgrade pays back, recorded with the
+// change and paid by settleRefund
+async function applyPlanChange(subscriptionId, planId, proration, refundOwed = null) {
+    const existing = await get(subscriptionId);
+    if (!existing) {
+        throw new HttpError(404, 'Subscription not found');
+    }
+    // A coupon for specific plans does not follow the customer to others
+    const coupon = couponFor(existing, planId);
+    const razorpayPlanId = await ensureRazorpayPlan(planId, buyerOf(existing), coupon);
+    await razorpay.updateSubscription(subscriptionId, { planId: razorpayPlanId, scheduleChangeAt: 'cycle_end' });
+
+    return subscriptions.update(subscriptionId, current => {
+        const record = { ...current, plan: planId, razorpayPlanId, coupon, updatedAt: now() };
+        if (refundOwed) {
+            record.pendingRefund = { ...refundOwed, attempts: 0, createdAt: now() };
+        }
+        record.licence = issueLicence(record);
+        appendHistory(record, { event: 'plan_changed', from: current.plan, to: planId, proration });
+        return record;
+    });
+}
+
+// The plan changes first, with the refund it owes recorded on the
+// subscription, so a failed refund is retried rather than paid for a plan
+// that never changed
+async function downgrade(record, quote) {
+    const refundPaise = Math.abs(quote.total);
+    const owed = refundPaise > 0 && record.lastPaymentId ? { paymentId: record.lastPaymentId, amount: refundPaise } : null;
+    await applyPlanChange(record.id, quote.to, summarizeChange(quote), owed);
+    return settleRefund(record.id);
+}
+
+// Pays a pending downgrade refund. A failure leaves it pending with the
+// error; the next charge of the subscription, or another call, retries it.
+async function settleRefund(subscriptionId) {
+    const record = await get(subscriptionId);
+    if (!record || !record.pendingRefund) return record;
+
+    const { paymentId, amount } = record.pendingRefund;
+    let refund;
+    try {
+        refund = await razorpay.refundPayment(paymentId, amount, {
+            reason: 'plan_downgrade_proration',
+            subscription_id: subscriptionId
+        });
+    } catch (error) {
+        console.error(`Downgrade refund for ${subscriptionId} failed; it stays pending:`, error);
+        return subscriptions.update(subscriptionId, current => ({
+            ...current,
+            pendingRefund: { ...current.pendingRefund, attempts: current.pendingRefund.attempts + 1, lastError: error.message },
+            updatedAt: now()
+        }));
+    }
+
+    return subscriptions.update(subscriptionId, current => {
+        const next = { ...current, updatedAt: now() };
+        delete next.pendingRefund;
+        appendHistory(next, { event: 'refunded', refundId: refund.id, paymentId, amount });
+        return next;
+    });
+}
+
+function summarizeChange(quote) {
+    return {
+        from: quote.from,
+        to: quote.to,
+        remainingFraction: quote.remainingFraction,
+        total: quote.total
+    };
+}
+
+module.exports = {
+    GRACE_DAYS,
+    isEntitled,
+    toPublic,
+    settleRefund,
+    create,
+    get,
+    getOwned,
+    listForEmail,
+    recordCharge,
+    markPastDue,
+    setStatus,
+    cancel,
+    quoteChange,
+    applyPlanChange,
+    downgrade,
+    summarizeChange,
+    buyerOf,
+    periodPrice
+};
@@ -0,0 +1,218 @@
+// Page templates
+// A page can start with front matter between --- lines that names a layout
+// and sets values for it:
+//
+//   ---
+//   layout: main
+//   title: Pricing - Shadow Market Tracker
+//   nav: pricing
+//   ---
+//
+// Other front matter the head reads: description, image (the Open Graph
+// image's path from the site root, outside assets/ so it keeps its name;
+// site.json `image` by default), noindex (keeps the page out of search
+// results and the sitemap) and offers (see lib/seo.js).
+//
+// The page body goes into templates/layouts/<layout>.html as
+// {{{ content }}}. Markup between {{#block name}} and {{/block}} is taken
+// out of the body and handed to the layout as blocks.<name>, for what goes
+// elsewhere in the document (head styles, scripts after the footer).
+// Pages, layouts and partials can all use:
+//
+//   {{ name }}                     a value, HTML-escaped; dotted paths work
+//   {{{ name }}}                   a value as is
+//   {{> name }}                    templates/partials/<name>.html
+//   {{#if name}} … {{else}} … {{/if}}
+//   {{#each name}} … {{/each}}     the item's fields are in scope inside
+//
+// Values come from templates/site.json, the front matter and:
+//   root            relative path from the page to the site root ('', '../')
+//   page            the page's path from the site root
+//   config          the public runtime config (lib/config.js)
+//   configJson      the same as JSON, safe to inline in a <script>
+//   canonicalUrl    the page's address under WEBSITE_URL, unset without it
+//   imageUrl        the Open Graph image, absolute when WEBSITE_URL is set
+//   offers          the plans named by the front matter `offers` and
+//   structuredData  their JSON-LD, safe to inline in a <script>
+//   menu            site.menus[<front matter `menu`, or the layout name>]:
+//                   hrefs made relative to the page, `active` set on the
+//                   item whose id is the page's `nav` and `external` on
+//                   links off the site
+//
+// A page without front matter is left exactly as written. build.js renders
+// pages before minifying them; server.js renders them on every request, so
+// template edits show up without a build.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const seo = require('./seo');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/;
+const BLOCK = /\{\{#block\s+([\w-]+)\s*\}\}([\s\S]*?)\{\{\/block\s*\}\}/g;
+const EXTERNAL = /^[a-z][a-z0-9+.-]*:/i;
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(#if\b|#each\b|\/if\b|\/each\b|else\b|>)?\s*([\w.-]*)\s*\}\}/g;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function readTemplate(kind, name) {
+    const file = path.join(TEMPLATES_DIR, kind, `${name}.html`);
+    if (!/^[\w-]+$/.test(name) || !fs.existsSync(file)) {
+        throw new Error(`Unknown ${kind.replace(/s$/, '')} "${name}"`);
+    }
+    return fs.readFileSync(file, 'utf8');
+}
+
+function siteData() {
+    return JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, 'site.json'), 'utf8'));
+}
+
+// { data, body } of a page; data is null without front matter
+function parseFrontMatter(source) {
+    const match = source.match(FRONT_MATTER);
+    if (!match) return { data: null, body: source };
+    const data = {};
+    match[1].split(/\r?\n/).forEach(line => {
+        const entry = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+        if (!entry) return;
+        const value = entry[2].replace(/^(["'])(.*)\1$/, '$2');
+        data[entry[1]] = value === 'true' ? true : value === 'false' ? false : value;
+    });
+    return { data, body: source.slice(match[0].length) };
+}
+
+// Turns a template into a tree of text, value, partial, if and each nodes
+function compile(source, name) {
+    const rootNode = { children: [] };
+    const stack = [rootNode];
+    let last = 0;
+    let match;
+    const current = () => stack[stack.length - 1];
+    const push = node => (current().inElse ? current().otherwise : current().children).push(node);
+
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(source))) {
+        if (match.index > last) push({ type: 'text', text: source.slice(last, match.index) });
+        last = TAG.lastIndex;
+        const [, raw, keyword, operand] = match;
+
+        if (raw) {
+            push({ type: 'value', path: raw, raw: true });
+        } else if (!keyword) {
+            push({ type: 'value', path: operand, raw: false });
+        } else if (keyword === '>') {
+            push({ type: 'partial', name: operand });
+        } else if (keyword === '#if' || keyword === '#each') {
+            const node = { type: keyword.slice(1), path: operand, children: [], otherwise: [] };
+            push(node);
+            stack.push(node);
+        } else if (keyword === 'else' && current().type === 'if') {
+            current().inElse = true;
+        } else if (keyword === `/${current().type}`) {
+            stack.pop();
+        } else {
+            throw new Error(`Unexpected {{${keyword}}} in ${name}`);
+        }
+    }
+    if (stack.length > 1) {
+        throw new Error(`Unclosed {{#${current().type} ${current().path}}} in ${name}`);
+    }
+    if (last < source.length) push({ type: 'text', text: source.slice(last) });
+    return rootNode.children;
+}
+
+// Innermost scope first; `this` is the current each item
+function lookup(scopes, dotted) {
+    const [first, ...rest] = dotted.split('.');
+    const scope = first === 'this' ? scopes[0] : scopes.find(entry => entry && typeof entry === 'object' && first in entry);
+    let value = first === 'this' ? scope : scope && scope[first];
+    rest.forEach(key => {
+        value = value === undefined || value === null ? undefined : value[key];
+    });
+    return value;
+}
+
+function truthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scopes, name) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.text;
+        if (node.type === 'value') {
+            const value = lookup(scopes, node.path);
+            if (value === undefined || value === null) return '';
+            return node.raw ? String(value) : escapeHtml(value);
+        }
+        if (node.type === 'partial') {
+            return renderTemplate(readTemplate('partials', node.name), scopes, `partial ${node.name}`);
+        }
+        const value = lookup(scopes, node.path);
+        if (node.type === 'if') {
+            return renderNodes(truthy(value) ? node.children : node.otherwise, scopes, name);
+        }
+        return (Array.isArray(value) ? value : [])
+            .map(item => renderNodes(node.children, [item, ...scopes], name))
+            .join('');
+    }).join('');
+}
+
+function renderTemplate(source, scopes, name) {
+    return renderNodes(compile(source, name), scopes, name);
+}
+
+// file: the page's path from the site root, with / separators
+function render(file, source) {
+    const { data, body } = parseFrontMatter(source);
+    if (!data) return source;
+
+    const blocks = {};
+    const content = body.replace(BLOCK, (match, name, markup) => {
+        blocks[name] = (blocks[name] || '') + markup;
+        return '';
+    });
+    const site = siteData();
+    const publicConfig = config.publicConfig();
+    const layout = data.layout || 'main';
+    const root = '../'.repeat(file.split('/').length - 1);
+    const base = publicConfig.websiteUrl;
+    const image = data.image || site.image;
+    const canonicalUrl = base ? seo.pageUrl(base, file) : null;
+    const menu = (site.menus[data.menu || layout] || []).map(item => ({
+        ...item,
+        href: EXTERNAL.test(item.href) ? item.href : path.posix.relative(path.posix.dirname(file), item.href),
+        active: item.id === data.nav,
+        external: /^https?:/i.test(item.href)
+    }));
+    const page = {
+        ...data,
+        site,
+        root,
+        page: file,
+        config: publicConfig,
+        configJson: JSON.stringify(publicConfig).replace(/</g, '\\u003c'),
+        canonicalUrl,
+        imageUrl: image ? `${base ? `${base}/` : root}${image}` : null,
+        menu
+    };
+    if (data.offers) {
+        page.offers = seo.offers(data.offers, site);
+        page.structuredData = JSON.stringify(seo.structuredData(page.offers, { brand: site.name, url: canonicalUrl }))
+            .replace(/</g, '\\u003c');
+    }
+
+    const scopes = [page];
+    page.blocks = Object.fromEntries(Object.entries(blocks).map(([name, markup]) =>
+        [name, renderTemplate(markup, scopes, `${file} block ${name}`)]));
+    page.content = renderTemplate(content, scopes, file);
+    return renderTemplate(readTemplate('layouts', layout), scopes, `layout ${layout}`);
+}
+
+module.exports = { TEMPLATES_DIR, parseFrontMatter, render };
@@ -0,0 +1,458 @@
+// Tender & RFP ingestion for the Tender Alert Bot
+// Every feed URL in the tender bot's `feeds` setting is fetched on each run
+// and parsed by format:
+//
+//   RSS / Atom / other XML   one tender per <item>, <entry>, <tender>,
+//                            <notice> or <record> element
+//   CSV                      one tender per row, columns matched by name
+//   PDF notice               "Label: value" lines; a new reference number
+//                            starts the next notice
+//
+// and normalized to
+//
+//   { id, source, reference, title, description, issuer, value, currency,
+//     category, deadline, publishedAt, url, documents: [{ title, url }] }
+//
+// value is in major units of currency (null when not stated, "₹50 Lakh" is
+// 5000000). Dates are ISO timestamps; DD/MM/YYYY is read day first and a
+// date or time without a zone is taken as India Standard Time, with a bare
+// date meaning the end of that day.
+//
+// A tender matches a user when one of their capabilities appears in its
+// title, description or category, its INR value reaches minValue and it
+// fits the chosen sector. Matches are tracked in the adapter state until
+// their deadline passes: each new match is a finding, a changed deadline
+// is another, and a reminder fires once per offset in `reminders` (days
+// before the deadline).
+
+const crypto = require('crypto');
+const csv = require('./csv');
+const markup = require('./markup');
+const { extractText } = require('./pdf');
+const web = require('./web');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const MAX_TENDERS_PER_FEED = 500;
+const MAX_TRACKED = 500;
+const TEXT_LENGTH = 2000;
+
+// Normalized field name -> tender property
+const FIELDS = {
+    title: ['title', 'name', 'tendertitle', 'subject', 'nameofwork', 'worktitle'],
+    reference: ['reference', 'ref', 'refno', 'referenceno', 'referencenumber', 'tenderid', 'tenderno',
+        'tenderreferenceno', 'tendernumber', 'guid', 'noticeid', 'noticeno', 'rfpno', 'id'],
+    issuer: ['issuer', 'organisation', 'organization', 'organisationname', 'buyer', 'department',
+        'authority', 'agency', 'procuringentity', 'author', 'creator', 'dccreator'],
+    value: ['value', 'estimatedvalue', 'tendervalue', 'contractvalue', 'amount', 'budget',
+        'estimatedcost', 'cost'],
+    currency: ['currency'],
+    category: ['category', 'sector', 'tendertype', 'type', 'productcategory'],
+    deadline: ['deadline', 'closingdate', 'closedate', 'submissiondeadline', 'duedate', 'bidsubmissionenddate',
+        'bidsubmissiondate', 'lastdate', 'lastdateofsubmission', 'bidenddate', 'enddate', 'submissionenddate'],
+    publishedAt: ['pubdate', 'published', 'publishdate', 'publisheddate', 'updated', 'dcdate', 'startdate', 'date'],
+    url: ['link', 'url', 'tenderurl', 'noticeurl'],
+    description: ['description', 'summary', 'content', 'details', 'scope', 'scopeofwork'],
+    documents: ['documents', 'document', 'attachments', 'attachment', 'enclosure', 'tenderdocument']
+};
+const FIELD_BY_NAME = new Map(Object.entries(FIELDS)
+    .flatMap(([field, names]) => names.map(name => [name, field])));
+
+const RECORD_TAGS = ['item', 'entry', 'tender', 'notice', 'record'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const CURRENCIES = [
+    [/₹|\brs\.?(?=\s|\d)|\binr\b/i, 'INR'],
+    [/\busd\b|us\$|\$/i, 'USD'],
+    [/€|\beur\b/i, 'EUR'],
+    [/£|\bgbp\b/i, 'GBP']
+];
+const MULTIPLIERS = [
+    [/^(crore|crores|cr)\b/i, 1e7],
+    [/^(lakh|lakhs|lac|lacs)\b/i, 1e5],
+    [/^(billion|bn|b)\b/i, 1e9],
+    [/^(million|mn|m)\b/i, 1e6],
+    [/^(thousand|k)\b/i, 1e3]
+];
+const SECTORS = {
+    government: /\b(government|govt|ministry|municipal|department|council|authority|public sector|railways?|district|state|central|psu)\b/i,
+    healthcare: /\b(health\w*|hospitals?|medical|pharma\w*|clinics?)\b/i,
+    education: /\b(education\w*|schools?|universit\w*|colleges?|academ\w*)\b/i,
+    banking: /\b(bank\w*|financ\w*|insurance)\b/i
+};
+const LABELLED = {
+    deadline: /\b(?:deadline|closing date|last date(?: (?:of|for) submission)?|due date|submission (?:end )?date|bid end date)\s*[:-]?\s*([^\n;|]+)/i,
+    value: /\b(?:estimated value|tender value|contract value|value|estimated cost|budget)\s*[:-]\s*([^\n;|]+)/i,
+    issuer: /\b(?:issuer|organi[sz]ation|department|buyer)\s*[:-]\s*([^\n;|]+)/i
+};
+
+function normalizeName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function clean(value, length = TEXT_LENGTH) {
+    return String(value == null ? '' : value).replace(/\s+/g, ' ').trim().slice(0, length);
+}
+
+function istTime(year, month, day, hours = 23, minutes = 59, seconds = 59) {
+    const time = Date.UTC(year, month - 1, day, hours, minutes, seconds) - IST_OFFSET_MS;
+    const check = new Date(time + IST_OFFSET_MS);
+    return check.getUTCDate() === day && check.getUTCMonth() === month - 1 ? new Date(time).toISOString() : null;
+}
+
+function readTime(text) {
+    const match = /(\d{1,2})[:.](\d{2})(?::(\d{2}))?\s*(am|pm)?/i.exec(text);
+    if (!match) return [];
+    let hours = Number(match[1]);
+    if (match[4]) hours = (hours % 12) + (match[4].toLowerCase() === 'pm' ? 12 : 0);
+    return [hours, Number(match[2]), Number(match[3] || 0)];
+}
+
+// ISO timestamp for a date in any of the usual notice formats, or null
+function parseDate(value) {
+    const text = clean(value, 100);
+    if (!text) return null;
+
+    let match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?/i.exec(text);
+    if (match) {
+        if (match[7]) {
+            const time = Date.parse(match[0].replace(' ', 'T'));
+            return Number.isNaN(time) ? null : new Date(time).toISOString();
+        }
+        return match[4]
+            ? istTime(+match[1], +match[2], +match[3], +match[4], +match[5], +(match[6] || 0))
+            : istTime(+match[1], +match[2], +match[3]);
+    }
+
+    const rest = text.slice(text.search(/\d{4}/) + 4);
+    match = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/.exec(text);
+    if (match) {
+        return istTime(+match[3], +match[2], +match[1], ...readTime(text.slice(match.index + match[0].length)));
+    }
+    match = /\b(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]{3})[a-z]*\.?,?[\s-]+(\d{4})\b/i.exec(text);
+    if (match && MONTHS.includes(match[2].toLowerCase())) {
+        // Only an offset after a time is a zone: the "-2026" of 15-Mar-2026 is not
+        const zoned = /\d{1,2}:\d{2}(?::\d{2})?\s*(?:[+-]\d{4}|GMT|UTC)\b/i.test(text) ? Date.parse(text) : NaN;
+        if (!Number.isNaN(zoned)) return new Date(zoned).toISOString();
+        return istTime(+match[3], MONTHS.indexOf(match[2].toLowerCase()) + 1, +match[1], ...readTime(rest));
+    }
+    match = /\b([a-z]{3})[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/i.exec(text);
+    if (match && MONTHS.includes(match[1].toLowerCase())) {
+        return istTime(+match[3], MONTHS.indexOf(match[1].toLowerCase()) + 1, +match[2], ...readTime(rest));
+    }
+    return null;
+}
+
+// { value, currency } from text like "₹50 Lakh", "INR 5,00,000" or "$2.5M"
+function parseValue(text, currency = null) {
+    const source = clean(text, 200);
+    const number = /(\d[\d,]*(?:\.\d+)?)\s*/.exec(source);
+    if (!number) return { value: null, currency };
+
+    let value = Number(number[1].replace(/,/g, ''));
+    const multiplier = MULTIPLIERS.find(([pattern]) => pattern.test(source.slice(number.index + number[0].length)));
+    if (multiplier) value *= multiplier[1];
+
+    const detected = CURRENCIES.find(([pattern]) => pattern.test(source));
+    return { value: Number.isFinite(value) ? value : null, currency: detected ? detected[1] : currency };
+}
+
+function documentsFrom(values) {
+    return values.flatMap(value => {
+        if (value && typeof value === 'object') return [value];
+        return String(value || '').split(/[\s;|]+/).filter(part => /^https?:\/\//i.test(part))
+            .map(url => ({ title: decodeURIComponent(url.split('/').pop() || url), url }));
+    });
+}
+
+function linksIn(text) {
+    return (String(text).match(/https?:\/\/[^\s"'<>)]+/gi) || [])
+        .filter(url => /\.(pdf|docx?|xlsx?|zip|rar)(\?|$)/i.test(url));
+}
+
+// fields: { title, reference, ... } as strings (documents: array)
+function normalize(fields, source) {
+    const description = clean(fields.description);
+    const combined = `${description}\n${fields.extra || ''}`;
+    const labelled = name => {
+        const match = LABELLED[name].exec(combined);
+        return match ? match[1] : '';
+    };
+
+    const priced = parseValue(fields.value || labelled('value'), clean(fields.currency, 3).toUpperCase() || null);
+    const documents = documentsFrom([...(fields.documents || []), ...linksIn(combined)]);
+    const reference = clean(fields.reference, 200);
+    const url = clean(fields.url, 2000) || null;
+    const title = clean(fields.title, 300) || description.slice(0, 120);
+
+    return {
+        id: crypto.createHash('sha256').update(`${source}\n${reference || url || title}`).digest('hex').slice(0, 16),
+        source,
+        reference: reference || null,
+        title,
+        description,
+        issuer: clean(fields.issuer || labelled('issuer'), 200) || null,
+        value: priced.value,
+        currency: priced.currency || (priced.value === null ? null : 'INR'),
+        category: clean(fields.category, 200) || null,
+        deadline: parseDate(fields.deadline) || parseDate(labelled('deadline')),
+        publishedAt: parseDate(fields.publishedAt),
+        url,
+        documents: Array.from(new Map(documents.map(doc => [doc.url, doc])).values()).slice(0, 20)
+    };
+}
+
+function fromXml(text, source) {
+    const root = markup.parse(text, { xml: true });
+    const localName = node => node.tag.split(':').pop().toLowerCase();
+    const records = markup.findAll(root, node => RECORD_TAGS.includes(localName(node)))
+        .filter((node, index, all) => !all.some(other => other !== node && markup.contains(other, node)));
+
+    return records.map(record => {
+        const fields = { documents: [] };
+        record.children.filter(child => child.type === 'element').forEach(child => {
+            const name = normalizeName(child.tag);
+            const field = FIELD_BY_NAME.get(name) || FIELD_BY_NAME.get(normalizeName(localName(child)));
+            const value = clean(markup.rawText(child).includes('<')
+                ? markup.text(markup.parse(markup.rawText(child)))
+                : markup.rawText(child));
+
+            if (localName(child) === 'link' && child.attrs.href) {
+                if (!child.attrs.rel || child.attrs.rel === 'alternate') fields.url = fields.url || child.attrs.href;
+                else if (child.attrs.rel === 'enclosure') fields.documents.push({ title: child.attrs.title || child.attrs.href.split('/').pop(), url: child.attrs.href });
+            } else if (localName(child) === 'enclosure' && child.attrs.url) {
+                fields.documents.push({ title: child.attrs.title || child.attrs.url.split('/').pop(), url: child.attrs.url });
+            } else if (field === 'documents') {
+                fields.documents.push(value);
+            } else if (field && !fields[field]) {
+                fields[field] = value;
+            }
+        });
+        return normalize(fields, source);
+    });
+}
+
+function fromCsv(text, source) {
+    const [header, ...rows] = csv.parse(text);
+    if (!header) return [];
+    const columns = header.map(name => FIELD_BY_NAME.get(normalizeName(name)) || null);
+    if (!columns.includes('title') && !columns.includes('description')) {
+        throw new Error('CSV has no title or description column');
+    }
+
+    return rows.map(cells => {
+        const fields = { documents: [] };
+        cells.forEach((cell, index) => {
+            const field = columns[index];
+            if (field === 'documents') fields.documents.push(cell);
+            else if (field && !fields[field]) fields[field] = cell;
+        });
+        return normalize(fields, source);
+    });
+}
+
+function fromPdf(buffer, source) {
+    const lines = extractText(buffer);
+    const notices = [];
+    let current = null;
+
+    lines.forEach(line => {
+        const match = /^([A-Za-z][A-Za-z .()/&'-]{1,60}?)\s*[:-]\s+(.+)$/.exec(line);
+        const field = match ? FIELD_BY_NAME.get(normalizeName(match[1])) : null;
+        if (!current || (field === 'reference' && current.reference)) {
+            current = { documents: [], extra: '', firstLine: '' };
+            notices.push(current);
+        }
+        if (!field && !current.firstLine) current.firstLine = line;
+        if (field && !current[field]) {
+            current[field] = match[2];
+        } else {
+            current.extra += `${line}\n`;
+        }
+    });
+
+    return notices.map(notice => normalize({ ...notice, title: notice.title || notice.firstLine }, source));
+}
+
+function detectFormat(body, contentType, url) {
+    const head = body.slice(0, 512).toString('utf8').replace(/^﻿/, '').trimStart();
+    if (head.startsWith('%PDF') || /pdf/i.test(contentType)) return 'pdf';
+    if (head.startsWith('<')) return 'xml';
+    if (/csv/i.test(contentType) || /\.csv(\?|$)/i.test(url)) return 'csv';
+    return /[,;\t]/.test(head.split(/\r?\n/, 1)[0]) ? 'csv' : 'xml';
+}
+
+// Normalized tenders in a fetched feed body
+function parseFeed(body, { contentType = '', url = '' } = {}) {
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+    const format = detectFormat(buffer, contentType, url);
+    const tenders = format === 'pdf' ? fromPdf(buffer, url)
+        : format === 'csv' ? fromCsv(buffer.toString('utf8'), url)
+            : fromXml(buffer.toString('utf8'), url);
+    return tenders.filter(tender => tender.title).slice(0, MAX_TENDERS_PER_FEED);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Capabilities found in the tender, or [] when it does not fit config
+function match(tender, config) {
+    const haystack = `${tender.title}\n${tender.description}\n${tender.category || ''}`;
+    const matched = (config.capabilities || []).filter(term =>
+        new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}($|[^\\p{L}\\p{N}])`, 'iu').test(haystack));
+    if (!matched.length) return [];
+
+    const minValue = config.minValue || 0;
+    if (minValue && tender.value !== null && tender.currency === 'INR' && tender.value < minValue) return [];
+
+    const sector = config.sector || 'all';
+    const about = `${tender.issuer || ''}\n${tender.category || ''}\n${tender.title}`;
+    if (sector === 'private' && SECTORS.government.test(about)) return [];
+    if (SECTORS[sector] && !SECTORS[sector].test(about)) return [];
+    return matched;
+}
+
+function daysLeft(tender, now) {
+    return tender.deadline ? (Date.parse(tender.deadline) - now) / DAY_MS : null;
+}
+
+function formatValue(tender) {
+    if (tender.value === null) return 'value not stated';
+    if (tender.currency === 'INR' || !tender.currency) {
+        if (tender.value >= 1e7) return `₹${Number((tender.value / 1e7).toFixed(2))} Crore`;
+        if (tender.value >= 1e5) return `₹${Number((tender.value / 1e5).toFixed(2))} Lakh`;
+    }
+    return new Intl.NumberFormat('en-IN', { style: 'currency', currency: tender.currency || 'INR', maximumFractionDigits: 0 })
+        .format(tender.value);
+}
+
+function formatDeadline(tender) {
+    if (!tender.deadline) return 'no deadline stated';
+    return new Date(tender.deadline).toLocaleString('en-IN', {
+        timeZone: 'Asia/Kolkata', day: 'numeric', month: 'short', year: 'numeric', hour: 'numeric', minute: '2-digit'
+    }) + ' IST';
+}
+
+function finding(kind, entry, title, severity) {
+    const { tender } = entry;
+    return {
+        title,
+        summary: [
+            tender.issuer ? `Issuer: ${tender.issuer}` : null,
+            `Value: ${formatValue(tender)}`,
+            `Deadline: ${formatDeadline(tender)}`,
+            tender.category ? `Category: ${tender.category}` : null,
+            `Matched: ${entry.matched.join(', ')}`,
+            tender.documents.length ? `Documents: ${tender.documents.map(doc => doc.url).join(' ')}` : null
+        ].filter(Boolean).join('\n'),
+        url: tender.url || (tender.documents[0] && tender.documents[0].url) || tender.source,
+        severity,
+        data: { kind, tender, matched: entry.matched }
+    };
+}
+
+function reminderSeverity(days) {
+    return days <= 1 ? 'high' : days <= 3 ? 'medium' : 'low';
+}
+
+// Offsets already behind us when a tender is first seen or re-dated
+function passedOffsets(offsets, left) {
+    return left === null ? [] : offsets.filter(offset => left <= offset);
+}
+
+// Folds one run's tenders into the tracked set; returns { tracked, findings }
+function track(previous, tenders, config, now = Date.now()) {
+    const offsets = (config.reminders || []).slice().sort((a, b) => b - a);
+    const tracked = { ...previous };
+    const findings = [];
+
+    tenders.forEach(tender => {
+        const left = daysLeft(tender, now);
+        if (left !== null && left < 0) return;
+        const matched = match(tender, config);
+        if (!matched.length) return;
+
+        const existing = tracked[tender.id];
+        if (!existing) {
+            const entry = { tender, matched, foundAt: new Date(now).toISOString(), reminded: passedOffsets(offsets, left) };
+            tracked[tender.id] = entry;
+            findings.push(finding('tender-new', entry, `New tender: ${tender.title}`,
+                left !== null && left <= 3 ? 'high' : 'medium'));
+            return;
+        }
+
+        const entry = { ...existing, tender, matched };
+        if (existing.tender.deadline !== tender.deadline) {
+            entry.reminded = passedOffsets(offsets, left);
+            findings.push(finding('tender-deadline-changed', entry,
+                `Deadline changed to ${formatDeadline(tender)}: ${tender.title}`, 'medium'));
+        }
+        tracked[tender.id] = entry;
+    });
+
+    Object.values(tracked).forEach(entry => {
+        const left = daysLeft(entry.tender, now);
+        if (left === null) return;
+        if (left < 0) {
+            delete tracked[entry.tender.id];
+            return;
+        }
+        const due = offsets.filter(offset => left <= offset && !entry.reminded.includes(offset));
+        if (!due.length) return;
+
+        // One reminder for the closest offset reached, even after a gap
+        const offset = Math.min(...due);
+        entry.reminded = Array.from(new Set([...entry.reminded, ...due]));
+        const days = Math.max(1, Math.ceil(left));
+        const label = offset === 0 ? 'today' : `in ${days} day${days === 1 ? '' : 's'}`;
+        findings.push(finding('tender-reminder', entry, `Deadline ${label}: ${entry.tender.title}`, reminderSeverity(offset)));
+    });
+
+    const kept = Object.values(tracked)
+        .sort((a, b) => (a.tender.deadline || '9999').localeCompare(b.tender.deadline || '9999'))
+        .slice(0, MAX_TRACKED);
+    return { tracked: Object.fromEntries(kept.map(entry => [entry.tender.id, entry])), findings };
+}
+
+// Tracked tenders soonest deadline first, for the deadline list
+function upcoming(state, now = Date.now()) {
+    const tracked = (state && state.tracked) || {};
+    return Object.values(tracked)
+        .map(entry => ({ ...entry.tender, matched: entry.matched, foundAt: entry.foundAt, daysLeft: daysLeft(entry.tender, now) }))
+        .filter(tender => tender.daysLeft === null || tender.daysLeft >= 0)
+        .sort((a, b) => (a.deadline || '9999').localeCompare(b.deadline || '9999'));
+}
+
+const adapter = {
+    id: 'tender-feeds',
+    bots: ['tenders'],
+    async fetch({ config, state, signal }) {
+        const tenders = [];
+        const errors = [];
+        for (const url of config.feeds || []) {
+            try {
+                const resource = await web.fetchResource(url, {
+                    signal,
+                    accept: 'application/rss+xml, application/atom+xml, application/xml, text/csv, application/pdf, */*'
+                });
+                tenders.push(...parseFeed(resource.body, { contentType: resource.contentType, url }));
+            } catch (error) {
+                if (signal && signal.aborted) throw error;
+                errors.push(`${url} ${error.message}`);
+            }
+        }
+
+        const { tracked, findings } = track((state && state.tracked) || {}, tenders, config);
+        return { findings, state: { tracked }, errors };
+    }
+};
+
+module.exports = {
+    adapter,
+    parseFeed,
+    parseDate,
+    parseValue,
+    match,
+    track,
+    upcoming
+};
@@ -0,0 +1,83 @@
+// Fetching third-party pages and feeds for the bots
+// fetchResource() follows up to MAX_REDIRECTS redirects itself so every hop
+// is checked, caps the body size and resolves to
+// { url, contentType, body: Buffer }. Outside production any address can be
+// fetched, so local fixture servers work; in production private and
+// loopback addresses are refused.
+
+const dns = require('dns');
+const net = require('net');
+
+const MAX_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+const USER_AGENT = 'ShadowMarketTracker/1.0 (+https://shadowmarkettracker.com/bots)';
+
+function isPrivateAddress(address) {
+    if (net.isIPv6(address)) {
+        const lower = address.toLowerCase();
+        if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+        return lower === '::1' || lower === '::' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+    }
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+}
+
+async function assertPublic(url) {
+    if (process.env.NODE_ENV !== 'production') return;
+    const { hostname } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new Error(`${hostname} is not a public address`);
+    }
+}
+
+async function readLimited(response, maxBytes) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += value.length;
+        if (size > maxBytes) {
+            await reader.cancel();
+            throw new Error(`response is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+        }
+        chunks.push(value);
+    }
+    return Buffer.concat(chunks);
+}
+
+async function fetchResource(url, { signal, accept = '*/*', maxBytes = MAX_BYTES } = {}) {
+    let target = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        await assertPublic(target);
+        const response = await fetch(target, {
+            redirect: 'manual',
+            signal,
+            headers: { 'User-Agent': USER_AGENT, Accept: accept }
+        });
+        const location = response.headers.get('location');
+        if (response.status >= 300 && response.status < 400 && location) {
+            target = new URL(location, target).href;
+            continue;
+        }
+        if (!response.ok) {
+            throw new Error(`answered HTTP ${response.status}`);
+        }
+        return {
+            url: target,
+            contentType: response.headers.get('content-type') || '',
+            body: await readLimited(response, maxBytes)
+        };
+    }
+    throw new Error('redirected too many times');
+}
+
+module.exports = {
+    fetchResource,
+    assertPublic,
+    isPrivateAddress
+};
@@ -0,0 +1,158 @@
+// Web Push for mobile and desktop alert notifications (lib/channels.js)
+// Messages are encrypted for the browser's subscription keys
+// (RFC 8291, aes128gcm) and the push service is told who is sending with a
+// VAPID token (RFC 8292) signed by this server's P-256 key.
+//
+// Keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (base64url, as
+// printed by `npx web-push generate-vapid-keys`) with VAPID_SUBJECT as the
+// contact (mailto: or https:). Outside production a development key pair is
+// generated once and kept in DATA_DIR.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./http');
+const { dataDir } = require('./store');
+
+const RECORD_SIZE = 4096;
+const TOKEN_TTL_SECONDS = 12 * 60 * 60;
+const MESSAGE_TTL_SECONDS = 24 * 60 * 60;
+const TIMEOUT_MS = 30 * 1000;
+
+let cachedKeys = null;
+
+function generateKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return {
+        publicKey: ecdh.getPublicKey().toString('base64url'),
+        privateKey: ecdh.getPrivateKey().toString('base64url')
+    };
+}
+
+function loadDevKeys() {
+    const file = path.join(dataDir(), 'vapid-dev-keys.json');
+    if (fs.existsSync(file)) {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    const keys = generateKeys();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(keys, null, 2), { mode: 0o600 });
+    console.warn(`⚠️  Generated development VAPID keys in ${file}`);
+    return keys;
+}
+
+function getKeys() {
+    if (cachedKeys) return cachedKeys;
+
+    let raw;
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        raw = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+    } else if (process.env.NODE_ENV === 'production') {
+        const error = new HttpError(500, 'Push notifications are not configured (VAPID keys)');
+        error.expose = true;
+        error.permanent = true;
+        throw error;
+    } else {
+        raw = loadDevKeys();
+    }
+
+    const point = Buffer.from(raw.publicKey, 'base64url');
+    cachedKeys = {
+        publicKey: raw.publicKey,
+        privateKey: crypto.createPrivateKey({
+            format: 'jwk',
+            key: {
+                kty: 'EC',
+                crv: 'P-256',
+                x: point.subarray(1, 33).toString('base64url'),
+                y: point.subarray(33, 65).toString('base64url'),
+                d: raw.privateKey
+            }
+        })
+    };
+    return cachedKeys;
+}
+
+function isConfigured() {
+    return Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) || process.env.NODE_ENV !== 'production';
+}
+
+// The applicationServerKey browsers subscribe with
+function publicKey() {
+    return getKeys().publicKey;
+}
+
+function vapidAuthorization(endpoint) {
+    const keys = getKeys();
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ typ: 'JWT', alg: 'ES256' })}.${encode({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS,
+        sub: process.env.VAPID_SUBJECT || `mailto:${process.env.SMTP_FROM || 'alerts@shadowmarkettracker.com'}`
+    })}`;
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), { key: keys.privateKey, dsaEncoding: 'ieee-p1363' });
+    return `vapid t=${unsigned}.${signature.toString('base64url')}, k=${keys.publicKey}`;
+}
+
+function hkdf(ikm, salt, info, length) {
+    return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+// RFC 8291: one aes128gcm record keyed from an ephemeral ECDH exchange with
+// the subscription's p256dh key and its auth secret
+function encrypt(subscription, payload) {
+    const clientKey = Buffer.from(subscription.keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(subscription.keys.auth, 'base64url');
+
+    const ecdh = crypto.createECDH('prime256v1');
+    const serverKey = ecdh.generateKeys();
+    const shared = ecdh.computeSecret(clientKey);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientKey, serverKey]);
+    const ikm = hkdf(shared, authSecret, keyInfo, 32);
+    const salt = crypto.randomBytes(16);
+    const contentKey = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+    const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    // 0x02 pads and marks the last (only) record
+    const body = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverKey.length, 20);
+    return Buffer.concat([header, serverKey, body]);
+}
+
+// subscription: a PushSubscription's toJSON(); payload: any JSON value.
+// Rejects with error.gone when the subscription has expired (404/410), so
+// the caller can forget it.
+async function send(subscription, payload, { urgency = 'normal' } = {}) {
+    const response = await fetch(subscription.endpoint, {
+        method: 'POST',
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+        headers: {
+            Authorization: vapidAuthorization(subscription.endpoint),
+            'Content-Encoding': 'aes128gcm',
+            'Content-Type': 'application/octet-stream',
+            TTL: String(MESSAGE_TTL_SECONDS),
+            Urgency: urgency
+        },
+        body: encrypt(subscription, JSON.stringify(payload))
+    });
+    if (response.ok) return;
+
+    const detail = (await response.text().catch(() => '')).slice(0, 200);
+    const error = new Error(`Push service responded ${response.status}${detail ? `: ${detail}` : ''}`);
+    error.gone = response.status === 404 || response.status === 410;
+    error.permanent = error.gone || (response.status >= 400 && response.status < 500 && response.status !== 429);
+    throw error;
+}
+
+module.exports = {
+    isConfigured,
+    publicKey,
+    send
+};
@@ -44,7 +44,7 @@ function setupEventListeners() {
     }
     
     // Bot action buttons
-    const botActionButtons = document.querySelectorAll('.btn-icon');
+    const botActionButtons = document.querySelectorAll('.bot-status-card .btn-icon');
     botActionButtons.forEach(button => {
         button.addEventListener('click', function(e) {
             e.preventDefault();
@@ -53,15 +53,35 @@ function setupEventListeners() {
         });
     });
     
-    // Alert action buttons
-    const alertButtons = document.querySelectorAll('.alert-item .btn');
-    alertButtons.forEach(button => {
-        button.addEventListener('click', function(e) {
+    // Alert feed: items are rendered later, so listen on the section
+    const alertsSection = document.getElementById('alerts');
+    if (alertsSection) {
+        alertsSection.addEventListener('click', function(e) {
+            const button = e.target.closest('[data-alert-action], .alert-view, .alerts-more');
+            if (!button) return;
             e.preventDefault();
-            const alertItem = this.closest('.alert-item');
-            handleAlertAction(alertItem, this.textContent.trim());
+            handleAlertAction(button);
         });
-    });
+        alertsSection.querySelectorAll('.alert-filter').forEach(select => {
+            select.addEventListener('change', function() {
+                alertFeed[this.dataset.filter] = this.value;
+                loadAlerts();
+            });
+        });
+    }
+
+    const alertDetail = document.querySelector('.alert-detail');
+    if (alertDetail) {
+        alertDetail.addEventListener('click', function(e) {
+            const button = e.target.closest('[data-alert-action]');
+            if (button) {
+                e.preventDefault();
+                handleAlertAction(button);
+            } else if (e.target === alertDetail) {
+                alertDetail.close();
+            }
+        });
+    }
     
     // Navigation items
     const navItems = document.querySelectorAll('.nav-item');
@@ -77,13 +97,10 @@ function setupEventListeners() {
 }
 
 function addLoadingStates() {
-    // Add loading animation to stat cards
+    // Stat cards pulse until the first summary arrives (renderSummary)
     const statCards = document.querySelectorAll('.stat-card');
     statCards.forEach(card => {
         card.classList.add('loading');
-        setTimeout(() => {
-            card.classList.remove('loading');
-        }, 1000 + Math.random() * 1000);
     });
 }
 
@@ -113,23 +130,257 @@ function setupResponsiveNav() {
 }
 
 function loadDashboardData() {
-    // Simulate loading dashboard data
-    setTimeout(() => {
-        updateStats();
-        updateBotStatus();
-        updateRecentAlerts();
-    }, 500);
-}
-
-function updateStats() {
-    // Animate stat numbers
-    const statNumbers = document.querySelectorAll('.stat-number');
-    statNumbers.forEach(stat => {
-        const finalValue = stat.textContent;
-        if (!isNaN(finalValue)) {
-            animateNumber(stat, 0, parseInt(finalValue), 1000);
+    loadDashboardSummary().then(signedIn => {
+        if (signedIn) connectLiveUpdates();
+    });
+    loadAlerts();
+    setInterval(updateRecentAlerts, ALERT_CLOCK_MS);
+    loadSubscriptions();
+    loadInvoices();
+}
+
+const SUBSCRIPTION_PLANS = {
+    'extension-basic': 'Basic Plan',
+    'extension-pro': 'Pro Plan',
+    'extension-enterprise': 'Enterprise Plan'
+};
+
+async function loadSubscriptions() {
+    const container = document.getElementById('subscriptionList');
+    if (!container) return;
+
+    try {
+        const response = await fetch('/api/subscription/status', { credentials: 'same-origin' });
+        if (response.status === 401) {
+            container.innerHTML = '<p class="empty-state">Sign in to see your subscription.</p>';
+            return;
+        }
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+
+        renderSubscriptions(container, data.subscriptions);
+    } catch (error) {
+        console.error('Failed to load subscriptions:', error);
+        container.innerHTML = '<p class="empty-state">Could not load subscription details.</p>';
+    }
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleDateString() : '—';
+}
+
+function formatMoney(amount, currency = 'INR') {
+    return new Intl.NumberFormat(currency === 'INR' ? 'en-IN' : undefined, { style: 'currency', currency }).format(amount);
+}
+
+function renderSubscriptions(container, subscriptions) {
+    if (subscriptions.length === 0) {
+        container.innerHTML = '<p class="empty-state">No subscription yet. <a href="../products.html">View plans</a></p>';
+        return;
+    }
+
+    container.innerHTML = subscriptions.map(subscription => {
+        const statusLabel = subscription.status === 'past_due' ? 'Payment retrying' : subscription.status;
+        const periodLabel = subscription.cancelAtPeriodEnd ? 'Ends On' : 'Renews On';
+        const note = subscription.status === 'past_due'
+            ? `Your last renewal failed. Access continues until ${formatDate(subscription.graceUntil)} while we retry.`
+            : subscription.cancelAtPeriodEnd
+                ? 'Cancelled. You keep access until the end of the current period.'
+                : `Billed monthly. ${subscription.entitled ? 'All plan features are unlocked.' : ''}`;
+        const canManage = subscription.status === 'active' && !subscription.cancelAtPeriodEnd;
+        const planOptions = Object.entries(SUBSCRIPTION_PLANS)
+            .filter(([id]) => id !== subscription.plan)
+            .map(([id, label]) => `<option value="${id}">${label}</option>`)
+            .join('');
+
+        return `
+            <div class="bot-status-card" data-subscription-id="${subscription.id}">
+                <div class="bot-header">
+                    <div class="bot-icon competitive">
+                        <i class="fas fa-crown"></i>
+                    </div>
+                    <div class="bot-info">
+                        <h3 class="bot-name">${subscription.planTitle}</h3>
+                        <span class="bot-status ${subscription.status}">${statusLabel}</span>
+                    </div>
+                </div>
+                <div class="bot-metrics">
+                    <div class="metric">
+                        <span class="metric-label">Current Period</span>
+                        <span class="metric-value">${formatDate(subscription.currentPeriodStart)}</span>
+                    </div>
+                    <div class="metric">
+                        <span class="metric-label">${periodLabel}</span>
+                        <span class="metric-value">${formatDate(subscription.currentPeriodEnd)}</span>
+                    </div>
+                </div>
+                <div class="bot-description">${note}</div>
+                ${canManage ? `
+                    <div class="subscription-actions">
+                        <select class="subscription-plan-select">${planOptions}</select>
+                        <button class="btn btn-sm subscription-change">Change Plan</button>
+                        <button class="btn btn-sm subscription-cancel">Cancel at Period End</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+
+    container.querySelectorAll('.subscription-cancel').forEach(button => {
+        button.addEventListener('click', () => {
+            const card = button.closest('[data-subscription-id]');
+            cancelSubscription(card.dataset.subscriptionId);
+        });
+    });
+
+    container.querySelectorAll('.subscription-change').forEach(button => {
+        button.addEventListener('click', () => {
+            const card = button.closest('[data-subscription-id]');
+            const plan = card.querySelector('.subscription-plan-select').value;
+            changeSubscriptionPlan(card.dataset.subscriptionId, plan);
+        });
+    });
+}
+
+async function loadInvoices() {
+    const container = document.getElementById('invoiceList');
+    if (!container) return;
+
+    try {
+        const response = await fetch('/api/invoice/list', { credentials: 'same-origin' });
+        if (response.status === 401) {
+            container.innerHTML = '<p class="empty-state">Sign in to see your invoices.</p>';
+            return;
         }
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+
+        renderInvoices(container, data.invoices);
+    } catch (error) {
+        console.error('Failed to load invoices:', error);
+        container.innerHTML = '<p class="empty-state">Could not load invoices.</p>';
+    }
+}
+
+function renderInvoices(container, invoices) {
+    if (invoices.length === 0) {
+        container.innerHTML = '<p class="empty-state">No invoices yet.</p>';
+        return;
+    }
+
+    const rows = invoices.map(invoice => `
+        <tr>
+            <td>${invoice.number}</td>
+            <td>${formatDate(invoice.issuedAt)}</td>
+            <td>${invoice.description}</td>
+            <td class="amount">${formatMoney(invoice.total, invoice.currency)}</td>
+            <td>
+                <a class="btn btn-sm" href="/api/invoice/download?payment_id=${encodeURIComponent(invoice.paymentId)}">
+                    <i class="fas fa-file-pdf"></i> PDF
+                </a>
+            </td>
+        </tr>
+    `).join('');
+
+    container.innerHTML = `
+        <table class="invoice-table">
+            <thead>
+                <tr><th>Invoice</th><th>Date</th><th>Description</th><th class="amount">Total</th><th></th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+async function postJson(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
     });
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error || 'Request failed');
+    return data;
+}
+
+async function cancelSubscription(subscriptionId) {
+    if (!confirm('Cancel your subscription? You keep access until the end of the current billing period.')) return;
+
+    try {
+        await postJson('/api/subscription/cancel', { subscription_id: subscriptionId });
+        showNotification('Subscription will end at the close of this period', 'success');
+        loadSubscriptions();
+    } catch (error) {
+        showNotification(`Cancellation failed: ${error.message}`, 'error');
+    }
+}
+
+function loadRazorpay() {
+    if (window.Razorpay) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = 'https://checkout.razorpay.com/v1/checkout.js';
+        script.onload = resolve;
+        script.onerror = reject;
+        document.head.appendChild(script);
+    });
+}
+
+async function changeSubscriptionPlan(subscriptionId, plan) {
+    try {
+        const { proration } = await postJson('/api/subscription/change', { subscription_id: subscriptionId, plan });
+        const message = proration.total > 0
+            ? `Switching to ${SUBSCRIPTION_PLANS[plan]} costs ₹${proration.total.toLocaleString()} now (prorated incl. GST).`
+            : `Switching to ${SUBSCRIPTION_PLANS[plan]} refunds ₹${Math.abs(proration.total).toLocaleString()} (prorated incl. GST).`;
+        if (!confirm(`${message}\n\nThe new price applies from your next renewal. Continue?`)) return;
+
+        const result = await postJson('/api/subscription/change', { subscription_id: subscriptionId, plan, confirm: true });
+        if (!result.order_id) {
+            showNotification('Plan changed', 'success');
+            loadSubscriptions();
+            return;
+        }
+
+        await loadRazorpay();
+        new Razorpay({
+            key: result.key_id,
+            amount: result.amount,
+            currency: result.currency,
+            order_id: result.order_id,
+            name: 'Shadow Market Tracker',
+            description: `Prorated upgrade to ${SUBSCRIPTION_PLANS[plan]}`,
+            theme: { color: '#8B5CF6' },
+            handler: async (response) => {
+                try {
+                    await postJson('/api/verify', response);
+                    showNotification('Plan upgraded', 'success');
+                    loadSubscriptions();
+                } catch (error) {
+                    showNotification(`Verification failed: ${error.message}`, 'error');
+                }
+            }
+        }).open();
+    } catch (error) {
+        showNotification(`Plan change failed: ${error.message}`, 'error');
+    }
+}
+
+// stats: { activeBots, alertsToday, opportunities, tenders }; null is a
+// stat the plan does not include
+function updateStats(stats) {
+    document.querySelectorAll('.stat-number[data-stat]').forEach(stat => {
+        const value = stats ? stats[stat.dataset.stat] : null;
+        if (value === null || value === undefined) {
+            stat.textContent = '—';
+            return;
+        }
+        const current = Number.parseInt(stat.textContent, 10);
+        if (current !== value) {
+            animateNumber(stat, Number.isNaN(current) ? 0 : current, value, 600);
+        }
+    });
+    document.querySelectorAll('.stat-card.loading').forEach(card => card.classList.remove('loading'));
 }
 
 function animateNumber(element, start, end, duration) {
@@ -150,30 +401,191 @@ function animateNumber(element, start, end, duration) {
     requestAnimationFrame(update);
 }
 
-function updateBotStatus() {
-    // Simulate real-time bot status updates
-    const botStatusElements = document.querySelectorAll('.bot-status');
-    botStatusElements.forEach(status => {
-        // Add pulse animation for running bots
-        if (status.textContent.toLowerCase().includes('running')) {
-            status.style.animation = 'pulse 2s infinite';
+const BOT_STATES = {
+    active: 'Active',
+    running: 'Running',
+    paused: 'Paused',
+    failed: 'Failed',
+    not_configured: 'Not configured',
+    locked: 'Upgrade to unlock',
+    signed_out: 'Sign in to view'
+};
+
+function formatRelative(value) {
+    if (!value) return '—';
+    const seconds = Math.round((Date.now() - new Date(value).getTime()) / 1000);
+    const future = seconds < 0;
+    const abs = Math.abs(seconds);
+    if (abs < 60) return future ? 'any moment' : 'just now';
+
+    const [amount, unit] = abs < 3600 ? [Math.floor(abs / 60), 'minute']
+        : abs < 86400 ? [Math.floor(abs / 3600), 'hour']
+        : [Math.floor(abs / 86400), 'day'];
+    const label = `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+    return future ? `in ${label}` : `${label} ago`;
+}
+
+// Stat cards and bot cards (lib/dashboard.js via /api/dashboard); resolves
+// to whether the user is signed in
+async function loadDashboardSummary() {
+    try {
+        const response = await fetch(`/api/dashboard?tz=${new Date().getTimezoneOffset()}`, { credentials: 'same-origin' });
+        const data = await response.json();
+        if (response.status === 401) {
+            document.querySelectorAll('.bot-status-card[data-bot]').forEach(card => renderBotStatus(card, { state: 'signed_out' }));
+            updateStats(null);
+            setLiveStatus('offline', 'Sign in for live updates');
+            return false;
         }
+        if (!data.success) throw new Error(data.error);
+        renderSummary(data);
+        return true;
+    } catch (error) {
+        console.error('Failed to load dashboard summary:', error);
+        setLiveStatus('stale', 'Could not reach the server');
+        return false;
+    }
+}
+
+function renderSummary(summary) {
+    updateStats(summary.stats);
+    document.querySelectorAll('.bot-status-card[data-bot]').forEach(card => {
+        const status = summary.bots.find(bot => bot.bot === card.dataset.bot);
+        renderBotStatus(card, status || { state: 'locked' });
     });
 }
 
-function updateRecentAlerts() {
-    // Add timestamps and animations to alerts
-    const alertTimes = document.querySelectorAll('.alert-time');
-    alertTimes.forEach(time => {
-        // Update relative time
-        updateRelativeTime(time);
+// Live updates (/api/dashboard/stream). A stream that errors or goes quiet
+// for longer than LIVE_STALE_MS is dropped and reopened with backoff; until
+// then the dashboard is marked stale. Reconnecting reloads the summary and
+// the alert feed to catch up on anything missed.
+const LIVE_BACKOFF_MS = [1000, 2000, 5000, 10000, 30000, 60000];
+const LIVE_STALE_MS = 45 * 1000;
+const LIVE_LABELS = {
+    connecting: 'Connecting…',
+    live: 'Live',
+    stale: 'Reconnecting…',
+    offline: 'Offline'
+};
+
+const live = { source: null, attempt: 0, retryTimer: null, staleTimer: null };
+
+function setLiveStatus(state, detail) {
+    const indicator = document.querySelector('.live-status');
+    document.body.classList.toggle('dashboard-stale', state === 'stale');
+    if (!indicator) return;
+    indicator.dataset.state = state;
+    indicator.querySelector('.live-label').textContent = LIVE_LABELS[state];
+    indicator.title = detail || (state === 'stale' ? 'Figures may be out of date' : LIVE_LABELS[state]);
+}
+
+function markLive() {
+    setLiveStatus('live', 'Updates arrive as your bots run');
+    clearTimeout(live.staleTimer);
+    live.staleTimer = setTimeout(reconnectLiveUpdates, LIVE_STALE_MS);
+}
+
+function connectLiveUpdates() {
+    if (!window.EventSource) {
+        setLiveStatus('offline', 'This browser cannot receive live updates');
+        return;
+    }
+    clearTimeout(live.retryTimer);
+    const source = new EventSource(`/api/dashboard/stream?tz=${new Date().getTimezoneOffset()}`);
+    live.source = source;
+    if (!live.attempt) setLiveStatus('connecting');
+
+    source.addEventListener('open', () => {
+        live.attempt = 0;
+        markLive();
+    });
+    source.addEventListener('summary', event => {
+        markLive();
+        renderSummary(JSON.parse(event.data));
     });
+    source.addEventListener('alerts', event => {
+        markLive();
+        receiveAlerts(JSON.parse(event.data));
+    });
+    source.addEventListener('ping', markLive);
+    source.addEventListener('error', reconnectLiveUpdates);
 }
 
-function updateRelativeTime(element) {
-    const timeText = element.textContent;
-    // Simple relative time update (in a real app, this would use actual timestamps)
-    element.style.opacity = '0.7';
+function reconnectLiveUpdates() {
+    if (live.source) {
+        live.source.close();
+        live.source = null;
+    }
+    clearTimeout(live.staleTimer);
+    clearTimeout(live.retryTimer);
+
+    const base = LIVE_BACKOFF_MS[Math.min(live.attempt, LIVE_BACKOFF_MS.length - 1)];
+    const delay = Math.round(base * (1 + Math.random() * 0.3));
+    live.attempt += 1;
+    setLiveStatus('stale', `Connection lost, retrying in ${Math.ceil(delay / 1000)}s. Figures may be out of date.`);
+
+    live.retryTimer = setTimeout(async () => {
+        if (await loadDashboardSummary()) {
+            loadAlerts();
+            connectLiveUpdates();
+        } else if (document.body.classList.contains('dashboard-stale')) {
+            reconnectLiveUpdates();
+        }
+    }, delay);
+}
+
+function renderBotStatus(card, status) {
+    const badge = card.querySelector('.bot-status');
+    badge.className = `bot-status ${status.state}`;
+    badge.textContent = BOT_STATES[status.state] || status.state;
+
+    const lastRun = status.lastRun;
+    card.querySelector('[data-metric="last-run"]').textContent = lastRun ? formatRelative(lastRun.startedAt) : '—';
+    card.querySelector('[data-metric="findings"]').textContent = status.findings === undefined ? '—' : status.findings;
+
+    const error = card.querySelector('.bot-run-error');
+    error.hidden = !(status.state === 'failed' && lastRun && lastRun.error);
+    error.textContent = error.hidden ? '' : `Last run failed: ${lastRun.error}`;
+
+    const toggle = card.querySelector('[data-action="toggle"]');
+    const canControl = ['active', 'running', 'paused', 'failed'].includes(status.state);
+    const paused = status.state === 'paused';
+    toggle.hidden = !canControl;
+    toggle.title = paused ? 'Start' : 'Pause';
+    toggle.querySelector('i').className = `fas ${paused ? 'fa-play' : 'fa-pause'}`;
+
+    const retry = card.querySelector('[data-action="retry"]');
+    retry.hidden = !canControl;
+    retry.disabled = status.state === 'running';
+
+    if (status.nextRunAt) {
+        card.title = `Next run ${formatRelative(status.nextRunAt)}`;
+    }
+}
+
+async function controlBot(card, action) {
+    const retrying = action === 'retry';
+    if (retrying) {
+        const badge = card.querySelector('.bot-status');
+        badge.className = 'bot-status running';
+        badge.textContent = BOT_STATES.running;
+        card.querySelector('[data-action="retry"]').disabled = true;
+    }
+
+    try {
+        const { status, run } = await postJson('/api/bots/status', { bot: card.dataset.bot, action });
+        renderBotStatus(card, status);
+        if (!retrying) {
+            showNotification(action === 'pause' ? 'Bot paused' : 'Bot started', 'success');
+        } else if (run.status === 'failed') {
+            showNotification(`Run failed: ${run.error}`, 'error');
+        } else {
+            showNotification(`Run finished with ${run.findings} new finding${run.findings === 1 ? '' : 's'}`, 'success');
+        }
+    } catch (error) {
+        showNotification(error.message, 'error');
+        loadDashboardSummary();
+    }
 }
 
 function handleBotAction(action, button) {
@@ -185,46 +597,392 @@ function handleBotAction(action, button) {
         button.style.transform = 'scale(1)';
     }, 150);
     
-    // Simulate action
+    const card = button.closest('.bot-status-card[data-bot]');
     switch(action.toLowerCase()) {
+        case 'start':
+        case 'pause':
+        case 'retry':
+            if (card) controlBot(card, action.toLowerCase());
+            break;
         case 'configure':
-            showNotification('Bot configuration panel would open here', 'info');
+            window.location.href = '../bot-config.html';
             break;
         case 'view alerts':
-            showNotification('Navigating to alerts for this bot', 'info');
+        case 'view tenders':
+            if (card) showAlertsFor(card.dataset.bot);
             break;
         case 'view opportunities':
-            showNotification('Loading market opportunities', 'info');
-            break;
-        case 'view tenders':
-            showNotification('Loading relevant tenders', 'info');
+            window.location.href = '../gap-report.html';
             break;
         default:
             showNotification(`${action} action triggered`, 'info');
     }
 }
 
-function handleAlertAction(alertItem, action) {
-    console.log(`Alert action: ${action}`);
-    
-    // Add visual feedback
-    alertItem.style.opacity = '0.7';
-    setTimeout(() => {
-        alertItem.style.opacity = '1';
-    }, 300);
-    
-    switch(action.toLowerCase()) {
-        case 'view details':
-            showNotification('Opening alert details', 'info');
-            break;
-        case 'explore':
-            showNotification('Opening opportunity analysis', 'info');
-            break;
-        case 'review':
-            showNotification('Opening tender details', 'info');
-            break;
-        default:
-            showNotification(`${action} action completed`, 'success');
+// Alert feed (lib/alerts.js via /api/alerts)
+const ALERT_PAGE_SIZE = 10;
+const ALERT_CLOCK_MS = 30 * 1000;
+const ALERT_ICONS = { news: 'fa-exclamation-triangle', gaps: 'fa-lightbulb', tenders: 'fa-file-contract' };
+const ALERT_OPEN_LABELS = { news: 'View Details', gaps: 'Explore', tenders: 'Review' };
+const ALERT_BOTS = { news: 'Competitive News', gaps: 'Gap Finder', tenders: 'Tender & RFP' };
+const ALERT_EMPTY = {
+    inbox: 'No alerts yet. Your bots post here as soon as they find something.',
+    unread: 'All caught up.',
+    snoozed: 'Nothing snoozed.',
+    archived: 'Nothing archived.'
+};
+const SNOOZE_OPTIONS = [['1 hour', 1], ['Tomorrow', 24], ['Next week', 24 * 7]];
+
+const alertFeed = { view: 'inbox', bot: '', severity: '', cursor: null };
+
+async function loadAlerts({ append = false } = {}) {
+    const container = document.querySelector('[data-alerts]');
+    if (!container) return;
+    const empty = document.querySelector('.alerts-empty');
+    const more = document.querySelector('.alerts-more');
+
+    const params = new URLSearchParams({ view: alertFeed.view, limit: ALERT_PAGE_SIZE });
+    if (alertFeed.bot) params.set('bot', alertFeed.bot);
+    if (alertFeed.severity) params.set('severity', alertFeed.severity);
+    if (append && alertFeed.cursor) params.set('cursor', alertFeed.cursor);
+
+    try {
+        more.disabled = true;
+        const response = await fetch(`/api/alerts?${params}`, { credentials: 'same-origin' });
+        const data = await response.json();
+        if (response.status === 401) {
+            container.replaceChildren();
+            empty.textContent = 'Sign in to see your alerts.';
+            empty.hidden = false;
+            more.hidden = true;
+            return;
+        }
+        if (!data.success) throw new Error(data.error);
+
+        if (!append) container.replaceChildren();
+        data.alerts.forEach(alert => container.append(renderAlert(alert)));
+        alertFeed.cursor = data.nextCursor;
+        more.hidden = !data.nextCursor;
+        empty.hidden = container.children.length > 0;
+        empty.textContent = ALERT_EMPTY[alertFeed.view];
+        renderUnreadCount(data.unread);
+    } catch (error) {
+        console.error('Failed to load alerts:', error);
+        showNotification('Could not load alerts', 'error');
+    } finally {
+        more.disabled = false;
+    }
+}
+
+function renderUnreadCount(unread) {
+    const badge = document.querySelector('.alert-unread-count');
+    if (!badge) return;
+    badge.hidden = !unread;
+    badge.textContent = `${unread} unread`;
+}
+
+async function refreshUnreadCount() {
+    const params = new URLSearchParams({ view: 'unread', limit: 1 });
+    if (alertFeed.bot) params.set('bot', alertFeed.bot);
+    const response = await fetch(`/api/alerts?${params}`, { credentials: 'same-origin' });
+    const data = await response.json();
+    if (data.success) renderUnreadCount(data.unread);
+}
+
+function iconButton(action, title, icon) {
+    const button = document.createElement('button');
+    button.className = 'btn-icon';
+    button.dataset.alertAction = action;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.innerHTML = `<i class="fas ${icon}"></i>`;
+    return button;
+}
+
+function renderAlert(alert) {
+    const item = document.createElement('div');
+    item.className = `alert-item ${alert.severity}${alert.read ? '' : ' unread'}`;
+    item.dataset.id = alert.id;
+
+    const icon = document.createElement('div');
+    icon.className = 'alert-icon';
+    icon.innerHTML = `<i class="fas ${ALERT_ICONS[alert.bot] || 'fa-bell'}"></i>`;
+
+    const content = document.createElement('div');
+    content.className = 'alert-content';
+    const title = document.createElement('h4');
+    title.className = 'alert-title';
+    title.textContent = alert.title;
+    const description = document.createElement('p');
+    description.className = 'alert-description';
+    description.textContent = alert.summary.split('\n')[0];
+    const time = document.createElement('span');
+    time.className = 'alert-time';
+    time.dataset.time = alert.snoozedUntil || alert.createdAt;
+    time.dataset.prefix = alert.snoozedUntil ? 'Back ' : '';
+    updateRelativeTime(time);
+    content.append(title, description, time);
+
+    const actions = document.createElement('div');
+    actions.className = 'alert-actions';
+    const open = document.createElement('button');
+    open.className = 'btn btn-sm';
+    open.dataset.alertAction = 'open';
+    open.textContent = ALERT_OPEN_LABELS[alert.bot] || 'View Details';
+    actions.append(open, iconButton(alert.read ? 'unread' : 'read', alert.read ? 'Mark unread' : 'Mark read',
+        alert.read ? 'fa-envelope' : 'fa-envelope-open'));
+    if (alert.archivedAt) {
+        actions.append(iconButton('unarchive', 'Move to inbox', 'fa-inbox'));
+    } else {
+        actions.append(alert.snoozedUntil
+            ? iconButton('unsnooze', 'Unsnooze', 'fa-bell')
+            : iconButton('snooze-menu', 'Snooze', 'fa-clock'));
+        actions.append(iconButton('archive', 'Archive', 'fa-archive'));
+    }
+
+    item.append(icon, content, actions);
+    return item;
+}
+
+// Relative timestamps tick while the dashboard is open
+function updateRecentAlerts() {
+    document.querySelectorAll('.alert-time[data-time]').forEach(updateRelativeTime);
+}
+
+function updateRelativeTime(element) {
+    const time = new Date(element.dataset.time);
+    element.textContent = `${element.dataset.prefix || ''}${formatRelative(time)}`;
+    element.title = time.toLocaleString();
+}
+
+function toggleSnoozeMenu(button) {
+    const open = button.parentElement.querySelector('.snooze-menu');
+    document.querySelectorAll('.snooze-menu').forEach(menu => menu.remove());
+    if (open) return;
+
+    const menu = document.createElement('div');
+    menu.className = 'snooze-menu';
+    SNOOZE_OPTIONS.forEach(([label, hours]) => {
+        const option = document.createElement('button');
+        option.dataset.alertAction = 'snooze';
+        option.dataset.hours = hours;
+        option.textContent = label;
+        menu.append(option);
+    });
+    button.insertAdjacentElement('afterend', menu);
+}
+
+async function updateAlert(id, action, extra = {}) {
+    const { alerts } = await postJson('/api/alerts', { id, action, ...extra });
+    const updated = alerts[0];
+    const item = document.querySelector(`.alert-item[data-id="${CSS.escape(id)}"]`);
+    const stillListed = alertFeed.view === 'archived' ? Boolean(updated.archivedAt)
+        : alertFeed.view === 'snoozed' ? Boolean(updated.snoozedUntil)
+            : alertFeed.view === 'unread' ? !updated.read && !updated.archivedAt && !updated.snoozedUntil
+                : !updated.archivedAt && !updated.snoozedUntil;
+
+    if (item && stillListed) {
+        item.replaceWith(renderAlert(updated));
+    } else if (item) {
+        item.remove();
+        const empty = document.querySelector('.alerts-empty');
+        empty.hidden = document.querySelector('[data-alerts]').children.length > 0;
+        empty.textContent = ALERT_EMPTY[alertFeed.view];
+    }
+    refreshUnreadCount().catch(() => {});
+    return updated;
+}
+
+function detailSection(title, rows) {
+    const section = document.createElement('div');
+    section.className = 'alert-detail-section';
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    const list = document.createElement('ul');
+    rows.forEach(row => {
+        const entry = document.createElement('li');
+        entry.textContent = row;
+        list.append(entry);
+    });
+    section.append(heading, list);
+    return section;
+}
+
+function formatPlanPrice(price) {
+    if (!price) return '—';
+    const amount = price.currency
+        ? new Intl.NumberFormat('en', { style: 'currency', currency: price.currency, minimumFractionDigits: 0 }).format(price.amount)
+        : String(price.amount);
+    return price.period ? `${amount}/${price.period}` : amount;
+}
+
+// Source-specific evidence from alert.data
+function renderAlertEvidence(alert) {
+    const data = alert.data || {};
+    const sections = [];
+    if (data.kind === 'competitor-change' && data.changes) {
+        const { changes } = data;
+        if (changes.prices.length) {
+            sections.push(detailSection('Price changes', changes.prices.map(change =>
+                `${change.plan}: ${formatPlanPrice(change.before)} → ${formatPlanPrice(change.after)}` +
+                (change.changePercent === null ? '' : ` (${change.changePercent > 0 ? '+' : ''}${change.changePercent}%)`))));
+        }
+        if (changes.addedPlans.length) sections.push(detailSection('New plans', changes.addedPlans.map(price => `${price.plan} at ${formatPlanPrice(price)}`)));
+        if (changes.removedPlans.length) sections.push(detailSection('Removed plans', changes.removedPlans.map(price => price.plan)));
+        if (changes.addedFeatures.length) sections.push(detailSection('New features', changes.addedFeatures));
+        if (changes.removedFeatures.length) sections.push(detailSection('Removed features', changes.removedFeatures));
+    } else if (data.tender) {
+        const { tender } = data;
+        sections.push(detailSection('Tender', [
+            tender.issuer && `Issuer: ${tender.issuer}`,
+            tender.reference && `Reference: ${tender.reference}`,
+            tender.value !== null && `Value: ${new Intl.NumberFormat('en-IN', { style: 'currency', currency: tender.currency || 'INR', maximumFractionDigits: 0 }).format(tender.value)}`,
+            `Deadline: ${tender.deadline ? `${new Date(tender.deadline).toLocaleString()} (${formatRelative(tender.deadline)})` : 'not stated'}`,
+            tender.category && `Category: ${tender.category}`,
+            `Matched: ${data.matched.join(', ')}`
+        ].filter(Boolean)));
+        if (tender.documents.length) {
+            const documents = detailSection('Documents', []);
+            tender.documents.forEach(doc => {
+                const entry = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = doc.url;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                link.textContent = doc.title || doc.url;
+                entry.append(link);
+                documents.querySelector('ul').append(entry);
+            });
+            sections.push(documents);
+        }
+    } else if (data.kind === 'gap-score' && data.report) {
+        sections.push(detailSection(`Score ${data.report.score}/100 (${data.report.grade})`,
+            data.report.factors.map(factor => `${factor.label} +${factor.points}: ${factor.explanation}`)));
+    }
+    return sections;
+}
+
+async function openAlertDetail(id) {
+    const dialog = document.querySelector('.alert-detail');
+    try {
+        const response = await fetch(`/api/alerts?id=${encodeURIComponent(id)}`, { credentials: 'same-origin' });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+        let { alert } = data;
+        if (!alert.read) alert = { ...alert, ...(await updateAlert(id, 'read')) };
+
+        dialog.dataset.id = id;
+        const severity = dialog.querySelector('.alert-detail-severity');
+        severity.className = `alert-detail-severity ${alert.severity}`;
+        severity.textContent = `${alert.severity} priority`;
+        dialog.querySelector('.alert-detail-title').textContent = alert.title;
+        dialog.querySelector('.alert-detail-meta').textContent =
+            `${ALERT_BOTS[alert.bot] || alert.bot} • ${new Date(alert.createdAt).toLocaleString()} (${formatRelative(alert.createdAt)})`;
+
+        const body = dialog.querySelector('.alert-detail-body');
+        const summary = document.createElement('p');
+        summary.className = 'alert-detail-summary';
+        summary.textContent = alert.summary;
+        body.replaceChildren(...(alert.summary ? [summary] : []), ...renderAlertEvidence(alert));
+
+        const actions = dialog.querySelector('.alert-detail-actions');
+        actions.replaceChildren();
+        if (alert.url) {
+            const link = document.createElement('a');
+            link.className = 'btn btn-sm';
+            link.href = alert.url.startsWith('/') ? `..${alert.url}` : alert.url;
+            link.target = alert.url.startsWith('/') ? '_self' : '_blank';
+            link.rel = 'noopener';
+            link.textContent = alert.kind === 'gap-score' ? 'Open full report' : 'Open source';
+            actions.append(link);
+        }
+        actions.append(
+            iconButton('unread', 'Mark unread', 'fa-envelope'),
+            iconButton('snooze-day', 'Snooze until tomorrow', 'fa-clock'),
+            iconButton(alert.archivedAt ? 'unarchive' : 'archive', alert.archivedAt ? 'Move to inbox' : 'Archive',
+                alert.archivedAt ? 'fa-inbox' : 'fa-archive')
+        );
+        if (!dialog.open) dialog.showModal();
+    } catch (error) {
+        showNotification(error.message || 'Could not open the alert', 'error');
+    }
+}
+
+// Alerts pushed over the live stream join the top of the feed when they
+// fit the current view and filters
+function receiveAlerts({ alerts, unread }) {
+    renderUnreadCount(unread);
+    const container = document.querySelector('[data-alerts]');
+    const listed = ['inbox', 'unread'].includes(alertFeed.view);
+    alerts.slice().reverse().forEach(alert => {
+        if (alert.severity === 'high') {
+            showNotification(`New alert: ${alert.title}`, 'warning');
+        }
+        if (!container || !listed) return;
+        if ((alertFeed.bot && alert.bot !== alertFeed.bot) || (alertFeed.severity && alert.severity !== alertFeed.severity)) return;
+        const item = renderAlert(alert);
+        item.classList.add('alert-new');
+        container.prepend(item);
+    });
+    const empty = document.querySelector('.alerts-empty');
+    if (empty && container) empty.hidden = container.children.length > 0;
+}
+
+// Bot cards' "View alerts" / "View tenders" narrow the feed to that bot
+function showAlertsFor(bot) {
+    alertFeed.bot = bot;
+    const select = document.querySelector('.alert-filter[data-filter="bot"]');
+    if (select) select.value = bot;
+    loadAlerts();
+    document.getElementById('alerts').scrollIntoView({ behavior: 'smooth' });
+}
+
+async function handleAlertAction(button) {
+    if (button.classList.contains('alert-view')) {
+        document.querySelectorAll('.alert-view').forEach(tab => tab.classList.toggle('active', tab === button));
+        alertFeed.view = button.dataset.view;
+        return loadAlerts();
+    }
+    if (button.classList.contains('alerts-more')) {
+        return loadAlerts({ append: true });
+    }
+
+    const dialog = button.closest('.alert-detail');
+    const item = button.closest('.alert-item');
+    const id = dialog ? dialog.dataset.id : item && item.dataset.id;
+    const action = button.dataset.alertAction;
+    try {
+        switch (action) {
+            case 'open':
+                await openAlertDetail(id);
+                break;
+            case 'close':
+                dialog.close();
+                break;
+            case 'read-all': {
+                const { updated } = await postJson('/api/alerts', { action: 'read-all', bot: alertFeed.bot || undefined });
+                showNotification(`${updated} alert${updated === 1 ? '' : 's'} marked read`, 'success');
+                await loadAlerts();
+                break;
+            }
+            case 'snooze-menu':
+                toggleSnoozeMenu(button);
+                break;
+            case 'snooze':
+            case 'snooze-day': {
+                const hours = action === 'snooze' ? Number(button.dataset.hours) : 24;
+                const until = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+                await updateAlert(id, 'snooze', { until });
+                if (dialog) dialog.close();
+                showNotification(`Snoozed until ${new Date(until).toLocaleString()}`, 'success');
+                break;
+            }
+            default:
+                await updateAlert(id, action);
+                if (dialog) dialog.close();
+        }
+    } catch (error) {
+        showNotification(error.message, 'error');
     }
 }
 
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+// Local development server
+// Serves the static site and routes /api/* to the same handler modules
+// Vercel deploys from api/, so the checkout flow can be exercised locally:
+//   node server.js            (reads .env files for APP_ENV, see lib/config.js;
+//                              listens on PORT or 3000)
+// It also runs the bot scheduler unless BOT_SCHEDULER=off.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const config = require('./lib/config');
+const { sendJson, sendError } = require('./lib/http');
+const security = require('./lib/security');
+const templates = require('./lib/templates');
+
+const ROOT = __dirname;
+const API_DIR = path.join(ROOT, 'api');
+
+// Server-side sources, page templates and runtime data are never served as
+// static files
+const PRIVATE_DIRS = ['api', 'lib', 'data', 'node_modules', 'templates', 'test'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.pdf': 'application/pdf'
+};
+
+function resolveApiHandler(pathname) {
+    const relative = pathname.replace(/^\/api\/?/, '').replace(/\/+$/, '');
+    if (!relative || relative.split('/').some(part => !part || part.startsWith('.'))) {
+        return null;
+    }
+
+    const file = path.join(API_DIR, `${relative}.js`);
+    if (!file.startsWith(API_DIR + path.sep) || !fs.existsSync(file)) {
+        return null;
+    }
+    return require(file);
+}
+
+function isPrivatePath(relative) {
+    const parts = relative.split(path.sep).filter(Boolean);
+    return PRIVATE_DIRS.includes(parts[0]) ||
+        parts.some(part => part.startsWith('.')) ||
+        parts.join('/') === 'server.js';
+}
+
+function serveStatic(pathname, res) {
+    let file = path.normalize(path.join(ROOT, decodeURIComponent(pathname)));
+    if (!file.startsWith(ROOT) || isPrivatePath(path.relative(ROOT, file))) {
+        res.statusCode = 403;
+        return res.end('Forbidden');
+    }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+        file = path.join(file, 'index.html');
+    }
+    if (!fs.existsSync(file)) {
+        res.statusCode = 404;
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        return res.end('Not found');
+    }
+
+    res.setHeader('Content-Type', MIME_TYPES[path.extname(file)] || 'application/octet-stream');
+    if (path.extname(file) === '.html') {
+        // Pages are rendered into their layout (lib/templates.js) as they are
+        // served, the same way build.js does
+        const page = path.relative(ROOT, file).split(path.sep).join('/');
+        try {
+            const source = fs.readFileSync(file);
+            const text = source.toString('utf8');
+            const html = templates.render(page, text);
+            res.setHeader('Content-Security-Policy', security.contentSecurityPolicy(security.scriptHashes(html)));
+            return res.end(html === text ? source : html);
+        } catch (error) {
+            res.statusCode = 500;
+            res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+            return res.end(`Template error: ${error.message}`);
+        }
+    }
+    fs.createReadStream(file).pipe(res);
+}
+
+function createServer() {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        // The same headers the static deployment gets from vercel.json or
+        // _headers; pages replace the policy with one hashing their own
+        // inline scripts
+        Object.entries(security.headers()).forEach(([name, value]) => res.setHeader(name, value));
+
+        if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+            const handler = resolveApiHandler(url.pathname);
+            if (!handler) {
+                return sendJson(res, 404, { success: false, error: 'Not found' });
+            }
+            try {
+                await handler(req, res);
+            } catch (error) {
+                sendError(res, error);
+            }
+            return;
+        }
+
+        serveStatic(url.pathname, res);
+    });
+}
+
+if (require.main === module) {
+    const profile = config.load();
+    const port = Number(process.env.PORT) || 3000;
+    createServer().listen(port, () => {
+        console.log(`🚀 Shadow Market Tracker running at http://localhost:${port} (${profile})`);
+    });
+    // Runs the users' bots in this process (lib/scheduler.js)
+    if (process.env.BOT_SCHEDULER !== 'off') {
+        require('./lib/scheduler').start();
+    }
+}
+
+module.exports = { createServer };
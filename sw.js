@@ -0,0 +1,29 @@
+// Service worker for alert push notifications (lib/webpush.js)
+// Registered from bot-config.html when the user turns on push for this
+// device. Each push carries { title, body, url, tag }; clicking the
+// notification focuses an open tab on that page or opens one.
+
+self.addEventListener('push', event => {
+    let alert = {};
+    try {
+        alert = event.data ? event.data.json() : {};
+    } catch (error) {
+        alert = { body: event.data.text() };
+    }
+    event.waitUntil(self.registration.showNotification(alert.title || 'Shadow Market Tracker', {
+        body: alert.body || '',
+        tag: alert.tag,
+        renotify: Boolean(alert.tag),
+        icon: '/icon128.png',
+        data: { url: alert.url || '/platform/dashboard.html#alerts' }
+    }));
+});
+
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const url = new URL(event.notification.data.url, self.location.origin).href;
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+        const open = windows.find(client => client.url === url);
+        return open ? open.focus() : self.clients.openWindow(url);
+    }));
+});
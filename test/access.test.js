@@ -0,0 +1,84 @@
+// Roles and plan entitlements (lib/access.js) as the API enforces them
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+process.env.ADMIN_EMAILS = 'Owner@Example.test, ops@example.test';
+
+const store = require('../lib/store');
+
+let app;
+let sign;
+
+before(async () => {
+    app = await helpers.startApp();
+    sign = helpers.googleKeys();
+});
+
+after(() => app.close());
+
+async function accessOf(request) {
+    const me = await request('/api/auth/me');
+    assert.equal(me.status, 200, JSON.stringify(me.body));
+    return me.body.user.access;
+}
+
+test('a signed-in user without a plan has nothing unlocked', async () => {
+    const visitor = await helpers.signIn(app, sign, { sub: 'google-free', email: 'free@example.test' });
+    assert.deepEqual(await accessOf(visitor), { role: 'free', tier: null, label: 'Free', features: [] });
+
+    const bots = await visitor('/api/bots/config?bot=news');
+    assert.equal(bots.status, 403);
+    assert.equal(bots.body.error, 'Competitive News Bot needs the Basic Plan or higher');
+    assert.equal((await app.request('/api/bots/config?bot=news')).status, 401);
+});
+
+test('an entitled subscription unlocks its plan\'s bots, and stops when it lapses', async () => {
+    const subscriber = await helpers.signIn(app, sign, { sub: 'google-paid', email: 'paid@example.test' });
+    const subscriptions = store.collection('subscriptions');
+    await subscriptions.put('sub_paid', { id: 'sub_paid', email: 'paid@example.test', plan: 'extension-pro', status: 'active', payments: [] });
+
+    assert.deepEqual(await accessOf(subscriber), { role: 'paid', tier: 'extension-pro', label: 'Pro Plan', features: ['bots.news', 'bots.gaps'] });
+    const tenders = await subscriber('/api/bots/config?bot=tenders');
+    assert.equal(tenders.body.error, 'Tender Alert Bot needs the Enterprise Plan or higher');
+
+    await subscriptions.update('sub_paid', current => ({ ...current, status: 'halted' }));
+    assert.equal((await accessOf(subscriber)).role, 'free');
+});
+
+test('admins come from ADMIN_EMAILS and grant creator access to others', async () => {
+    const admin = await helpers.signIn(app, sign, { sub: 'google-owner', email: 'owner@example.test' });
+    const creator = await helpers.signIn(app, sign, { sub: 'google-creator', email: 'creator@example.test' });
+    assert.equal((await accessOf(admin)).role, 'admin');
+
+    assert.equal((await creator('/api/admin/users')).status, 403);
+    assert.equal((await creator('/api/admin/users', { method: 'POST', body: { email: 'creator@example.test', role: 'admin' } })).status, 403);
+
+    const granted = await admin('/api/admin/users', { method: 'POST', body: { email: 'Creator@Example.test', role: 'creator' } });
+    assert.equal(granted.status, 200, JSON.stringify(granted.body));
+    const listed = granted.body.users.find(user => user.email === 'creator@example.test');
+    assert.equal(listed.access.role, 'creator');
+    assert.deepEqual((await accessOf(creator)).features, ['bots.news', 'bots.gaps', 'bots.tenders']);
+    assert.equal((await creator('/api/admin/users')).status, 403);
+
+    const revoked = await admin('/api/admin/users', { method: 'POST', body: { email: 'creator@example.test', role: null } });
+    assert.equal(revoked.body.users.find(user => user.email === 'creator@example.test').access.role, 'free');
+});
+
+test('roles are checked on what is asked for', async () => {
+    const admin = await helpers.signIn(app, sign, { sub: 'google-ops', email: 'ops@example.test' });
+    const refused = async (body, field, message) => {
+        const response = await admin('/api/admin/users', { method: 'POST', body });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.field, field);
+        if (message) assert.equal(response.body.error, message);
+    };
+    await refused({ email: 'ops@example.test', role: null }, 'email', 'You cannot change your own role');
+    await refused({ email: 'free@example.test', role: 'paid' }, 'role');
+    await refused({ role: 'creator' }, 'email', 'email is required');
+
+    const unknown = await admin('/api/admin/users', { method: 'POST', body: { email: 'nobody@example.test', role: 'creator' } });
+    assert.equal(unknown.status, 404);
+});
@@ -0,0 +1,140 @@
+// Bot alerts (lib/alerts.js, /api/alerts): cursor pagination, read state
+// and snoozing
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+const alerts = require('../lib/alerts');
+const store = require('../lib/store');
+
+let app;
+let sign;
+
+before(async () => {
+    app = await helpers.startApp();
+    sign = helpers.googleKeys();
+});
+
+after(() => app.close());
+
+// Stores count alerts for userId, one run a second apart, oldest first
+async function seed(userId, count, { bot = 'news', severity = 'medium' } = {}) {
+    const records = [];
+    for (let index = 0; index < count; index++) {
+        const [record] = await alerts.fromFindings({ userId, bot, source: 'test', findings: [{ title: `Finding ${index + 1}`, severity }] });
+        records.push(record);
+    }
+    await store.collection('alerts').transaction(all => {
+        records.forEach((record, index) => {
+            all[record.id].createdAt = new Date(Date.UTC(2026, 2, 1, 0, 0, index)).toISOString();
+        });
+    });
+    return records;
+}
+
+async function allPages(userId, options) {
+    const titles = [];
+    let cursor;
+    do {
+        const page = await alerts.listForUser(userId, { ...options, cursor });
+        titles.push(page.alerts.map(alert => alert.title));
+        cursor = page.nextCursor;
+    } while (cursor);
+    return titles;
+}
+
+test('pages run newest first and a cursor survives alerts arriving in between', async () => {
+    await seed('google-pages', 5);
+
+    assert.deepEqual(await allPages('google-pages', { limit: 2 }), [
+        ['Finding 5', 'Finding 4'], ['Finding 3', 'Finding 2'], ['Finding 1']
+    ]);
+
+    const first = await alerts.listForUser('google-pages', { limit: 2 });
+    assert.equal(first.total, 5);
+    assert.equal(first.unread, 5);
+    await alerts.fromFindings({ userId: 'google-pages', bot: 'news', source: 'test', findings: [{ title: 'Late arrival' }] });
+    const second = await alerts.listForUser('google-pages', { limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(second.alerts.map(alert => alert.title), ['Finding 3', 'Finding 2']);
+    assert.equal(second.total, 6);
+
+    const top = await alerts.listForUser('google-pages', { limit: 1 });
+    assert.equal(top.alerts[0].title, 'Late arrival');
+    assert.equal(top.alerts[0].data, undefined);
+    assert.equal((await alerts.listForUser('google-pages', { limit: 500 })).alerts.length, 6);
+});
+
+test('filters and read state narrow the view', async () => {
+    const [low] = await seed('google-filters', 1, { bot: 'tenders', severity: 'low' });
+    const [high] = await seed('google-filters', 1, { bot: 'news', severity: 'high' });
+
+    assert.deepEqual((await alerts.listForUser('google-filters', { bot: 'tenders' })).alerts.map(alert => alert.id), [low.id]);
+    assert.deepEqual((await alerts.listForUser('google-filters', { severity: 'high' })).alerts.map(alert => alert.id), [high.id]);
+
+    await alerts.update('google-filters', [low.id], 'read');
+    const unread = await alerts.listForUser('google-filters', { view: 'unread' });
+    assert.deepEqual(unread.alerts.map(alert => alert.id), [high.id]);
+    assert.equal(unread.unread, 1);
+
+    await alerts.update('google-filters', high.id, 'archive');
+    assert.equal((await alerts.listForUser('google-filters')).total, 1);
+    assert.deepEqual((await alerts.listForUser('google-filters', { view: 'archived' })).alerts.map(alert => alert.id), [high.id]);
+    assert.equal(await alerts.markAllRead('google-filters'), 0);
+
+    await assert.rejects(alerts.listForUser('google-filters', { view: 'starred' }), { status: 400, field: 'view' });
+    await assert.rejects(alerts.listForUser('google-filters', { severity: 'urgent' }), { status: 400, field: 'severity' });
+    await assert.rejects(alerts.listForUser('google-filters', { cursor: 'not-a-cursor' }), { status: 400, field: 'cursor' });
+});
+
+test('a snoozed alert leaves the inbox and comes back unread when the snooze runs out', async () => {
+    const [alert] = await seed('google-snooze', 1);
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+    const [snoozed] = await alerts.update('google-snooze', alert.id, 'snooze', { until: tomorrow });
+    assert.equal(snoozed.snoozedUntil, tomorrow);
+    assert.equal(snoozed.read, true);
+    assert.equal((await alerts.listForUser('google-snooze')).total, 0);
+    assert.equal((await alerts.listForUser('google-snooze', { view: 'snoozed' })).total, 1);
+
+    // A day on: the alert was read when snoozed and the snooze has ended
+    const ago = ms => new Date(Date.now() - ms).toISOString();
+    await store.collection('alerts').update(alert.id, record => ({ ...record, readAt: ago(24 * 60 * 60 * 1000), snoozedUntil: ago(1000) }));
+    const inbox = await alerts.listForUser('google-snooze', { view: 'unread' });
+    assert.deepEqual(inbox.alerts.map(entry => [entry.id, entry.read, entry.snoozedUntil]), [[alert.id, false, null]]);
+
+    await alerts.update('google-snooze', alert.id, 'snooze', { until: tomorrow });
+    const [woken] = await alerts.update('google-snooze', alert.id, 'unsnooze');
+    assert.equal(woken.snoozedUntil, null);
+    assert.equal((await alerts.listForUser('google-snooze')).total, 1);
+
+    const past = new Date(Date.now() - 60 * 1000).toISOString();
+    const farOff = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000).toISOString();
+    await assert.rejects(alerts.update('google-snooze', alert.id, 'snooze', { until: past }), { status: 400, field: 'until' });
+    await assert.rejects(alerts.update('google-snooze', alert.id, 'snooze', { until: farOff }), /at most 30 days/);
+});
+
+test('the API pages and changes only the signed-in user\'s alerts', async () => {
+    const owner = await helpers.signIn(app, sign, { sub: 'google-inbox', email: 'inbox@example.test' });
+    const other = await helpers.signIn(app, sign, { sub: 'google-nosy', email: 'nosy@example.test' });
+    const [alert] = await seed('google-inbox', 3);
+
+    const page = await owner('/api/alerts?limit=2');
+    assert.equal(page.status, 200, JSON.stringify(page.body));
+    assert.equal(page.body.alerts.length, 2);
+    const rest = await owner(`/api/alerts?limit=2&cursor=${page.body.nextCursor}`);
+    assert.deepEqual(rest.body.alerts.map(entry => entry.id), [alert.id]);
+    assert.equal(rest.body.nextCursor, null);
+
+    const detail = await owner(`/api/alerts?id=${alert.id}`);
+    assert.equal(detail.body.alert.data, null);
+    assert.equal((await other(`/api/alerts?id=${alert.id}`)).status, 404);
+    assert.equal((await other('/api/alerts', { method: 'POST', body: { action: 'archive', id: alert.id } })).status, 404);
+    assert.equal((await other('/api/alerts')).body.total, 0);
+    assert.equal((await app.request('/api/alerts')).status, 401);
+
+    const readAll = await owner('/api/alerts', { method: 'POST', body: { action: 'read-all' } });
+    assert.equal(readAll.body.updated, 3);
+});
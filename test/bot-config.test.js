@@ -0,0 +1,84 @@
+// Per-user bot settings: the schemas in lib/bots.js, checked by
+// lib/schema.js, behind /api/bots/config
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+process.env.ADMIN_EMAILS = 'owner@example.test';
+
+const bots = require('../lib/bots');
+const schema = require('../lib/schema');
+
+let app;
+let owner;
+
+before(async () => {
+    app = await helpers.startApp();
+    owner = await helpers.signIn(app, helpers.googleKeys(), { sub: 'google-owner', email: 'owner@example.test' });
+});
+
+after(() => app.close());
+
+test('settings are trimmed and missing ones take their defaults', () => {
+    const config = bots.validate('news', { keywords: ['  pricing ', 'launch'] });
+    assert.deepEqual(config.keywords, ['pricing', 'launch']);
+    assert.equal(config.industry, 'technology');
+    assert.equal(config.frequency, 'realtime');
+
+    assert.deepEqual(bots.defaults('gaps').expertise, []);
+    assert.equal(bots.defaults('tenders').minValue, 0);
+});
+
+test('every bad field is reported with its path, the first as the error', () => {
+    assert.throws(() => bots.validate('news', { keywords: ['ok', '', 'ok'], industry: 'mining', colour: 'red' }), error => {
+        assert.equal(error.status, 400);
+        assert.equal(error.field, 'colour');
+        assert.deepEqual(error.errors, [
+            { field: 'colour', message: 'colour is not a recognised setting' },
+            { field: 'keywords.1', message: 'Keywords cannot be empty' },
+            { field: 'industry', message: 'Industry must be one of technology, healthcare, finance, ecommerce, manufacturing' }
+        ]);
+        return true;
+    });
+    assert.throws(() => bots.validate('gaps', {}), { field: 'expertise', message: 'Expertise is required' });
+    assert.throws(() => bots.validate('tenders', { capabilities: ['cloud'], minValue: 5 }), { field: 'minValue' });
+    assert.throws(() => bots.validate('weather', {}), { field: 'bot', message: 'bot must be one of news, gaps, tenders' });
+    assert.throws(() => bots.validate('news', ['keywords']), { field: 'config' });
+});
+
+test('the schema subset covers lists, numbers, urls and emails', () => {
+    const list = { type: 'array', title: 'Tags', minItems: 1, maxItems: 2, uniqueItems: true, items: { type: 'string' } };
+    assert.equal(schema.validate(list, []).errors[0].message, 'Tags needs at least one entry');
+    assert.equal(schema.validate(list, ['a', 'b', 'c']).errors[0].message, 'Tags allows at most 2 entries');
+    assert.equal(schema.validate(list, ['a', ' a ']).errors[0].message, 'Tags has duplicate entries');
+
+    const count = { type: 'integer', title: 'Count', minimum: 1, maximum: 5 };
+    assert.equal(schema.validate(count, 2.5).errors[0].message, 'Count must be a whole number');
+    assert.equal(schema.validate(count, 9).errors[0].message, 'Count must be at most 5');
+    assert.deepEqual(schema.validate(count, 3), { value: 3, errors: [] });
+
+    const url = { type: 'string', title: 'Page', format: 'url' };
+    assert.equal(schema.validate(url, 'javascript:alert(1)').errors[0].message, 'Page must be a full http:// or https:// address');
+    assert.deepEqual(schema.validate(url, ' https://rival.example/pricing ').value, 'https://rival.example/pricing');
+    assert.equal(schema.validate({ type: 'string', format: 'email' }, 'not-an-address').errors.length, 1);
+});
+
+test('the API saves, reads back and resets a user\'s settings', async () => {
+    const saved = await owner('/api/bots/config', { method: 'PUT', body: { bot: 'news', config: { keywords: ['pricing'] } } });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    assert.equal(saved.body.config.saved, true);
+
+    const all = await owner('/api/bots/config');
+    assert.deepEqual(all.body.configs.map(config => [config.bot, config.saved]), [['news', true], ['gaps', false], ['tenders', false]]);
+
+    const invalid = await owner('/api/bots/config', { method: 'PUT', body: { bot: 'news', config: { keywords: [] } } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.field, 'keywords');
+    assert.deepEqual(invalid.body.errors, [{ field: 'keywords', message: 'Keywords needs at least one entry' }]);
+
+    const reset = await owner('/api/bots/config?bot=news', { method: 'DELETE' });
+    assert.equal(reset.body.config.saved, false);
+    assert.deepEqual(reset.body.config.config.keywords, []);
+});
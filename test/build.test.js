@@ -0,0 +1,92 @@
+// The static build (build.js): asset hashing and the internal link check,
+// run on a small site in a copy of the project
+
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { test, before } = require('node:test');
+const helpers = require('./helpers');
+
+const ROOT = path.join(__dirname, '..');
+
+let site;
+
+// Writes files ({ path: content }) under the site copy
+function write(files) {
+    Object.entries(files).forEach(([file, content]) => {
+        const full = path.join(site, file);
+        fs.mkdirSync(path.dirname(full), { recursive: true });
+        fs.writeFileSync(full, content);
+    });
+}
+
+function build() {
+    const result = spawnSync(process.execPath, ['build.js'], {
+        cwd: site,
+        encoding: 'utf8',
+        env: { PATH: process.env.PATH, APP_ENV: 'development', WEBSITE_URL: 'https://shop.example.test' },
+        timeout: 60 * 1000
+    });
+    return { status: result.status, output: `${result.stdout}${result.stderr}` };
+}
+
+function built(file) {
+    return fs.readFileSync(path.join(site, 'public', file), 'utf8');
+}
+
+before(() => {
+    site = path.join(helpers.setup(), 'site');
+    // lib/ shares tax.js with the browser
+    ['build.js', 'lib', 'templates', 'assets/js/tax.js']
+        .forEach(name => fs.cpSync(path.join(ROOT, name), path.join(site, name), { recursive: true }));
+    write({
+        'api/catalog.js': 'module.exports = () => {};\n',
+        'assets/css/site.css': 'body { background: url("../img/logo.png") no-repeat; }\n',
+        'assets/img/logo.png': 'png',
+        'assets/js/app.js': 'console.log("app");\n',
+        'docs/guide.html': '<!DOCTYPE html><html><head><title>Guide</title></head><body><a href="../index.html">Home</a></body></html>\n',
+        'index.html': [
+            '<!DOCTYPE html><html><head><title>Home</title><link rel="stylesheet" href="assets/css/site.css"></head><body>',
+            '<a href="docs/guide.html#intro">Guide</a> <a href="/docs/">Docs</a> <a href="https://example.test/">Out</a>',
+            '<a href="mailto:help@example.test">Mail</a> <a href="#top">Top</a> <a href="/api/catalog?currency=USD">Prices</a>',
+            '<script src="assets/js/app.js"></script><script>fetch("/api/not-checked-in-scripts");</script>',
+            '</body></html>'
+        ].join('\n'),
+        'docs/index.html': '<!DOCTYPE html><html><head><title>Docs</title></head><body><img src="../assets/img/logo.png" alt=""></body></html>\n',
+        'README.md': '# Not built\n',
+        'test-payment.html': '<a href="nowhere.html">Not built either</a>\n'
+    });
+});
+
+test('assets are renamed by content hash and every reference follows them', () => {
+    const result = build();
+    assert.equal(result.status, 0, result.output);
+
+    const page = built('index.html');
+    const css = page.match(/href="(assets\/css\/site\.[0-9a-f]{8}\.css)"/);
+    assert.ok(css, page);
+    assert.match(page, /src="assets\/js\/app\.[0-9a-f]{8}\.js"/);
+    assert.match(page, /href="docs\/guide\.html#intro"/);
+    assert.match(built(css[1]), /url\("\.\.\/img\/logo\.[0-9a-f]{8}\.png"\)/);
+    assert.match(built('docs/index.html'), /src="\.\.\/assets\/img\/logo\.[0-9a-f]{8}\.png"/);
+
+    assert.equal(fs.existsSync(path.join(site, 'public', 'README.md')), false);
+    assert.equal(fs.existsSync(path.join(site, 'public', 'test-payment.html')), false);
+    assert.equal(fs.existsSync(path.join(site, 'public', 'lib')), false);
+});
+
+test('a link, image or stylesheet url() that leads nowhere fails the build', () => {
+    write({
+        'docs/guide.html': '<!DOCTYPE html><html><head><title>Guide</title></head><body><a href="../pricing.html">Prices</a> <a href="/api/nothing">API</a></body></html>\n',
+        'assets/css/site.css': 'body { background: url(../img/missing.png); }\n'
+    });
+    const result = build();
+
+    assert.equal(result.status, 1);
+    assert.match(result.output, /3 broken internal links/);
+    assert.match(result.output, /docs\/guide\.html: \.\.\/pricing\.html/);
+    assert.match(result.output, /docs\/guide\.html: \/api\/nothing/);
+    assert.match(result.output, /assets\/css\/site\.css: \.\.\/img\/missing\.png/);
+    assert.equal(fs.existsSync(path.join(site, 'public')), false);
+});
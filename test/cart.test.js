@@ -0,0 +1,79 @@
+// The shared cart model (assets/js/cart-model.js): what every older payload
+// in localStorage['cart'] loads as
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const CartModel = require('../assets/js/cart-model');
+
+// localStorage as far as the model uses it
+function memoryStorage(value) {
+    const items = new Map(value === undefined ? [] : [[CartModel.STORAGE_KEY, JSON.stringify(value)]]);
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, text) => items.set(key, String(text)),
+        removeItem: key => items.delete(key),
+        read: () => JSON.parse(items.get(CartModel.STORAGE_KEY))
+    };
+}
+
+test('an unversioned ShoppingCart array keeps its names and quantities', () => {
+    const storage = memoryStorage([
+        { id: 'bi-consulting', title: 'BI Consulting', price: 50, quantity: 2 },
+        { id: 'training', name: 'Training', description: 'One day', price: 25 }
+    ]);
+    assert.deepEqual(CartModel.load(storage), [
+        { id: 'bi-consulting', name: 'BI Consulting', description: '', price: 50, quantity: 2, recurring: null },
+        { id: 'training', name: 'Training', description: 'One day', price: 25, quantity: 1, recurring: null }
+    ]);
+});
+
+test('duplicate ids are merged and unusable items dropped', () => {
+    const storage = memoryStorage({
+        version: 2,
+        items: [
+            { id: 'training', name: 'Training', price: 25, quantity: 1 },
+            { id: 'training', name: 'Training', price: 25, quantity: 3 },
+            { id: 'free', price: 'n/a' },
+            { id: 'none', price: 10, quantity: 0 },
+            { name: 'No id', price: 10 },
+            null
+        ]
+    });
+    assert.deepEqual(CartModel.load(storage).map(item => [item.id, item.quantity]), [['training', 4]]);
+});
+
+test('saving writes the current version and keeps the coupon', () => {
+    const storage = memoryStorage([{ id: 'training', title: 'Training', price: 25 }]);
+    CartModel.saveCoupon(' launch20 ', storage);
+    assert.equal(CartModel.loadCoupon(storage), 'LAUNCH20');
+
+    const items = CartModel.addItem(CartModel.load(storage), { id: 'training', name: 'Training', price: 25, quantity: 2 });
+    CartModel.save(items, storage);
+    const payload = storage.read();
+    assert.equal(payload.version, CartModel.SCHEMA_VERSION);
+    assert.equal(payload.coupon, 'LAUNCH20');
+    assert.equal(CartModel.itemCount(payload.items), 3);
+    assert.equal(CartModel.subtotal(payload.items), 75);
+});
+
+test('a payload that is not JSON is an empty cart', () => {
+    const storage = memoryStorage();
+    storage.setItem(CartModel.STORAGE_KEY, '{broken');
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.deepEqual(CartModel.load(storage), []);
+    } finally {
+        console.warn = warn;
+    }
+    assert.deepEqual(CartModel.load(memoryStorage()), []);
+});
+
+test('plans that renew monthly are told apart from one-off items', () => {
+    const items = CartModel.migrate([
+        { id: 'extension-premium', name: 'Premium', price: 30, recurring: 'monthly' },
+        { id: 'training', name: 'Training', price: 25 }
+    ]);
+    assert.deepEqual(CartModel.recurringItems(items).map(item => item.id), ['extension-premium']);
+});
@@ -0,0 +1,73 @@
+// Server-side repricing (lib/catalog.js): what the browser sends never
+// changes what is charged
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+const catalog = require('../lib/catalog');
+
+let app;
+let razorpay;
+
+before(async () => {
+    razorpay = await helpers.mockRazorpay();
+    app = await helpers.startApp();
+});
+
+after(async () => {
+    await app.close();
+    await razorpay.close();
+});
+
+test('lines are priced from the catalog, with repeated ids merged', () => {
+    const lines = catalog.buildLines([
+        { id: 'bi-consulting', quantity: 2, price: 1 },
+        { id: 'training' },
+        { id: 'bi-consulting', quantity: 1 }
+    ]);
+    assert.deepEqual(lines.map(line => [line.id, line.unitPrice, line.quantity]), [
+        ['bi-consulting', 500000, 3],
+        ['training', 1500000, 1]
+    ]);
+    assert.equal(catalog.toMajor(lines[0].unitPrice), 5000);
+});
+
+test('unknown plans, bad quantities and empty carts are refused', () => {
+    const refused = (items, message) => assert.throws(() => catalog.buildLines(items), error => {
+        assert.equal(error.status, 400);
+        assert.equal(error.message, message);
+        return true;
+    });
+    refused([], 'items must be a non-empty array');
+    refused('training', 'items must be a non-empty array');
+    refused([{ id: 'gold-bar' }], 'Unknown plan: gold-bar');
+    refused([{ id: 'toString' }], 'Unknown plan: toString');
+    refused([{ id: 'training', quantity: 0 }], 'Invalid quantity for training');
+    refused([{ id: 'training', quantity: 1.5 }], 'Invalid quantity for training');
+    refused([{ id: 'training', quantity: 60 }, { id: 'training', quantity: 41 }], 'Quantity for training exceeds 100');
+});
+
+test('the order charges the catalog price, whatever price the cart carried', async () => {
+    const response = await app.request('/api/order', {
+        method: 'POST',
+        body: { items: [{ id: 'extension-premium', quantity: 1, price: 1 }], customer: { state: 'Rajasthan' } }
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    // ₹30 within Rajasthan: CGST 9% + SGST 9%
+    assert.equal(response.body.amount, 3540);
+    assert.deepEqual(response.body.tax, { label: 'CGST 9% + SGST 9%', supply_type: 'intra', cgst: 2.7, sgst: 2.7, igst: 0 });
+    assert.equal(razorpay.requests.at(-1).body.amount, 3540);
+});
+
+test('a stale cart total is refused before anything is created', async () => {
+    const calls = razorpay.requests.length;
+    const response = await app.request('/api/order', {
+        method: 'POST',
+        body: { items: [{ id: 'extension-premium', quantity: 1 }], customer: { state: 'Rajasthan' }, amount: 30 }
+    });
+    assert.equal(response.status, 409);
+    assert.equal(razorpay.requests.length, calls);
+});
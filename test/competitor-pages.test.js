@@ -0,0 +1,103 @@
+// Competitor page snapshots and diffs (lib/competitor-pages.js), fetched
+// from a local server that serves the fixture pages
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+const competitorPages = require('../lib/competitor-pages');
+
+const BEFORE = fs.readFileSync(path.join(__dirname, 'fixtures', 'pricing-before.html'), 'utf8');
+const AFTER = fs.readFileSync(path.join(__dirname, 'fixtures', 'pricing-after.html'), 'utf8');
+
+// Serves `pages` ({ '/pricing': html }), which tests may change between requests
+async function pageServer(pages) {
+    const server = http.createServer((req, res) => {
+        const html = pages[new URL(req.url, 'http://localhost').pathname];
+        res.writeHead(html === undefined ? 404 : 200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(html === undefined ? 'Not found' : html);
+    });
+    return { ...(await helpers.listen(server)), pages };
+}
+
+let site;
+
+before(async () => {
+    site = await pageServer({ '/pricing': BEFORE });
+});
+
+after(() => site.close());
+
+test('pricing cards give plans, prices and per-plan features', () => {
+    const snapshot = competitorPages.extract(BEFORE, 'https://rival.example/pricing');
+    assert.equal(snapshot.title, 'Rival Analytics - Pricing');
+    assert.deepEqual(snapshot.prices, [
+        { plan: 'Starter', amount: 499, currency: 'INR', period: 'month' },
+        { plan: 'Growth', amount: 1499, currency: 'INR', period: 'month' },
+        { plan: 'Team', amount: 2999, currency: 'INR', period: 'month' }
+    ]);
+    assert.ok(snapshot.features.includes('Growth: Priority support'));
+    assert.ok(snapshot.features.includes('Weekly reports'));
+});
+
+test('JSON-LD offers are trusted over the markup, then price tables', () => {
+    const html = `<html><head><title>Other</title>
+        <script type="application/ld+json">
+            {"@type": "Product", "name": "Solo", "offers": {"@type": "Offer", "price": "9.50", "priceCurrency": "USD"}}
+        </script></head><body>
+        <div class="plan"><h3>Solo</h3><p>$12 per month</p></div>
+        <table><tr><th>Business</th><td>€49 / user</td></tr><tr><td>Notes</td><td>Billed yearly</td></tr></table>
+        </body></html>`;
+    assert.deepEqual(competitorPages.extract(html, 'https://other.example').prices, [
+        { plan: 'Solo', amount: 9.5, currency: 'USD', period: null },
+        { plan: 'Business', amount: 49, currency: 'EUR', period: 'user' }
+    ]);
+});
+
+test('diff reports price moves, plans and features that came and went', () => {
+    const changes = competitorPages.diff(
+        competitorPages.extract(BEFORE, 'https://rival.example/pricing'),
+        competitorPages.extract(AFTER, 'https://rival.example/pricing')
+    );
+    assert.deepEqual(changes.prices.map(change => [change.plan, change.before.amount, change.after.amount, change.changePercent]),
+        [['Growth', 1499, 1799, 20]]);
+    assert.deepEqual(changes.addedPlans.map(price => price.plan), ['Enterprise']);
+    assert.deepEqual(changes.removedPlans.map(price => price.plan), ['Team']);
+    // The features of a plan that came or went are not listed one by one
+    assert.deepEqual(changes.addedFeatures, ['Growth: API access', 'Daily reports']);
+    assert.deepEqual(changes.removedFeatures, ['Weekly reports']);
+});
+
+test('the adapter takes a baseline, then reports one finding per changed page', async () => {
+    const pricing = `${site.url}/pricing`;
+    const missing = `${site.url}/gone`;
+    const config = { competitors: [pricing, missing] };
+
+    const first = await competitorPages.adapter.fetch({ config, state: null });
+    assert.deepEqual(first.findings, []);
+    assert.deepEqual(Object.keys(first.state.pages), [pricing]);
+    assert.equal(first.errors.length, 1);
+    assert.match(first.errors[0], /\/gone/);
+
+    const unchanged = await competitorPages.adapter.fetch({ config, state: first.state });
+    assert.deepEqual(unchanged.findings, []);
+
+    site.pages['/pricing'] = AFTER;
+    const changed = await competitorPages.adapter.fetch({ config, state: unchanged.state });
+    assert.equal(changed.findings.length, 1);
+
+    const [finding] = changed.findings;
+    assert.equal(finding.severity, 'high');
+    assert.equal(finding.url, pricing);
+    assert.equal(finding.title,
+        'Rival Analytics - Pricing: Growth ₹1,499/month → ₹1,799/month (+20%), new Enterprise plan at ₹9,999/month, ' +
+        'Team plan removed, 2 new features, 1 feature removed');
+    assert.equal(finding.summary, 'New: Growth: API access; Daily reports\nRemoved: Weekly reports');
+    assert.equal(finding.data.kind, 'competitor-change');
+    assert.equal(changed.state.pages[pricing].prices[1].amount, 1799);
+});
@@ -0,0 +1,104 @@
+// Runtime configuration (lib/config.js): picking the profile, reading its
+// .env files and choosing which Razorpay keys it may use
+
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const helpers = require('./helpers');
+
+const dir = helpers.setup();
+
+const config = require('../lib/config');
+
+const RAZORPAY_VARIABLES = [
+    'RAZORPAY_KEY_ID', 'RAZORPAY_KEY_SECRET', 'RAZORPAY_WEBHOOK_SECRET',
+    'RAZORPAY_TEST_KEY_ID', 'RAZORPAY_TEST_KEY_SECRET', 'RAZORPAY_TEST_WEBHOOK_SECRET'
+];
+
+// Runs fn with only these Razorpay variables and profile settings set
+function withEnv(vars, fn) {
+    const names = [...RAZORPAY_VARIABLES, 'APP_ENV', 'VERCEL_ENV', 'NODE_ENV', ...Object.keys(vars)];
+    const saved = Object.fromEntries(names.map(name => [name, process.env[name]]));
+    names.forEach(name => delete process.env[name]);
+    Object.assign(process.env, vars);
+    try {
+        return fn();
+    } finally {
+        names.forEach(name => {
+            if (saved[name] === undefined) delete process.env[name];
+            else process.env[name] = saved[name];
+        });
+    }
+}
+
+const LIVE = { RAZORPAY_KEY_ID: 'rzp_live_real', RAZORPAY_KEY_SECRET: 'live_secret', RAZORPAY_WEBHOOK_SECRET: 'live_webhook' };
+const TEST = { RAZORPAY_TEST_KEY_ID: 'rzp_test_sandbox', RAZORPAY_TEST_KEY_SECRET: 'test_secret', RAZORPAY_TEST_WEBHOOK_SECRET: 'test_webhook' };
+
+test('the profile comes from APP_ENV, then VERCEL_ENV, then NODE_ENV', () => {
+    assert.equal(withEnv({ APP_ENV: 'staging', VERCEL_ENV: 'production' }, config.profile), 'staging');
+    assert.equal(withEnv({ VERCEL_ENV: 'preview' }, config.profile), 'staging');
+    assert.equal(withEnv({ VERCEL_ENV: 'production' }, config.profile), 'production');
+    assert.equal(withEnv({ NODE_ENV: 'production' }, config.profile), 'production');
+    assert.equal(withEnv({}, config.profile), 'development');
+    assert.throws(() => withEnv({ APP_ENV: 'prod' }, config.profile), /APP_ENV must be one of development, staging, production \(got "prod"\)/);
+});
+
+test('production uses the plain Razorpay keys', () => {
+    assert.deepEqual(withEnv({ APP_ENV: 'production', ...LIVE, ...TEST }, config.razorpay),
+        { keyId: 'rzp_live_real', keySecret: 'live_secret', webhookSecret: 'live_webhook', mode: 'live' });
+    assert.equal(withEnv({ APP_ENV: 'production', RAZORPAY_KEY_ID: 'rzp_test_early' }, config.razorpay).mode, 'test');
+    assert.equal(withEnv({ APP_ENV: 'production', ...TEST }, config.razorpay).keyId, null);
+});
+
+test('development and staging use the test keys and never a live one', () => {
+    ['development', 'staging'].forEach(profile => {
+        assert.deepEqual(withEnv({ APP_ENV: profile, ...LIVE, ...TEST }, config.razorpay),
+            { keyId: 'rzp_test_sandbox', keySecret: 'test_secret', webhookSecret: 'test_webhook', mode: 'test' }, profile);
+        assert.deepEqual(withEnv({ APP_ENV: profile, RAZORPAY_KEY_ID: 'rzp_test_plain', RAZORPAY_KEY_SECRET: 'plain_secret' }, config.razorpay),
+            { keyId: 'rzp_test_plain', keySecret: 'plain_secret', webhookSecret: null, mode: 'test' }, profile);
+    });
+
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+        const ignored = withEnv({ APP_ENV: 'staging', ...LIVE }, config.razorpay);
+        assert.deepEqual(ignored, { keyId: null, keySecret: null, webhookSecret: 'live_webhook', mode: 'test' });
+        withEnv({ APP_ENV: 'staging', ...LIVE }, config.razorpay);
+    } finally {
+        console.warn = warn;
+    }
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /Ignoring the live Razorpay key in staging/);
+});
+
+test('the public config carries the key id but no secret', () => {
+    const text = withEnv({ APP_ENV: 'production', ...LIVE }, () => JSON.stringify(config.publicConfig()));
+    const publicConfig = JSON.parse(text);
+    assert.equal(publicConfig.env, 'production');
+    assert.deepEqual(publicConfig.razorpay, { keyId: 'rzp_live_real', mode: 'live' });
+    assert.doesNotMatch(text, /live_secret|live_webhook/);
+});
+
+test('set variables win over .env.<profile>, which wins over .env', () => {
+    const root = path.join(dir, 'project');
+    fs.mkdirSync(root);
+    fs.writeFileSync(path.join(root, '.env'), 'APP_ENV=staging\nWEBSITE_URL=https://from-env.example.test\nSELLER_STATE=27\n');
+    fs.writeFileSync(path.join(root, '.env.staging'), 'WEBSITE_URL=https://staging.example.test/\nRAZORPAY_TEST_KEY_ID=rzp_test_staging\n');
+
+    const script = `const config = require(${JSON.stringify(require.resolve('../lib/config'))});
+        config.load(${JSON.stringify(root)});
+        console.log(JSON.stringify({ profile: config.profile(), nodeEnv: process.env.NODE_ENV, url: config.websiteUrl(),
+            seller: config.sellerState(), keyId: config.razorpay().keyId }));`;
+    const result = spawnSync(process.execPath, ['-e', script], {
+        encoding: 'utf8',
+        env: { PATH: process.env.PATH, SELLER_STATE: '29', DATA_DIR: path.join(dir, 'project-data') },
+        timeout: 30 * 1000
+    });
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(JSON.parse(result.stdout), {
+        profile: 'staging', nodeEnv: 'production', url: 'https://staging.example.test', seller: '29', keyId: 'rzp_test_staging'
+    });
+});
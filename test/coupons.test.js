@@ -0,0 +1,197 @@
+// Coupon codes (lib/coupons.js): how they discount a cart and when they
+// are refused; amounts are in paise
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+const catalog = require('../lib/catalog');
+const coupons = require('../lib/coupons');
+
+const line = (id, unitPrice, quantity = 1) => ({ id, title: id, unitPrice, quantity });
+const BUYER = { name: 'Asha Verma', email: 'asha@example.test', state: 'Rajasthan', country: 'IN' };
+
+let app;
+let razorpay;
+let sign;
+
+before(async () => {
+    razorpay = await helpers.mockRazorpay();
+    app = await helpers.startApp();
+    sign = helpers.googleKeys();
+});
+
+after(async () => {
+    await app.close();
+    await razorpay.close();
+});
+
+test('a percent coupon comes off every eligible line', () => {
+    const coupon = { code: 'TEST10', type: 'percent', value: 10, plans: ['bi-consulting'] };
+    const lines = catalog.buildLines([{ id: 'bi-consulting', quantity: 2 }, { id: 'training', quantity: 1 }]);
+    const discounted = coupons.discountLines(coupon, lines);
+    assert.deepEqual(discounted.map(entry => entry.discount), [100000, undefined]);
+});
+
+test('a fixed coupon is split across eligible lines in proportion, to the paisa', () => {
+    const coupon = { code: 'TEST', type: 'fixed', value: 100, values: { USD: 2 } };
+    const lines = [line('a', 10000), line('b', 10000), line('c', 10000)];
+
+    const discounted = coupons.discountLines(coupon, lines);
+    assert.deepEqual(discounted.map(entry => entry.discount), [3333, 3334, 3333]);
+    assert.equal(discounted.reduce((sum, entry) => sum + entry.discount, 0), 10000);
+
+    // Never more than the eligible lines are worth, less the ₹1 Razorpay charges at least
+    assert.deepEqual(coupons.discountLines(coupon, [line('a', 4000)]).map(entry => entry.discount), [3900]);
+    assert.deepEqual(coupons.discountLines(coupon, [line('a', 4000), line('b', 500)]).map(entry => entry.discount), [3911, 489]);
+    // Other currencies use their own amount
+    assert.deepEqual(coupons.discountLines(coupon, [line('a', 1000)], 'USD').map(entry => entry.discount), [200]);
+});
+
+test('codes are saved by admins, normalized and checked', async () => {
+    const saved = await coupons.save({ code: ' launch20 ', type: 'percent', value: 20, description: 'Launch' });
+    assert.equal(saved.code, 'LAUNCH20');
+    assert.equal((await coupons.getCoupon('Launch20')).value, 20);
+
+    const invalid = async (input, field) => {
+        await assert.rejects(coupons.save(input), error => {
+            assert.equal(error.status, 400);
+            assert.equal(error.field, field);
+            return true;
+        });
+    };
+    await invalid({ code: 'NO SPACES', type: 'percent', value: 5 }, 'code');
+    await invalid({ code: 'TOOMUCH', type: 'percent', value: 150 }, 'value');
+    await invalid({ code: 'BADPLAN', type: 'percent', value: 5, plans: ['nope'] }, 'plans.0');
+    await invalid({ code: 'BADDATE', type: 'percent', value: 5, expiresAt: 'next week' }, 'expiresAt');
+    await invalid({ code: 'BACKWARDS', type: 'percent', value: 5, startsAt: '2026-02-01', expiresAt: '2026-01-01' }, 'expiresAt');
+
+    await coupons.remove('launch20');
+    assert.equal(await coupons.getCoupon('LAUNCH20'), null);
+    await assert.rejects(coupons.remove('LAUNCH20'), error => error.status === 404);
+});
+
+test('a priced cart applies the coupon before GST', async () => {
+    await coupons.save({ code: 'QUARTER', type: 'percent', value: 25 });
+    const quote = await coupons.priceCart([{ id: 'custom-integration', quantity: 1 }], { state: 'Karnataka' }, {
+        code: ' quarter '
+    });
+    assert.equal(quote.coupon.code, 'QUARTER');
+    assert.equal(quote.discount, 625000);
+    assert.equal(quote.subtotal, 1875000);
+    assert.equal(quote.gst, 337500);
+    assert.equal(quote.total, 2212500);
+});
+
+test('unknown, expired and inapplicable codes are refused on the coupon field', async () => {
+    await coupons.save({ code: 'SPRING', type: 'percent', value: 10, expiresAt: '2026-06-01T00:00:00+05:30' });
+    await coupons.save({ code: 'SERVICES', type: 'fixed', value: 500, plans: ['training'] });
+    const lines = catalog.buildLines([{ id: 'extension-premium', quantity: 1 }]);
+    const refused = async (code, options, message) => {
+        await assert.rejects(coupons.validate(code, lines, options), error => {
+            assert.equal(error.status, 400);
+            assert.equal(error.field, 'coupon');
+            assert.equal(error.message, message);
+            return true;
+        });
+    };
+    await refused('NOPE', {}, 'NOPE is not a valid code');
+    await refused('', {}, 'Enter a coupon code');
+    await refused('SPRING', { at: new Date('2026-07-01') }, 'SPRING has expired');
+    await refused('SERVICES', {}, 'SERVICES does not apply to the items in your cart');
+
+    await coupons.save({ code: 'RUPEES', type: 'fixed', value: 10 });
+    await assert.rejects(coupons.validate('RUPEES', catalog.buildLines([{ id: 'extension-premium', quantity: 1 }], 'USD'), { currency: 'USD' }),
+        { message: 'RUPEES can only be used when paying in INR' });
+});
+
+test('per-customer limits count uses by the signed-in account, not a typed email', async () => {
+    await coupons.save({ code: 'ONCE', type: 'percent', value: 10, maxPerCustomer: 1 });
+    const lines = catalog.buildLines([{ id: 'training', quantity: 1 }]);
+    const asha = { id: 'google-asha', email: 'asha@example.test' };
+    const ravi = { id: 'google-ravi', email: 'ravi@example.test' };
+
+    // The cart preview lets anyone see the discount; charging needs a sign-in
+    assert.equal((await coupons.validate('ONCE', lines, { partial: true })).code, 'ONCE');
+    await assert.rejects(coupons.validate('ONCE', lines), { message: 'Sign in to use ONCE' });
+
+    await coupons.redeem({ code: 'ONCE', userId: asha.id, email: 'another-address@example.test', orderId: 'order_1', paymentId: 'pay_1', discount: 150000 });
+    await assert.rejects(coupons.validate('ONCE', lines, { user: asha }), { message: 'You have already used ONCE' });
+    assert.equal((await coupons.validate('ONCE', lines, { user: ravi })).code, 'ONCE');
+
+    const [listed] = (await coupons.list()).filter(coupon => coupon.code === 'ONCE');
+    assert.equal(listed.redemptions, 1);
+});
+
+test('a 100% code still leaves the smallest amount Razorpay will charge', async () => {
+    await coupons.save({ code: 'FREE', type: 'percent', value: 100 });
+    const quote = await coupons.priceCart([{ id: 'extension-premium', quantity: 1 }], { state: 'Rajasthan' }, { code: 'FREE' });
+    assert.equal(quote.subtotal, 100);
+    assert.equal(quote.total, 118);
+
+    // Below the cap, every line gets exactly its percentage
+    const half = coupons.discountLines({ code: 'HALF', type: 'percent', value: 50 }, [line('a', 333), line('b', 1001)]);
+    assert.deepEqual(half.map(entry => entry.discount), [167, 501]);
+});
+
+test('concurrent orders cannot take a limited code past its total uses', async () => {
+    await coupons.save({ code: 'LAST2', type: 'percent', value: 10, maxRedemptions: 2 });
+    const results = await Promise.allSettled(['order_a', 'order_b', 'order_c'].map(orderId =>
+        coupons.reserve({ code: 'LAST2', email: 'buyer@example.test', orderId })));
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected']);
+    assert.equal(results[2].reason.message, 'LAST2 has been fully redeemed');
+
+    // Reservations are not paid uses yet, but the preview sees the code taken
+    assert.equal((await coupons.list()).find(coupon => coupon.code === 'LAST2').redemptions, 0);
+    const lines = catalog.buildLines([{ id: 'training', quantity: 1 }]);
+    await assert.rejects(coupons.validate('LAST2', lines), { message: 'LAST2 has been fully redeemed' });
+
+    await coupons.redeem({ code: 'LAST2', orderId: 'order_a', paymentId: 'pay_a', discount: 150000 });
+    await coupons.redeem({ code: 'LAST2', orderId: 'order_a', paymentId: 'pay_a', discount: 150000 });
+    assert.equal((await coupons.list()).find(coupon => coupon.code === 'LAST2').redemptions, 1);
+
+    // An abandoned order's reservation lapses
+    const later = new Date(Date.now() + 31 * 60 * 1000);
+    assert.equal((await coupons.validate('LAST2', lines, { at: later })).code, 'LAST2');
+});
+
+test('admins manage coupon codes, and limited codes need the buyer signed in', async () => {
+    process.env.ADMIN_EMAILS = 'owner@example.test';
+    const code = { code: 'FIRSTBUY', type: 'percent', value: 10, firstPurchaseOnly: true };
+    const items = [{ id: 'training', quantity: 1 }];
+
+    const shopper = await helpers.signIn(app, sign, { sub: 'google-ravi', email: 'ravi@example.test' });
+    assert.equal((await shopper('/api/admin/coupons', { method: 'POST', body: code })).status, 403);
+
+    const admin = await helpers.signIn(app, sign, { sub: 'google-owner', email: 'owner@example.test' });
+    const saved = await admin('/api/admin/coupons', { method: 'POST', body: code });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    assert.ok(saved.body.coupons.some(coupon => coupon.code === 'FIRSTBUY' && coupon.redemptions === 0));
+
+    const preview = await app.request('/api/coupon/validate', { method: 'POST', body: { code: 'firstbuy', items } });
+    assert.equal(preview.body.sign_in_required, true);
+
+    const anonymous = await app.request('/api/order', { method: 'POST', body: { items, coupon: 'FIRSTBUY', customer: BUYER } });
+    assert.equal(anonymous.status, 400);
+    assert.equal(anonymous.body.error, 'Sign in to use FIRSTBUY');
+
+    // Asha has bought before; typing a new email does not hide it
+    const asha = await helpers.signIn(app, sign, { sub: 'google-asha', email: 'asha@example.test' });
+    const first = await asha('/api/order', { method: 'POST', body: { items, customer: BUYER } });
+    await app.request('/api/verify', { method: 'POST', body: helpers.checkoutResponse(first.body.order_id) });
+    const repeat = await asha('/api/order', {
+        method: 'POST',
+        body: { items, coupon: 'FIRSTBUY', customer: { ...BUYER, email: 'fresh@example.test' } }
+    });
+    assert.equal(repeat.body.error, 'FIRSTBUY is only for first purchases');
+
+    const order = await shopper('/api/order', { method: 'POST', body: { items, coupon: 'FIRSTBUY', customer: BUYER } });
+    assert.equal(order.status, 200, JSON.stringify(order.body));
+    assert.equal(order.body.coupon, 'FIRSTBUY');
+    assert.equal(order.body.discount, 1500);
+
+    const removed = await admin('/api/admin/coupons?code=FIRSTBUY', { method: 'DELETE' });
+    assert.ok(!removed.body.coupons.some(coupon => coupon.code === 'FIRSTBUY'));
+});
@@ -0,0 +1,84 @@
+// Charging in USD and EUR: the fixed price list (lib/catalog.js), the
+// shopper's display currency (assets/js/currency.js) and the order API
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+const Currency = require('../assets/js/currency');
+const catalog = require('../lib/catalog');
+
+const ABROAD = { name: 'Jane Roe', email: 'jane@example.test', country: 'US', state: 'CA' };
+
+let app;
+let razorpay;
+
+before(async () => {
+    razorpay = await helpers.mockRazorpay();
+    app = await helpers.startApp();
+});
+
+after(async () => {
+    await app.close();
+    await razorpay.close();
+});
+
+test('the display currency is guessed from the time zone, then the locale', () => {
+    assert.equal(Currency.detect({ timeZone: 'Asia/Calcutta', locales: ['en-US'] }), 'INR');
+    assert.equal(Currency.detect({ timeZone: 'Europe/Berlin', locales: ['en-IN'] }), 'INR');
+    assert.equal(Currency.detect({ locales: ['de-AT', 'en'] }), 'EUR');
+    assert.equal(Currency.detect({ locales: ['fr'] }), 'EUR');
+    assert.equal(Currency.detect({ locales: ['fr-CA'] }), 'USD');
+    assert.equal(Currency.detect({ locales: [] }), 'USD');
+    assert.equal(Currency.normalize(' eur '), 'EUR');
+    assert.equal(Currency.normalize('GBP'), null);
+});
+
+test('a cart holding a monthly plan is shown in INR whatever is chosen', () => {
+    const priceList = Object.fromEntries(catalog.listProducts().map(product =>
+        [product.id, { id: product.id, prices: catalog.priceList(product) }]));
+    assert.deepEqual(priceList['custom-integration'].prices, { INR: 25000, USD: 349, EUR: 319 });
+    assert.deepEqual(priceList['extension-pro'].prices, { INR: 1299 });
+
+    const services = [{ id: 'training', price: 15000, quantity: 1 }];
+    assert.equal(Currency.forCart(services, 'EUR', priceList), 'EUR');
+    assert.equal(Currency.priceOf(services[0], 'EUR', priceList), 179);
+    assert.equal(Currency.forCart([...services, { id: 'extension-pro', price: 1299, quantity: 1 }], 'EUR', priceList), 'INR');
+});
+
+test('buyers abroad are charged the listed foreign price, zero-rated', async () => {
+    const response = await app.request('/api/order', {
+        method: 'POST',
+        body: { items: [{ id: 'training', quantity: 2 }], customer: ABROAD, currency: 'usd', amount: 398 }
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.currency, 'USD');
+    assert.equal(response.body.amount, 39800);
+    assert.equal(response.body.tax.supply_type, 'export');
+    assert.deepEqual(razorpay.requests.at(-1).body.currency, 'USD');
+});
+
+test('foreign currencies are refused for Indian addresses, monthly plans and unknown codes', async () => {
+    const order = body => app.request('/api/order', { method: 'POST', body: { items: [{ id: 'training', quantity: 1 }], ...body } });
+
+    const domestic = await order({ customer: { ...ABROAD, country: 'IN', state: 'Goa' }, currency: 'EUR' });
+    assert.equal(domestic.status, 400);
+    assert.equal(domestic.body.error, 'Billing addresses in India are charged in INR');
+
+    const pounds = await order({ customer: ABROAD, currency: 'GBP' });
+    assert.equal(pounds.body.error, 'Unsupported currency: GBP');
+
+    assert.throws(() => catalog.buildLines([{ id: 'extension-pro', quantity: 1 }], 'USD'),
+        { message: 'Chrome Extension - Pro Plan is only sold in INR' });
+});
+
+test('the storefront price list comes from the same catalog', async () => {
+    const response = await app.request('/api/catalog');
+    assert.deepEqual(response.body.currencies, ['INR', 'USD', 'EUR']);
+    const training = response.body.products.find(product => product.id === 'training');
+    assert.deepEqual(training.prices, { INR: 15000, USD: 199, EUR: 179 });
+    assert.equal(Currency.formatPrice(349, 'USD'), '$349');
+    assert.equal(Currency.formatPrice(25000, 'INR'), '₹25,000');
+});
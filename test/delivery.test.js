@@ -0,0 +1,238 @@
+// Alert delivery (lib/delivery.js, lib/channels.js) over email and Slack,
+// against a local SMTP server and Slack webhook
+
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const { test, before, after } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+const channels = require('../lib/channels');
+const delivery = require('../lib/delivery');
+const store = require('../lib/store');
+
+const USER = { id: 'google-asha', email: 'asha@example.test', name: 'Asha Verma', role: null };
+
+// The decoded text/plain part of a message built by lib/smtp.js
+function plainText(data) {
+    const match = data.match(/Content-Type: text\/plain[^\n]*\n(?:[^\n]+\n)*\n([\s\S]*?)\n--/);
+    return match ? Buffer.from(match[1].replace(/\s+/g, ''), 'base64').toString('utf8') : '';
+}
+
+// An SMTP server that accepts every message; `messages` holds
+// { from, to, data, text } in arrival order
+async function smtpSink() {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let message = null;
+        let reading = false;
+        socket.write('220 sink ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (reading) {
+                    if (line === '.') {
+                        reading = false;
+                        messages.push({ ...message, text: plainText(message.data) });
+                        socket.write('250 Queued\r\n');
+                    } else {
+                        message.data += `${line.replace(/^\./, '')}\n`;
+                    }
+                } else if (/^EHLO/i.test(line)) {
+                    socket.write('250-sink\r\n250 8BITMIME\r\n');
+                } else if (/^MAIL FROM:/i.test(line)) {
+                    message = { from: line.slice(10).replace(/[<>]/g, ''), to: [], data: '' };
+                    socket.write('250 OK\r\n');
+                } else if (/^RCPT TO:/i.test(line)) {
+                    message.to.push(line.slice(8).replace(/[<>]/g, ''));
+                    socket.write('250 OK\r\n');
+                } else if (/^DATA/i.test(line)) {
+                    reading = true;
+                    socket.write('354 End with .\r\n');
+                } else if (/^QUIT/i.test(line)) {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('502 Not implemented\r\n');
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+    const sink = await helpers.listen(server);
+    const { port } = server.address();
+    Object.assign(process.env, { SMTP_HOST: '127.0.0.1', SMTP_PORT: String(port), SMTP_FROM: 'alerts@example.test' });
+    return { ...sink, messages };
+}
+
+// A Slack incoming webhook; `posts` holds the parsed bodies. status() sets
+// the status code of later replies (Slack answers 404 for revoked hooks).
+async function slackSink() {
+    const posts = [];
+    let status = 200;
+    const server = http.createServer(async (req, res) => {
+        posts.push(JSON.parse(await helpers.readBody(req)));
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(status === 200 ? 'ok' : 'no_service');
+    });
+    const sink = await helpers.listen(server);
+    return { ...sink, webhookUrl: `${sink.url}/services/T000/B000/fixture`, posts, status: code => { status = code; } };
+}
+
+let smtp;
+let slack;
+
+before(async () => {
+    smtp = await smtpSink();
+    slack = await slackSink();
+    await store.collection('users').put(USER.id, USER);
+});
+
+after(async () => {
+    await smtp.close();
+    await slack.close();
+});
+
+test('a test alert is emailed to the account address', async () => {
+    const [record] = await delivery.sendTest(USER, { channels: ['email'] });
+    assert.equal(record.status, 'sent');
+    assert.equal(record.kind, 'test');
+
+    const message = smtp.messages.at(-1);
+    assert.equal(message.from, 'alerts@example.test');
+    assert.deepEqual(message.to, ['asha@example.test']);
+    assert.match(message.data, /^Subject: Test alert from your Shadow Market Tracker/m);
+    assert.match(message.data, /multipart\/alternative/);
+    assert.match(message.text, /Your alerts are set up\nThis is a test message/);
+});
+
+test('Slack gets blocks through the saved webhook, which is never shown in full', async () => {
+    const listed = await channels.save(USER, 'slack', { webhookUrl: slack.webhookUrl });
+    assert.equal(listed.slack.ready, true);
+    assert.ok(!JSON.stringify(listed).includes(slack.webhookUrl));
+
+    const [record] = await delivery.sendTest(USER, { channels: ['slack'] });
+    assert.equal(record.status, 'sent');
+
+    const post = slack.posts.at(-1);
+    assert.equal(post.text, 'Test alert from your Shadow Market Tracker');
+    assert.equal(post.blocks[0].type, 'header');
+    assert.match(post.blocks[1].text.text, /\|Your alerts are set up>\*/);
+});
+
+test('a revoked Slack webhook is dead-lettered, not retried', async () => {
+    slack.status(404);
+    try {
+        const [record] = await delivery.sendTest(USER, { channels: ['slack'] });
+        assert.equal(record.status, 'dead');
+        assert.equal(record.lastError, 'Slack responded 404: no_service');
+
+        const [dead] = await delivery.history(USER.id, { status: 'dead' });
+        assert.equal(dead.id, record.id);
+    } finally {
+        slack.status(200);
+    }
+});
+
+test('a Slack outage is worth retrying', async () => {
+    slack.status(503);
+    try {
+        await assert.rejects(channels.send(USER, 'slack', {
+            subject: 'Retry me',
+            heading: 'Retry me',
+            items: [],
+            url: 'http://localhost:3000/'
+        }), error => error.message.startsWith('Slack responded 503') && !error.permanent);
+    } finally {
+        slack.status(200);
+    }
+});
+
+test('channels that cannot send are skipped', async () => {
+    await channels.remove(USER, 'slack');
+    const [record] = await delivery.sendTest(USER, { channels: ['slack'] });
+    assert.equal(record.status, 'skipped');
+    assert.equal(record.lastError, 'Connect a Slack incoming webhook first');
+
+    await assert.rejects(delivery.sendTest(USER, { channels: ['pigeon'] }), error => error.status === 400);
+});
+
+test('another email address is only used once it is confirmed from the link mailed to it', async () => {
+    const listed = await channels.save(USER, 'email', { address: 'Team@Example.test' });
+    assert.deepEqual(listed.email, {
+        title: 'Email',
+        address: 'team@example.test',
+        custom: true,
+        confirmed: false,
+        ready: false,
+        missing: 'Confirm team@example.test from the link we emailed to it first'
+    });
+
+    const confirmation = smtp.messages.at(-1);
+    assert.deepEqual(confirmation.to, ['team@example.test']);
+    const link = new URL(confirmation.text.match(/https?:\/\/\S+/)[0]);
+    assert.equal(link.pathname, '/api/delivery/confirm');
+
+    // Nothing but the confirmation goes there yet
+    const sent = smtp.messages.length;
+    const [skipped] = await delivery.sendTest(USER, { channels: ['email'] });
+    assert.equal(skipped.status, 'skipped');
+    assert.equal(smtp.messages.length, sent);
+
+    // Saving again within minutes does not mail another link
+    await channels.save(USER, 'email', { address: 'team@example.test' });
+    assert.equal(smtp.messages.length, sent);
+
+    await assert.rejects(channels.confirmEmail(USER.id, 'forged'), error => error.status === 400);
+    await assert.rejects(channels.confirmEmail('someone-else', link.searchParams.get('token')), error => error.status === 400);
+    assert.equal(await channels.confirmEmail(link.searchParams.get('user'), link.searchParams.get('token')), 'team@example.test');
+    await assert.rejects(channels.confirmEmail(USER.id, link.searchParams.get('token')), error => error.status === 400);
+
+    const [record] = await delivery.sendTest(USER, { channels: ['email'] });
+    assert.equal(record.status, 'sent');
+    assert.deepEqual(smtp.messages.at(-1).to, ['team@example.test']);
+
+    // Back to the account address, which Google has verified
+    const reset = await channels.save(USER, 'email', { address: USER.email });
+    assert.equal(reset.email.custom, false);
+    assert.equal(reset.email.ready, true);
+});
+
+test('confirmation links are limited per account, however often the address changes', async () => {
+    const limited = await (async () => {
+        for (let index = 0; index < 10; index++) {
+            try {
+                await channels.save(USER, 'email', { address: `someone${index}@example.test` });
+                await channels.remove(USER, 'email');
+            } catch (error) {
+                return error;
+            }
+        }
+        return null;
+    })();
+    assert.ok(limited, 'a save was refused');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.field, 'address');
+    await channels.remove(USER, 'email');
+});
+
+test('test alerts are limited per hour', async () => {
+    const refused = await (async () => {
+        for (let index = 0; index < 20; index++) {
+            try {
+                await delivery.sendTest(USER, { channels: ['email'] });
+            } catch (error) {
+                return error;
+            }
+        }
+        return null;
+    })();
+    assert.ok(refused, 'a test was refused');
+    assert.equal(refused.status, 429);
+    assert.match(refused.message, /^Too many test alerts; try again in \d+ minutes?$/);
+});
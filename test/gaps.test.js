@@ -0,0 +1,95 @@
+// Gap Finder scoring (lib/gaps.js): factor weights, missing signals,
+// merged datasets and the market size and region filters
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+const gaps = require('../lib/gaps');
+
+const EMPTY = {
+    searchVolume: null, searchGrowth: null, complaints: null, reviews: null,
+    competitors: null, fundingRounds: null, marketSize: null
+};
+
+function gap(signals) {
+    return { id: 'gap', niche: 'Invoice automation for clinics', region: 'india', datasets: ['test'], ...EMPTY, ...signals };
+}
+
+test('the factor weights add up to 100', () => {
+    assert.equal(gaps.FACTORS.reduce((sum, factor) => sum + factor.weight, 0), 100);
+});
+
+test('a gap strong on every signal scores 100 and says which signal is missing', () => {
+    const report = gaps.scoreGap(gap({
+        searchVolume: 1e6, searchGrowth: 150, complaints: 60, reviews: 100, competitors: 0, fundingRounds: 5, marketSize: 5e7
+    }), {});
+
+    assert.equal(report.score, 100);
+    assert.equal(report.grade, 'Strong');
+    assert.deepEqual(report.missing, ['Fit with your expertise']);
+    assert.equal(report.revenuePotential, 500000);
+    assert.equal(report.factors.find(factor => factor.id === 'pain').explanation,
+        '60% of 100 reviews are complaints (50% or more scores full marks)');
+});
+
+test('the weights of missing factors are shared out among the ones with data', () => {
+    const report = gaps.scoreGap(gap({ searchVolume: 999 }), {});
+    assert.equal(report.score, 50);
+    assert.deepEqual(report.factors.map(factor => [factor.id, factor.normalized, factor.points]), [['demand', 0.5, 50]]);
+    assert.equal(report.missing.length, 5);
+    assert.equal(report.revenuePotential, null);
+
+    // 25 : 15 weights, so demand at full marks is 62.5 of the 100 points
+    const mixed = gaps.scoreGap(gap({ searchVolume: 1e6, competitors: 50 }), {});
+    assert.deepEqual(mixed.factors.map(factor => factor.points), [62.5, 0]);
+    assert.equal(mixed.score, 63);
+    assert.equal(mixed.summary, 'Driven by search demand; held back by low competition.');
+});
+
+test('funding peaks at a few rounds and expertise counts only when listed', () => {
+    const funding = rounds => gaps.scoreGap(gap({ fundingRounds: rounds }), {}).factors[0].normalized;
+    assert.deepEqual([0, 5, 22.5, 40, 90].map(funding), [0, 1, 0.5, 0, 0]);
+
+    const fit = gaps.scoreGap(gap({ searchVolume: 999 }), { expertise: ['clinics'] });
+    assert.deepEqual(fit.factors.map(factor => [factor.id, factor.normalized]), [['demand', 0.5], ['fit', 1]]);
+    assert.equal(fit.factors[1].explanation, 'Matches your expertise in clinics');
+    assert.equal(gaps.scoreGap(gap({ searchVolume: 999 }), { expertise: ['clinic'] }).factors[1].normalized, 0);
+});
+
+test('imported datasets merge by niche and region, newest first, and respect the filters', async () => {
+    const userId = 'google-gaps';
+    await gaps.importDataset(userId, {
+        name: 'Keyword planner',
+        data: 'Keyword,Country,Avg. monthly searches,YoY\nClinic billing software,IN,"12,400",45%\nDental CRM,US,900,-5%\n,IN,100,1%'
+    });
+    const reviews = await gaps.importDataset(userId, {
+        name: 'Reviews',
+        data: [
+            { niche: 'clinic billing software', region: 'India', complaints: 30, reviews: 120, 'Market size': '$250M' },
+            { niche: 'Dental CRM', region: 'usa', competitors: 45, marketSize: '2.3B' }
+        ]
+    });
+    assert.equal(reviews.rowCount, 2);
+    assert.equal(reviews.rows, undefined);
+
+    const all = await gaps.score(userId, { region: 'global', marketSize: 'any' });
+    const billing = all.gaps.find(report => report.region === 'india');
+    assert.equal(all.gaps.length, 2);
+    assert.equal(billing.niche, 'clinic billing software');
+    assert.deepEqual(billing.datasets, ['Reviews', 'Keyword planner']);
+    assert.equal(billing.signals.searchVolume, 12400);
+    assert.equal(billing.signals.searchGrowth, 45);
+    assert.equal(billing.signals.marketSize, 250000000);
+
+    const india = await gaps.score(userId, { region: 'india', marketSize: '100m-1b' });
+    assert.deepEqual(india.gaps.map(report => report.id), [billing.id]);
+    assert.deepEqual(india.excluded, { marketSize: 0, region: 1 });
+    assert.deepEqual((await gaps.score(userId, { marketSize: '1m-10m' })).excluded, { marketSize: 2, region: 0 });
+
+    await assert.rejects(gaps.importDataset(userId, { name: 'Empty', data: 'Keyword,Notes\nclinics,none' }),
+        { status: 400, field: 'data' });
+    await assert.rejects(gaps.removeDataset('google-someone-else', reviews.id), { status: 404 });
+});
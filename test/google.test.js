@@ -0,0 +1,59 @@
+// Google ID token verification (lib/google.js) against a fixture key set
+
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { test } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+const google = require('../lib/google');
+
+const sign = helpers.googleKeys();
+const CLAIMS = { sub: '1234567890', email: 'buyer@example.test', name: 'Buyer' };
+
+async function rejected(token, message, options) {
+    await assert.rejects(google.verifyIdToken(token, options), error => {
+        assert.equal(error.status, 401);
+        assert.equal(error.message, message);
+        return true;
+    });
+}
+
+test('a token signed with a key from the set is accepted', async () => {
+    const claims = await google.verifyIdToken(sign(CLAIMS));
+    assert.equal(claims.sub, CLAIMS.sub);
+    assert.equal(claims.email, CLAIMS.email);
+
+    // Older tokens say "true"
+    assert.equal((await google.verifyIdToken(sign({ ...CLAIMS, email_verified: 'true' }))).sub, CLAIMS.sub);
+});
+
+test('the signature must come from the named key', async () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    await rejected(sign(CLAIMS, { key: privateKey }), 'Invalid Google credential signature');
+    await rejected(sign(CLAIMS, { keyId: 'rotated-away' }), 'Google credential signed with an unknown key');
+
+    const [header, payload, signature] = sign(CLAIMS).split('.');
+    const tampered = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), email: 'admin@example.test' }));
+    await rejected(`${header}.${tampered.toString('base64url')}.${signature}`, 'Invalid Google credential signature');
+});
+
+test('issuer, audience, expiry and email verification are checked', async () => {
+    await rejected(sign({ ...CLAIMS, iss: 'https://evil.example' }), 'Google credential has the wrong issuer');
+    await rejected(sign({ ...CLAIMS, aud: 'another-app.apps.googleusercontent.com' }),
+        'Google credential was issued for another application');
+    await rejected(sign(CLAIMS), 'Google credential has expired', { now: Date.now() + 2 * 3600 * 1000 });
+    await rejected(sign(CLAIMS), 'Google credential is not valid yet', { now: Date.now() - 3600 * 1000 });
+    await rejected(sign({ ...CLAIMS, email_verified: false }), 'Google account email is not verified');
+});
+
+test('anything that is not an RS256 JWT is malformed', async () => {
+    await rejected('', 'Malformed Google credential');
+    await rejected('a.b', 'Malformed Google credential');
+    await rejected('!!.@@.##', 'Malformed Google credential');
+
+    const [, payload, signature] = sign(CLAIMS).split('.');
+    const none = Buffer.from(JSON.stringify({ alg: 'none', kid: 'fixture-key' })).toString('base64url');
+    await rejected(`${none}.${payload}.${signature}`, 'Unsupported Google credential');
+});
@@ -0,0 +1,216 @@
+// Shared test setup
+// Every test file runs in its own process (node --test), so each one calls
+// setup() first: a fresh DATA_DIR, the development profile with test keys,
+// and nothing read from the developer's .env files. Razorpay's REST API
+// (RAZORPAY_API_BASE) and Google's key set (GOOGLE_JWKS_FILE) are stood in
+// for below; servers listen on an ephemeral port of 127.0.0.1.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const GOOGLE_CLIENT_ID = 'test-client.apps.googleusercontent.com';
+
+function setup() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smt-test-'));
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    Object.assign(process.env, {
+        APP_ENV: 'development',
+        NODE_ENV: 'test',
+        DATA_DIR: path.join(dir, 'data'),
+        RAZORPAY_TEST_KEY_ID: 'rzp_test_fixture',
+        RAZORPAY_TEST_KEY_SECRET: 'fixture_secret',
+        RAZORPAY_TEST_WEBHOOK_SECRET: 'fixture_webhook_secret',
+        GOOGLE_CLIENT_ID,
+        GOOGLE_JWKS_FILE: path.join(dir, 'jwks.json')
+    });
+    ['VERCEL', 'RAZORPAY_KEY_ID', 'RAZORPAY_KEY_SECRET', 'SMTP_HOST', 'SMTP_USER', 'WEBSITE_URL']
+        .forEach(name => delete process.env[name]);
+    // Skips .env and .env.development, which may hold real keys
+    require('../lib/config').load(dir);
+    return dir;
+}
+
+// Starts server on an ephemeral port; resolves to { url, close }
+function listen(server) {
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}`,
+                close: () => new Promise(done => {
+                    if (server.closeAllConnections) server.closeAllConnections();
+                    server.close(() => done());
+                })
+            });
+        });
+    });
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// A JSON HTTP client with a cookie jar, for the app's own API
+function client(base) {
+    const cookies = new Map();
+    return async function request(pathname, { method = 'GET', body, raw, headers = {} } = {}) {
+        const response = await fetch(`${base}${pathname}`, {
+            method,
+            headers: {
+                ...(body !== undefined || raw !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(cookies.size ? { Cookie: Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; ') } : {}),
+                ...headers
+            },
+            body: raw !== undefined ? raw : body !== undefined ? JSON.stringify(body) : undefined
+        });
+        (response.headers.getSetCookie ? response.headers.getSetCookie() : []).forEach(cookie => {
+            const [pair] = cookie.split(';');
+            const index = pair.indexOf('=');
+            cookies.set(pair.slice(0, index), pair.slice(index + 1));
+        });
+        const type = response.headers.get('content-type') || '';
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: type.includes('json') ? await response.json() : Buffer.from(await response.arrayBuffer())
+        };
+    };
+}
+
+// The app itself; resolves to { url, request, close }
+async function startApp() {
+    const { createServer } = require('../server');
+    const app = await listen(createServer());
+    return { ...app, request: client(app.url) };
+}
+
+// Razorpay's Orders, Subscriptions and Refunds APIs, enough for the app;
+// `requests` records every call as { method, path, body }. refuse(pattern)
+// fails the next call whose path matches, as Razorpay does with a 400.
+async function mockRazorpay() {
+    const requests = [];
+    const refusals = [];
+    let counter = 0;
+    const next = prefix => `${prefix}_mock${++counter}`;
+    const server = http.createServer(async (req, res) => {
+        const text = await readBody(req);
+        const body = text ? JSON.parse(text) : {};
+        const { pathname } = new URL(req.url, 'http://localhost');
+        requests.push({ method: req.method, path: pathname, body });
+
+        const reply = (status, data) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(data));
+        };
+        const refused = refusals.findIndex(pattern => pattern.test(pathname));
+        if (refused !== -1) {
+            refusals.splice(refused, 1);
+            return reply(400, { error: { code: 'BAD_REQUEST_ERROR', description: 'Refused by the test' } });
+        }
+        const subscription = pathname.match(/^\/v1\/subscriptions\/([^/]+)(\/cancel)?$/);
+        const refund = pathname.match(/^\/v1\/payments\/([^/]+)\/refund$/);
+
+        if (req.method === 'POST' && pathname === '/v1/orders') {
+            return reply(200, { id: next('order'), entity: 'order', status: 'created', ...body });
+        }
+        if (req.method === 'POST' && pathname === '/v1/plans') return reply(200, { id: next('plan'), ...body });
+        if (req.method === 'POST' && pathname === '/v1/subscriptions') {
+            return reply(200, { id: next('sub'), status: 'created', short_url: 'https://rzp.io/mock', ...body });
+        }
+        if (subscription && req.method === 'PATCH') return reply(200, { id: subscription[1], status: 'active', ...body });
+        if (subscription && subscription[2] && req.method === 'POST') {
+            return reply(200, { id: subscription[1], status: 'active', ...body });
+        }
+        if (refund && req.method === 'POST') {
+            return reply(200, { id: next('rfnd'), payment_id: refund[1], status: 'processed', ...body });
+        }
+        reply(400, { error: { code: 'BAD_REQUEST_ERROR', description: `No mock for ${req.method} ${pathname}` } });
+    });
+    const mock = await listen(server);
+    process.env.RAZORPAY_API_BASE = `${mock.url}/v1`;
+    return { ...mock, requests, refuse: pattern => refusals.push(pattern) };
+}
+
+function hmacHex(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+// What Razorpay Checkout hands the browser after a successful payment
+function checkoutResponse(orderId, paymentId = `pay_${crypto.randomBytes(6).toString('hex')}`) {
+    return {
+        razorpay_order_id: orderId,
+        razorpay_payment_id: paymentId,
+        razorpay_signature: hmacHex(process.env.RAZORPAY_TEST_KEY_SECRET, `${orderId}|${paymentId}`)
+    };
+}
+
+// A signed webhook delivery: { raw, headers } for client().request
+function webhookDelivery(event, id = `evt_${crypto.randomBytes(6).toString('hex')}`) {
+    const raw = JSON.stringify(event);
+    return {
+        raw,
+        headers: {
+            'X-Razorpay-Signature': hmacHex(process.env.RAZORPAY_TEST_WEBHOOK_SECRET, raw),
+            'X-Razorpay-Event-Id': id
+        }
+    };
+}
+
+// Writes a key set to GOOGLE_JWKS_FILE and returns sign(claims), which
+// makes an ID token as Google would with that key
+function googleKeys(kid = 'fixture-key') {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwk = { ...privateKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' };
+    fs.writeFileSync(process.env.GOOGLE_JWKS_FILE, JSON.stringify({ keys: [jwk] }));
+
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return function sign(claims, { key = privateKey, keyId = kid } = {}) {
+        const seconds = Math.floor(Date.now() / 1000);
+        const header = encode({ alg: 'RS256', kid: keyId, typ: 'JWT' });
+        const payload = encode({
+            iss: 'https://accounts.google.com',
+            aud: GOOGLE_CLIENT_ID,
+            iat: seconds,
+            exp: seconds + 3600,
+            email_verified: true,
+            ...claims
+        });
+        const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), key).toString('base64url');
+        return `${header}.${payload}.${signature}`;
+    };
+}
+
+// A client of app signed in through /api/auth/google as claims
+// ({ sub, email, ... }), with a token from sign (googleKeys)
+async function signIn(app, sign, claims) {
+    const request = client(app.url);
+    const response = await request('/api/auth/google', {
+        method: 'POST',
+        body: { credential: sign({ name: claims.email, ...claims }) }
+    });
+    if (response.status !== 200) {
+        throw new Error(`Sign-in failed: ${JSON.stringify(response.body)}`);
+    }
+    return request;
+}
+
+module.exports = {
+    setup,
+    listen,
+    client,
+    startApp,
+    mockRazorpay,
+    checkoutResponse,
+    webhookDelivery,
+    googleKeys,
+    signIn,
+    readBody
+};
@@ -0,0 +1,115 @@
+// GST tax invoices (lib/invoices.js): issued when an order is paid, and
+// only ever shown to the buyer
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+const invoices = require('../lib/invoices');
+
+const BUYER = { name: 'Asha Verma', email: 'asha@example.test', state: 'Maharashtra', country: 'IN', gstin: '27AAPFU0939F1ZV' };
+
+let app;
+let razorpay;
+let sign;
+
+before(async () => {
+    razorpay = await helpers.mockRazorpay();
+    app = await helpers.startApp();
+    sign = helpers.googleKeys();
+});
+
+after(async () => {
+    await app.close();
+    await razorpay.close();
+});
+
+// Buys items as a guest; resolves to what Checkout handed the browser
+async function pay(items) {
+    const order = await app.request('/api/order', { method: 'POST', body: { items, customer: BUYER } });
+    assert.equal(order.status, 200, JSON.stringify(order.body));
+    const payment = helpers.checkoutResponse(order.body.order_id);
+    assert.equal((await app.request('/api/verify', { method: 'POST', body: payment })).status, 200);
+    return payment;
+}
+
+test('a paid order gets the next invoice number of the financial year', async () => {
+    const first = await invoices.findByPaymentId((await pay([{ id: 'bi-consulting', quantity: 2 }])).razorpay_payment_id);
+    const second = await invoices.findByPaymentId((await pay([{ id: 'training', quantity: 1 }])).razorpay_payment_id);
+
+    const fy = invoices.financialYear(new Date());
+    assert.equal(first.number, `SMT/${fy}/00001`);
+    assert.equal(second.number, `SMT/${fy}/00002`);
+
+    // Inter-state to a registered buyer: IGST, with the buyer's GSTIN
+    assert.equal(first.supplyType, 'inter');
+    assert.equal(first.buyer.gstin, '27AAPFU0939F1ZV');
+    assert.deepEqual([first.taxable, first.igst, first.total], [1000000, 180000, 1180000]);
+    assert.equal(first.lines[0].sac, '998313');
+});
+
+test('financial years run April to March in India', () => {
+    assert.equal(invoices.financialYear(new Date('2026-03-31T18:00:00Z')), '25-26');
+    // 1 April 00:00 IST is still 31 March in UTC
+    assert.equal(invoices.financialYear(new Date('2026-03-31T18:30:00Z')), '26-27');
+    assert.equal(invoices.financialYear(new Date('2027-01-15T00:00:00Z')), '26-27');
+});
+
+test('totals are written out in Indian words', () => {
+    assert.equal(invoices.amountInWords(1180000), 'Rupees Eleven Thousand Eight Hundred Only');
+    assert.equal(invoices.amountInWords(1234567891), 'Rupees One Crore Twenty Three Lakh Forty Five Thousand Six Hundred Seventy Eight and Ninety One Paise Only');
+});
+
+test('the PDF is a single A4 page with the invoice number', async () => {
+    const payment = await pay([{ id: 'custom-integration', quantity: 1 }]);
+    const invoice = await invoices.findByPaymentId(payment.razorpay_payment_id);
+    const pdf = invoices.render(invoice).toString('latin1');
+    assert.match(pdf, /^%PDF-1\.\d/);
+    assert.equal(pdf.match(/\/Type \/Page /g).length, 1);
+    assert.match(pdf, /\/MediaBox \[0 0 595\.28 841\.89\]/);
+    assert.ok(pdf.includes(invoice.number));
+    assert.equal(invoices.filename(invoice), `invoice-${invoice.number.replace(/\//g, '-')}.pdf`);
+});
+
+test('invoices belong to the account that bought, not the email typed at checkout', async () => {
+    const buyer = await helpers.signIn(app, sign, { sub: 'google-asha', email: 'asha.verma@example.test' });
+    const created = await buyer('/api/order', {
+        method: 'POST',
+        body: { items: [{ id: 'bi-consulting', quantity: 1 }], customer: { ...BUYER, email: 'accounts@example.test' } }
+    });
+    const payment = helpers.checkoutResponse(created.body.order_id);
+    assert.equal((await app.request('/api/verify', { method: 'POST', body: payment })).status, 200);
+    const download = `/api/invoice/download?payment_id=${payment.razorpay_payment_id}&format=json`;
+
+    assert.equal((await app.request('/api/invoice/list')).status, 401);
+    assert.equal((await app.request(download)).status, 401);
+
+    const list = await buyer('/api/invoice/list');
+    assert.equal(list.status, 200);
+    assert.ok(list.body.invoices.some(invoice => invoice.paymentId === payment.razorpay_payment_id));
+    const invoice = await buyer(download);
+    assert.equal(invoice.status, 200);
+    assert.equal(invoice.body.invoice.total, 5900);
+    const pdf = await buyer(download.replace('&format=json', ''));
+    assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+
+    // Signed in with the address typed on the order is not enough
+    const typed = await helpers.signIn(app, sign, { sub: 'google-accounts', email: 'accounts@example.test' });
+    assert.deepEqual((await typed('/api/invoice/list')).body.invoices, []);
+    assert.equal((await typed(download)).status, 403);
+});
+
+test('a guest gets the invoice with the signature Checkout gave their browser', async () => {
+    const payment = await pay([{ id: 'training', quantity: 1 }]);
+    const download = `/api/invoice/download?payment_id=${payment.razorpay_payment_id}&format=json`;
+
+    const invoice = await app.request(`${download}&signature=${payment.razorpay_signature}`);
+    assert.equal(invoice.status, 200);
+    assert.equal(invoice.body.invoice.paymentId, payment.razorpay_payment_id);
+
+    assert.equal((await app.request(`${download}&signature=${'00'.repeat(32)}`)).status, 401);
+    const stranger = await helpers.signIn(app, sign, { sub: 'google-asha-personal', email: 'asha@example.test' });
+    assert.equal((await stranger(download)).status, 403);
+});
@@ -0,0 +1,106 @@
+// Premium extension licences (lib/license.js): issued when an order for
+// extension-premium is paid, checked by /api/license/validate
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+const config = require('../lib/config');
+const license = require('../lib/license');
+const orders = require('../lib/orders');
+
+let app;
+let razorpay;
+
+before(async () => {
+    razorpay = await helpers.mockRazorpay();
+    app = await helpers.startApp();
+});
+
+after(async () => {
+    await app.close();
+    await razorpay.close();
+});
+
+async function buyPremium() {
+    const order = await app.request('/api/order', {
+        method: 'POST',
+        body: { items: [{ id: 'extension-premium', quantity: 1 }], customer: { email: 'asha@example.test' } }
+    });
+    const payment = helpers.checkoutResponse(order.body.order_id);
+    const response = await app.request('/api/verify', { method: 'POST', body: payment });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return { payment, order: order.body, licences: response.body.licences };
+}
+
+test('a paid order hands back a signed licence for a month', async () => {
+    const { licences, payment } = await buyPremium();
+    assert.equal(licences.length, 1);
+    assert.equal(licences[0].plan, 'extension-premium');
+
+    const result = license.validate(licences[0].token);
+    assert.equal(result.valid, true);
+    assert.equal(result.claims.sub, 'asha@example.test');
+    assert.equal(result.claims.paymentId, payment.razorpay_payment_id);
+    assert.deepEqual(result.claims.features, ['premium']);
+    const days = (result.claims.exp - result.claims.iat) / 86400;
+    assert.ok(days >= 28 && days <= 31, `${days} days`);
+
+    // Verifying again returns the same licence, not another one
+    const again = await app.request('/api/verify', { method: 'POST', body: payment });
+    assert.deepEqual(again.body.licences, licences);
+});
+
+test('verify and the webhook arriving together both get the licences', async () => {
+    const order = await app.request('/api/order', { method: 'POST', body: { items: [{ id: 'extension-premium', quantity: 1 }] } });
+    const { razorpay_payment_id: paymentId } = helpers.checkoutResponse(order.body.order_id);
+
+    const reports = await Promise.all(['webhook', 'checkout'].map(source => orders.markPaid({
+        orderId: order.body.order_id, paymentId, amount: order.body.amount, currency: 'INR', source
+    })));
+    assert.equal(reports[0].licences.length, 1);
+    assert.deepEqual(reports[1].licences, reports[0].licences);
+});
+
+test('edited, expired and malformed tokens are not valid', () => {
+    const { token } = license.issue({ orderId: 'order_1', paymentId: 'pay_1', plan: 'extension-premium', features: ['premium'] });
+    const [body, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(body, 'base64url'));
+    const extended = Buffer.from(JSON.stringify({ ...claims, exp: claims.exp + 86400 * 365 })).toString('base64url');
+
+    assert.equal(license.validate(`${extended}.${signature}`).reason, 'bad_signature');
+    assert.equal(license.validate(token, new Date((claims.exp + 1) * 1000)).reason, 'expired');
+    assert.equal(license.validate('not a token').reason, 'malformed');
+    assert.equal(license.validate(undefined).reason, 'malformed');
+});
+
+test('the API rejects licences whose order was refunded', async () => {
+    const { licences, order, payment } = await buyPremium();
+    const check = async () => (await app.request(`/api/license/validate?token=${encodeURIComponent(licences[0].token)}`)).body;
+
+    const valid = await check();
+    assert.equal(valid.valid, true);
+    assert.equal(valid.license.email, 'asha@example.test');
+
+    const refund = {
+        event: 'refund.processed',
+        payload: { refund: { entity: { id: 'rfnd_premium', payment_id: payment.razorpay_payment_id, amount: order.amount } } }
+    };
+    await app.request('/api/webhook', { method: 'POST', ...helpers.webhookDelivery(refund) });
+    const revoked = await check();
+    assert.equal(revoked.valid, false);
+    assert.equal(revoked.reason, 'revoked');
+
+    const posted = await app.request('/api/license/validate', { method: 'POST', body: {} });
+    assert.equal(posted.status, 400);
+});
+
+test('pages get the public key for offline checks from the inlined config, never from a request', async () => {
+    assert.equal(config.publicConfig().license.publicKey, license.getPublicKeyRaw());
+
+    const published = await app.request('/api/license/public-key');
+    assert.equal(published.body.publicKeyRaw, license.getPublicKeyRaw());
+    assert.match(published.body.publicKey, /^-----BEGIN PUBLIC KEY-----/);
+});
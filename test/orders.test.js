@@ -0,0 +1,74 @@
+// The payment API served by server.js: /api/test, /api/order and
+// /api/verify against a mock Razorpay
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+let app;
+let razorpay;
+
+before(async () => {
+    razorpay = await helpers.mockRazorpay();
+    app = await helpers.startApp();
+});
+
+after(async () => {
+    await app.close();
+    await razorpay.close();
+});
+
+test('the health check says whether Razorpay keys are set, never what they are', async () => {
+    const response = await app.request('/api/test');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.razorpay.configured, true);
+    assert.ok(!JSON.stringify(response.body).includes('fixture_secret'));
+});
+
+test('an order is created at Razorpay and handed back for Checkout', async () => {
+    const response = await app.request('/api/order', {
+        method: 'POST',
+        body: { items: [{ id: 'training', quantity: 1 }], customer: { email: 'asha@example.test' }, receipt: 'receipt_1' }
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.key_id, 'rzp_test_fixture');
+    assert.equal(response.body.currency, 'INR');
+
+    const call = razorpay.requests.find(request => request.path === '/v1/orders' && request.body.receipt === 'receipt_1');
+    assert.ok(call, 'order created at Razorpay');
+    assert.equal(call.body.amount, response.body.amount);
+});
+
+test('verify only accepts the signature Razorpay Checkout computed', async () => {
+    const order = await app.request('/api/order', { method: 'POST', body: { items: [{ id: 'training', quantity: 1 }] } });
+    const payment = helpers.checkoutResponse(order.body.order_id);
+
+    const missing = await app.request('/api/verify', { method: 'POST', body: { razorpay_order_id: order.body.order_id } });
+    assert.equal(missing.status, 400);
+
+    const forged = await app.request('/api/verify', { method: 'POST', body: { ...payment, razorpay_signature: '00'.repeat(32) } });
+    assert.equal(forged.status, 400);
+    assert.equal(forged.body.error, 'Invalid payment signature');
+
+    const response = await app.request('/api/verify', { method: 'POST', body: payment });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.payment_id, payment.razorpay_payment_id);
+});
+
+test('a body that is not a JSON object is a 400', async () => {
+    for (const raw of ['null', '[]', '42', '"text"', '{not json']) {
+        const response = await app.request('/api/order', { method: 'POST', raw });
+        assert.equal(response.status, 400, raw);
+        assert.equal(response.body.success, false);
+    }
+});
+
+test('unknown endpoints are a 404 and other methods a 405', async () => {
+    assert.equal((await app.request('/api/nothing-here')).status, 404);
+
+    const wrongMethod = await app.request('/api/order');
+    assert.equal(wrongMethod.status, 405);
+    assert.equal(wrongMethod.headers.get('allow'), 'POST');
+});
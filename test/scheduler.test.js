@@ -0,0 +1,106 @@
+// The bot scheduler (lib/scheduler.js) with a stand-in source adapter:
+// when bots are due, and how failed runs back off
+
+const assert = require('node:assert/strict');
+const { test, before } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+process.env.ADMIN_EMAILS = 'owner@example.test';
+
+const bots = require('../lib/bots');
+const scheduler = require('../lib/scheduler');
+const sources = require('../lib/sources');
+const store = require('../lib/store');
+
+const USER = { id: 'google-owner', email: 'owner@example.test', name: 'Owner' };
+const MINUTE = 60 * 1000;
+
+// What the stand-in adapter does on its next calls, in order
+const outcomes = [];
+const calls = [];
+
+before(async () => {
+    sources.register({
+        id: 'stand-in',
+        bots: ['news'],
+        async fetch(context) {
+            calls.push(context);
+            const outcome = outcomes.shift() || {};
+            if (outcome.error) throw new Error(outcome.error);
+            return { findings: outcome.findings || [], state: { calls: (context.state ? context.state.calls : 0) + 1 } };
+        }
+    });
+    await store.collection('users').put(USER.id, USER);
+});
+
+// Moves every recorded run `minutes` into the past, as if that long had
+// gone by since
+async function later(minutes) {
+    await store.collection('bot-runs').transaction(records => {
+        Object.values(records).forEach(run => {
+            run.startedAt = new Date(Date.parse(run.startedAt) - minutes * MINUTE).toISOString();
+        });
+    });
+}
+
+// The statuses of the runs a tick `minutes` from now starts
+async function tickAfter(minutes) {
+    await later(minutes);
+    return (await scheduler.tick()).map(run => run.status);
+}
+
+test('a saved bot runs at once, then on its frequency, and keeps its source state', async () => {
+    await bots.save(USER.id, 'news', { keywords: ['pricing'], frequency: 'hourly' });
+
+    assert.deepEqual(await tickAfter(0), ['succeeded']);
+    assert.deepEqual(await tickAfter(30), []);
+    assert.deepEqual(await tickAfter(31), ['succeeded']);
+    assert.deepEqual(calls.at(-1).state, { calls: 1 });
+    assert.equal(calls.at(-1).config.frequency, 'hourly');
+    assert.deepEqual(await scheduler.sourceStateFor(USER.id, 'news', 'stand-in'), { calls: 2 });
+});
+
+test('failed runs are retried after 1, 5 and 15 minutes, never later than the frequency', async () => {
+    outcomes.push({ error: 'feed down' }, { error: 'feed down' }, { error: 'feed down' });
+
+    assert.deepEqual(await tickAfter(61), ['failed']);
+    assert.deepEqual(await tickAfter(0.5), []);
+    assert.deepEqual(await tickAfter(1), ['failed']);
+    assert.deepEqual(await tickAfter(4), []);
+    assert.deepEqual(await tickAfter(1.5), ['failed']);
+    assert.deepEqual(await tickAfter(14), []);
+
+    const status = await scheduler.status(USER.id, 'news');
+    assert.equal(status.state, 'failed');
+    assert.equal(status.lastRun.error, 'stand-in: feed down');
+    assert.equal(Date.parse(status.nextRunAt) - Date.parse(status.lastRun.startedAt), 15 * MINUTE);
+
+    assert.deepEqual(await tickAfter(1.5), ['succeeded']);
+    assert.equal((await scheduler.status(USER.id, 'news')).state, 'active');
+});
+
+test('paused bots and bots whose owner lost the feature are skipped', async () => {
+    await later(24 * 60);
+    await bots.setActive(USER.id, 'news', false);
+    assert.deepEqual(await tickAfter(0), []);
+    assert.equal((await scheduler.status(USER.id, 'news')).state, 'paused');
+
+    await bots.setActive(USER.id, 'news', true);
+    process.env.ADMIN_EMAILS = '';
+    try {
+        assert.deepEqual(await tickAfter(0), []);
+    } finally {
+        process.env.ADMIN_EMAILS = 'owner@example.test';
+    }
+    assert.deepEqual(await tickAfter(0), ['succeeded']);
+});
+
+test('a bot cannot be started twice at once', async () => {
+    const first = scheduler.runNow(USER.id, 'news');
+    assert.throws(() => scheduler.runNow(USER.id, 'news'), error => error.status === 409);
+    assert.equal((await first).trigger, 'retry');
+
+    const runs = await scheduler.history(USER.id, 'news');
+    assert.equal(runs[0].id, (await first).id);
+});
@@ -0,0 +1,98 @@
+// Security headers (lib/security.js): inline script hashes in the Content
+// Security Policy, the handler audit and the headers the app and vercel.json
+// send
+
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+const minify = require('../lib/minify');
+const security = require('../lib/security');
+const templates = require('../lib/templates');
+
+const ROOT = path.join(__dirname, '..');
+
+let app;
+
+before(async () => {
+    app = await helpers.startApp();
+});
+
+after(() => app.close());
+
+function sha256(text) {
+    return `'sha256-${crypto.createHash('sha256').update(text, 'utf8').digest('base64')}'`;
+}
+
+function scriptSources(policy) {
+    return policy.split('; ').find(directive => directive.startsWith('script-src ')).split(' ').slice(1);
+}
+
+test('only executable inline scripts are hashed, over their text with line breaks normalized', () => {
+    const html = [
+        '<script>\r\n  boot();\r\n</script>',
+        '<script type="module">start()</script>',
+        '<script src="/assets/js/app.js">ignored()</script>',
+        '<script type="application/json" id="app-config">{"env":"test"}</script>',
+        '<script type="application/ld+json">{}</script>',
+        '<script>  </script>',
+        '<script>start()</script>'
+    ].join('\n');
+
+    assert.deepEqual(security.scriptHashes(html), [sha256('\n  boot();\n'), sha256('start()')]);
+});
+
+test('inline handlers and javascript: URLs are found in markup and in scripts', () => {
+    assert.deepEqual(security.inlineHandlers('<button class="buy" onclick="pay()">Buy</button>'), ['<button class="buy" onclick="p']);
+    assert.deepEqual(security.inlineHandlers('card.innerHTML = `<img src="x" onerror=alert(1)>`;'), ['<img src="x" onerror=a']);
+    assert.deepEqual(security.inlineHandlers('<a href="javascript:void(0)">x</a>'), ['href="javascript:']);
+    assert.deepEqual(security.inlineHandlers('<div data-onclick="x" class="online">button.onclick = go;</div>'), []);
+});
+
+test('the policy lists the hashes with the allowed script origins', () => {
+    const hashes = [sha256('one()'), sha256('two()')];
+    const values = security.headers(hashes);
+    assert.deepEqual(scriptSources(values['Content-Security-Policy']),
+        ["'self'", 'https://accounts.google.com/gsi/client', 'https://checkout.razorpay.com', ...hashes]);
+    assert.match(values['Content-Security-Policy'], /frame-ancestors 'none'; /);
+    assert.doesNotMatch(scriptSources(values['Content-Security-Policy']).join(' '), /unsafe/);
+
+    assert.equal(security.netlifyHeaders({ 'X-Frame-Options': 'DENY', 'X-Content-Type-Options': 'nosniff' }),
+        '/*\n  X-Frame-Options: DENY\n  X-Content-Type-Options: nosniff\n');
+    assert.deepEqual(security.vercelHeaders({ 'X-Frame-Options': 'DENY' }),
+        [{ source: '/(.*)', headers: [{ key: 'X-Frame-Options', value: 'DENY' }] }]);
+});
+
+test('the app sends each page a policy with the hashes of its own inline scripts', async () => {
+    const page = await fetch(`${app.url}/index.html`);
+    const html = await page.text();
+    const hashes = security.scriptHashes(html);
+    assert.ok(hashes.length > 0);
+    assert.deepEqual(scriptSources(page.headers.get('content-security-policy')).slice(3), hashes);
+    assert.equal(page.headers.get('x-frame-options'), 'DENY');
+    assert.doesNotMatch(html, /\son[a-z]+\s*=\s*["']/i);
+
+    const api = await fetch(`${app.url}/api/test`);
+    assert.equal(api.headers.get('content-security-policy'), security.contentSecurityPolicy());
+    assert.equal(api.headers.get('x-content-type-options'), 'nosniff');
+});
+
+test('the headers committed in vercel.json hash every built page\'s inline scripts', () => {
+    const pages = ['.', 'platform', 'platform/bots'].flatMap(dir => fs.readdirSync(path.join(ROOT, dir))
+        .filter(file => file.endsWith('.html') && !/^(test[^/]*|index-old)\.html$/.test(file))
+        .map(file => path.posix.join(dir, file).replace(/^\.\//, '')));
+    const hashes = new Set();
+    pages.forEach(file => {
+        const html = minify.html(templates.render(file, fs.readFileSync(path.join(ROOT, file), 'utf8')));
+        assert.deepEqual(security.inlineHandlers(html), [], file);
+        security.scriptHashes(html).forEach(hash => hashes.add(hash));
+    });
+
+    const vercel = JSON.parse(fs.readFileSync(path.join(ROOT, 'vercel.json'), 'utf8'));
+    assert.deepEqual(vercel.headers, security.vercelHeaders(security.headers([...hashes].sort())));
+});
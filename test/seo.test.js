@@ -0,0 +1,106 @@
+// Search engine metadata (lib/seo.js): page URLs, sitemap, robots.txt and
+// the JSON-LD offers rendered into the pricing pages
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+process.env.WEBSITE_URL = 'https://shop.example.test/';
+
+const seo = require('../lib/seo');
+const templates = require('../lib/templates');
+
+const ROOT = path.join(__dirname, '..');
+
+function renderPage(file) {
+    return templates.render(file, fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+function jsonLd(html) {
+    const match = html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/);
+    return match ? JSON.parse(match[1]) : null;
+}
+
+test('index pages stand for their directory in URLs', () => {
+    const base = 'https://shop.example.test';
+    assert.equal(seo.pageUrl(base, 'index.html'), 'https://shop.example.test/');
+    assert.equal(seo.pageUrl(base, 'docs/index.html'), 'https://shop.example.test/docs/');
+    assert.equal(seo.pageUrl(base, 'pricing.html'), 'https://shop.example.test/pricing.html');
+    assert.equal(seo.pageUrl(base, 'reindex.html'), 'https://shop.example.test/reindex.html');
+});
+
+test('the sitemap escapes its URLs and robots.txt points at it only when there is one', () => {
+    assert.equal(seo.sitemap(['https://shop.example.test/', 'https://shop.example.test/a.html?x=1&y=<2>']), [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        '  <url><loc>https://shop.example.test/</loc></url>',
+        '  <url><loc>https://shop.example.test/a.html?x=1&amp;y=&lt;2&gt;</loc></url>',
+        '</urlset>',
+        ''
+    ].join('\n'));
+
+    assert.equal(seo.robots('https://shop.example.test'),
+        'User-agent: *\nAllow: /\nDisallow: /api/\n\nSitemap: https://shop.example.test/sitemap.xml\n');
+    assert.equal(seo.robots(null), 'User-agent: *\nAllow: /\nDisallow: /api/\n');
+});
+
+test('metadata reads what a rendered page says about itself', () => {
+    assert.deepEqual(seo.metadata(`<title> Pricing </title>
+        <meta content="Plans for every team" name="description">
+        <meta property='og:image' content='https://shop.example.test/icon128.png'>`), {
+        title: 'Pricing', description: 'Plans for every team', image: 'https://shop.example.test/icon128.png', indexable: true
+    });
+    assert.deepEqual(seo.metadata('<title></title><meta name="description" content=" "><meta name="robots" content="noindex, nofollow">'), {
+        title: null, description: null, image: null, indexable: false
+    });
+});
+
+test('offers are priced from the catalogue or written out, one Offer per currency', () => {
+    const site = { plans: { mixed: ['custom-integration', { id: 'team', name: 'Team', description: 'For teams', price: 5999, interval: 'month' }] } };
+    const [integration, team] = seo.offers('mixed', site);
+    assert.deepEqual(integration.prices, { INR: 25000, USD: 349, EUR: 319 });
+    assert.equal(integration.priceLabel, '25,000');
+    assert.equal(integration.interval, null);
+    assert.deepEqual(team.prices, { INR: 5999 });
+
+    const data = seo.structuredData([integration, team], { brand: 'Shadow Market Tracker', url: 'https://shop.example.test/products.html' });
+    assert.equal(data['@context'], 'https://schema.org');
+    const [first, second] = data['@graph'];
+    assert.deepEqual(first.offers.map(offer => [offer.priceCurrency, offer.price, offer.url]), [
+        ['INR', 25000, 'https://shop.example.test/products.html'],
+        ['USD', 349, 'https://shop.example.test/products.html'],
+        ['EUR', 319, 'https://shop.example.test/products.html']
+    ]);
+    assert.equal(first.offers[0].priceSpecification, undefined);
+    assert.deepEqual(second.offers[0].priceSpecification,
+        { '@type': 'UnitPriceSpecification', price: 5999, priceCurrency: 'INR', billingDuration: 'P1M' });
+
+    assert.throws(() => seo.offers('missing', site), /Unknown offers "missing"/);
+    assert.throws(() => seo.offers('bad', { plans: { bad: ['no-such-product'] } }), /Unknown product "no-such-product"/);
+});
+
+test('the pricing pages carry JSON-LD that agrees with their cards', () => {
+    const pricing = renderPage('pricing.html');
+    const data = jsonLd(pricing);
+    const names = [...pricing.matchAll(/<h3 class="plan-name">([^<]+)<\/h3>/g)].map(match => match[1]);
+    assert.deepEqual(data['@graph'].map(product => product.name), names);
+    data['@graph'].forEach(product => {
+        assert.equal(product.brand.name, 'Shadow Market Tracker');
+        assert.equal(product.offers[0].url, 'https://shop.example.test/pricing.html');
+        assert.match(pricing, new RegExp(`</span>${product.offers[0].price.toLocaleString('en-IN')}\\s*</div>`));
+    });
+    assert.match(pricing, /<link rel="canonical" href="https:\/\/shop\.example\.test\/pricing\.html">/);
+    assert.deepEqual(seo.metadata(pricing), {
+        title: 'Pricing - Shadow Market Tracker',
+        description: 'Choose the perfect plan for your business intelligence needs.',
+        image: 'https://shop.example.test/icon128.png',
+        indexable: true
+    });
+
+    const products = jsonLd(renderPage('products.html'));
+    assert.ok(products['@graph'].some(product => product.offers.some(offer => offer.priceCurrency === 'USD')));
+    assert.equal(jsonLd(renderPage('about.html')), null);
+});
@@ -0,0 +1,113 @@
+// Live dashboard updates (/api/dashboard/stream) as Server-Sent Events,
+// pushed from the scheduler's events
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+const alerts = require('../lib/alerts');
+const scheduler = require('../lib/scheduler');
+
+let app;
+let sign;
+
+before(async () => {
+    app = await helpers.startApp();
+    sign = helpers.googleKeys();
+});
+
+after(() => app.close());
+
+// The session cookie of a fresh sign-in as claims
+async function sessionCookie(claims) {
+    const response = await fetch(`${app.url}/api/auth/google`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ credential: sign({ name: claims.email, ...claims }) })
+    });
+    assert.equal(response.status, 200);
+    return response.headers.getSetCookie().map(cookie => cookie.split(';')[0]).join('; ');
+}
+
+// Opens the stream; next(name) resolves to the data of the next event of
+// that name, skipping others
+async function openStream(cookie) {
+    const controller = new AbortController();
+    const response = await fetch(`${app.url}/api/dashboard/stream?tz=-330`, {
+        headers: cookie ? { Cookie: cookie } : {},
+        signal: controller.signal
+    });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    async function next(name) {
+        for (;;) {
+            const end = buffer.indexOf('\n\n');
+            if (end !== -1) {
+                const block = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                const fields = Object.fromEntries(block.split('\n').map(line => {
+                    const index = line.indexOf(': ');
+                    return [line.slice(0, index), line.slice(index + 2)];
+                }));
+                if (fields.event === name) return { id: Number(fields.id), data: JSON.parse(fields.data) };
+                continue;
+            }
+            const { value, done } = await reader.read();
+            if (done) throw new Error(`Stream ended before a ${name} event`);
+            buffer += decoder.decode(value, { stream: true });
+        }
+    }
+
+    return { response, next, close: () => controller.abort() };
+}
+
+// Waits until the server has dropped the stream's listeners
+async function listenersDropped(count) {
+    for (let tries = 0; tries < 50 && scheduler.events.listenerCount('findings') !== count; tries++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return scheduler.events.listenerCount('findings') === count;
+}
+
+test('the stream needs a signed-in user', async () => {
+    const response = await fetch(`${app.url}/api/dashboard/stream`);
+    assert.equal(response.status, 401);
+    assert.equal((await fetch(`${app.url}/api/dashboard/stream`, { method: 'POST' })).status, 405);
+});
+
+test('a summary comes on connect, then the user\'s new alerts and run changes', async () => {
+    const baseline = scheduler.events.listenerCount('findings');
+    const stream = await openStream(await sessionCookie({ sub: 'google-live', email: 'live@example.test' }));
+    assert.equal(stream.response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+    assert.equal(stream.response.headers.get('cache-control'), 'no-store');
+
+    const first = await stream.next('summary');
+    assert.equal(first.id, 1);
+    assert.deepEqual(first.data.stats, { activeBots: 0, alertsToday: 0, opportunities: null, tenders: null });
+    assert.equal(scheduler.events.listenerCount('findings'), baseline + 1);
+
+    // Another user's findings are not sent
+    const [theirs] = await alerts.fromFindings({ userId: 'google-other', bot: 'news', source: 'test', findings: [{ title: 'Not yours' }] });
+    scheduler.events.emit('findings', { userId: 'google-other', bot: 'news', alerts: [theirs] });
+
+    const stored = await alerts.fromFindings({
+        userId: 'google-live', bot: 'news', source: 'test', findings: [{ title: 'Price cut at Rival', severity: 'high', data: { kind: 'page-change' } }]
+    });
+    scheduler.events.emit('findings', { userId: 'google-live', bot: 'news', alerts: stored });
+    const pushed = await stream.next('alerts');
+    assert.deepEqual(pushed.data.alerts.map(alert => [alert.title, alert.kind, alert.data]), [['Price cut at Rival', 'page-change', undefined]]);
+    assert.equal(pushed.data.unread, 1);
+
+    // The findings and the run ending close together are one summary
+    scheduler.events.emit('run', { userId: 'google-live', bot: 'news', status: 'succeeded' });
+    const refreshed = await stream.next('summary');
+    assert.equal(refreshed.data.stats.alertsToday, 1);
+    assert.equal(refreshed.id, pushed.id + 1);
+
+    stream.close();
+    assert.ok(await listenersDropped(baseline), 'the closed stream still listens to the scheduler');
+});
@@ -0,0 +1,160 @@
+// Monthly subscriptions (lib/subscriptions.js) against a mock Razorpay:
+// proration, cancellation and the grace period after a failed renewal
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+const invoices = require('../lib/invoices');
+const subscriptions = require('../lib/subscriptions');
+
+const DAY = 24 * 60 * 60;
+const BUYER = { country: 'IN', state: 'Rajasthan' };
+
+let razorpay;
+
+before(async () => {
+    razorpay = await helpers.mockRazorpay();
+});
+
+after(() => razorpay.close());
+
+// An active subscription whose current period started `daysIn` days ago
+async function subscribe(planId, { daysIn = 15, email = 'asha@example.test' } = {}) {
+    const created = await subscriptions.create({ planId, email, buyer: BUYER });
+    const start = Math.floor(Date.now() / 1000) - daysIn * DAY;
+    return subscriptions.recordCharge({
+        subscriptionId: created.id,
+        paymentId: `pay_${created.id}`,
+        periodStart: start,
+        periodEnd: start + 30 * DAY
+    });
+}
+
+test('the first charge activates the subscription with a licence to the period end and grace', async () => {
+    const record = await subscribe('extension-pro', { daysIn: 0 });
+    assert.equal(record.status, 'active');
+    assert.equal(subscriptions.isEntitled(record), true);
+
+    const expires = new Date(record.licence.expiresAt).getTime();
+    const periodEnd = new Date(record.currentPeriodEnd).getTime();
+    assert.equal(expires - periodEnd, subscriptions.GRACE_DAYS * DAY * 1000);
+
+    // ₹1,299 a month with GST, created once at Razorpay
+    const plan = razorpay.requests.find(request => request.path === '/v1/plans');
+    assert.equal(plan.body.item.amount, 153282);
+});
+
+test('an upgrade halfway through the period costs half the difference, with GST', async () => {
+    const record = await subscribe('extension-basic');
+    const at = new Date((new Date(record.currentPeriodStart).getTime() + new Date(record.currentPeriodEnd).getTime()) / 2);
+
+    const upgrade = subscriptions.quoteChange(record, 'extension-pro', at);
+    assert.equal(upgrade.remainingFraction, 0.5);
+    // (₹1,299 - ₹699) / 2 = ₹300, plus 18%
+    assert.deepEqual([upgrade.subtotal, upgrade.gst, upgrade.total], [30000, 5400, 35400]);
+});
+
+test('plan changes are refused for the same plan or a subscription that is not active', async () => {
+    const record = await subscribe('extension-basic');
+    assert.throws(() => subscriptions.quoteChange(record, 'extension-basic'), { message: 'Already on this plan' });
+    assert.throws(() => subscriptions.quoteChange(record, 'training'), { message: 'Unknown subscription plan: training' });
+    assert.throws(() => subscriptions.quoteChange({ ...record, status: 'past_due' }, 'extension-pro'), error => error.status === 409);
+});
+
+test('a downgrade switches the plan first, and a refund Razorpay refuses stays pending until it goes through', async () => {
+    const record = await subscribe('extension-enterprise');
+    const quote = subscriptions.quoteChange(record, 'extension-basic');
+    assert.ok(quote.total < 0);
+
+    razorpay.refuse(/\/refund$/);
+    const error = console.error;
+    console.error = () => {};
+    let pending;
+    try {
+        pending = await subscriptions.downgrade(record, quote);
+    } finally {
+        console.error = error;
+    }
+    assert.equal(pending.plan, 'extension-basic');
+    assert.equal(pending.pendingRefund.amount, -quote.total);
+    assert.equal(pending.pendingRefund.attempts, 1);
+    assert.equal(subscriptions.toPublic(pending).refundPending, -quote.total / 100);
+
+    const settled = await subscriptions.settleRefund(record.id);
+    assert.equal(settled.pendingRefund, undefined);
+    assert.equal(settled.history.at(-1).event, 'refunded');
+    const refunds = razorpay.requests.filter(request => request.path === `/v1/payments/${record.lastPaymentId}/refund`);
+    assert.deepEqual(refunds.map(request => request.body.amount), [-quote.total, -quote.total]);
+});
+
+test('a failed renewal keeps access through the grace period, then Razorpay halts it', async () => {
+    const record = await subscribe('extension-basic', { daysIn: 31 });
+    const pastDue = await subscriptions.markPastDue({ subscriptionId: record.id, reason: 'Renewal charge failed' });
+    assert.equal(pastDue.status, 'past_due');
+
+    const graceUntil = new Date(pastDue.graceUntil);
+    assert.equal(graceUntil.getTime() - new Date(record.currentPeriodEnd).getTime(), subscriptions.GRACE_DAYS * DAY * 1000);
+    assert.equal(subscriptions.isEntitled(pastDue, new Date(graceUntil.getTime() - 1000)), true);
+    assert.equal(subscriptions.isEntitled(pastDue, new Date(graceUntil.getTime() + 1000)), false);
+
+    const halted = await subscriptions.setStatus(record.id, 'halted');
+    assert.equal(subscriptions.isEntitled(halted), false);
+    // A late pending event does not bring it back
+    assert.equal((await subscriptions.markPastDue({ subscriptionId: record.id })).status, 'halted');
+});
+
+test('cancelling keeps access to the period end; a past-due subscription stops at once', async () => {
+    const active = await subscribe('extension-basic');
+    const cancelled = await subscriptions.cancel(active.id);
+    assert.equal(cancelled.cancelAtPeriodEnd, true);
+    assert.equal(subscriptions.isEntitled(cancelled), true);
+    assert.deepEqual(razorpay.requests.at(-1).body, { cancel_at_cycle_end: 1 });
+
+    const failing = await subscribe('extension-basic', { daysIn: 31 });
+    await subscriptions.markPastDue({ subscriptionId: failing.id, reason: 'Renewal charge failed' });
+    const stopped = await subscriptions.cancel(failing.id);
+    assert.equal(stopped.status, 'cancelled');
+    assert.equal(subscriptions.isEntitled(stopped), false);
+
+    await assert.rejects(subscriptions.cancel(failing.id), error => error.status === 409);
+    await assert.rejects(subscriptions.cancel('sub_unknown'), error => error.status === 404);
+});
+
+test('a renewal is invoiced at the amount Razorpay charged, not today\'s price', async () => {
+    const record = await subscribe('extension-basic');
+    await subscriptions.recordCharge({ subscriptionId: record.id, paymentId: 'pay_renewal_old_price', amount: 70000 });
+
+    const invoice = await invoices.findByPaymentId('pay_renewal_old_price');
+    assert.equal(invoice.total, 70000);
+    assert.equal(invoice.taxable + invoice.cgst + invoice.sgst, 70000);
+});
+
+test('only the account that subscribed can see, cancel or change it', async () => {
+    const app = await helpers.startApp();
+    const sign = helpers.googleKeys();
+    try {
+        const record = await subscribe('extension-pro', { email: 'ravi@example.test' });
+        const owner = await helpers.signIn(app, sign, { sub: 'google-ravi', email: 'Ravi@Example.test' });
+        const stranger = await helpers.signIn(app, sign, { sub: 'google-meena', email: 'meena@example.test' });
+
+        assert.equal((await app.request('/api/subscription/status')).status, 401);
+        assert.deepEqual((await stranger('/api/subscription/status')).body.subscriptions, []);
+        const status = await owner('/api/subscription/status');
+        assert.deepEqual(status.body.subscriptions.map(subscription => subscription.id), [record.id]);
+
+        const body = { subscription_id: record.id, plan: 'extension-enterprise' };
+        assert.equal((await stranger('/api/subscription/change', { method: 'POST', body })).status, 403);
+        assert.equal((await stranger('/api/subscription/cancel', { method: 'POST', body })).status, 403);
+
+        const quote = await owner('/api/subscription/change', { method: 'POST', body });
+        assert.equal(quote.status, 200, JSON.stringify(quote.body));
+        assert.ok(quote.body.proration.total > 0);
+        const cancelled = await owner('/api/subscription/cancel', { method: 'POST', body });
+        assert.equal(cancelled.body.subscription.cancelAtPeriodEnd, true);
+    } finally {
+        await app.close();
+    }
+});
@@ -0,0 +1,91 @@
+// The GST engine shared by checkout and the order API
+// (assets/js/tax.js); amounts are in paise
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+const TaxEngine = require('../assets/js/tax');
+const catalog = require('../lib/catalog');
+const config = require('../lib/config');
+
+const line = (id, unitPrice, quantity = 1, discount) => ({ id, title: id, unitPrice, quantity, ...(discount ? { discount } : {}) });
+
+test('GST is split by place of supply', () => {
+    const lines = [line('a', 100000)];
+
+    const intra = TaxEngine.compute(lines, { state: 'RJ' });
+    assert.equal(intra.supplyType, 'intra');
+    assert.deepEqual([intra.cgst, intra.sgst, intra.igst, intra.total], [9000, 9000, 0, 118000]);
+    assert.equal(TaxEngine.describe(intra), 'CGST 9% + SGST 9%');
+
+    const inter = TaxEngine.compute(lines, { state: 'Maharashtra' });
+    assert.equal(inter.supplyType, 'inter');
+    assert.deepEqual([inter.cgst, inter.sgst, inter.igst, inter.total], [0, 0, 18000, 118000]);
+    assert.equal(TaxEngine.describe(inter), 'IGST 18%');
+
+    const exported = TaxEngine.compute(lines, { country: 'us', state: 'CA' });
+    assert.equal(exported.supplyType, 'export');
+    assert.equal(exported.tax, 0);
+    assert.equal(TaxEngine.describe(exported), 'GST (0%, export)');
+
+    // No state on record: the seller's own state
+    assert.equal(TaxEngine.compute(lines, {}).supplyType, 'intra');
+});
+
+test('a GSTIN fixes the place of supply and must carry a valid check digit', () => {
+    assert.deepEqual(TaxEngine.validateGstin(' 27aapfu0939f1zv '), { valid: true, gstin: '27AAPFU0939F1ZV', stateCode: '27' });
+    assert.equal(TaxEngine.validateGstin('27AAPFU0939F1ZA').reason, 'GSTIN check digit does not match');
+    assert.equal(TaxEngine.validateGstin('99AAPFU0939F1ZV').reason, 'GSTIN state code 99 is not valid');
+    const tooShort = TaxEngine.validateGstin('27AAPFU0939').reason;
+    assert.match(tooShort, /must be 15 characters/);
+    // The example in the message is itself valid
+    assert.equal(TaxEngine.validateGstin(tooShort.match(/e\.g\. (\w+)/)[1]).valid, true);
+
+    // The GSTIN wins over the state typed in the address
+    const result = TaxEngine.compute([line('a', 100000)], { state: 'Rajasthan', gstin: '27AAPFU0939F1ZV' });
+    assert.equal(result.supplyType, 'inter');
+    assert.equal(result.placeOfSupply.name, 'Maharashtra');
+
+    assert.throws(() => TaxEngine.compute([line('a', 100)], { gstin: '27AAPFU0939F1ZA' }),
+        error => error instanceof TaxEngine.TaxError && error.field === 'gstin');
+    assert.throws(() => TaxEngine.compute([line('a', 100)], { state: 'Atlantis' }),
+        error => error instanceof TaxEngine.TaxError && error.field === 'state');
+});
+
+test('tax is rounded per line and charged after the discount', () => {
+    const result = TaxEngine.compute([line('a', 333, 1), line('b', 333, 2, 111)], { state: '08' });
+    // 333 * 9% = 29.97 -> 30; (666 - 111) * 9% = 49.95 -> 50
+    assert.deepEqual(result.lines.map(entry => [entry.taxable, entry.cgst, entry.sgst]), [[333, 30, 30], [555, 50, 50]]);
+    assert.equal(result.taxable, 888);
+    assert.equal(result.tax, 160);
+    assert.equal(result.total, 1048);
+});
+
+test('states are found by code, name, abbreviation or alias', () => {
+    ['07', '7', 'Delhi', 'DL', 'New Delhi', 'nct of delhi'].forEach(value => {
+        assert.equal(TaxEngine.resolveState(value).code, '07', value);
+    });
+    assert.equal(TaxEngine.resolveState('Orissa').code, '21');
+    assert.equal(TaxEngine.resolveState(''), null);
+});
+
+test('the checkout preview taxes with the seller state the server charges with', () => {
+    const previous = process.env.SELLER_STATE;
+    process.env.SELLER_STATE = '27';
+    try {
+        const sellerState = config.publicConfig().sellerState;
+        assert.equal(sellerState, '27');
+
+        const lines = catalog.buildLines([{ id: 'training', quantity: 1 }]);
+        const preview = TaxEngine.compute(lines, { state: 'Maharashtra' }, sellerState);
+        const charged = catalog.applyTax(lines, { state: 'Maharashtra' });
+        assert.equal(preview.supplyType, 'intra');
+        assert.deepEqual([preview.cgst, preview.sgst, preview.total], [charged.tax.cgst, charged.tax.sgst, charged.total]);
+    } finally {
+        if (previous === undefined) delete process.env.SELLER_STATE;
+        else process.env.SELLER_STATE = previous;
+    }
+});
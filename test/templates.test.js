@@ -0,0 +1,89 @@
+// Page templates (lib/templates.js): front matter, layouts, partials,
+// blocks and the site's own pages
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+process.env.WEBSITE_URL = 'https://shop.example.test';
+
+const templates = require('../lib/templates');
+
+const ROOT = path.join(__dirname, '..');
+
+const PAGE = `---
+layout: main
+title: "Guides & <Tips>"
+description: How to read a gap report
+nav: home
+noindex: true
+---
+<main>{{#if noindex}}<p>Hidden from search</p>{{else}}<p>Indexed</p>{{/if}}
+<a href="{{ root }}pricing.html">{{ site.name }}</a></main>
+{{#block scripts}}<script src="{{ root }}assets/js/guide.js"></script>{{/block}}
+`;
+
+test('front matter becomes page values and a page without it is left alone', () => {
+    const { data, body } = templates.parseFrontMatter(PAGE);
+    assert.deepEqual(data, {
+        layout: 'main', title: 'Guides & <Tips>', description: 'How to read a gap report', nav: 'home', noindex: true
+    });
+    assert.match(body, /^<main>/);
+
+    const plain = '<!DOCTYPE html><p>{{ title }}</p>\n';
+    assert.deepEqual(templates.parseFrontMatter(plain), { data: null, body: plain });
+    assert.equal(templates.render('plain.html', plain), plain);
+});
+
+test('a page renders into its layout with paths relative to where it lives', () => {
+    const html = templates.render('docs/guide.html', PAGE);
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>Guides &amp; &lt;Tips&gt;<\/title>/);
+    assert.match(html, /<link rel="canonical" href="https:\/\/shop\.example\.test\/docs\/guide\.html">/);
+    assert.match(html, /<link rel="stylesheet" href="\.\.\/assets\/css\/cyberpunk\.css">/);
+    assert.match(html, /<a href="\.\.\/index\.html" class="nav-link active">Home<\/a>/);
+    assert.match(html, /<p>Hidden from search<\/p>/);
+    assert.doesNotMatch(html, /Indexed/);
+    assert.match(html, /<a href="\.\.\/pricing\.html">Shadow Market Tracker<\/a>/);
+
+    // The block moves after the layout's own scripts
+    const navbarScript = html.indexOf('assets/js/navbar.js');
+    assert.ok(navbarScript > 0 && html.indexOf('<script src="../assets/js/guide.js">') > navbarScript);
+    assert.equal(html.match(/guide\.js/g).length, 1);
+});
+
+test('the inlined config cannot close its script element', () => {
+    const clientId = process.env.GOOGLE_CLIENT_ID;
+    process.env.GOOGLE_CLIENT_ID = '</script><script>alert(1)</script>';
+    try {
+        const html = templates.render('index.html', '---\ntitle: Home\n---\n<p>Hi</p>\n');
+        const config = html.match(/<script type="application\/json" id="app-config">([\s\S]*?)<\/script>/)[1];
+        assert.doesNotMatch(config, /</);
+        assert.equal(JSON.parse(config).googleClientId, '</script><script>alert(1)</script>');
+    } finally {
+        process.env.GOOGLE_CLIENT_ID = clientId;
+    }
+});
+
+test('template mistakes are reported with where they are', () => {
+    assert.throws(() => templates.render('a.html', '---\nlayout: fancy\n---\nx'), /Unknown layout "fancy"/);
+    assert.throws(() => templates.render('a.html', '---\nlayout: main\n---\n{{#if open}}x'), /Unclosed \{\{#if open\}\} in a\.html/);
+    assert.throws(() => templates.render('a.html', '---\nlayout: main\n---\n{{> secrets }}'), /Unknown partial/);
+    assert.throws(() => templates.render('a.html', '---\nlayout: main\n---\n{{/each}}'), /Unexpected \{\{\/each\}\} in a\.html/);
+});
+
+test('every page of the site renders without template tags left over', () => {
+    const pages = fs.readdirSync(ROOT).filter(file => file.endsWith('.html'));
+    const rendered = pages.filter(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        const html = templates.render(file, source);
+        assert.doesNotMatch(html, /\{\{[#/>]?\s*[\w.]+\s*\}\}/, file);
+        return html !== source;
+    });
+    assert.ok(rendered.includes('index.html'));
+    assert.ok(rendered.length >= 5, rendered.join(', '));
+});
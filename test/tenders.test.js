@@ -0,0 +1,153 @@
+// Tender feeds (lib/tenders.js): RSS, CSV and PDF notices, Indian date and
+// value formats, matching and deadline reminders
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+const { PdfDocument } = require('../lib/pdf');
+const tenders = require('../lib/tenders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONFIG = { capabilities: ['CCTV', 'data centre'], minValue: 1000000, sector: 'all', reminders: [7, 3, 1] };
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0"><channel>
+  <item>
+    <title>Supply and installation of CCTV cameras</title>
+    <link>https://tenders.example.test/notice/101</link>
+    <guid>GEM/2026/B/101</guid>
+    <pubDate>Mon, 02 Mar 2026 09:00:00 GMT</pubDate>
+    <description>Organisation: Pune Municipal Corporation; Estimated Value: ₹50 Lakh;
+      Closing Date: 15-Mar-2026 17:00. Documents: https://tenders.example.test/docs/101.pdf</description>
+  </item>
+  <item>
+    <title>Annual stationery supply</title>
+    <guid>GEM/2026/B/102</guid>
+  </item>
+</channel></rss>`;
+
+const CSV = [
+    'Tender No,Name of Work,Organisation,Tender Value,Bid Submission End Date,Documents',
+    'RFP-7,Data centre cooling upgrade,State Bank of India,"INR 2,50,00,000",15/03/2026 5:00 PM,https://bank.example.test/rfp7.pdf',
+    'RFP-8,Canteen services,State Bank of India,"4,00,000",20/03/2026,'
+].join('\n');
+
+test('RSS items become tenders with the value, issuer and deadline read from the description', () => {
+    const [cctv, stationery] = tenders.parseFeed(RSS, { url: 'https://tenders.example.test/rss' });
+
+    assert.equal(cctv.reference, 'GEM/2026/B/101');
+    assert.equal(cctv.issuer, 'Pune Municipal Corporation');
+    assert.equal(cctv.value, 5000000);
+    assert.equal(cctv.currency, 'INR');
+    assert.equal(cctv.deadline, '2026-03-15T11:30:00.000Z');
+    assert.equal(cctv.publishedAt, '2026-03-02T09:00:00.000Z');
+    assert.deepEqual(cctv.documents.map(doc => doc.url), ['https://tenders.example.test/docs/101.pdf']);
+
+    assert.equal(stationery.title, 'Annual stationery supply');
+    assert.equal(stationery.value, null);
+    assert.equal(stationery.deadline, null);
+    assert.notEqual(cctv.id, stationery.id);
+});
+
+test('CSV columns are matched by name and dates are read day first', () => {
+    const [cooling, canteen] = tenders.parseFeed(CSV, { url: 'https://bank.example.test/tenders.csv' });
+
+    assert.equal(cooling.reference, 'RFP-7');
+    assert.equal(cooling.title, 'Data centre cooling upgrade');
+    assert.equal(cooling.value, 25000000);
+    assert.equal(cooling.deadline, '2026-03-15T11:30:00.000Z');
+    assert.equal(cooling.documents[0].title, 'rfp7.pdf');
+
+    assert.equal(canteen.value, 400000);
+    assert.equal(canteen.deadline, '2026-03-20T18:29:59.000Z');
+
+    assert.throws(() => tenders.parseFeed('Ref,Amount\n1,2', { contentType: 'text/csv' }), /no title or description column/);
+});
+
+test('PDF notices are split at each new reference number', () => {
+    const pdf = new PdfDocument({ title: 'Notices' });
+    [
+        'Tender No: PMC/CCTV/2026/4',
+        'Name of Work: CCTV at ward offices',
+        'Last Date: 15.03.2026 17:00',
+        'Tender No: PMC/ROAD/2026/9',
+        'Name of Work: Road resurfacing'
+    ].forEach((line, index) => pdf.text(50, 780 - index * 16, line));
+
+    const parsed = tenders.parseFeed(pdf.toBuffer(), { url: 'https://pmc.example.test/notice.pdf' });
+    assert.deepEqual(parsed.map(tender => tender.reference), ['PMC/CCTV/2026/4', 'PMC/ROAD/2026/9']);
+    assert.equal(parsed[0].title, 'CCTV at ward offices');
+    assert.equal(parsed[0].deadline, '2026-03-15T11:30:00.000Z');
+});
+
+test('dates without a zone are India Standard Time whatever the server zone', () => {
+    const zone = process.env.TZ;
+    try {
+        ['UTC', 'America/New_York', 'Asia/Tokyo'].forEach(tz => {
+            process.env.TZ = tz;
+            assert.equal(tenders.parseDate('15-Mar-2026 17:00'), '2026-03-15T11:30:00.000Z', tz);
+            assert.equal(tenders.parseDate('15-Mar-2026'), '2026-03-15T18:29:59.000Z', tz);
+            assert.equal(tenders.parseDate('15/03/2026 5:00 PM'), '2026-03-15T11:30:00.000Z', tz);
+            assert.equal(tenders.parseDate('March 15, 2026 10:30 am'), '2026-03-15T05:00:00.000Z', tz);
+            assert.equal(tenders.parseDate('2026-03-15'), '2026-03-15T18:29:59.000Z', tz);
+        });
+    } finally {
+        if (zone === undefined) delete process.env.TZ;
+        else process.env.TZ = zone;
+    }
+
+    assert.equal(tenders.parseDate('Sun, 15 Mar 2026 17:00:00 GMT'), '2026-03-15T17:00:00.000Z');
+    assert.equal(tenders.parseDate('2026-03-15T17:00:00+05:30'), '2026-03-15T11:30:00.000Z');
+    assert.equal(tenders.parseDate('31/02/2026'), null);
+    assert.equal(tenders.parseDate('soon'), null);
+});
+
+test('values are read in lakh, crore and international units', () => {
+    assert.deepEqual(tenders.parseValue('₹50 Lakh'), { value: 5000000, currency: 'INR' });
+    assert.deepEqual(tenders.parseValue('Rs. 1.2 Crore'), { value: 12000000, currency: 'INR' });
+    assert.deepEqual(tenders.parseValue('$2.5M'), { value: 2500000, currency: 'USD' });
+    assert.deepEqual(tenders.parseValue('5,00,000', 'INR'), { value: 500000, currency: 'INR' });
+    assert.deepEqual(tenders.parseValue('not stated'), { value: null, currency: null });
+});
+
+test('a tender matches on a capability, the minimum value and the sector', () => {
+    const [cctv] = tenders.parseFeed(RSS, { url: 'https://tenders.example.test/rss' });
+
+    assert.deepEqual(tenders.match(cctv, CONFIG), ['CCTV']);
+    assert.deepEqual(tenders.match(cctv, { ...CONFIG, minValue: 10000000 }), []);
+    assert.deepEqual(tenders.match(cctv, { ...CONFIG, sector: 'government' }), ['CCTV']);
+    assert.deepEqual(tenders.match(cctv, { ...CONFIG, sector: 'private' }), []);
+    assert.deepEqual(tenders.match(cctv, { ...CONFIG, capabilities: ['CCT'] }), []);
+});
+
+test('tracked tenders report once when new, on a changed deadline and at each reminder', () => {
+    const [cctv] = tenders.parseFeed(RSS, { url: 'https://tenders.example.test/rss' });
+    const deadline = Date.parse(cctv.deadline);
+    const kinds = result => result.findings.map(finding => finding.data.kind);
+
+    const first = tenders.track({}, [cctv], CONFIG, deadline - 10 * DAY_MS);
+    assert.deepEqual(kinds(first), ['tender-new']);
+    assert.match(first.findings[0].summary, /Value: ₹50 Lakh/);
+
+    const quiet = tenders.track(first.tracked, [cctv], CONFIG, deadline - 9 * DAY_MS);
+    assert.deepEqual(kinds(quiet), []);
+
+    // A gap past two offsets still sends one reminder
+    const late = tenders.track(quiet.tracked, [cctv], CONFIG, deadline - 2 * DAY_MS);
+    assert.deepEqual(kinds(late), ['tender-reminder']);
+    assert.equal(late.findings[0].title, `Deadline in 2 days: ${cctv.title}`);
+    assert.equal(late.findings[0].severity, 'medium');
+    assert.deepEqual(kinds(tenders.track(late.tracked, [cctv], CONFIG, deadline - 1.5 * DAY_MS)), []);
+
+    const extended = { ...cctv, deadline: new Date(deadline + 14 * DAY_MS).toISOString() };
+    const moved = tenders.track(late.tracked, [extended], CONFIG, deadline - DAY_MS);
+    assert.deepEqual(kinds(moved), ['tender-deadline-changed']);
+    assert.deepEqual(moved.tracked[cctv.id].reminded, []);
+
+    const closed = tenders.track(moved.tracked, [], CONFIG, deadline + 15 * DAY_MS);
+    assert.deepEqual(closed.tracked, {});
+    assert.deepEqual(tenders.upcoming({ tracked: moved.tracked }, deadline).map(tender => tender.id), [cctv.id]);
+});
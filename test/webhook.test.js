@@ -0,0 +1,144 @@
+// /api/webhook and order fulfilment (lib/orders.js): whichever of the
+// webhook and /api/verify reports a payment first, the order is fulfilled
+// once
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const helpers = require('./helpers');
+
+helpers.setup();
+
+const orders = require('../lib/orders');
+
+let app;
+let razorpay;
+
+before(async () => {
+    razorpay = await helpers.mockRazorpay();
+    app = await helpers.startApp();
+});
+
+after(async () => {
+    await app.close();
+    await razorpay.close();
+});
+
+async function createOrder() {
+    const response = await app.request('/api/order', { method: 'POST', body: { items: [{ id: 'training', quantity: 1 }] } });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body;
+}
+
+function paymentEvent(type, order, paymentId, fields = {}) {
+    return {
+        event: type,
+        payload: { payment: { entity: { id: paymentId, order_id: order.order_id, amount: order.amount, currency: 'INR', ...fields } } }
+    };
+}
+
+function deliver(event, id) {
+    return app.request('/api/webhook', { method: 'POST', ...helpers.webhookDelivery(event, id) });
+}
+
+test('payment.captured fulfils the order when the browser never returns', async () => {
+    const order = await createOrder();
+    const payment = helpers.checkoutResponse(order.order_id);
+
+    const response = await deliver(paymentEvent('payment.captured', order, payment.razorpay_payment_id), 'evt_captured');
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { success: true, handled: true });
+    assert.equal((await orders.getOrder(order.order_id)).status, 'fulfilled');
+
+    // Razorpay retries deliver the same event id
+    const duplicate = await deliver(paymentEvent('payment.captured', order, payment.razorpay_payment_id), 'evt_captured');
+    assert.deepEqual(duplicate.body, { success: true, duplicate: true });
+
+    const verify = await app.request('/api/verify', { method: 'POST', body: payment });
+    assert.equal(verify.body.status, 'fulfilled');
+    const record = await orders.getOrder(order.order_id);
+    assert.deepEqual(record.history.map(event => event.status), ['created', 'paid', 'fulfilled']);
+    assert.equal(record.paidVia, 'webhook');
+});
+
+test('verify and the webhook arriving together both see the fulfilled order', async () => {
+    const order = await createOrder();
+    const { razorpay_payment_id: paymentId } = helpers.checkoutResponse(order.order_id);
+
+    const reports = await Promise.all(['webhook', 'checkout'].map(source =>
+        orders.markPaid({ orderId: order.order_id, paymentId, amount: order.amount, currency: 'INR', source })));
+    assert.deepEqual(reports.map(report => report.status), ['fulfilled', 'fulfilled']);
+    assert.equal((await orders.getOrder(order.order_id)).history.filter(event => event.status === 'fulfilled').length, 1);
+});
+
+test('a payment for an unknown order or the wrong amount is left unfulfilled', async () => {
+    const error = console.error;
+    const logged = [];
+    console.error = message => logged.push(message);
+    try {
+        const unknown = await deliver(paymentEvent('payment.captured', { order_id: 'order_nobody', amount: 100 }, 'pay_stray'));
+        assert.equal(unknown.status, 200);
+        assert.equal(await orders.getOrder('order_nobody'), null);
+
+        const order = await createOrder();
+        await deliver(paymentEvent('payment.captured', order, 'pay_short', { amount: 100 }));
+        const record = await orders.getOrder(order.order_id);
+        assert.equal(record.status, 'created');
+        const { status, paymentId, amount } = record.history.at(-1);
+        assert.deepEqual({ status, paymentId, amount }, { status: 'payment_mismatch', paymentId: 'pay_short', amount: 100 });
+    } finally {
+        console.error = error;
+    }
+    assert.equal(logged.length, 2);
+    assert.match(logged[0], /unknown order order_nobody; not fulfilled/);
+
+    const verify = await app.request('/api/verify', { method: 'POST', body: helpers.checkoutResponse('order_nobody') });
+    assert.equal(verify.status, 404);
+});
+
+test('failed payments and refunds move the order on', async () => {
+    const failed = await createOrder();
+    await deliver(paymentEvent('payment.failed', failed, 'pay_declined', { error_description: 'Card declined' }));
+    assert.equal((await orders.getOrder(failed.order_id)).status, 'failed');
+
+    const order = await createOrder();
+    await deliver(paymentEvent('payment.captured', order, 'pay_refund_me'));
+    const refund = amount => ({
+        event: 'refund.processed',
+        payload: { refund: { entity: { id: `rfnd_${amount}`, payment_id: 'pay_refund_me', amount } } }
+    });
+    await deliver(refund(500000));
+    assert.equal((await orders.getOrder(order.order_id)).status, 'partially_refunded');
+    await deliver(refund(order.amount - 500000));
+    await deliver(refund(order.amount - 500000), 'evt_refund_retry');
+    const record = await orders.getOrder(order.order_id);
+    assert.equal(record.status, 'refunded');
+    assert.equal(record.refunds.length, 2);
+});
+
+test('webhooks need a valid signature', async () => {
+    const delivery = helpers.webhookDelivery({ event: 'payment.captured', payload: {} });
+    const response = await app.request('/api/webhook', {
+        method: 'POST',
+        raw: delivery.raw,
+        headers: { ...delivery.headers, 'X-Razorpay-Signature': '00'.repeat(32) }
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid webhook signature');
+});
+
+test('a signed event without the entity it needs is a 400, not a server error', async () => {
+    const events = [
+        { event: 'payment.captured', payload: {} },
+        { event: 'payment.failed' },
+        { event: 'refund.processed', payload: { refund: null } },
+        { event: 'subscription.charged', payload: { subscription: { entity: { id: 'sub_x' } } } },
+        null
+    ];
+    for (const event of events) {
+        const response = await deliver(event);
+        assert.equal(response.status, 400, JSON.stringify(event));
+    }
+
+    const unknown = await deliver({ event: 'order.paid' });
+    assert.deepEqual(unknown.body, { success: true, handled: false });
+});